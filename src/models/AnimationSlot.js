@@ -7,6 +7,19 @@
  * @extends EventTarget
  */
 export class AnimationSlot extends EventTarget {
+  /**
+   * Playback overrides applied when no value is given
+   * Times are in milliseconds, like the rest of the playback timing.
+   */
+  static DEFAULT_OPTIONS = Object.freeze({
+    repeatCount: 1,      // Times the (trimmed) animation plays
+    holdDuration: null,  // Explicit slot length in ms; animation loops within it (null = use animation length)
+    speed: 1,            // Per-slot time scale
+    trimStart: 0,        // Skip this many ms from the animation start
+    trimEnd: null,       // Stop at this many ms into the animation (null = animation end)
+    mixDuration: null    // Crossfade into this slot in ms (null = sequence default)
+  });
+
   /**
    * @param {number} index - Position in track (0-based)
    * @param {string|null} animation - Animation name reference (null = empty)
@@ -21,6 +34,7 @@ export class AnimationSlot extends EventTarget {
     this._index = index;
     this._animation = animation;
     this._isPlaying = false;
+    this._options = { ...AnimationSlot.DEFAULT_OPTIONS };
   }
 
   /**
@@ -39,6 +53,30 @@ export class AnimationSlot extends EventTarget {
     return this._animation;
   }
 
+  /**
+   * Get playback overrides
+   * @returns {{repeatCount: number, holdDuration: number|null, speed: number, trimStart: number, trimEnd: number|null, mixDuration: number|null}}
+   */
+  get options() {
+    return { ...this._options };
+  }
+
+  get repeatCount() { return this._options.repeatCount; }
+  get holdDuration() { return this._options.holdDuration; }
+  get speed() { return this._options.speed; }
+  get trimStart() { return this._options.trimStart; }
+  get trimEnd() { return this._options.trimEnd; }
+  get mixDuration() { return this._options.mixDuration; }
+
+  /**
+   * Check if any playback override differs from the defaults
+   * @returns {boolean}
+   */
+  get hasOverrides() {
+    return Object.keys(AnimationSlot.DEFAULT_OPTIONS)
+      .some(key => this._options[key] !== AnimationSlot.DEFAULT_OPTIONS[key]);
+  }
+
   /**
    * Check if slot is currently playing
    * @returns {boolean}
@@ -89,6 +127,72 @@ export class AnimationSlot extends EventTarget {
     }
   }
 
+  /**
+   * Update playback overrides
+   * Omitted keys keep their current value; pass null to reset holdDuration, trimEnd or mixDuration.
+   * @param {Object} options - Partial options (see DEFAULT_OPTIONS)
+   * @throws {Error} If a value is invalid
+   * @fires AnimationSlot#options-changed
+   */
+  setOptions(options) {
+    const previousOptions = this.options;
+    const nextOptions = AnimationSlot.validateOptions({ ...previousOptions, ...options });
+
+    this._options = nextOptions;
+
+    this.dispatchEvent(new CustomEvent('options-changed', {
+      detail: { index: this._index, options: this.options, previousOptions }
+    }));
+  }
+
+  /**
+   * Validate and normalize a complete options object
+   * @param {Object} options - Options to validate (missing keys use defaults)
+   * @returns {Object} Normalized options
+   * @throws {Error} If a value is invalid
+   */
+  static validateOptions(options) {
+    const result = { ...AnimationSlot.DEFAULT_OPTIONS };
+
+    for (const key of Object.keys(options || {})) {
+      if (!(key in result)) {
+        throw new Error(`Unknown slot option: ${key}`);
+      }
+      if (options[key] !== undefined) {
+        result[key] = options[key];
+      }
+    }
+
+    const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+    if (!Number.isInteger(result.repeatCount) || result.repeatCount < 1) {
+      throw new Error('repeatCount must be a positive integer');
+    }
+    if (result.holdDuration !== null && (!isNumber(result.holdDuration) || result.holdDuration <= 0)) {
+      throw new Error('holdDuration must be a positive number or null');
+    }
+    if (!isNumber(result.speed) || result.speed <= 0) {
+      throw new Error('speed must be a positive number');
+    }
+    if (!isNumber(result.trimStart) || result.trimStart < 0) {
+      throw new Error('trimStart must be a non-negative number');
+    }
+    if (result.trimEnd !== null) {
+      if (!isNumber(result.trimEnd) || result.trimEnd <= 0) {
+        throw new Error('trimEnd must be a positive number or null');
+      }
+      if (result.trimEnd <= result.trimStart) {
+        throw new Error('trimEnd must be greater than trimStart');
+      }
+    }
+
+    if (result.mixDuration !== null && (!isNumber(result.mixDuration) || result.mixDuration < 0)) {
+      throw new Error('mixDuration must be a non-negative number or null');
+    }
+
+    return result;
+  }
+
   /**
    * Start playback
    * @throws {Error} If slot is empty
@@ -123,4 +227,51 @@ export class AnimationSlot extends EventTarget {
       detail: { index: this._index }
     }));
   }
+
+  /**
+   * Serialize slot to a plain object
+   * Options are only written when they differ from the defaults.
+   * @returns {{index: number, animation: string|null, options?: Object}}
+   */
+  toJSON() {
+    const data = {
+      index: this._index,
+      animation: this._animation
+    };
+
+    if (this.hasOverrides) {
+      data.options = this.options;
+    }
+
+    return data;
+  }
+
+  /**
+   * Create slot from serialized data
+   * @param {Object} data - Object produced by toJSON()
+   * @param {number} index - Position in track (defaults to data.index)
+   * @returns {AnimationSlot}
+   * @throws {Error} If data is invalid
+   */
+  static fromJSON(data, index = null) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('Invalid slot data');
+    }
+
+    const animation = data.animation ?? null;
+    if (animation !== null && typeof animation !== 'string') {
+      throw new Error('Invalid slot data: animation must be a string or null');
+    }
+
+    const slot = new AnimationSlot(index ?? data.index ?? 0, animation);
+
+    if (data.options !== undefined) {
+      if (!data.options || typeof data.options !== 'object') {
+        throw new Error('Invalid slot data: options must be an object');
+      }
+      slot._options = AnimationSlot.validateOptions(data.options);
+    }
+
+    return slot;
+  }
 }
@@ -97,14 +97,7 @@ export class AnimationTrack extends EventTarget {
       throw new Error('Invalid slot index');
     }
 
-    this._slots.splice(index, 1);
-
-    // Update indices for remaining slots
-    this._updateSlotIndices(index);
-
-    this.dispatchEvent(new CustomEvent('slot-removed', {
-      detail: { index }
-    }));
+    this._detachSlot(index);
   }
 
   /**
@@ -153,6 +146,26 @@ export class AnimationTrack extends EventTarget {
     }));
   }
 
+  /**
+   * Update playback overrides of a slot
+   * @param {number} slotIndex - Slot position
+   * @param {Object} options - Partial slot options (see AnimationSlot.DEFAULT_OPTIONS)
+   * @fires AnimationTrack#slot-options-changed
+   */
+  setSlotOptions(slotIndex, options) {
+    const slot = this.getSlot(slotIndex);
+    if (!slot) {
+      throw new Error('Invalid slot index');
+    }
+
+    const previousOptions = slot.options;
+    slot.setOptions(options);
+
+    this.dispatchEvent(new CustomEvent('slot-options-changed', {
+      detail: { slotIndex, options: slot.options, previousOptions }
+    }));
+  }
+
   /**
    * Get slot by index
    * @param {number} index - Slot position
@@ -207,6 +220,68 @@ export class AnimationTrack extends EventTarget {
     }));
   }
 
+  /**
+   * Serialize track to a plain object
+   * @returns {{id: string, name: string, slots: Array<Object>}}
+   */
+  toJSON() {
+    return {
+      id: this._id,
+      name: this._name,
+      slots: this._slots.map(slot => slot.toJSON())
+    };
+  }
+
+  /**
+   * Create track from serialized data
+   * @param {Object} data - Object produced by toJSON()
+   * @param {Object} options - Configuration options (see constructor)
+   * @returns {AnimationTrack}
+   * @throws {Error} If data is invalid
+   */
+  static fromJSON(data, options = {}) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('Invalid track data');
+    }
+
+    if (typeof data.name !== 'string' || data.name.trim() === '') {
+      throw new Error('Invalid track data: name cannot be empty');
+    }
+
+    const slots = Array.isArray(data.slots) ? data.slots : [];
+    const track = new AnimationTrack(data.name.trim(), options);
+
+    if (slots.length > track.maxSlots) {
+      throw new Error('Maximum slots exceeded');
+    }
+
+    if (typeof data.id === 'string' && data.id !== '') {
+      track._id = data.id;
+    }
+
+    // Slot order follows array order; stored indices are informational only
+    track._slots = slots.map((slotData, index) => AnimationSlot.fromJSON(slotData, index));
+
+    return track;
+  }
+
+  /**
+   * Remove slot without the last-slot guard (used by removeSlot and undo history)
+   * @private
+   * @param {number} index - Slot index to remove
+   * @fires AnimationTrack#slot-removed
+   */
+  _detachSlot(index) {
+    this._slots.splice(index, 1);
+
+    // Update indices for remaining slots
+    this._updateSlotIndices(index);
+
+    this.dispatchEvent(new CustomEvent('slot-removed', {
+      detail: { index }
+    }));
+  }
+
   /**
    * Update slot indices after insertion/removal/move
    * @private
@@ -1,4 +1,6 @@
 import { AnimationTrack } from './AnimationTrack.js';
+import { CommandHistory } from '../services/CommandHistory.js';
+import { SequenceHistory } from '../services/SequenceHistory.js';
 
 /**
  * MultiTrackSequence - Root container managing all tracks and global playback state
@@ -8,10 +10,25 @@ import { AnimationTrack } from './AnimationTrack.js';
  * @extends EventTarget
  */
 export class MultiTrackSequence extends EventTarget {
+  static SCHEMA_VERSION = '1.0';
+  static #migrations = new Map();
+
+  /**
+   * Supported loop modes
+   * - once: play one cycle and hold the last frame
+   * - continuous: restart every track together when the longest slot ends
+   * - per-track: each track restarts as soon as its own slot ends
+   * - ping-pong: alternate forward and backward cycles
+   * - region: loop between the loop region's start and end
+   */
+  static LOOP_MODES = Object.freeze(['once', 'continuous', 'per-track', 'ping-pong', 'region']);
+
   /**
    * @param {Object} options - Configuration options
    * @param {number} options.maxTracks - Maximum allowed tracks (default: 10)
    * @param {number} options.slotDuration - Duration per slot in ms (optional)
+   * @param {number} options.historyDepth - Maximum undo entries kept (default: 100)
+   * @param {number} options.defaultMixDuration - Crossfade between slots in ms when a slot sets none (default: 0)
    */
   constructor(options = {}) {
     super();
@@ -19,6 +36,8 @@ export class MultiTrackSequence extends EventTarget {
     this._tracks = [];
     this._maxTracks = options.maxTracks || 10;
     this._slotDuration = options.slotDuration || null;
+    this._defaultMixDuration = options.defaultMixDuration || 0;
+    this._loopRegion = null; // { start, end } in ms, used by 'region' loop mode
 
     this._playbackState = {
       isPlaying: false,
@@ -29,6 +48,10 @@ export class MultiTrackSequence extends EventTarget {
       loopMode: 'continuous',
       playbackSpeed: 1.0
     };
+
+    // Undo/redo history fed by model events
+    this._history = new CommandHistory({ maxDepth: options.historyDepth });
+    this._historyRecorder = new SequenceHistory(this, this._history);
   }
 
   // Getters
@@ -40,6 +63,11 @@ export class MultiTrackSequence extends EventTarget {
   get maxTracks() { return this._maxTracks; }
   set maxTracks(value) { this._maxTracks = value; }
 
+  get history() { return this._history; }
+  get defaultMixDuration() { return this._defaultMixDuration; }
+  get loopMode() { return this._playbackState.loopMode; }
+  get loopRegion() { return this._loopRegion ? { ...this._loopRegion } : null; }
+
   /**
    * Create and add new track
    * @param {string} name - Track name (optional, defaults to "Track N")
@@ -52,11 +80,7 @@ export class MultiTrackSequence extends EventTarget {
     }
 
     const track = new AnimationTrack(name);
-    this._tracks.push(track);
-
-    this.dispatchEvent(new CustomEvent('track-added', {
-      detail: { track }
-    }));
+    this._attachTrack(track, this._tracks.length);
 
     return track;
   }
@@ -71,21 +95,11 @@ export class MultiTrackSequence extends EventTarget {
       throw new Error('Cannot remove last track');
     }
 
-    const index = this._tracks.findIndex(t => t.id === trackId);
-    if (index === -1) {
+    if (!this.getTrack(trackId)) {
       throw new Error('Track not found');
     }
 
-    this._tracks.splice(index, 1);
-
-    // Stop playback when removing tracks
-    if (this._playbackState.isPlaying) {
-      this._playbackState.isPlaying = false;
-    }
-
-    this.dispatchEvent(new CustomEvent('track-removed', {
-      detail: { trackId }
-    }));
+    this._detachTrack(trackId);
   }
 
   /**
@@ -113,6 +127,86 @@ export class MultiTrackSequence extends EventTarget {
     this.dispatchEvent(new CustomEvent('tracks-cleared'));
   }
 
+  /**
+   * Revert the most recent track or slot edit
+   * @returns {boolean} True if an edit was reverted
+   */
+  undo() {
+    return this._history.undo();
+  }
+
+  /**
+   * Re-apply the most recently reverted edit
+   * @returns {boolean} True if an edit was re-applied
+   */
+  redo() {
+    return this._history.redo();
+  }
+
+  /**
+   * @returns {boolean} True if there is an edit to undo
+   */
+  canUndo() {
+    return this._history.canUndo();
+  }
+
+  /**
+   * @returns {boolean} True if there is an edit to redo
+   */
+  canRedo() {
+    return this._history.canRedo();
+  }
+
+  /**
+   * Group all edits made inside fn into a single undo step
+   * @param {string} label - Description of the grouped edit
+   * @param {Function} fn - Function performing the edits
+   * @returns {*} Return value of fn
+   */
+  transaction(label, fn) {
+    return this._history.transaction(label, fn);
+  }
+
+  /**
+   * Insert an existing track at position (used by addTrack, loadJSON and undo history)
+   * @private
+   * @param {AnimationTrack} track - Track to insert
+   * @param {number} index - Target position
+   * @fires MultiTrackSequence#track-added
+   */
+  _attachTrack(track, index) {
+    index = Math.max(0, Math.min(index, this._tracks.length));
+    this._tracks.splice(index, 0, track);
+
+    this.dispatchEvent(new CustomEvent('track-added', {
+      detail: { track, index }
+    }));
+  }
+
+  /**
+   * Remove track without the last-track guard (used by removeTrack and undo history)
+   * @private
+   * @param {string} trackId - Track UUID
+   * @fires MultiTrackSequence#track-removed
+   */
+  _detachTrack(trackId) {
+    const index = this._tracks.findIndex(t => t.id === trackId);
+    if (index === -1) {
+      return;
+    }
+
+    this._tracks.splice(index, 1);
+
+    // Stop playback when removing tracks
+    if (this._playbackState.isPlaying) {
+      this._playbackState.isPlaying = false;
+    }
+
+    this.dispatchEvent(new CustomEvent('track-removed', {
+      detail: { trackId }
+    }));
+  }
+
   /**
    * Start unified playback across all tracks
    * Note: Actual playback is controlled by PlaybackController service
@@ -195,4 +289,307 @@ export class MultiTrackSequence extends EventTarget {
   getPlaybackSpeed() {
     return this._playbackState.playbackSpeed;
   }
+
+  /**
+   * Select how playback repeats
+   * @param {string} mode - One of MultiTrackSequence.LOOP_MODES
+   * @throws {Error} If mode is unknown, or 'region' is selected without a loop region
+   * @fires MultiTrackSequence#loop-mode-changed
+   */
+  setLoopMode(mode) {
+    if (!MultiTrackSequence.LOOP_MODES.includes(mode)) {
+      throw new Error(`Unknown loop mode: ${mode}`);
+    }
+    if (mode === 'region' && !this._loopRegion) {
+      throw new Error('Loop region is not set');
+    }
+
+    const previousMode = this._playbackState.loopMode;
+    if (previousMode === mode) {
+      return;
+    }
+
+    this._playbackState.loopMode = mode;
+
+    this.dispatchEvent(new CustomEvent('loop-mode-changed', {
+      detail: { mode, previousMode }
+    }));
+  }
+
+  /**
+   * Set the A–B region looped by the 'region' loop mode
+   * @param {number} start - Region start in ms from sequence start
+   * @param {number} end - Region end in ms (must be greater than start)
+   * @throws {Error} If the region is invalid
+   * @fires MultiTrackSequence#loop-region-changed
+   */
+  setLoopRegion(start, end) {
+    const isTime = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+    if (!isTime(start) || !isTime(end)) {
+      throw new Error('Loop region times must be non-negative numbers');
+    }
+    if (end <= start) {
+      throw new Error('Loop region end must be greater than start');
+    }
+
+    this._loopRegion = { start, end };
+
+    this.dispatchEvent(new CustomEvent('loop-region-changed', {
+      detail: { region: this.loopRegion }
+    }));
+  }
+
+  /**
+   * Remove the loop region (falls back to 'continuous' if the region mode was active)
+   * @fires MultiTrackSequence#loop-region-changed
+   * @fires MultiTrackSequence#loop-mode-changed
+   */
+  clearLoopRegion() {
+    if (!this._loopRegion) {
+      return;
+    }
+
+    if (this._playbackState.loopMode === 'region') {
+      this.setLoopMode('continuous');
+    }
+
+    this._loopRegion = null;
+
+    this.dispatchEvent(new CustomEvent('loop-region-changed', {
+      detail: { region: null }
+    }));
+  }
+
+  /**
+   * Set the crossfade used by slots without their own mixDuration
+   * @param {number} duration - Mix duration in milliseconds
+   * @throws {Error} If duration is not a non-negative number
+   * @fires MultiTrackSequence#default-mix-changed
+   */
+  setDefaultMixDuration(duration) {
+    if (typeof duration !== 'number' || !Number.isFinite(duration) || duration < 0) {
+      throw new Error('Mix duration must be a non-negative number');
+    }
+
+    const previousDuration = this._defaultMixDuration;
+    if (previousDuration === duration) {
+      return;
+    }
+
+    this._defaultMixDuration = duration;
+
+    this.dispatchEvent(new CustomEvent('default-mix-changed', {
+      detail: { duration, previousDuration }
+    }));
+  }
+
+  /**
+   * Serialize sequence to a versioned plain object
+   * @returns {{version: string, playbackSpeed: number, loopMode: string, loopRegion: Object|null, defaultMixDuration: number, tracks: Array<Object>}}
+   */
+  toJSON() {
+    return {
+      version: MultiTrackSequence.SCHEMA_VERSION,
+      playbackSpeed: this._playbackState.playbackSpeed,
+      loopMode: this._playbackState.loopMode,
+      loopRegion: this.loopRegion,
+      defaultMixDuration: this._defaultMixDuration,
+      tracks: this._tracks.map(track => track.toJSON())
+    };
+  }
+
+  /**
+   * Replace all tracks with the contents of a serialized sequence
+   * Validation runs before any state changes, so a rejected document leaves the sequence untouched.
+   * @param {Object|string} data - Object produced by toJSON() or its JSON string
+   * @param {Object} options - Load options
+   * @param {Array<string>} options.availableAnimations - Animation names in the current skeleton (skips check if omitted)
+   * @returns {MultiTrackSequence} This sequence
+   * @throws {Error} If data is invalid or references missing animations (error.missingAnimations lists them)
+   * @fires MultiTrackSequence#tracks-cleared
+   * @fires MultiTrackSequence#track-added
+   * @fires MultiTrackSequence#sequence-loaded
+   */
+  loadJSON(data, options = {}) {
+    const sequenceData = MultiTrackSequence.migrate(data);
+
+    if (!Array.isArray(sequenceData.tracks)) {
+      throw new Error('Invalid sequence data: tracks must be an array');
+    }
+
+    if (sequenceData.tracks.length > this._maxTracks) {
+      throw new Error('Maximum tracks exceeded');
+    }
+
+    if (options.availableAnimations) {
+      const missing = MultiTrackSequence.findMissingAnimations(sequenceData, options.availableAnimations);
+      if (missing.length > 0) {
+        const error = new Error(`Missing animations: ${missing.join(', ')}`);
+        error.missingAnimations = missing;
+        throw error;
+      }
+    }
+
+    const tracks = sequenceData.tracks.map(trackData => AnimationTrack.fromJSON(trackData));
+    const defaultMixDuration = sequenceData.defaultMixDuration ?? 0;
+
+    if (typeof defaultMixDuration !== 'number' || !Number.isFinite(defaultMixDuration) || defaultMixDuration < 0) {
+      throw new Error('Invalid sequence data: defaultMixDuration must be a non-negative number');
+    }
+
+    const loopMode = sequenceData.loopMode ?? 'continuous';
+    const loopRegion = sequenceData.loopRegion ?? null;
+
+    if (!MultiTrackSequence.LOOP_MODES.includes(loopMode)) {
+      throw new Error(`Invalid sequence data: unknown loop mode ${loopMode}`);
+    }
+    if (loopRegion !== null && !(loopRegion.end > loopRegion.start && loopRegion.start >= 0)) {
+      throw new Error('Invalid sequence data: loopRegion end must be greater than start');
+    }
+    if (loopMode === 'region' && !loopRegion) {
+      throw new Error('Invalid sequence data: region loop mode requires a loopRegion');
+    }
+
+    const previousSettings = this._getPlaybackSettings();
+    const settings = {
+      playbackSpeed: typeof sequenceData.playbackSpeed === 'number' && sequenceData.playbackSpeed > 0
+        ? sequenceData.playbackSpeed
+        : previousSettings.playbackSpeed,
+      loopMode,
+      loopRegion
+    };
+
+    this.transaction('Load sequence', () => {
+      this.clear();
+      tracks.forEach((track, index) => this._attachTrack(track, index));
+      this.setDefaultMixDuration(defaultMixDuration);
+
+      // Speed and loop changes are not recorded on their own; the load restores them on undo
+      this._applyPlaybackSettings(settings);
+      this._history.record({
+        label: 'Load playback settings',
+        undo: () => this._applyPlaybackSettings(previousSettings),
+        redo: () => this._applyPlaybackSettings(settings)
+      });
+    });
+
+    this.dispatchEvent(new CustomEvent('sequence-loaded', {
+      detail: { version: sequenceData.version, trackCount: tracks.length }
+    }));
+
+    return this;
+  }
+
+  /**
+   * @private
+   * @returns {{playbackSpeed: number, loopMode: string, loopRegion: Object|null}} Speed and loop settings
+   */
+  _getPlaybackSettings() {
+    return {
+      playbackSpeed: this._playbackState.playbackSpeed,
+      loopMode: this._playbackState.loopMode,
+      loopRegion: this.loopRegion
+    };
+  }
+
+  /**
+   * Apply speed and loop settings (the region is set before the mode that may need it)
+   * @private
+   * @param {{playbackSpeed: number, loopMode: string, loopRegion: Object|null}} settings
+   */
+  _applyPlaybackSettings({ playbackSpeed, loopMode, loopRegion }) {
+    this.setPlaybackSpeed(playbackSpeed);
+    if (loopRegion) {
+      this.setLoopRegion(loopRegion.start, loopRegion.end);
+    } else {
+      this.clearLoopRegion();
+    }
+    this.setLoopMode(loopMode);
+  }
+
+  /**
+   * Create sequence from serialized data
+   * @param {Object|string} data - Object produced by toJSON() or its JSON string
+   * @param {Object} options - Constructor options plus loadJSON() options
+   * @returns {MultiTrackSequence}
+   */
+  static fromJSON(data, options = {}) {
+    const sequence = new MultiTrackSequence(options);
+    return sequence.loadJSON(data, options);
+  }
+
+  /**
+   * List animation names referenced by a serialized sequence but absent from the skeleton
+   * @param {Object} data - Serialized sequence (current schema version)
+   * @param {Array<string>} availableAnimations - Animation names in the current skeleton
+   * @returns {Array<string>} Unique missing animation names in first-seen order
+   */
+  static findMissingAnimations(data, availableAnimations) {
+    const available = new Set(availableAnimations);
+    const missing = [];
+
+    (data.tracks || []).forEach(track => {
+      (track.slots || []).forEach(slot => {
+        const name = slot ? slot.animation : null;
+        if (name && !available.has(name) && !missing.includes(name)) {
+          missing.push(name);
+        }
+      });
+    });
+
+    return missing;
+  }
+
+  /**
+   * Register a migration that upgrades documents from an older schema version
+   * @param {string} fromVersion - Version the migration accepts
+   * @param {Function} migrate - Receives the document, returns it upgraded (with a newer version field)
+   */
+  static registerMigration(fromVersion, migrate) {
+    if (typeof migrate !== 'function') {
+      throw new Error('Migration must be a function');
+    }
+    MultiTrackSequence.#migrations.set(String(fromVersion), migrate);
+  }
+
+  /**
+   * Parse and upgrade a serialized sequence to the current schema version
+   * @param {Object|string} data - Serialized sequence
+   * @returns {Object} Document at SCHEMA_VERSION
+   * @throws {Error} If data is not a sequence document or no migration path exists
+   */
+  static migrate(data) {
+    let sequenceData = data;
+
+    if (typeof sequenceData === 'string') {
+      try {
+        sequenceData = JSON.parse(sequenceData);
+      } catch (error) {
+        throw new Error(`Invalid sequence data: ${error.message}`);
+      }
+    }
+
+    if (!sequenceData || typeof sequenceData !== 'object') {
+      throw new Error('Invalid sequence data');
+    }
+
+    if (sequenceData.version === undefined || sequenceData.version === null) {
+      throw new Error('Invalid sequence data: missing version');
+    }
+
+    const visited = new Set();
+    while (String(sequenceData.version) !== MultiTrackSequence.SCHEMA_VERSION) {
+      const version = String(sequenceData.version);
+      const migration = MultiTrackSequence.#migrations.get(version);
+
+      if (!migration || visited.has(version)) {
+        throw new Error(`Unsupported sequence version: ${version}`);
+      }
+
+      visited.add(version);
+      sequenceData = migration(sequenceData);
+    }
+
+    return sequenceData;
+  }
 }
@@ -0,0 +1,425 @@
+/**
+ * AssetLibrary Service
+ *
+ * Keeps recently opened skeleton/atlas/texture bundles in the browser so they can
+ * be reopened without selecting the files again. Bundles are stored with a
+ * thumbnail and the last-used animation, skin and background; the least recently
+ * used bundles are evicted once the size or entry limit is exceeded.
+ *
+ * @module services/AssetLibrary
+ */
+
+import { crc32, readBlob } from '../utils/zipWriter.js';
+
+const DB_NAME = 'spine-viewer-library';
+const DB_VERSION = 1;
+const STORE_NAME = 'bundles';
+
+/**
+ * Promisifies an IndexedDB request
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error || new Error('IndexedDB request failed'));
+  });
+}
+
+/**
+ * Bundle record storage backed by IndexedDB
+ */
+export class IndexedDBStore {
+  /**
+   * @param {IDBFactory} [factory=globalThis.indexedDB]
+   */
+  constructor(factory = globalThis.indexedDB) {
+    if (!factory) {
+      throw new Error('IndexedDB is not available');
+    }
+    this._factory = factory;
+    this._db = null;
+  }
+
+  /**
+   * Opens (and creates on first use) the database
+   * @private
+   * @returns {Promise<IDBDatabase>}
+   */
+  async _open() {
+    if (!this._db) {
+      const request = this._factory.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+          request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+        }
+      };
+      this._db = await requestToPromise(request);
+    }
+    return this._db;
+  }
+
+  /**
+   * Runs one request in a transaction
+   * @private
+   * @param {IDBTransactionMode} mode
+   * @param {Function} operation - Receives the object store and returns a request
+   * @returns {Promise<*>}
+   */
+  async _run(mode, operation) {
+    const db = await this._open();
+    const store = db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+    return requestToPromise(operation(store));
+  }
+
+  /**
+   * @returns {Promise<Array<Object>>} All records
+   */
+  getAll() {
+    return this._run('readonly', store => store.getAll());
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<Object|undefined>}
+   */
+  get(id) {
+    return this._run('readonly', store => store.get(id));
+  }
+
+  /**
+   * @param {Object} record - Record with an id
+   * @returns {Promise<void>}
+   */
+  async put(record) {
+    await this._run('readwrite', store => store.put(record));
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<void>}
+   */
+  async delete(id) {
+    await this._run('readwrite', store => store.delete(id));
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this._run('readwrite', store => store.clear());
+  }
+}
+
+/**
+ * In-memory bundle record storage (used when IndexedDB is unavailable)
+ */
+export class MemoryStore {
+  constructor() {
+    this._records = new Map();
+  }
+
+  /**
+   * @returns {Promise<Array<Object>>} All records
+   */
+  async getAll() {
+    return Array.from(this._records.values());
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<Object|undefined>}
+   */
+  async get(id) {
+    return this._records.get(id);
+  }
+
+  /**
+   * @param {Object} record - Record with an id
+   * @returns {Promise<void>}
+   */
+  async put(record) {
+    this._records.set(record.id, record);
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<void>}
+   */
+  async delete(id) {
+    this._records.delete(id);
+  }
+
+  /**
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this._records.clear();
+  }
+}
+
+/**
+ * Library of recently opened Spine bundles
+ * Dispatches a `library-changed` event whenever bundles are added, updated or removed.
+ */
+export class AssetLibrary extends EventTarget {
+  static DEFAULT_OPTIONS = Object.freeze({
+    maxBytes: 256 * 1024 * 1024, // Total stored size before least recently used bundles are evicted
+    maxEntries: 24
+  });
+
+  /**
+   * @param {Object} [options]
+   * @param {IndexedDBStore|MemoryStore} [options.store] - Record storage (IndexedDB when available)
+   * @param {number} [options.maxBytes] - Size limit in bytes
+   * @param {number} [options.maxEntries] - Bundle count limit
+   */
+  constructor(options = {}) {
+    super();
+    const { store, ...limits } = options;
+    this.options = { ...AssetLibrary.DEFAULT_OPTIONS, ...limits };
+    this._store = store || (globalThis.indexedDB ? new IndexedDBStore() : new MemoryStore());
+  }
+
+  /**
+   * Builds the id of a bundle from its file names, sizes and skeleton content; loading the
+   * same skeleton and atlas again replaces the entry, while different skeletons that share
+   * file names (e.g. several exports named skeleton.json) are kept apart
+   * @param {File} skeleton - Skeleton file
+   * @param {File} atlas - Atlas file
+   * @returns {Promise<string>}
+   */
+  static async createBundleId(skeleton, atlas) {
+    const hash = crc32(new Uint8Array(await readBlob(skeleton))).toString(16).padStart(8, '0');
+    return `${skeleton.name}|${atlas.name}|${skeleton.size}|${atlas.size}|${hash}`;
+  }
+
+  /**
+   * Stores a bundle and evicts old ones if the limits are exceeded
+   * @param {Object} bundle
+   * @param {File} bundle.skeleton - Skeleton file (.skel or .json)
+   * @param {File} bundle.atlas - Atlas file
+   * @param {Array<{name: string, file: File}>} bundle.pages - Texture images
+   * @param {boolean} [bundle.pagesByName=false] - Whether image names are atlas page names
+   * @param {Blob} [bundle.thumbnail] - Preview image
+   * @param {Object} [bundle.settings] - Last-used animation, skin and background
+   * @returns {Promise<Object>} Summary of the stored bundle (see list)
+   * @throws {Error} If the bundle alone is larger than the size limit
+   */
+  async save({ skeleton, atlas, pages = [], pagesByName = false, thumbnail = null, settings = {} }) {
+    if (!skeleton || !atlas) {
+      throw new Error('Skeleton and atlas files are required');
+    }
+
+    const id = await AssetLibrary.createBundleId(skeleton, atlas);
+    const existing = await this._store.get(id);
+    const now = Date.now();
+    const record = {
+      id,
+      name: skeleton.name.replace(/\.(skel|json)$/i, ''),
+      skeleton: toStoredFile(skeleton),
+      atlas: toStoredFile(atlas),
+      pages: pages.map(page => ({ ...toStoredFile(page.file), name: page.name })),
+      pagesByName,
+      thumbnail: thumbnail || existing?.thumbnail || null,
+      settings: { ...existing?.settings, ...settings },
+      createdAt: existing?.createdAt || now,
+      lastUsed: now
+    };
+    record.size = getRecordSize(record);
+
+    if (record.size > this.options.maxBytes) {
+      throw new Error(`Bundle ${record.name} (${formatMB(record.size)}MB) exceeds the library limit of ${formatMB(this.options.maxBytes)}MB`);
+    }
+
+    await this._store.put(record);
+    await this.evict(id);
+    this._emitChanged();
+    return toSummary(record);
+  }
+
+  /**
+   * Lists stored bundles, most recently used first
+   * @returns {Promise<Array<{id: string, name: string, size: number, pageCount: number, thumbnail: Blob|null, settings: Object, createdAt: number, lastUsed: number}>>}
+   */
+  async list() {
+    const records = await this._store.getAll();
+    return records.sort((a, b) => b.lastUsed - a.lastUsed).map(toSummary);
+  }
+
+  /**
+   * Gets the files of a stored bundle and marks it as used
+   * @param {string} id - Bundle id
+   * @returns {Promise<{id: string, name: string, skeleton: File, atlas: File, pages: Array<{name: string, file: File}>, pagesByName: boolean, settings: Object}>}
+   * @throws {Error} If the bundle is not in the library
+   */
+  async open(id) {
+    const record = await this._store.get(id);
+    if (!record) {
+      throw new Error(`Bundle not found in library: ${id}`);
+    }
+
+    record.lastUsed = Date.now();
+    await this._store.put(record);
+    this._emitChanged();
+
+    return {
+      id: record.id,
+      name: record.name,
+      skeleton: toFile(record.skeleton),
+      atlas: toFile(record.atlas),
+      pages: record.pages.map(page => ({ name: page.name, file: toFile(page) })),
+      pagesByName: record.pagesByName,
+      settings: { ...record.settings }
+    };
+  }
+
+  /**
+   * Updates the thumbnail or merges last-used settings of a bundle
+   * @param {string} id - Bundle id
+   * @param {Object} changes
+   * @param {Object} [changes.settings] - e.g. { animation: 'run', skin: 'default', background: '#2b2b2b' }
+   * @param {Blob} [changes.thumbnail] - New preview image
+   * @returns {Promise<boolean>} False if the bundle is not in the library
+   */
+  async update(id, { settings, thumbnail } = {}) {
+    const record = await this._store.get(id);
+    if (!record) {
+      return false;
+    }
+
+    if (settings) {
+      record.settings = { ...record.settings, ...settings };
+    }
+    if (thumbnail) {
+      record.thumbnail = thumbnail;
+    }
+    record.size = getRecordSize(record);
+
+    await this._store.put(record);
+    // A larger thumbnail can push the library over its size limit
+    await this.evict(id);
+    this._emitChanged();
+    return true;
+  }
+
+  /**
+   * Removes a bundle
+   * @param {string} id - Bundle id
+   * @returns {Promise<void>}
+   */
+  async remove(id) {
+    await this._store.delete(id);
+    this._emitChanged();
+  }
+
+  /**
+   * Removes every bundle
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this._store.clear();
+    this._emitChanged();
+  }
+
+  /**
+   * Gets the stored size and the limits
+   * @returns {Promise<{count: number, totalSize: number, maxBytes: number, maxEntries: number}>}
+   */
+  async getUsage() {
+    const records = await this._store.getAll();
+    return {
+      count: records.length,
+      totalSize: records.reduce((sum, record) => sum + record.size, 0),
+      maxBytes: this.options.maxBytes,
+      maxEntries: this.options.maxEntries
+    };
+  }
+
+  /**
+   * Removes least recently used bundles until the library is within its limits
+   * @param {string} [keepId] - Bundle that must not be evicted
+   * @returns {Promise<string[]>} Ids of the evicted bundles
+   */
+  async evict(keepId = null) {
+    const records = (await this._store.getAll()).sort((a, b) => a.lastUsed - b.lastUsed);
+    let totalSize = records.reduce((sum, record) => sum + record.size, 0);
+    let count = records.length;
+    const evicted = [];
+
+    for (const record of records) {
+      if (totalSize <= this.options.maxBytes && count <= this.options.maxEntries) {
+        break;
+      }
+      if (record.id === keepId) {
+        continue;
+      }
+      await this._store.delete(record.id);
+      totalSize -= record.size;
+      count--;
+      evicted.push(record.id);
+    }
+
+    return evicted;
+  }
+
+  /**
+   * @private
+   */
+  _emitChanged() {
+    this.dispatchEvent(new CustomEvent('library-changed'));
+  }
+}
+
+/**
+ * Converts a File to a storable record (Blobs are stored natively by IndexedDB)
+ * @param {File} file
+ * @returns {{name: string, type: string, data: Blob}}
+ */
+function toStoredFile(file) {
+  return { name: file.name, type: file.type || '', data: file };
+}
+
+/**
+ * Restores a File from a stored record
+ * @param {{name: string, type: string, data: Blob}} stored
+ * @returns {File}
+ */
+function toFile(stored) {
+  return new File([stored.data], stored.name, { type: stored.type });
+}
+
+/**
+ * @param {Object} record
+ * @returns {number} Bytes of all stored blobs
+ */
+function getRecordSize(record) {
+  return [record.skeleton, record.atlas, ...record.pages]
+    .reduce((sum, stored) => sum + stored.data.size, 0) + (record.thumbnail ? record.thumbnail.size : 0);
+}
+
+/**
+ * @param {Object} record
+ * @returns {Object} Record without file data
+ */
+function toSummary(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    size: record.size,
+    pageCount: record.pages.length,
+    thumbnail: record.thumbnail,
+    settings: { ...record.settings },
+    createdAt: record.createdAt,
+    lastUsed: record.lastUsed
+  };
+}
+
+/**
+ * @param {number} bytes
+ * @returns {number} Megabytes rounded to two decimals
+ */
+function formatMB(bytes) {
+  return Math.round(bytes / (1024 * 1024) * 100) / 100;
+}
@@ -0,0 +1,298 @@
+/**
+ * CommandHistory Service
+ *
+ * Generic undo/redo stack. Each entry is a command object exposing undo() and
+ * redo(); related commands can be grouped into a single entry with transactions.
+ *
+ * @module services/CommandHistory
+ */
+
+/**
+ * Bounded undo/redo history with grouped transactions
+ * @extends EventTarget
+ */
+export class CommandHistory extends EventTarget {
+  static DEFAULT_MAX_DEPTH = 100;
+
+  /**
+   * @param {Object} options - Configuration options
+   * @param {number} options.maxDepth - Maximum number of undo entries kept (default: 100)
+   */
+  constructor(options = {}) {
+    super();
+
+    this._undoStack = [];
+    this._redoStack = [];
+    this._maxDepth = options.maxDepth || CommandHistory.DEFAULT_MAX_DEPTH;
+
+    // Open transaction: { label, commands } (nested transactions merge into the outermost)
+    this._transaction = null;
+    this._transactionDepth = 0;
+
+    // True while undo()/redo() replays commands, so replayed mutations are not re-recorded
+    this._isApplying = false;
+  }
+
+  get maxDepth() { return this._maxDepth; }
+  set maxDepth(value) {
+    if (typeof value !== 'number' || value < 1) {
+      throw new Error('maxDepth must be a positive number');
+    }
+    this._maxDepth = value;
+    this._trim();
+    this._emitChange();
+  }
+
+  get isApplying() { return this._isApplying; }
+  get isInTransaction() { return this._transaction !== null; }
+  get undoSize() { return this._undoStack.length; }
+  get redoSize() { return this._redoStack.length; }
+
+  /**
+   * Check if there is an entry to undo
+   * @returns {boolean}
+   */
+  canUndo() {
+    return this._undoStack.length > 0;
+  }
+
+  /**
+   * Check if there is an entry to redo
+   * @returns {boolean}
+   */
+  canRedo() {
+    return this._redoStack.length > 0;
+  }
+
+  /**
+   * Label of the entry undo() would revert
+   * @returns {string|null}
+   */
+  get undoLabel() {
+    const entry = this._undoStack[this._undoStack.length - 1];
+    return entry ? entry.label : null;
+  }
+
+  /**
+   * Label of the entry redo() would re-apply
+   * @returns {string|null}
+   */
+  get redoLabel() {
+    const entry = this._redoStack[this._redoStack.length - 1];
+    return entry ? entry.label : null;
+  }
+
+  /**
+   * Record an already-applied command
+   * Ignored while undo/redo is replaying commands.
+   * @param {Object} command - Command to record
+   * @param {string} command.label - Human readable description
+   * @param {Function} command.undo - Reverts the change
+   * @param {Function} command.redo - Re-applies the change
+   * @fires CommandHistory#history-changed
+   */
+  record(command) {
+    if (this._isApplying) {
+      return;
+    }
+
+    if (!command || typeof command.undo !== 'function' || typeof command.redo !== 'function') {
+      throw new Error('Command must provide undo and redo functions');
+    }
+
+    if (this._transaction) {
+      this._transaction.commands.push(command);
+      return;
+    }
+
+    this._push({ label: command.label || '', commands: [command] });
+  }
+
+  /**
+   * Revert the most recent entry
+   * @returns {boolean} True if an entry was reverted
+   * @throws {Error} If a transaction is open
+   * @fires CommandHistory#history-changed
+   */
+  undo() {
+    if (this._transaction) {
+      throw new Error('Cannot undo during a transaction');
+    }
+
+    // The entry only moves once it has been reverted; a throwing command leaves it in place
+    const entry = this._undoStack[this._undoStack.length - 1];
+    if (!entry) {
+      return false;
+    }
+
+    this._apply(() => {
+      for (let i = entry.commands.length - 1; i >= 0; i--) {
+        entry.commands[i].undo();
+      }
+    });
+
+    this._undoStack.pop();
+    this._redoStack.push(entry);
+    this._emitChange();
+    return true;
+  }
+
+  /**
+   * Re-apply the most recently reverted entry
+   * @returns {boolean} True if an entry was re-applied
+   * @throws {Error} If a transaction is open
+   * @fires CommandHistory#history-changed
+   */
+  redo() {
+    if (this._transaction) {
+      throw new Error('Cannot redo during a transaction');
+    }
+
+    const entry = this._redoStack[this._redoStack.length - 1];
+    if (!entry) {
+      return false;
+    }
+
+    this._apply(() => {
+      entry.commands.forEach(command => command.redo());
+    });
+
+    this._redoStack.pop();
+    this._undoStack.push(entry);
+    this._emitChange();
+    return true;
+  }
+
+  /**
+   * Start grouping recorded commands into one entry
+   * @param {string} label - Description of the grouped change
+   */
+  beginTransaction(label = '') {
+    this._transactionDepth++;
+    if (!this._transaction) {
+      this._transaction = { label, commands: [] };
+    }
+  }
+
+  /**
+   * Close the current transaction and push it as a single entry
+   * @fires CommandHistory#history-changed
+   */
+  commitTransaction() {
+    if (!this._transaction) {
+      throw new Error('No transaction in progress');
+    }
+
+    this._transactionDepth--;
+    if (this._transactionDepth > 0) {
+      return; // Nested - the outermost commit pushes the entry
+    }
+
+    const entry = this._transaction;
+    this._transaction = null;
+
+    if (entry.commands.length > 0) {
+      this._push(entry);
+    }
+  }
+
+  /**
+   * Close the current transaction and revert everything recorded in it
+   */
+  rollbackTransaction() {
+    if (!this._transaction) {
+      throw new Error('No transaction in progress');
+    }
+
+    const entry = this._transaction;
+    this._transaction = null;
+    this._transactionDepth = 0;
+
+    this._apply(() => {
+      for (let i = entry.commands.length - 1; i >= 0; i--) {
+        entry.commands[i].undo();
+      }
+    });
+  }
+
+  /**
+   * Run a function inside a transaction; rolls back if it throws
+   * @param {string} label - Description of the grouped change
+   * @param {Function} fn - Function performing the mutations
+   * @returns {*} Return value of fn
+   */
+  transaction(label, fn) {
+    this.beginTransaction(label);
+
+    let result;
+    try {
+      result = fn();
+    } catch (error) {
+      this.rollbackTransaction();
+      throw error;
+    }
+
+    this.commitTransaction();
+    return result;
+  }
+
+  /**
+   * Drop all undo and redo entries
+   * @fires CommandHistory#history-changed
+   */
+  clear() {
+    this._undoStack = [];
+    this._redoStack = [];
+    this._emitChange();
+  }
+
+  /**
+   * Push a finished entry onto the undo stack
+   * @private
+   * @param {{label: string, commands: Array<Object>}} entry
+   */
+  _push(entry) {
+    this._undoStack.push(entry);
+    this._redoStack = [];
+    this._trim();
+    this._emitChange();
+  }
+
+  /**
+   * Run replayed commands with recording suppressed
+   * @private
+   * @param {Function} fn
+   */
+  _apply(fn) {
+    this._isApplying = true;
+    try {
+      fn();
+    } finally {
+      this._isApplying = false;
+    }
+  }
+
+  /**
+   * Drop oldest entries beyond maxDepth
+   * @private
+   */
+  _trim() {
+    if (this._undoStack.length > this._maxDepth) {
+      this._undoStack.splice(0, this._undoStack.length - this._maxDepth);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _emitChange() {
+    this.dispatchEvent(new CustomEvent('history-changed', {
+      detail: {
+        canUndo: this.canUndo(),
+        canRedo: this.canRedo(),
+        undoLabel: this.undoLabel,
+        redoLabel: this.redoLabel
+      }
+    }));
+  }
+}
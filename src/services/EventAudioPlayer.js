@@ -0,0 +1,209 @@
+/**
+ * EventAudioPlayer Service
+ *
+ * Plays the audio files referenced by Spine events with Web Audio. Each sound gets its own
+ * gain (event volume) and stereo panner (event balance); a master gain handles muting.
+ * Sounds follow the playback speed, including those already playing when it changes.
+ *
+ * @module services/EventAudioPlayer
+ */
+
+import { readBlob } from '../utils/zipWriter.js';
+import { volumeToGain, balanceToPan } from '../utils/eventAudio.js';
+
+/**
+ * Decodes and plays event sounds
+ */
+export class EventAudioPlayer {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.createContext] - Returns the AudioContext to use (created on first use)
+   */
+  constructor(options = {}) {
+    this._createContext = options.createContext || (() => {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      if (!AudioContextClass) {
+        throw new Error('Web Audio is not supported in this browser');
+      }
+      return new AudioContextClass();
+    });
+    this.context = null;
+    this.masterGain = null;
+
+    // Decoded sounds by event audio path
+    this.buffers = new Map();
+    // Playing sounds: { source, rate }
+    this.activeSounds = new Set();
+
+    this.muted = false;
+    this.playbackRate = 1;
+  }
+
+  /**
+   * Create the audio context and master gain on first use
+   * @returns {AudioContext}
+   * @private
+   */
+  _getContext() {
+    if (!this.context) {
+      this.context = this._createContext();
+      this.masterGain = this.context.createGain();
+      this.masterGain.gain.value = this.muted ? 0 : 1;
+      this.masterGain.connect(this.context.destination);
+    }
+    return this.context;
+  }
+
+  /**
+   * Decode audio files, replacing sounds already loaded for the same paths
+   * @param {Map<string, File|Blob>} files - Files by event audio path
+   * @returns {Promise<{loaded: string[], failed: Array<{path: string, error: string}>}>}
+   */
+  async load(files) {
+    const context = this._getContext();
+    const loaded = [];
+    const failed = [];
+
+    for (const [path, file] of files) {
+      try {
+        const data = await readBlob(file);
+        this.buffers.set(path, await context.decodeAudioData(data));
+        loaded.push(path);
+      } catch (error) {
+        console.warn(`Failed to decode event audio "${path}":`, error);
+        failed.push({ path, error: error.message || String(error) });
+      }
+    }
+
+    return { loaded, failed };
+  }
+
+  /**
+   * @param {string} path - Event audio path
+   * @returns {boolean} True when a sound is loaded for the path
+   */
+  hasSound(path) {
+    return this.buffers.has(path);
+  }
+
+  /**
+   * @returns {string[]} Audio paths with a loaded sound
+   */
+  getLoadedPaths() {
+    return Array.from(this.buffers.keys());
+  }
+
+  /**
+   * Play the sound of an event audio path
+   * @param {string} path - Event audio path
+   * @param {Object} [options]
+   * @param {number} [options.volume=1] - Event volume
+   * @param {number} [options.balance=0] - Event balance, -1 (left) to 1 (right)
+   * @param {number} [options.rate=1] - Speed of the animation track; multiplied by the playback rate
+   * @returns {boolean} False when no sound is loaded for the path
+   */
+  play(path, options = {}) {
+    const buffer = this.buffers.get(path);
+    if (!buffer) {
+      return false;
+    }
+
+    const { volume = 1, balance = 0, rate = 1 } = options;
+    const context = this._getContext();
+    // Browsers start contexts created outside a user gesture suspended
+    if (context.state === 'suspended' && typeof context.resume === 'function') {
+      context.resume();
+    }
+
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    source.playbackRate.value = rate * this.playbackRate;
+
+    const gain = context.createGain();
+    gain.gain.value = volumeToGain(volume);
+    source.connect(gain);
+
+    // StereoPannerNode is missing in some older browsers; play centered there
+    if (typeof context.createStereoPanner === 'function') {
+      const panner = context.createStereoPanner();
+      panner.pan.value = balanceToPan(balance);
+      gain.connect(panner);
+      panner.connect(this.masterGain);
+    } else {
+      gain.connect(this.masterGain);
+    }
+
+    const sound = { source, rate };
+    this.activeSounds.add(sound);
+    source.onended = () => this.activeSounds.delete(sound);
+    source.start();
+    return true;
+  }
+
+  /**
+   * Set the playback speed applied to every sound, including those playing
+   * @param {number} rate - Speed multiplier (0 holds playing sounds)
+   * @throws {Error} If rate is not a non-negative number
+   */
+  setPlaybackRate(rate) {
+    if (typeof rate !== 'number' || !Number.isFinite(rate) || rate < 0) {
+      throw new Error('Playback rate must be a non-negative number');
+    }
+    this.playbackRate = rate;
+    this.activeSounds.forEach(({ source, rate: trackRate }) => {
+      source.playbackRate.value = trackRate * rate;
+    });
+  }
+
+  /**
+   * Mute or unmute every sound
+   * @param {boolean} muted
+   */
+  setMuted(muted) {
+    this.muted = !!muted;
+    if (this.masterGain) {
+      this.masterGain.gain.value = this.muted ? 0 : 1;
+    }
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isMuted() {
+    return this.muted;
+  }
+
+  /**
+   * Stop every playing sound
+   */
+  stopAll() {
+    this.activeSounds.forEach(({ source }) => {
+      try {
+        source.stop();
+      } catch (error) {
+        // Already stopped
+      }
+    });
+    this.activeSounds.clear();
+  }
+
+  /**
+   * Stop playing sounds and forget the loaded ones
+   */
+  clear() {
+    this.stopAll();
+    this.buffers.clear();
+  }
+
+  /**
+   * Release the audio context
+   */
+  destroy() {
+    this.clear();
+    if (this.context && typeof this.context.close === 'function') {
+      this.context.close();
+    }
+    this.context = null;
+    this.masterGain = null;
+  }
+}
@@ -0,0 +1,674 @@
+/**
+ * FrameExporter Service
+ *
+ * Renders a Spine animation or a composed multi-track cycle offline into PNG
+ * frames, sprite sheets, animated GIF or APNG. The AnimationState is posed at
+ * exact frame times instead of being advanced by the ticker, so the same options
+ * always produce the same frames regardless of display refresh rate.
+ *
+ * @module services/FrameExporter
+ */
+
+import { layoutSpriteSheet, createSpriteSheetData } from '../utils/spriteSheet.js';
+import { createZip } from '../utils/zipWriter.js';
+import { encodeGif } from '../utils/gifEncoder.js';
+import { encodeApng } from '../utils/apngEncoder.js';
+
+/**
+ * Offline frame renderer for a pixi-spine instance
+ */
+export class FrameExporter {
+  static DEFAULT_OPTIONS = Object.freeze({
+    fps: 30,
+    width: null,       // Output frame width in pixels (null: derived from content)
+    height: null,      // Output frame height in pixels (null: derived from content)
+    scale: 1,          // Content scale when neither width nor height is given
+    background: null,  // Fill color (number or CSS color); null keeps frames transparent
+    padding: 10,       // Empty border around the content in pixels
+    crop: true,        // Fit frames to the skeleton bounds; false uses the viewport framing
+    viewport: null,    // {width, height, scale, x, y} on-screen framing used when crop is false
+    spriteSheet: false,
+    spacing: 0,        // Gap between sprite sheet cells in pixels
+    maxSheetWidth: 4096,
+    maxFrames: 1000
+  });
+
+  static ANIMATED_FORMATS = ['gif', 'apng'];
+
+  /**
+   * Create a FrameExporter
+   * @param {Object} options
+   * @param {Object} options.PIXI - The PIXI namespace the viewer was built with
+   * @param {Object} options.renderer - The PIXI renderer used to draw frames
+   * @param {Object} options.spine - The pixi-spine instance to export
+   */
+  constructor({ PIXI, renderer, spine } = {}) {
+    if (!PIXI) {
+      throw new Error('PIXI is required');
+    }
+    if (!renderer) {
+      throw new Error('Renderer is required');
+    }
+    if (!spine || !spine.state || !spine.skeleton) {
+      throw new Error('Spine instance is required');
+    }
+
+    this.PIXI = PIXI;
+    this.renderer = renderer;
+    this.spine = spine;
+  }
+
+  /**
+   * Validate export options
+   * @param {Object} options - Options merged with DEFAULT_OPTIONS
+   * @throws {Error} If an option is out of range
+   */
+  static validateOptions(options) {
+    const isPositive = (value) => typeof value === 'number' && isFinite(value) && value > 0;
+
+    if (!isPositive(options.fps)) {
+      throw new Error('fps must be a positive number');
+    }
+    if (options.width !== null && !isPositive(options.width)) {
+      throw new Error('width must be a positive number or null');
+    }
+    if (options.height !== null && !isPositive(options.height)) {
+      throw new Error('height must be a positive number or null');
+    }
+    if (!isPositive(options.scale)) {
+      throw new Error('scale must be a positive number');
+    }
+    if (typeof options.padding !== 'number' || !(options.padding >= 0)) {
+      throw new Error('padding must be a non-negative number');
+    }
+    if (!options.crop) {
+      const viewport = options.viewport;
+      if (!viewport || !isPositive(viewport.width) || !isPositive(viewport.height) || !isPositive(viewport.scale)) {
+        throw new Error('A viewport is required when crop is disabled');
+      }
+      return; // Size and padding come from the viewport
+    }
+    if (options.width !== null && options.width <= options.padding * 2) {
+      throw new Error('width must be larger than twice the padding');
+    }
+    if (options.height !== null && options.height <= options.padding * 2) {
+      throw new Error('height must be larger than twice the padding');
+    }
+  }
+
+  /**
+   * Get the sample times of an animation at a fixed frame rate
+   * The end time is excluded so looping animations don't repeat their first pose.
+   * @param {number} duration - Animation duration in seconds
+   * @param {number} fps - Frames per second
+   * @returns {Array<number>} Frame times in seconds (at least one frame)
+   */
+  static getFrameTimes(duration, fps) {
+    const count = Math.max(1, Math.ceil(duration * fps - 1e-6));
+    const times = [];
+    for (let i = 0; i < count; i++) {
+      times.push(i / fps);
+    }
+    return times;
+  }
+
+  /**
+   * Build zero-padded PNG file names for a frame series
+   * @param {string} baseName - Animation or sequence name
+   * @param {number} count - Number of frames
+   * @returns {Array<string>}
+   */
+  static getFrameNames(baseName, count) {
+    const safeName = String(baseName || 'frame').replace(/[^\w.-]+/g, '_');
+    const digits = Math.max(3, String(count - 1).length);
+    return Array.from({ length: count }, (_, i) => `${safeName}_${String(i).padStart(digits, '0')}.png`);
+  }
+
+  /**
+   * Package an export result as a zip archive
+   * Frames go to frames/, the sprite sheet (if any) to sheet.png and sheet.json.
+   * @param {Object} result - Result of exportAnimation() or exportPoses()
+   * @returns {Promise<Blob>}
+   */
+  static createArchive(result) {
+    const entries = result.frames.map(frame => ({ name: `frames/${frame.name}`, data: frame.blob }));
+
+    if (result.spriteSheet) {
+      entries.push({ name: 'sheet.png', data: result.spriteSheet.blob });
+      entries.push({ name: 'sheet.json', data: JSON.stringify(result.spriteSheet.data, null, 2) });
+    }
+
+    return createZip(entries);
+  }
+
+  /**
+   * Describe the frames of a single animation
+   * @param {string} animationName - Animation to sample
+   * @param {Object} options - Export options (fps is used)
+   * @returns {{name: string, duration: number, times: Array<number>, pose: Function}} Frame source
+   * @throws {Error} If the animation does not exist
+   */
+  createAnimationSource(animationName, options = {}) {
+    const settings = { ...FrameExporter.DEFAULT_OPTIONS, ...options };
+    FrameExporter.validateOptions(settings);
+
+    const animation = this.spine.state.data.skeletonData.findAnimation(animationName);
+    if (!animation) {
+      throw new Error(`Animation not found: ${animationName}`);
+    }
+
+    return {
+      name: animation.name,
+      duration: animation.duration,
+      times: FrameExporter.getFrameTimes(animation.duration, settings.fps),
+      pose: (time) => this._poseAnimation(animation.name, time)
+    };
+  }
+
+  /**
+   * Describe the frames of one composed multi-track cycle
+   * Timing comes from the PlaybackController, so slot overrides and loop modes
+   * match live playback: ping-pong exports the forward and backward pass and
+   * region mode exports only the A-B region.
+   * @param {PlaybackController} controller - Controller bound to this spine's viewer
+   * @param {Object} options - Export options (fps is used)
+   * @param {string} [name='sequence'] - Base name for frame files
+   * @returns {{name: string, duration: number, times: Array<number>, pose: Function}} Frame source
+   * @throws {Error} If the sequence has nothing to play
+   */
+  createSequenceSource(controller, options = {}, name = 'sequence') {
+    const settings = { ...FrameExporter.DEFAULT_OPTIONS, ...options };
+    FrameExporter.validateOptions(settings);
+
+    const cycleDuration = controller.getCycleDuration();
+    if (cycleDuration <= 0) {
+      throw new Error('Sequence has no animations to export');
+    }
+
+    const sequence = controller.sequence;
+    let start = 0;
+    let end = cycleDuration;
+    if (sequence.loopMode === 'ping-pong') {
+      end = cycleDuration * 2;
+    } else if (sequence.loopMode === 'region' && sequence.loopRegion) {
+      start = sequence.loopRegion.start;
+      end = sequence.loopRegion.end;
+    }
+
+    const duration = (end - start) / 1000;
+    return {
+      name,
+      duration,
+      times: FrameExporter.getFrameTimes(duration, settings.fps).map(time => start / 1000 + time),
+      pose: (time) => {
+        controller.poseAt(time * 1000);
+        this._applyPose();
+      }
+    };
+  }
+
+  /**
+   * Export one animation as PNG frames
+   * @param {string} animationName - Animation to export
+   * @param {Object} options - See DEFAULT_OPTIONS
+   * @param {Function} [options.onProgress] - Called with {phase, index, total} while rendering and encoding
+   * @returns {Promise<Object>} {animation, name, fps, duration, width, height, frames: [{index, time, name, blob}], spriteSheet}
+   */
+  async exportAnimation(animationName, options = {}) {
+    const source = this.createAnimationSource(animationName, options);
+    const result = await this.exportPoses(source, options);
+    return { animation: source.name, ...result };
+  }
+
+  /**
+   * Render a frame source as PNG frames
+   * The spine instance is restored to its previous tracks afterwards.
+   * @param {Object} source - From createAnimationSource() or createSequenceSource()
+   * @param {string} source.name - Base name for frame files
+   * @param {Array<number>} source.times - Frame times in seconds
+   * @param {Function} source.pose - Poses the skeleton for a frame time
+   * @param {Object} options - See DEFAULT_OPTIONS
+   * @returns {Promise<Object>} {name, fps, duration, width, height, frames, spriteSheet}
+   */
+  async exportPoses(source, options = {}) {
+    const settings = { ...FrameExporter.DEFAULT_OPTIONS, ...options };
+    const { layout, canvases } = this._capture(source, settings);
+    const progress = this._getProgress(settings);
+
+    const names = FrameExporter.getFrameNames(source.name, canvases.length);
+    const frames = [];
+    for (let index = 0; index < canvases.length; index++) {
+      frames.push({
+        index,
+        time: source.times[index],
+        name: names[index],
+        blob: await this._canvasToBlob(canvases[index])
+      });
+      progress({ phase: 'encode', index, total: canvases.length });
+    }
+
+    const spriteSheet = settings.spriteSheet
+      ? await this._createSpriteSheet(canvases, names, layout, settings, source.name)
+      : null;
+
+    return {
+      name: source.name,
+      fps: settings.fps,
+      duration: source.duration,
+      width: layout.width,
+      height: layout.height,
+      frames,
+      spriteSheet
+    };
+  }
+
+  /**
+   * Render a frame source into one animated GIF or APNG file
+   * GIF keeps 1-bit transparency (alpha < 50%); APNG keeps full alpha.
+   * @param {Object} source - From createAnimationSource() or createSequenceSource()
+   * @param {Object} options - See DEFAULT_OPTIONS
+   * @param {string} [options.format='gif'] - 'gif' or 'apng'
+   * @param {number} [options.loop=0] - Number of plays, 0 to loop forever
+   * @returns {Promise<{format: string, blob: Blob, name: string, fps: number, duration: number, width: number, height: number, frameCount: number}>}
+   */
+  async encodePoses(source, options = {}) {
+    const settings = { format: 'gif', loop: 0, ...FrameExporter.DEFAULT_OPTIONS, ...options };
+    if (!FrameExporter.ANIMATED_FORMATS.includes(settings.format)) {
+      throw new Error(`Unknown animated format: ${settings.format}`);
+    }
+    if (!Number.isInteger(settings.loop) || settings.loop < 0) {
+      throw new Error('loop must be a non-negative integer');
+    }
+
+    const { layout, canvases } = this._capture(source, settings);
+    const progress = this._getProgress(settings);
+
+    const frameDuration = 1000 / settings.fps;
+    const frames = canvases.map((canvas, index) => {
+      const frame = { data: this._getPixels(canvas, layout), delay: frameDuration };
+      progress({ phase: 'encode', index, total: canvases.length });
+      return frame;
+    });
+
+    const encoderOptions = { width: layout.width, height: layout.height, loop: settings.loop };
+    const bytes = settings.format === 'gif'
+      ? encodeGif(frames, encoderOptions)
+      : await encodeApng(frames, encoderOptions);
+
+    return {
+      format: settings.format,
+      blob: new Blob([bytes], { type: settings.format === 'gif' ? 'image/gif' : 'image/apng' }),
+      name: source.name,
+      fps: settings.fps,
+      duration: source.duration,
+      width: layout.width,
+      height: layout.height,
+      frameCount: frames.length
+    };
+  }
+
+  /**
+   * Pose and render every frame of a source
+   * Each frame is drawn and read back synchronously right after posing it, so a
+   * running ticker can't move the skeleton in between.
+   * @private
+   * @param {Object} source
+   * @param {Object} settings - Options merged with DEFAULT_OPTIONS
+   * @returns {{layout: Object, canvases: Array<HTMLCanvasElement>}}
+   */
+  _capture({ times, pose }, settings) {
+    FrameExporter.validateOptions(settings);
+
+    if (times.length > settings.maxFrames) {
+      throw new Error(`Export would produce ${times.length} frames (limit: ${settings.maxFrames})`);
+    }
+
+    const progress = this._getProgress(settings);
+    const snapshot = this._captureState();
+
+    try {
+      this._isolate();
+
+      const layout = this._computeLayout(settings.crop ? this._measureBounds(times, pose) : null, settings);
+      const canvases = times.map((time, index) => {
+        pose(time);
+        const canvas = this._renderFrame(layout, settings.background);
+        progress({ phase: 'render', index, total: times.length });
+        return canvas;
+      });
+
+      return { layout, canvases };
+    } finally {
+      this._restoreState(snapshot);
+    }
+  }
+
+  /**
+   * @private
+   * @param {Object} settings
+   * @returns {Function} Progress callback (no-op when none was given)
+   */
+  _getProgress(settings) {
+    return typeof settings.onProgress === 'function' ? settings.onProgress : () => {};
+  }
+
+  /**
+   * Pose the skeleton at an exact time of a single animation
+   * @private
+   * @param {string} animationName
+   * @param {number} time - Seconds from the animation start
+   */
+  _poseAnimation(animationName, time) {
+    const { state, skeleton } = this.spine;
+
+    state.clearTracks();
+    skeleton.setToSetupPose();
+
+    const entry = state.setAnimation(0, animationName, false);
+    entry.mixDuration = 0;
+    entry.trackTime = time;
+
+    this._applyPose();
+  }
+
+  /**
+   * Apply posed track entries to the skeleton
+   * Every entry is marked as already played up to its current time, so posing
+   * doesn't re-fire each key event before it.
+   * @private
+   */
+  _applyPose() {
+    this.spine.state.tracks.forEach(entry => {
+      if (entry) {
+        this._skipEventsTo(entry);
+      }
+    });
+    this.spine.update(0);
+  }
+
+  /**
+   * @private
+   * @param {Object} entry - Spine TrackEntry
+   */
+  _skipEventsTo(entry) {
+    entry.nextTrackLast = entry.trackTime;
+    entry.nextAnimationLast = typeof entry.getAnimationTime === 'function'
+      ? entry.getAnimationTime()
+      : entry.trackTime;
+  }
+
+  /**
+   * Union of the skeleton bounds over all frames, in spine-local coordinates
+   * @private
+   * @param {Array<number>} times
+   * @param {Function} pose
+   * @returns {{x: number, y: number, width: number, height: number}}
+   */
+  _measureBounds(times, pose) {
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+
+    times.forEach(time => {
+      pose(time);
+      const rect = this.spine.getLocalBounds();
+      if (rect.width <= 0 && rect.height <= 0) {
+        return; // Nothing visible in this frame
+      }
+      minX = Math.min(minX, rect.x);
+      minY = Math.min(minY, rect.y);
+      maxX = Math.max(maxX, rect.x + rect.width);
+      maxY = Math.max(maxY, rect.y + rect.height);
+    });
+
+    if (minX === Infinity) {
+      return { x: 0, y: 0, width: 1, height: 1 };
+    }
+
+    return {
+      x: minX,
+      y: minY,
+      width: Math.max(1, maxX - minX),
+      height: Math.max(1, maxY - minY)
+    };
+  }
+
+  /**
+   * Compute the output size and the content transform
+   * Cropped content keeps its aspect ratio and is centered inside the padding;
+   * uncropped frames reproduce the viewport framing.
+   * @private
+   * @param {{x: number, y: number, width: number, height: number}|null} bounds - Content bounds (null when not cropping)
+   * @param {Object} settings
+   * @returns {{width: number, height: number, scale: number, tx: number, ty: number}}
+   */
+  _computeLayout(bounds, settings) {
+    if (!settings.crop) {
+      const { width, height, scale, x = 0, y = 0 } = settings.viewport;
+      return { width: Math.round(width), height: Math.round(height), scale, tx: x, ty: y };
+    }
+
+    const padding = settings.padding;
+    let scale;
+    let width;
+    let height;
+
+    if (settings.width !== null && settings.height !== null) {
+      width = Math.round(settings.width);
+      height = Math.round(settings.height);
+      scale = Math.min((width - padding * 2) / bounds.width, (height - padding * 2) / bounds.height);
+    } else if (settings.width !== null) {
+      width = Math.round(settings.width);
+      scale = (width - padding * 2) / bounds.width;
+      height = Math.ceil(bounds.height * scale + padding * 2);
+    } else if (settings.height !== null) {
+      height = Math.round(settings.height);
+      scale = (height - padding * 2) / bounds.height;
+      width = Math.ceil(bounds.width * scale + padding * 2);
+    } else {
+      scale = settings.scale;
+      width = Math.ceil(bounds.width * scale + padding * 2);
+      height = Math.ceil(bounds.height * scale + padding * 2);
+    }
+
+    return {
+      width,
+      height,
+      scale,
+      tx: (width - bounds.width * scale) / 2 - bounds.x * scale,
+      ty: (height - bounds.height * scale) / 2 - bounds.y * scale
+    };
+  }
+
+  /**
+   * Render the current pose into a canvas of the layout size
+   * @private
+   * @param {Object} layout - Result of _computeLayout()
+   * @param {number|string|null} background - Fill color or null for transparency
+   * @returns {HTMLCanvasElement}
+   */
+  _renderFrame(layout, background) {
+    const PIXI = this.PIXI;
+    const renderTexture = PIXI.RenderTexture.create({
+      width: layout.width,
+      height: layout.height,
+      resolution: 1
+    });
+
+    try {
+      let clear = true;
+      if (background !== null && background !== undefined) {
+        const fill = new PIXI.Graphics();
+        fill.beginFill(background);
+        fill.drawRect(0, 0, layout.width, layout.height);
+        fill.endFill();
+        this.renderer.render(fill, { renderTexture, clear: true });
+        fill.destroy();
+        clear = false;
+      }
+
+      const transform = new PIXI.Matrix(layout.scale, 0, 0, layout.scale, layout.tx, layout.ty);
+      this.renderer.render(this.spine, { renderTexture, clear, transform });
+
+      return this.renderer.extract.canvas(renderTexture);
+    } finally {
+      renderTexture.destroy(true);
+    }
+  }
+
+  /**
+   * Pack rendered frames into one sprite sheet image
+   * @private
+   * @param {Array<HTMLCanvasElement>} canvases
+   * @param {Array<string>} names
+   * @param {Object} frameLayout - Frame size layout
+   * @param {Object} settings
+   * @param {string} animationName
+   * @returns {Promise<{blob: Blob, data: Object, width: number, height: number, columns: number, rows: number}>}
+   */
+  async _createSpriteSheet(canvases, names, frameLayout, settings, animationName) {
+    const layout = layoutSpriteSheet({
+      names,
+      frameWidth: frameLayout.width,
+      frameHeight: frameLayout.height,
+      spacing: settings.spacing,
+      maxWidth: settings.maxSheetWidth
+    });
+
+    const sheet = this._createCanvas(layout.width, layout.height);
+    const context = sheet.getContext('2d');
+    layout.frames.forEach((frame, index) => {
+      context.drawImage(canvases[index], frame.x, frame.y);
+    });
+
+    return {
+      blob: await this._canvasToBlob(sheet),
+      data: createSpriteSheetData(layout, { image: 'sheet.png', fps: settings.fps, animation: animationName }),
+      width: layout.width,
+      height: layout.height,
+      columns: layout.columns,
+      rows: layout.rows
+    };
+  }
+
+  /**
+   * Read RGBA pixels (not premultiplied) from a rendered frame
+   * @private
+   * @param {HTMLCanvasElement} canvas
+   * @param {Object} layout
+   * @returns {Uint8ClampedArray}
+   */
+  _getPixels(canvas, layout) {
+    return canvas.getContext('2d').getImageData(0, 0, layout.width, layout.height).data;
+  }
+
+  /**
+   * @private
+   * @param {number} width
+   * @param {number} height
+   * @returns {HTMLCanvasElement|OffscreenCanvas}
+   */
+  _createCanvas(width, height) {
+    if (typeof document !== 'undefined') {
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      return canvas;
+    }
+    return new OffscreenCanvas(width, height);
+  }
+
+  /**
+   * Encode a canvas as a PNG blob
+   * @private
+   * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+   * @returns {Promise<Blob>}
+   */
+  _canvasToBlob(canvas) {
+    if (typeof canvas.convertToBlob === 'function') {
+      return canvas.convertToBlob({ type: 'image/png' });
+    }
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => {
+        if (blob) {
+          resolve(blob);
+        } else {
+          reject(new Error('Failed to encode frame as PNG'));
+        }
+      }, 'image/png');
+    });
+  }
+
+  /**
+   * Detach the spine from automatic updates and its on-screen transform
+   * @private
+   */
+  _isolate() {
+    this.spine.autoUpdate = false;
+    this.spine.position.set(0, 0);
+    this.spine.scale.set(1, 1);
+  }
+
+  /**
+   * Record everything export changes on the spine instance
+   * @private
+   * @returns {Object}
+   */
+  _captureState() {
+    const spine = this.spine;
+    return {
+      autoUpdate: spine.autoUpdate,
+      position: { x: spine.position.x, y: spine.position.y },
+      scale: { x: spine.scale.x, y: spine.scale.y },
+      tracks: spine.state.tracks.map(entry => {
+        if (!entry || !entry.animation) {
+          return null;
+        }
+        return {
+          animation: entry.animation.name,
+          loop: entry.loop,
+          trackTime: entry.trackTime,
+          timeScale: entry.timeScale,
+          animationStart: entry.animationStart,
+          animationEnd: entry.animationEnd,
+          mixDuration: entry.mixDuration,
+          alpha: entry.alpha
+        };
+      })
+    };
+  }
+
+  /**
+   * Put the spine instance back the way _captureState() found it
+   * @private
+   * @param {Object} snapshot
+   */
+  _restoreState(snapshot) {
+    const spine = this.spine;
+    const { state, skeleton } = spine;
+
+    state.clearTracks();
+    skeleton.setToSetupPose();
+
+    snapshot.tracks.forEach((track, index) => {
+      if (!track) {
+        return;
+      }
+      const entry = state.setAnimation(index, track.animation, track.loop);
+      entry.animationStart = track.animationStart;
+      entry.animationEnd = track.animationEnd;
+      entry.timeScale = track.timeScale;
+      entry.mixDuration = track.mixDuration;
+      entry.alpha = track.alpha;
+      entry.trackTime = track.trackTime;
+      this._skipEventsTo(entry);
+    });
+
+    spine.update(0);
+    spine.position.set(snapshot.position.x, snapshot.position.y);
+    spine.scale.set(snapshot.scale.x, snapshot.scale.y);
+    spine.autoUpdate = snapshot.autoUpdate;
+  }
+}
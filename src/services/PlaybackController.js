@@ -7,6 +7,8 @@
  * @module services/PlaybackController
  */
 
+import { describeSpineEvent } from '../utils/spineEvents.js';
+
 /**
  * Controls unified playback for multi-track animation sequences
  */
@@ -40,6 +42,14 @@ export class PlaybackController {
     // Track-specific state: Map<trackId, { currentSlot, slotStartTime, animationDuration }>
     this.trackStates = new Map();
 
+    // Loop mode state
+    this.direction = 1;        // -1 while a ping-pong cycle plays backwards
+    this.loopCount = 0;        // Completed sequence loops since start
+    this.isCompleted = false;  // True once 'once' mode reached the end
+
+    // AnimationState listener re-emitting Spine events: { state, listener } while attached
+    this._spineEvents = null;
+
     // Bind tick method for RAF
     this.tick = this.tick.bind(this);
   }
@@ -66,6 +76,9 @@ export class PlaybackController {
     this.lastTimestamp = null;
     this.elapsedTime = 0;
     this.cycleStartTime = 0; // Track when the current cycle started
+    this.direction = 1;
+    this.loopCount = 0;
+    this.isCompleted = false;
 
     // Find longest animation duration across all tracks
     let longestDuration = 0;
@@ -83,7 +96,7 @@ export class PlaybackController {
         return;
       }
 
-      const animationDuration = this._getAnimationDuration(slot.animation);
+      const animationDuration = this._getSlotDuration(slot);
       longestDuration = Math.max(longestDuration, animationDuration);
 
       this.trackStates.set(track.id, {
@@ -91,7 +104,8 @@ export class PlaybackController {
         slotStartTime: 0,
         animationDuration: animationDuration,
         isLooping: false,
-        isFrozen: false
+        isFrozen: false,
+        loopCount: 0
       });
 
       // Play animation if slot is not empty
@@ -103,6 +117,15 @@ export class PlaybackController {
     // Store the longest duration for the current cycle
     this.longestAnimationDuration = longestDuration;
 
+    this._applyDefaultMix();
+    this._attachSpineEvents();
+
+    // Region mode starts at the region start
+    const loopRegion = this.sequence.loopMode === 'region' ? this.sequence.loopRegion : null;
+    if (loopRegion && loopRegion.start > 0) {
+      this._applyPosition(loopRegion.start);
+    }
+
     // Update sequence state
     this.sequence.playbackState.isPlaying = true;
     this.sequence.playbackState.isPaused = false;
@@ -145,12 +168,17 @@ export class PlaybackController {
     // Reset timing
     this.elapsedTime = 0;
     this.lastTimestamp = null;
+    this.direction = 1;
+    this.isCompleted = false;
 
     // Update sequence state
     this.sequence.playbackState.isPlaying = false;
     this.sequence.playbackState.isPaused = false;
     this.sequence.playbackState.currentTime = 0;
 
+    this._restoreDefaultMix();
+    this._detachSpineEvents();
+
     // Stop spine animation
     if (this.spineViewer) {
       if (typeof this.spineViewer.stopAnimation === 'function') {
@@ -191,8 +219,9 @@ export class PlaybackController {
     // Pause Spine animations by setting timeScale to 0
     if (this.spineViewer && this.spineViewer.spine && this.spineViewer.spine.state) {
       this._savedTimeScale = this.spineViewer.spine.state.timeScale;
-      this.spineViewer.spine.state.timeScale = 0;
+      this._setTimeScale(0);
     }
+    this._stopEventAudio();
 
     // Update sequence state
     this.sequence.playbackState.isPlaying = false;
@@ -223,15 +252,24 @@ export class PlaybackController {
       return;
     }
 
+    // A finished 'once' playback starts over
+    if (this.isCompleted) {
+      const loopRegion = this.sequence.loopMode === 'region' ? this.sequence.loopRegion : null;
+      this._applyPosition(loopRegion ? loopRegion.start : 0);
+    }
+
     this.isPlaying = true;
     this.isPaused = false;
 
     // Reset last timestamp to prevent large delta
     this.lastTimestamp = null;
 
+    // The skeleton may have been reloaded while paused
+    this._attachSpineEvents();
+
     // Restore Spine animations timeScale
     if (this.spineViewer && this.spineViewer.spine && this.spineViewer.spine.state) {
-      this.spineViewer.spine.state.timeScale = this._savedTimeScale || 1.0;
+      this._setTimeScale(this._savedTimeScale || 1.0);
     }
 
     // Update sequence state
@@ -262,15 +300,16 @@ export class PlaybackController {
     // Restore timeScale for all non-frozen tracks before advancing
     if (this.spineViewer && this.spineViewer.spine && this.spineViewer.spine.state) {
       // Restore state timeScale to 1
-      this.spineViewer.spine.state.timeScale = 1.0;
+      this._setTimeScale(1.0);
 
       // Restore timeScale for each non-frozen track
       this.sequence.tracks.forEach((track, index) => {
         const trackState = this.trackStates.get(track.id);
         if (trackState && !trackState.isFrozen) {
           const trackEntry = this.spineViewer.spine.state.tracks[index];
+          const slot = track.getSlot(trackState.currentSlot);
           if (trackEntry) {
-            trackEntry.timeScale = 1.0;
+            trackEntry.timeScale = slot ? slot.speed : 1.0;
           }
         }
       });
@@ -288,6 +327,321 @@ export class PlaybackController {
     this._pauseAfterNextFrame = true;
   }
 
+  /**
+   * Jump to an arbitrary time and pose the skeleton there
+   * Works while playing, paused or stopped (a stopped controller enters the paused state).
+   * @param {number} timeMs - Target time in milliseconds from sequence start
+   * @throws {Error} If timeMs is not a non-negative number
+   * @fires MultiTrackSequence#playback-seeked
+   */
+  seek(timeMs) {
+    if (typeof timeMs !== 'number' || !Number.isFinite(timeMs) || timeMs < 0) {
+      throw new Error('Seek time must be a non-negative number');
+    }
+
+    if (this.sequence.tracks.length === 0) {
+      return;
+    }
+
+    const wasStopped = !this.isPlaying && !this.isPaused;
+    this._stopEventAudio();
+    const position = this._applyPosition(timeMs);
+
+    this.sequence.dispatchEvent(new CustomEvent('playback-seeked', {
+      detail: {
+        time: timeMs,
+        cycleTime: position.cycleTime,
+        cycleDuration: position.cycleDuration
+      }
+    }));
+
+    if (wasStopped) {
+      // Hold the seeked pose instead of running from it
+      this._attachSpineEvents();
+      this.isPlaying = true;
+      this.pause();
+    }
+  }
+
+  /**
+   * Pose every track at a time without touching playback state or firing events
+   * Offline exporters use this to sample the sequence at exact frame times; the
+   * caller applies the pose (spine.update) once it is ready to read it.
+   * @param {number} timeMs - Time in milliseconds from sequence start
+   * @returns {Object} Position computed by getPositionAt()
+   */
+  poseAt(timeMs) {
+    this._stopEventAudio();
+    const spine = this.spineViewer.spine;
+    if (spine && spine.state && typeof spine.state.clearTracks === 'function') {
+      // Start from the setup pose so every sample is independent of the previous one
+      spine.state.clearTracks();
+      if (spine.skeleton) {
+        spine.skeleton.setToSetupPose();
+      }
+    }
+
+    const position = this.getPositionAt(timeMs);
+    this.sequence.tracks.forEach((track, index) => {
+      const trackPosition = position.tracks.get(track.id);
+      if (trackPosition) {
+        this._poseTrackAt(track, index, track.getSlot(trackPosition.slotIndex), trackPosition);
+      }
+    });
+
+    return position;
+  }
+
+  /**
+   * Move timing state and every track to a time (shared by seek, loop regions and restarts)
+   * @param {number} timeMs - Time in milliseconds from sequence start
+   * @returns {Object} Position computed by getPositionAt()
+   * @private
+   */
+  _applyPosition(timeMs) {
+    const position = this.getPositionAt(timeMs);
+    const cycleDuration = position.cycleDuration;
+
+    this.elapsedTime = timeMs;
+    this.cycleStartTime = this.sequence.loopMode === 'once' || cycleDuration <= 0
+      ? 0
+      : timeMs - (timeMs % cycleDuration);
+    this.longestAnimationDuration = cycleDuration;
+    this.direction = position.direction;
+    this.isCompleted = false;
+    this.lastTimestamp = null;
+
+    this.sequence.tracks.forEach((track, index) => {
+      const trackPosition = position.tracks.get(track.id);
+      if (!trackPosition) return;
+
+      const previousState = this.trackStates.get(track.id);
+      const previousSlot = previousState ? previousState.currentSlot : 0;
+
+      this.trackStates.set(track.id, {
+        currentSlot: trackPosition.slotIndex,
+        slotStartTime: timeMs - trackPosition.timeInSlot,
+        animationDuration: trackPosition.duration,
+        isLooping: this.cycleStartTime > 0,
+        isFrozen: trackPosition.isFrozen,
+        loopCount: previousState ? previousState.loopCount : 0
+      });
+
+      track.setCurrentSlot(trackPosition.slotIndex);
+      const trackEntry = this._poseTrackAt(track, index, track.getSlot(trackPosition.slotIndex), trackPosition);
+      if (trackEntry && this.direction === -1) {
+        trackEntry.timeScale = 0; // Driven by tick() while playing backwards
+      }
+      this._updateTrackProgress(track.id, Math.min(trackPosition.timeInSlot, trackPosition.duration), trackPosition.duration);
+
+      if (previousSlot !== trackPosition.slotIndex) {
+        track.dispatchEvent(new CustomEvent('playback-position-changed', {
+          detail: {
+            trackId: track.id,
+            previousSlot: previousSlot,
+            currentSlot: trackPosition.slotIndex,
+            timestamp: timeMs
+          }
+        }));
+      }
+    });
+
+    // Apply the new track times to the skeleton immediately (needed while paused)
+    const spine = this.spineViewer.spine;
+    if (spine && typeof spine.update === 'function') {
+      spine.update(0);
+    }
+
+    this.sequence.playbackState.currentTime = timeMs;
+
+    return position;
+  }
+
+  /**
+   * Compute which slot each track is on at a given time without changing state
+   * Mirrors tick(): every cycle restarts all tracks at slot 0 (empty slots skip to the
+   * next non-empty slot), lasts as long as the longest slot-0 duration (see _getSlotDuration),
+   * and tracks that finish early freeze on their last frame. The sequence loop mode decides
+   * how time maps onto the cycle: 'once' stops at the end, 'ping-pong' runs every other cycle
+   * backwards and 'per-track' wraps each track at its own duration without freezing.
+   * @param {number} timeMs - Time in milliseconds from sequence start
+   * @returns {{cycleDuration: number, cycleTime: number, direction: number, tracks: Map<string, {slotIndex: number, timeInSlot: number, duration: number, isFrozen: boolean}>}}
+   */
+  getPositionAt(timeMs) {
+    const loopMode = this.sequence.loopMode;
+    const cycleDuration = this.getCycleDuration();
+    const tracks = new Map();
+
+    let cycleTime = 0;
+    let direction = 1;
+    if (cycleDuration > 0) {
+      if (loopMode === 'once') {
+        cycleTime = Math.min(timeMs, cycleDuration);
+      } else if (loopMode === 'ping-pong') {
+        direction = Math.floor(timeMs / cycleDuration) % 2 === 0 ? 1 : -1;
+        cycleTime = direction === 1 ? timeMs % cycleDuration : cycleDuration - (timeMs % cycleDuration);
+      } else {
+        cycleTime = timeMs % cycleDuration;
+      }
+    }
+
+    this.sequence.tracks.forEach(track => {
+      const firstSlot = track.getSlot(0);
+      if (!firstSlot) return;
+
+      let slotIndex = 0;
+      if (firstSlot.isEmpty) {
+        const nextSlotIndex = this._findNextNonEmptySlot(track, 0);
+        if (nextSlotIndex !== -1) {
+          slotIndex = nextSlotIndex;
+        }
+      }
+
+      const slot = track.getSlot(slotIndex);
+      const duration = this._getSlotDuration(slot);
+
+      if (loopMode === 'per-track') {
+        tracks.set(track.id, {
+          slotIndex,
+          timeInSlot: duration > 0 ? timeMs % duration : 0,
+          duration,
+          isFrozen: false
+        });
+        return;
+      }
+
+      tracks.set(track.id, {
+        slotIndex,
+        timeInSlot: cycleTime,
+        duration,
+        isFrozen: !slot.isEmpty && cycleTime >= duration
+      });
+    });
+
+    return { cycleDuration, cycleTime, direction, tracks };
+  }
+
+  /**
+   * Length of one playback cycle (longest slot-0 duration across tracks)
+   * @returns {number} Duration in milliseconds
+   */
+  getCycleDuration() {
+    let longestDuration = 0;
+
+    this.sequence.tracks.forEach(track => {
+      const slot = track.getSlot(0);
+      if (slot && !slot.isEmpty) {
+        longestDuration = Math.max(longestDuration, this._getSlotDuration(slot));
+      }
+    });
+
+    return longestDuration;
+  }
+
+  /**
+   * Duration of one frame at the skeleton's authored frame rate
+   * @returns {number} Frame duration in milliseconds (30fps when unknown)
+   */
+  getFrameDuration() {
+    const skeleton = this._getSkeleton();
+    const fps = skeleton && skeleton.data && skeleton.data.fps > 0 ? skeleton.data.fps : 30;
+    return 1000 / fps;
+  }
+
+  /**
+   * Restart a track's Spine entry at the given time in its slot
+   * @param {AnimationTrack} track
+   * @param {number} index - Track index
+   * @param {AnimationSlot} slot
+   * @param {{timeInSlot: number, duration: number, isFrozen: boolean}} trackPosition
+   * @returns {Object|null} The Spine track entry, when available
+   * @private
+   */
+  _poseTrackAt(track, index, slot, trackPosition) {
+    const state = this.spineViewer.spine && this.spineViewer.spine.state;
+
+    if (!slot || slot.isEmpty) {
+      if (state && typeof state.clearTrack === 'function') {
+        state.clearTrack(index);
+      }
+      return null;
+    }
+
+    const trackEntry = this._playSlotAnimation(track, index, slot);
+    if (trackEntry) {
+      // No crossfade from the previous pose - the seeked frame must be exact
+      trackEntry.mixDuration = 0;
+      this._setEntryTime(track, trackEntry, slot, trackPosition);
+    }
+    return trackEntry;
+  }
+
+  /**
+   * Set an existing Spine entry to a time in its slot
+   * The entry is marked as already played up to that time, so seeking doesn't re-fire
+   * every event key before it.
+   * @param {AnimationTrack} track
+   * @param {Object} trackEntry - Spine TrackEntry
+   * @param {AnimationSlot} slot
+   * @param {{timeInSlot: number, duration: number, isFrozen: boolean}} trackPosition
+   * @private
+   */
+  _setEntryTime(track, trackEntry, slot, trackPosition) {
+    if (trackPosition.isFrozen) {
+      trackEntry.trackTime = (trackPosition.duration / 1000) * slot.speed;
+      this._freezeTrackEntry(trackEntry, slot);
+    } else {
+      // Entry time runs at the slot speed
+      trackEntry.loop = this._shouldLoop(track, slot);
+      trackEntry.trackTime = (trackPosition.timeInSlot / 1000) * slot.speed;
+      trackEntry.timeScale = slot.speed;
+    }
+    this._skipEventsTo(trackEntry);
+  }
+
+  /**
+   * Set the Spine time scale through the viewer, which keeps event sounds at the same speed
+   * @param {number} timeScale - Speed multiplier, 0 to hold the animation
+   * @private
+   */
+  _setTimeScale(timeScale) {
+    if (typeof this.spineViewer.setPlaybackSpeed === 'function') {
+      this.spineViewer.setPlaybackSpeed(timeScale);
+    } else {
+      this.spineViewer.spine.state.timeScale = timeScale;
+    }
+  }
+
+  /**
+   * Cut event sounds still playing from before a jump in time or a pause
+   * @private
+   */
+  _stopEventAudio() {
+    if (typeof this.spineViewer.stopEventAudio === 'function') {
+      this.spineViewer.stopEventAudio();
+    }
+  }
+
+  /**
+   * Mark a track entry as applied up to its current time
+   * AnimationState.update() copies these into animationLast/trackLast before applying,
+   * and only events after them fire. At time 0 the entry is reset to unplayed (-1, as
+   * Spine creates it) so keys on the first frame still fire when playback starts.
+   * @param {Object} trackEntry - Spine TrackEntry
+   * @private
+   */
+  _skipEventsTo(trackEntry) {
+    if (trackEntry.trackTime <= 0) {
+      trackEntry.nextTrackLast = -1;
+      trackEntry.nextAnimationLast = -1;
+      return;
+    }
+    trackEntry.nextTrackLast = trackEntry.trackTime;
+    trackEntry.nextAnimationLast = typeof trackEntry.getAnimationTime === 'function'
+      ? trackEntry.getAnimationTime()
+      : trackEntry.trackTime;
+  }
+
   /**
    * RAF tick callback - updates all track positions
    * @param {DOMHighResTimeStamp} timestamp - Current timestamp from RAF
@@ -304,20 +658,32 @@ export class PlaybackController {
     // Update sequence playback state
     this.sequence.playbackState.currentTime = this.elapsedTime;
 
-    // Calculate time in current cycle
-    const cycleTime = this.elapsedTime - this.cycleStartTime;
+    const loopMode = this.sequence.loopMode;
+    const loopRegion = loopMode === 'region' ? this.sequence.loopRegion : null;
 
-    // Check if the longest animation has completed
-    if (cycleTime >= this.longestAnimationDuration) {
-      // Restart all tracks for the next cycle
-      this._restartAllTracks(this.elapsedTime);
-      this.cycleStartTime = this.elapsedTime;
+    if (loopRegion && this.elapsedTime >= loopRegion.end) {
+      this._loopRegion(loopRegion);
+    } else if (loopMode === 'ping-pong' && this.direction === -1) {
+      this._updateReversePlayback();
+    } else {
+      // Calculate time in current cycle
+      const cycleTime = this.elapsedTime - this.cycleStartTime;
+
+      // Check if the longest animation has completed
+      if (cycleTime >= this.longestAnimationDuration) {
+        this._handleCycleEnd(loopMode);
+      } else {
+        // Update each track's playback position
+        this.sequence.tracks.forEach((track, index) => {
+          this.updateTrackPlayback(track, index, this.elapsedTime, cycleTime);
+        });
+      }
     }
 
-    // Update each track's playback position
-    this.sequence.tracks.forEach((track, index) => {
-      this.updateTrackPlayback(track, index, this.elapsedTime, cycleTime);
-    });
+    // 'once' mode paused playback on its last frame
+    if (this.isCompleted) {
+      return;
+    }
 
     // Check if we should pause after this frame (for nextFrame functionality)
     if (this._pauseAfterNextFrame) {
@@ -332,6 +698,150 @@ export class PlaybackController {
     }
   }
 
+  /**
+   * React to the end of a forward cycle according to the loop mode
+   * @param {string} loopMode - Current sequence loop mode
+   * @private
+   */
+  _handleCycleEnd(loopMode) {
+    const now = this.elapsedTime;
+
+    switch (loopMode) {
+      case 'once':
+        this._completeSequence();
+        break;
+
+      case 'per-track':
+        // Tracks wrap on their own; the cycle only drives the ruler
+        if (this.longestAnimationDuration > 0) {
+          this.cycleStartTime = now - ((now - this.cycleStartTime) % this.longestAnimationDuration);
+        }
+        this.sequence.tracks.forEach((track, index) => {
+          this.updateTrackPlayback(track, index, now, now - this.cycleStartTime);
+        });
+        break;
+
+      case 'ping-pong':
+        this.direction = -1;
+        this.cycleStartTime = now;
+        this.sequence.dispatchEvent(new CustomEvent('sequence-reversed', {
+          detail: { direction: -1, timestamp: now }
+        }));
+        break;
+
+      default:
+        // 'continuous', and 'region' whose end lies beyond the cycle
+        this._restartAllTracks(now);
+        this.cycleStartTime = now;
+        this.loopCount++;
+        this.sequence.dispatchEvent(new CustomEvent('sequence-looped', {
+          detail: { iteration: this.loopCount, timestamp: now }
+        }));
+        this.sequence.tracks.forEach((track, index) => {
+          this.updateTrackPlayback(track, index, now, 0);
+        });
+    }
+  }
+
+  /**
+   * Drive all tracks backwards during the reverse half of a ping-pong loop
+   * Spine entries can't run backwards, so their trackTime is set every tick.
+   * @private
+   */
+  _updateReversePlayback() {
+    const now = this.elapsedTime;
+    const cycleDuration = this.longestAnimationDuration;
+    const cycleTime = now - this.cycleStartTime;
+
+    if (cycleTime >= cycleDuration) {
+      // Back at the start: play forwards again
+      this.direction = 1;
+      this._restartAllTracks(now);
+      this.cycleStartTime = now;
+      this.loopCount++;
+      this.sequence.dispatchEvent(new CustomEvent('sequence-reversed', {
+        detail: { direction: 1, timestamp: now }
+      }));
+      this.sequence.dispatchEvent(new CustomEvent('sequence-looped', {
+        detail: { iteration: this.loopCount, timestamp: now }
+      }));
+      return;
+    }
+
+    const position = cycleDuration - cycleTime;
+    const state = this.spineViewer.spine && this.spineViewer.spine.state;
+
+    this.sequence.tracks.forEach((track, index) => {
+      const trackState = this.trackStates.get(track.id);
+      const slot = trackState ? track.getSlot(trackState.currentSlot) : null;
+      if (!slot || slot.isEmpty) return;
+
+      const duration = trackState.animationDuration;
+      const trackPosition = {
+        timeInSlot: Math.min(position, duration),
+        duration,
+        isFrozen: position >= duration
+      };
+      trackState.isFrozen = trackPosition.isFrozen;
+
+      const trackEntry = state && state.tracks ? state.tracks[index] : null;
+      if (trackEntry) {
+        this._setEntryTime(track, trackEntry, slot, trackPosition);
+        trackEntry.timeScale = 0;
+      }
+
+      this._updateTrackProgress(track.id, trackPosition.timeInSlot, duration);
+    });
+  }
+
+  /**
+   * Jump back to the loop region start
+   * @param {{start: number, end: number}} loopRegion
+   * @fires MultiTrackSequence#region-looped
+   * @private
+   */
+  _loopRegion(loopRegion) {
+    this._applyPosition(loopRegion.start);
+    this.loopCount++;
+
+    this.sequence.dispatchEvent(new CustomEvent('region-looped', {
+      detail: { ...loopRegion, iteration: this.loopCount, timestamp: this.elapsedTime }
+    }));
+  }
+
+  /**
+   * Finish 'once' playback: hold every track on its last frame and pause
+   * Playing again (resume) restarts from the beginning.
+   * @fires MultiTrackSequence#sequence-completed
+   * @private
+   */
+  _completeSequence() {
+    this.elapsedTime = this.cycleStartTime + this.longestAnimationDuration;
+    this.sequence.playbackState.currentTime = this.elapsedTime;
+
+    const state = this.spineViewer.spine && this.spineViewer.spine.state;
+
+    this.sequence.tracks.forEach((track, index) => {
+      const trackState = this.trackStates.get(track.id);
+      const slot = trackState ? track.getSlot(trackState.currentSlot) : null;
+      if (!slot || slot.isEmpty) return;
+
+      trackState.isFrozen = true;
+      const trackEntry = state && state.tracks ? state.tracks[index] : null;
+      if (trackEntry) {
+        this._freezeTrackEntry(trackEntry, slot);
+      }
+      this._updateTrackProgress(track.id, trackState.animationDuration, trackState.animationDuration);
+    });
+
+    this.pause();
+    this.isCompleted = true;
+
+    this.sequence.dispatchEvent(new CustomEvent('sequence-completed', {
+      detail: { elapsedTime: this.elapsedTime, timestamp: performance.now() }
+    }));
+  }
+
   /**
    * Update a single track's playback position
    * @param {AnimationTrack} track - Track to update
@@ -352,7 +862,7 @@ export class PlaybackController {
         return;
       }
 
-      const animationDuration = this._getAnimationDuration(slot.animation);
+      const animationDuration = this._getSlotDuration(slot);
 
       this.trackStates.set(track.id, {
         currentSlot: 0,
@@ -396,6 +906,12 @@ export class PlaybackController {
     const progressTime = Math.min(timeInSlot, trackState.animationDuration);
     this._updateTrackProgress(track.id, progressTime, trackState.animationDuration);
 
+    // In per-track mode a finished track starts over instead of freezing
+    if (timeInSlot >= trackState.animationDuration && this.sequence.loopMode === 'per-track') {
+      this._loopTrack(track, index, trackState, globalTime);
+      return;
+    }
+
     // Check if this individual track's animation has completed
     if (timeInSlot >= trackState.animationDuration && !trackState.isFrozen) {
       // This track finished before the longest animation
@@ -406,9 +922,7 @@ export class PlaybackController {
       if (this.spineViewer && this.spineViewer.spine && this.spineViewer.spine.state) {
         const trackEntry = this.spineViewer.spine.state.tracks[index];
         if (trackEntry) {
-          trackEntry.timeScale = 0;
-          // Set to last frame
-          trackEntry.trackTime = trackEntry.animationEnd;
+          this._freezeTrackEntry(trackEntry, currentSlot);
         }
       }
 
@@ -416,6 +930,39 @@ export class PlaybackController {
     }
   }
 
+  /**
+   * Restart a track's current slot at its own length ('per-track' loop mode)
+   * @param {AnimationTrack} track
+   * @param {number} index - Track index
+   * @param {Object} trackState
+   * @param {number} globalTime - Global elapsed time in ms
+   * @fires MultiTrackSequence#track-looped
+   * @private
+   */
+  _loopTrack(track, index, trackState, globalTime) {
+    const duration = trackState.animationDuration;
+    if (duration <= 0) {
+      return;
+    }
+
+    // Step by whole durations so the track doesn't drift by the frame overshoot
+    const overshoot = (globalTime - trackState.slotStartTime) % duration;
+    trackState.slotStartTime = globalTime - overshoot;
+    trackState.isFrozen = false;
+    trackState.loopCount = (trackState.loopCount || 0) + 1;
+
+    const slot = track.getSlot(trackState.currentSlot);
+    const trackEntry = this._playSlotAnimation(track, index, slot);
+    if (trackEntry) {
+      trackEntry.trackTime = (overshoot / 1000) * slot.speed;
+    }
+    this._updateTrackProgress(track.id, overshoot, duration);
+
+    this.sequence.dispatchEvent(new CustomEvent('track-looped', {
+      detail: { trackId: track.id, iteration: trackState.loopCount, timestamp: globalTime }
+    }));
+  }
+
   /**
    * Advance track to a specific slot
    * @param {AnimationTrack} track 
@@ -451,8 +998,8 @@ export class PlaybackController {
     }));
 
     if (!slot.isEmpty) {
-      trackState.animationDuration = this._getAnimationDuration(slot.animation);
-      this._playSlotAnimation(track, slot);
+      trackState.animationDuration = this._getSlotDuration(slot);
+      this._playSlotAnimation(track, this.sequence.tracks.indexOf(track), slot);
     } else {
       // Empty slot - emit event
       track.dispatchEvent(new CustomEvent('empty-slot-encountered', {
@@ -483,6 +1030,75 @@ export class PlaybackController {
     return -1; // All slots are empty
   }
 
+  /**
+   * Crossfade into a slot
+   * Mixes run at the start of the incoming slot, inside its duration: the slot clock starts when
+   * the mix starts, so every track still begins its slot on the shared cycle boundary. The mix is
+   * clamped to the slot duration so a blend never outlasts the slot it fades into.
+   * @param {AnimationSlot} slot
+   * @returns {number} Mix duration in milliseconds (0 for empty slots)
+   */
+  getMixDuration(slot) {
+    if (!slot || slot.isEmpty) {
+      return 0;
+    }
+
+    const mixDuration = slot.mixDuration !== null ? slot.mixDuration : this.sequence.defaultMixDuration;
+    return Math.min(mixDuration, this._getSlotDuration(slot));
+  }
+
+  /**
+   * Use the sequence default mix as the Spine AnimationStateData default while playing
+   * @private
+   */
+  _applyDefaultMix() {
+    const stateData = this.spineViewer.spine?.state?.data;
+    if (!stateData) {
+      return;
+    }
+
+    if (this._savedDefaultMix === undefined) {
+      this._savedDefaultMix = stateData.defaultMix;
+    }
+    stateData.defaultMix = this.sequence.defaultMixDuration / 1000;
+  }
+
+  /**
+   * Restore the AnimationStateData default mix replaced by _applyDefaultMix()
+   * @private
+   */
+  _restoreDefaultMix() {
+    const stateData = this.spineViewer.spine?.state?.data;
+    if (stateData && this._savedDefaultMix !== undefined) {
+      stateData.defaultMix = this._savedDefaultMix;
+    }
+    this._savedDefaultMix = undefined;
+  }
+
+  /**
+   * Get how long a slot occupies its track, honoring its playback overrides
+   * holdDuration wins when set; otherwise the trimmed animation length times
+   * repeatCount, scaled by the slot speed.
+   * @param {AnimationSlot} slot
+   * @returns {number} Duration in milliseconds
+   * @private
+   */
+  _getSlotDuration(slot) {
+    if (!slot || slot.isEmpty) {
+      return 0;
+    }
+
+    if (slot.holdDuration !== null) {
+      return slot.holdDuration;
+    }
+
+    const animationDuration = this._getAnimationDuration(slot.animation);
+    const end = slot.trimEnd !== null ? Math.min(slot.trimEnd, animationDuration) : animationDuration;
+    const start = Math.min(slot.trimStart, end);
+
+    return ((end - start) * slot.repeatCount) / slot.speed;
+  }
+
   /**
    * Get animation duration from spine data
    * @param {string} animationName 
@@ -495,16 +1111,7 @@ export class PlaybackController {
     }
 
     try {
-      // Try to access skeleton from different possible paths
-      let skeleton = null;
-
-      if (this.spineViewer.skeleton) {
-        skeleton = this.spineViewer.skeleton;
-      } else if (this.spineViewer.spine && this.spineViewer.spine.skeleton) {
-        skeleton = this.spineViewer.spine.skeleton;
-      } else if (this.spineViewer._spine && this.spineViewer._spine.skeleton) {
-        skeleton = this.spineViewer._spine.skeleton;
-      }
+      const skeleton = this._getSkeleton();
 
       if (!skeleton || !skeleton.data) {
         console.warn(`Skeleton not available for animation duration lookup: "${animationName}"`);
@@ -520,20 +1127,36 @@ export class PlaybackController {
   }
 
   /**
-   * Play animation for a slot
+   * Get skeleton from the different possible SpineViewer paths
+   * @returns {Object|null}
+   * @private
+   */
+  _getSkeleton() {
+    if (this.spineViewer.skeleton) {
+      return this.spineViewer.skeleton;
+    } else if (this.spineViewer.spine && this.spineViewer.spine.skeleton) {
+      return this.spineViewer.spine.skeleton;
+    } else if (this.spineViewer._spine && this.spineViewer._spine.skeleton) {
+      return this.spineViewer._spine.skeleton;
+    }
+    return null;
+  }
+
+  /**
+   * Play animation for a slot and apply its playback overrides to the Spine entry
    * @param {AnimationTrack} track
    * @param {number} index - Track index
    * @param {AnimationSlot} slot
+   * @returns {Object|null} The Spine track entry, when available
    * @private
    */
   _playSlotAnimation(track, index, slot) {
     if (!slot || !slot.animation) {
-      return;
+      return null;
     }
 
     try {
-      // For single-slot tracks, enable looping. For multi-slot, disable to allow sequence advancement
-      const shouldLoop = track.slots.length === 1;
+      const shouldLoop = this._shouldLoop(track, slot);
 
       // Use SpineViewer's setAnimation method (not playAnimation)
       if (typeof this.spineViewer.setAnimation === 'function') {
@@ -544,10 +1167,125 @@ export class PlaybackController {
         this.spineViewer.spine.state.setAnimation(index, slot.animation, shouldLoop);
       } else {
         console.warn(`Cannot play animation "${slot.animation}": SpineViewer not ready`);
+        return null;
       }
     } catch (error) {
       console.error(`Error playing animation "${slot.animation}":`, error);
+      return null;
+    }
+
+    const state = this.spineViewer.spine && this.spineViewer.spine.state;
+    const trackEntry = state && state.tracks ? state.tracks[index] : null;
+    if (trackEntry) {
+      this._applySlotOptions(trackEntry, slot);
     }
+    return trackEntry || null;
+  }
+
+  /**
+   * Whether a slot's Spine entry should wrap around
+   * Single-slot tracks loop; multi-slot tracks don't, to allow sequence advancement.
+   * Repeats and holds run past one animation length, so their entries always wrap.
+   * @param {AnimationTrack} track
+   * @param {AnimationSlot} slot
+   * @returns {boolean}
+   * @private
+   */
+  _shouldLoop(track, slot) {
+    return track.slots.length === 1 || slot.repeatCount > 1 || slot.holdDuration !== null;
+  }
+
+  /**
+   * Configure a Spine track entry from slot overrides (speed, trim, mix)
+   * @param {Object} trackEntry - Spine TrackEntry
+   * @param {AnimationSlot} slot
+   * @private
+   */
+  _applySlotOptions(trackEntry, slot) {
+    trackEntry.timeScale = slot.speed;
+
+    if (slot.trimStart > 0) {
+      trackEntry.animationStart = Math.min(slot.trimStart / 1000, trackEntry.animationEnd);
+    }
+    if (slot.trimEnd !== null) {
+      trackEntry.animationEnd = Math.min(slot.trimEnd / 1000, trackEntry.animationEnd);
+    }
+
+    // AnimationStateData picked the mix when the entry was created; replace it with the slot's
+    trackEntry.mixDuration = this.getMixDuration(slot) / 1000;
+  }
+
+  /**
+   * Stop a track entry at the end of its slot
+   * Held slots keep their current pose; others show the last (trimmed) frame.
+   * @param {Object} trackEntry - Spine TrackEntry
+   * @param {AnimationSlot} slot
+   * @private
+   */
+  _freezeTrackEntry(trackEntry, slot) {
+    trackEntry.timeScale = 0;
+
+    if (!slot || slot.holdDuration === null) {
+      // A looping entry would wrap animationEnd back to the first frame
+      trackEntry.loop = false;
+      trackEntry.trackTime = trackEntry.animationEnd;
+    }
+  }
+
+  /**
+   * Listen to the Spine AnimationState so its events are re-emitted on the sequence
+   * Attaching again is a no-op unless the skeleton was reloaded.
+   * @private
+   */
+  _attachSpineEvents() {
+    const state = this.spineViewer.spine && this.spineViewer.spine.state;
+    if (!state || typeof state.addListener !== 'function') {
+      return;
+    }
+    if (this._spineEvents && this._spineEvents.state === state) {
+      return;
+    }
+
+    this._detachSpineEvents();
+    const listener = { event: (trackEntry, event) => this._emitSpineEvent(trackEntry, event) };
+    state.addListener(listener);
+    this._spineEvents = { state, listener };
+  }
+
+  /**
+   * Stop listening to the Spine AnimationState
+   * @private
+   */
+  _detachSpineEvents() {
+    if (!this._spineEvents) {
+      return;
+    }
+    const { state, listener } = this._spineEvents;
+    if (typeof state.removeListener === 'function') {
+      state.removeListener(listener);
+    }
+    this._spineEvents = null;
+  }
+
+  /**
+   * Dispatch a Spine event on the sequence with the track and slot that fired it
+   * @param {Object} trackEntry - Spine TrackEntry (its track index is the track position)
+   * @param {Object} event - Spine Event
+   * @fires MultiTrackSequence#spine-event
+   * @private
+   */
+  _emitSpineEvent(trackEntry, event) {
+    const track = this.sequence.tracks[trackEntry.trackIndex] || null;
+    const trackState = track ? this.trackStates.get(track.id) : null;
+
+    this.sequence.dispatchEvent(new CustomEvent('spine-event', {
+      detail: {
+        ...describeSpineEvent(event, trackEntry),
+        trackId: track ? track.id : null,
+        slotIndex: trackState ? trackState.currentSlot : null,
+        sequenceTime: this.elapsedTime
+      }
+    }));
   }
 
   /**
@@ -562,7 +1300,7 @@ export class PlaybackController {
 
     // Update spine viewer timeScale
     if (this.spineViewer && this.spineViewer.spine && this.spineViewer.spine.state) {
-      this.spineViewer.spine.state.timeScale = speed;
+      this._setTimeScale(speed);
     }
 
     // Emit playback-speed-changed event
@@ -611,14 +1349,14 @@ export class PlaybackController {
       const slot = track.getSlot(0);
       if (slot && !slot.isEmpty) {
         // Update animation duration (in case animations changed)
-        trackState.animationDuration = this._getAnimationDuration(slot.animation);
+        trackState.animationDuration = this._getSlotDuration(slot);
         longestDuration = Math.max(longestDuration, trackState.animationDuration);
 
         // Unfreeze the Spine animation track by restoring timeScale
         if (this.spineViewer && this.spineViewer.spine && this.spineViewer.spine.state) {
           const trackEntry = this.spineViewer.spine.state.tracks[index];
           if (trackEntry) {
-            trackEntry.timeScale = 1.0; // Restore normal playback speed
+            trackEntry.timeScale = slot.speed; // Restore the slot's playback speed
           }
         }
 
@@ -0,0 +1,239 @@
+/**
+ * SequenceHistory Service
+ *
+ * Records every track and slot mutation of a MultiTrackSequence into a
+ * CommandHistory by listening to the events the models emit, so edits made
+ * through any code path (TrackManager, UI handlers, direct model calls) can be undone.
+ *
+ * @module services/SequenceHistory
+ */
+
+const SEQUENCE_EVENTS = ['track-added', 'track-removed', 'tracks-cleared', 'default-mix-changed'];
+const TRACK_EVENTS = [
+  'slot-added', 'slot-removed', 'slot-moved', 'animation-changed', 'slot-options-changed', 'track-renamed'
+];
+
+/**
+ * Event-driven recorder translating model events into undoable commands
+ */
+export class SequenceHistory {
+  /**
+   * @param {MultiTrackSequence} sequence - The sequence to record
+   * @param {CommandHistory} history - The history receiving commands
+   */
+  constructor(sequence, history) {
+    if (!sequence) {
+      throw new Error('Sequence is required');
+    }
+    if (!history) {
+      throw new Error('CommandHistory is required');
+    }
+
+    this._sequence = sequence;
+    this._history = history;
+
+    // Snapshots taken after every event, used to recover values events don't carry
+    this._trackOrder = [];
+    this._slotSnapshots = new Map(); // Map<trackId, Array<Object>> (slot toJSON() output)
+    this._trackHandlers = new Map(); // Map<track, handler>
+
+    this._handleSequenceEvent = this._handleSequenceEvent.bind(this);
+    SEQUENCE_EVENTS.forEach(type => {
+      sequence.addEventListener(type, this._handleSequenceEvent);
+    });
+
+    sequence.tracks.forEach(track => this._watchTrack(track));
+    this._snapshotTracks();
+  }
+
+  /**
+   * Stop listening to the sequence and its tracks
+   */
+  detach() {
+    SEQUENCE_EVENTS.forEach(type => {
+      this._sequence.removeEventListener(type, this._handleSequenceEvent);
+    });
+    for (const track of this._trackHandlers.keys()) {
+      this._unwatchTrack(track);
+    }
+    this._slotSnapshots.clear();
+    this._trackOrder = [];
+  }
+
+  /**
+   * Handle sequence-level events
+   * @private
+   * @param {CustomEvent} event
+   */
+  _handleSequenceEvent(event) {
+    const sequence = this._sequence;
+    const previousOrder = this._trackOrder;
+
+    if (event.type === 'track-added') {
+      const { track } = event.detail;
+      const index = sequence.tracks.indexOf(track);
+      this._watchTrack(track);
+
+      this._history.record({
+        label: `Add track "${track.name}"`,
+        undo: () => sequence._detachTrack(track.id),
+        redo: () => sequence._attachTrack(track, index)
+      });
+    } else if (event.type === 'track-removed') {
+      const index = previousOrder.findIndex(t => t.id === event.detail.trackId);
+      const track = previousOrder[index];
+
+      if (track) {
+        this._unwatchTrack(track);
+        this._history.record({
+          label: `Delete track "${track.name}"`,
+          undo: () => sequence._attachTrack(track, index),
+          redo: () => sequence._detachTrack(track.id)
+        });
+      }
+    } else if (event.type === 'tracks-cleared') {
+      previousOrder.forEach(track => this._unwatchTrack(track));
+
+      if (previousOrder.length > 0) {
+        this._history.record({
+          label: 'Clear tracks',
+          undo: () => previousOrder.forEach((track, index) => sequence._attachTrack(track, index)),
+          redo: () => sequence.clear()
+        });
+      }
+    } else if (event.type === 'default-mix-changed') {
+      const { duration, previousDuration } = event.detail;
+      this._history.record({
+        label: 'Change default mix',
+        undo: () => sequence.setDefaultMixDuration(previousDuration),
+        redo: () => sequence.setDefaultMixDuration(duration)
+      });
+    }
+
+    this._snapshotTracks();
+  }
+
+  /**
+   * Handle track-level events
+   * @private
+   * @param {AnimationTrack} track
+   * @param {CustomEvent} event
+   */
+  _handleTrackEvent(track, event) {
+    const previousSlots = this._slotSnapshots.get(track.id) || [];
+    const detail = event.detail;
+
+    switch (event.type) {
+      case 'slot-added': {
+        const { index } = detail;
+        const animation = detail.slot ? detail.slot.animation : null;
+        this._history.record({
+          label: `Add slot to "${track.name}"`,
+          undo: () => track._detachSlot(index),
+          redo: () => track.addSlot(animation, index)
+        });
+        break;
+      }
+      case 'slot-removed': {
+        const { index } = detail;
+        const snapshot = previousSlots[index] || { animation: null };
+        this._history.record({
+          label: `Remove slot from "${track.name}"`,
+          undo: () => {
+            track.addSlot(snapshot.animation, index);
+            if (snapshot.options) {
+              track.setSlotOptions(index, snapshot.options);
+            }
+          },
+          redo: () => track._detachSlot(index)
+        });
+        break;
+      }
+      case 'slot-moved': {
+        const { fromIndex, toIndex } = detail;
+        this._history.record({
+          label: `Move slot in "${track.name}"`,
+          undo: () => track.moveSlot(toIndex, fromIndex),
+          redo: () => track.moveSlot(fromIndex, toIndex)
+        });
+        break;
+      }
+      case 'animation-changed': {
+        const { slotIndex, animation } = detail;
+        const previousAnimation = previousSlots[slotIndex] ? previousSlots[slotIndex].animation : null;
+        if (previousAnimation !== animation) {
+          this._history.record({
+            label: `Set animation in "${track.name}"`,
+            undo: () => track.setAnimation(slotIndex, previousAnimation),
+            redo: () => track.setAnimation(slotIndex, animation)
+          });
+        }
+        break;
+      }
+      case 'slot-options-changed': {
+        const { slotIndex, options, previousOptions } = detail;
+        this._history.record({
+          label: `Edit slot options in "${track.name}"`,
+          undo: () => track.setSlotOptions(slotIndex, previousOptions),
+          redo: () => track.setSlotOptions(slotIndex, options)
+        });
+        break;
+      }
+      case 'track-renamed': {
+        const { oldName, newName } = detail;
+        if (oldName !== newName) {
+          this._history.record({
+            label: `Rename track "${oldName}"`,
+            undo: () => track.rename(oldName),
+            redo: () => track.rename(newName)
+          });
+        }
+        break;
+      }
+    }
+
+    this._slotSnapshots.set(track.id, track.slots.map(slot => slot.toJSON()));
+  }
+
+  /**
+   * Attach track listeners (idempotent)
+   * @private
+   * @param {AnimationTrack} track
+   */
+  _watchTrack(track) {
+    if (this._trackHandlers.has(track)) {
+      return;
+    }
+
+    const handler = (event) => this._handleTrackEvent(track, event);
+    TRACK_EVENTS.forEach(type => track.addEventListener(type, handler));
+    this._trackHandlers.set(track, handler);
+  }
+
+  /**
+   * Detach track listeners
+   * @private
+   * @param {AnimationTrack} track
+   */
+  _unwatchTrack(track) {
+    const handler = this._trackHandlers.get(track);
+    if (!handler) {
+      return;
+    }
+
+    TRACK_EVENTS.forEach(type => track.removeEventListener(type, handler));
+    this._trackHandlers.delete(track);
+  }
+
+  /**
+   * Refresh track order and slot snapshots
+   * @private
+   */
+  _snapshotTracks() {
+    this._trackOrder = [...this._sequence.tracks];
+    this._slotSnapshots.clear();
+    this._trackOrder.forEach(track => {
+      this._slotSnapshots.set(track.id, track.slots.map(slot => slot.toJSON()));
+    });
+  }
+}
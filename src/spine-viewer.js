@@ -7,7 +7,26 @@ import * as spineRuntime from 'https://cdn.jsdelivr.net/npm/@pixi-spine/runtime-
 // console.log(spineRuntime);
 
 const { Spine, TextureAtlas } = spine;
-const { SkeletonBinary, SkeletonJson, AtlasAttachmentLoader } = spineRuntime;
+
+// Runtimes for other skeleton versions are only fetched when such a file is loaded
+const SPINE_RUNTIME_LOADERS = {
+  '3.7': () => import('https://cdn.jsdelivr.net/npm/@pixi-spine/runtime-3.7@4.0.6/+esm'),
+  '3.8': () => Promise.resolve(spineRuntime),
+  '4.1': () => import('https://cdn.jsdelivr.net/npm/@pixi-spine/runtime-4.1@4.0.6/+esm')
+};
+
+/**
+ * Loads the pixi-spine runtime for a version from spineVersion.js
+ * @param {string} version - Runtime version ('3.7', '3.8' or '4.1')
+ * @returns {Promise<Object>} Runtime module (SkeletonJson, SkeletonBinary, AtlasAttachmentLoader, Spine)
+ */
+function loadSpineRuntime(version) {
+  const loader = SPINE_RUNTIME_LOADERS[version];
+  if (!loader) {
+    return Promise.reject(new Error(`No Spine runtime available for version ${version}`));
+  }
+  return loader();
+}
 
 // console.log('all imported');
 // console.log('PIXI');
@@ -31,7 +50,34 @@ import { FileProcessor } from "./utils/FileProcessor.js";
 import resourceManager from "./utils/ResourceManager.js";
 import { hasRequiredFeatures } from "./utils/browserSupport.js";
 import { getMessage, formatErrorMessage, SpineMessages } from "./utils/messages.js";
-
+import { FrameExporter } from "./services/FrameExporter.js";
+import { detectSkeletonVersion, getCompatibility, formatCompatibilityReport } from "./utils/spineVersion.js";
+import { validateSpineAssets } from "./utils/spineValidator.js";
+import { diffSkeletonData } from "./utils/skeletonDiff.js";
+import { normalizeOnionSkinOptions, computeGhostFrames } from "./utils/onionSkin.js";
+import { inspectSlots, getAttachmentType } from "./utils/slotInspector.js";
+import { buildBoneTree, describeBoneTransforms } from "./utils/boneHierarchy.js";
+import {
+  DEBUG_OVERLAYS, DEFAULT_OVERLAY_COLORS, checkOverlayName, parseColor, hslToHex, mixColor,
+  getVertexWeights, getVertexWeight, getPathCurves
+} from "./utils/debugOverlays.js";
+import {
+  CONSTRAINT_TYPES, getConstraintMixKeys, findConstraint, describeConstraints, constraintKey,
+  getBoneTip, getBendIndicator
+} from "./utils/constraints.js";
+import { describeSpineEvent, getAnimationEvents } from "./utils/spineEvents.js";
+import { getEventAudioPaths, matchAudioFiles } from "./utils/eventAudio.js";
+import { EventAudioPlayer } from "./services/EventAudioPlayer.js";
+import { normalizePoseOffset, applyPoseOffsets, rotationDelta, boneToParentDelta, serializePose } from "./utils/posing.js";
+import { normalizeMotionTrailOptions, sampleBoneTrails, computeTrailSegments, computeTrailTicks, velocityColor } from "./utils/motionTrail.js";
+
+// Size limit attributes (values in MB) and the file category each one controls
+const SIZE_LIMIT_ATTRIBUTES = {
+  "max-skeleton-size": "skeleton",
+  "max-atlas-size": "atlas",
+  "max-texture-size": "texture",
+  "max-archive-size": "archive"
+};
 
 class SpineViewer extends HTMLElement {
   constructor() {
@@ -41,10 +87,40 @@ class SpineViewer extends HTMLElement {
     // File processing utilities
     this.fileProcessor = new FileProcessor();
     this.resourceManager = resourceManager.createScope();
+    // Reports for the last locally loaded skeleton (version compatibility, atlas cross-check)
+    this.skeletonCompatibility = null;
+    this.validationReport = null;
+    // Controller of the local file read in progress (see cancelLoad)
+    this._loadController = null;
+    // Second skeleton shown for comparison: {spine, mode, opacity, tint, diff, ticker}
+    this._comparison = null;
+    // Onion skin state: {options, ghosts, ticker} while enabled
+    this._onionSkin = null;
+    // Motion trail state: {options, bones, trails, graphics, ticker, key, scale} while enabled
+    this._motionTrail = null;
+    // Slot inspector state: {ticker, signature} while enabled; highlighted slot: {name, graphics, ticker}
+    this._slotInspector = null;
+    this._slotHighlight = null;
+    // Bone inspector state: {pose, ticker, signature} while enabled; cached setup pose values: {key, transforms}
+    this._boneInspector = null;
+    this._setupPoseTransforms = null;
+    // Pose mode state: {mode, offsets, drag, graphics, ticker} while enabled
+    this._pose = null;
     // debug skeleton drawing
     this.drawSkeleton = false;
     this.drawSkeletonFn = null; // optional custom drawer callback
     this.skeletonDebugGraphics = null;
+    // debug overlays (meshes, weights, clipping, ...), independent of skeleton debug
+    this.debugOverlays = new Set();
+    this.overlayColors = { ...DEFAULT_OVERLAY_COLORS };
+    this._overlayGraphics = null;
+    this._overlayTicker = null;
+    // constraint drawing (part of skeleton debug) and runtime mix overrides by constraintKey
+    this.drawConstraints = false;
+    this.constraintColors = { ik: 0x00e5ff, transform: 0xff66cc, path: 0xffaa00 };
+    this._constraintOverrides = new Map();
+    // Web Audio player for event sounds, created when audio is loaded or muted
+    this._eventAudio = null;
     // (Removed persistent bone label system; names only shown in hover tooltip)
     // zoom settings
     this.zoomEnabled = true;
@@ -94,7 +170,21 @@ class SpineViewer extends HTMLElement {
   }
 
   static get observedAttributes() {
-    return ["src", "animation-name", "scale"];
+    return ["src", "animation-name", "scale", ...Object.keys(SIZE_LIMIT_ATTRIBUTES)];
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    const category = SIZE_LIMIT_ATTRIBUTES[name];
+    if (!category || newValue === null) {
+      return;
+    }
+
+    const megabytes = parseFloat(newValue);
+    if (megabytes > 0) {
+      this.fileProcessor.setSizeLimits({ [category]: megabytes * 1024 * 1024 });
+    } else {
+      console.warn(`SpineViewer: Ignoring invalid ${name} value: ${newValue}`);
+    }
   }
 
   connectedCallback() {
@@ -160,13 +250,34 @@ class SpineViewer extends HTMLElement {
     animationName = this.getAttribute("animation-name"),
     scale = this.getAttribute("scale") || 0.3,
   }) {
+    // ghosts and trails belong to the old skeleton; they are rebuilt once the new one is loaded
+    this._destroyOnionGhosts();
+    this._destroyMotionTrail();
+    this._destroySlotInspector();
+    this._destroySlotHighlight();
+    this._slotHighlight = null; // slot names may differ in the new skeleton
+    this._destroyBoneInspector();
+    this._setupPoseTransforms = null;
+    this._destroyPoseMode();
+    this._destroyDebugOverlays();
+    if (this._pose) this._pose.offsets.clear(); // bone names may differ in the new skeleton
+    this._constraintOverrides.clear();
+    if (this._eventAudio) {
+      // Loaded sounds are kept for the next skeleton; its animation state starts at speed 1
+      this._eventAudio.stopAll();
+      this._eventAudio.setPlaybackRate(1);
+    }
     if (this.app) {
       this._removeWheelZoom();
       this.app.destroy(true);
       this.app = null;
     }
-    // 清理spine相关引用
+    // 清理spine相关引用 (the comparison skeleton is destroyed with the app)
     this.spine = null;
+    if (this._comparison) {
+      this._comparison = null;
+      this.dispatchEvent(new CustomEvent('comparison-cleared'));
+    }
     this.spineContainer = null;
     if (this.skeletonDebugGraphics) {
       this.skeletonDebugGraphics.destroy();
@@ -195,6 +306,8 @@ class SpineViewer extends HTMLElement {
       this._setupInteractionTicker();
       // setup bone hover detection
       this._setupBoneHover();
+      // setup pose mode drags (idle until pose mode is enabled)
+      this._setupPoseInteractions();
 
       // 预加载资源
       this.spine = await this.loadSpine(src);
@@ -205,6 +318,8 @@ class SpineViewer extends HTMLElement {
         this.spineContainer.sortableChildren = true; // allow zIndex ordering (hover graphics, labels)
         this.spineContainer.addChild(this.spine);
         this.app.stage.addChild(this.spineContainer);
+        this._hookWorldTransform();
+        this._listenForSpineEvents();
 
         // 设置动画
         if (this.spine.state.data.skeletonData.findAnimation(animationName)) {
@@ -228,6 +343,30 @@ class SpineViewer extends HTMLElement {
         if (this.drawSkeleton) {
           this.enableSkeletonDebug();
         }
+        if (this._onionSkin) {
+          this._buildOnionGhosts();
+        }
+        if (this._motionTrail) {
+          this._buildMotionTrail();
+        }
+        if (this._slotInspector) {
+          this._buildSlotInspector();
+        }
+        if (this._boneInspector) {
+          this._buildBoneInspector();
+        }
+        if (this._pose) {
+          this._buildPoseMode();
+        }
+        if (this.debugOverlays.size > 0) {
+          this._buildDebugOverlays();
+        }
+        // Keep the selection by name when the new skeleton has the same bone
+        if (this._selectedBoneName) {
+          this._setSelectedBone(this.spine.skeleton.findBone(this._selectedBoneName));
+        }
+        // The new skeleton starts without overrides; lets constraint lists re-render
+        this._emitConstraintOverridesChanged();
       }
     } catch (error) {
       console.error("Failed to load Spine animation:");
@@ -242,11 +381,14 @@ class SpineViewer extends HTMLElement {
     }
   }
 
-  async loadSpineLocal(src) {
+  async loadSpineLocal(src, options = {}) {
+    // options.reports = false skips the version/atlas/validation events (used for comparison skeletons)
+    const { reports = true } = options;
     // Normalize expected shape from index.html's onSpineFilesSelected
     // src = { spineSkeleton: {src, format, name?}, spineAtlas: {src, format}, spineImage: {name, url, src, format} }
+    // Multi-page atlases: spineImages (matched to pages by file name) and/or spinePages ({pageName: image})
     if (!src) throw new Error('loadSpineLocal: source object required');
-    const { spineSkeleton, spineAtlas, spineImage, spineImages } = src;
+    const { spineSkeleton, spineAtlas, spineImage, spineImages, spinePages } = src;
     if (!spineSkeleton || !spineAtlas) throw new Error('loadSpineLocal: spineSkeleton and spineAtlas are required');
 
     const decodeDataURLToUint8 = (dataUrl) => {
@@ -256,6 +398,35 @@ class SpineViewer extends HTMLElement {
     };
     const dataUrlToUTF8 = (dataUrl) => new TextDecoder('utf-8').decode(decodeDataURLToUint8(dataUrl));
 
+    // 0. Skeleton data and version: pick a runtime that can read it before parsing anything
+    const skeletonFormat = spineSkeleton.format || (spineSkeleton.name?.match(/\.[^.]+$/)?.[0]);
+    const isBinary = skeletonFormat === '.skel';
+    let skeletonBytes = null;
+    let jsonText = '';
+    if (isBinary) {
+      if (!spineSkeleton.src?.startsWith('data:')) throw new Error('Binary skeleton must provide data URL');
+      skeletonBytes = decodeDataURLToUint8(spineSkeleton.src);
+    } else if (spineSkeleton.src?.startsWith('data:')) {
+      jsonText = dataUrlToUTF8(spineSkeleton.src);
+    } else if (spineSkeleton.text) {
+      jsonText = await spineSkeleton.text();
+    } else {
+      throw new Error('JSON skeleton must provide data URL or text method');
+    }
+
+    const version = detectSkeletonVersion(isBinary ? skeletonBytes : jsonText, isBinary ? '.skel' : '.json');
+    const compatibility = getCompatibility(version, isBinary ? '.skel' : '.json');
+    if (reports) {
+      this.skeletonCompatibility = compatibility;
+      this.dispatchEvent(new CustomEvent('skeleton-version', {
+        detail: { ...compatibility, report: formatCompatibilityReport(compatibility) }
+      }));
+    }
+    if (compatibility.status === 'unsupported') {
+      throw new Error(formatCompatibilityReport(compatibility));
+    }
+    const runtime = await loadSpineRuntime(compatibility.runtime);
+
     // 1. Atlas text
     let atlasText = '';
     if (spineAtlas.src?.startsWith('data:')) {
@@ -268,63 +439,154 @@ class SpineViewer extends HTMLElement {
       throw new Error('Unsupported atlas format for local load');
     }
 
-    // 2. Textures: accept single or multiple
+    // 2. Textures: map every atlas page to a provided image
     const imageList = [];
+    if (spinePages) {
+      const entries = spinePages instanceof Map ? Array.from(spinePages) : Object.entries(spinePages);
+      entries.forEach(([pageName, img]) => imageList.push({ ...img, name: pageName }));
+    }
     if (spineImage) imageList.push(spineImage);
     if (Array.isArray(spineImages)) imageList.push(...spineImages);
+
+    const pageNames = this.fileProcessor.getAtlasPageNames(atlasText);
+    if (pageNames.length === 0) {
+      throw new Error(getMessage('atlas.no_pages'));
+    }
+    const { pages, missing, unused } = this.fileProcessor.matchAtlasPages(pageNames, imageList);
+    if (missing.length > 0) {
+      throw new Error(getMessage('atlas.missing_pages', { pages: missing.join(', ') }));
+    }
+    if (unused.length > 0 && reports) {
+      const message = getMessage('atlas.unused_images', { images: unused.map(img => img.name).join(', ') });
+      console.warn(`[SpineViewer] ${message}`);
+      this.dispatchEvent(new CustomEvent('atlas-warning', {
+        detail: { message, unused: unused.map(img => img.name) }
+      }));
+    }
+
     const pageTextureMap = new Map();
-    for (const img of imageList) {
-      try {
-        const texture = img.url ? PIXI.Texture.from(img.url) : (img.src ? PIXI.Texture.from(img.src) : null);
-        if (!texture) continue;
-        const baseName = (img.name || 'texture').replace(/\.(png|jpg|jpeg|webp|avif)$/i, '');
-        pageTextureMap.set(baseName, texture);
-      } catch (err) {
-        console.warn('Failed to init texture for', img?.name, err);
+    pages.forEach((img, pageName) => {
+      const texture = img.url ? PIXI.Texture.from(img.url) : (img.src ? PIXI.Texture.from(img.src) : null);
+      if (!texture) {
+        throw new Error(getMessage('resource.load_failed', { resource: pageName }));
       }
-    }
+      pageTextureMap.set(pageName, texture);
+    });
 
     // 3. TextureAtlas
     const textureAtlas = new TextureAtlas(atlasText, (path, loaderCb) => {
-      const key = path.replace(/\.(png|jpg|jpeg|webp|avif)$/i, '');
-      let tex = pageTextureMap.get(key) || pageTextureMap.get(path);
-      if (!tex) {
-        // fallback to loading by path (may fail if local only)
-        try { tex = PIXI.Texture.from(path); } catch { }
-      }
-      if (!tex) throw new Error(`Texture for atlas page '${path}' not found`);
+      const tex = pageTextureMap.get(path.trim());
+      if (!tex) throw new Error(getMessage('atlas.missing_pages', { pages: path }));
       loaderCb(tex.baseTexture);
     });
 
-    // 4. Parse skeleton
-    const atlasLoader = new AtlasAttachmentLoader(textureAtlas);
-    const skeletonFormat = spineSkeleton.format || (spineSkeleton.name?.match(/\.[^.]+$/)?.[0]);
-    const isBinary = skeletonFormat === '.skel';
+    // 4. Parse skeleton with the runtime matching its version, recording region lookups for validation
+    const regionUsage = { used: new Set(), missing: [] };
+    const atlasLoader = this._createRecordingAttachmentLoader(runtime, textureAtlas, regionUsage);
     let spineData;
     try {
       if (isBinary) {
-        if (!spineSkeleton.src?.startsWith('data:')) throw new Error('Binary skeleton must provide data URL');
-        const bytes = decodeDataURLToUint8(spineSkeleton.src);
-        const binary = new SkeletonBinary(atlasLoader);
-        spineData = binary.readSkeletonData(bytes);
+        const binary = new runtime.SkeletonBinary(atlasLoader);
+        spineData = binary.readSkeletonData(skeletonBytes);
       } else {
-        let jsonText = '';
-        if (spineSkeleton.src?.startsWith('data:')) {
-          jsonText = dataUrlToUTF8(spineSkeleton.src);
-        } else if (spineSkeleton.text) {
-          jsonText = await spineSkeleton.text();
-        } else {
-          throw new Error('JSON skeleton must provide data URL or text method');
-        }
-        const jsonParser = new SkeletonJson(atlasLoader);
+        const jsonParser = new runtime.SkeletonJson(atlasLoader);
         spineData = jsonParser.readSkeletonData(JSON.parse(jsonText));
       }
     } catch (e) {
       console.error('[SpineViewer] Failed parsing local skeleton:', e);
-      throw e;
+      // Parse errors alone are cryptic; say which version was detected and what is supported
+      throw new Error(`${formatCompatibilityReport(compatibility)}\n${e.message}`);
     }
 
-    return new Spine(spineData);
+    if (reports) {
+      this._publishValidationReport({
+        atlasText,
+        atlasName: spineAtlas.name || 'atlas',
+        skeletonName: spineSkeleton.name || `skeleton${skeletonFormat || ''}`,
+        usedRegions: regionUsage.used,
+        missingRegions: regionUsage.missing
+      }, pageTextureMap);
+    }
+
+    // The runtime's own Spine class builds the skeleton and animation state from the same
+    // classes that parsed the data (pixi-spine's Spine would use its bundled copies)
+    return new runtime.Spine(spineData);
+  }
+
+  /**
+   * Creates another Spine object for the loaded skeleton data
+   * Uses the class of the current skeleton, so it shares the runtime the data was loaded with.
+   * @returns {Spine}
+   * @private
+   */
+  _createSpineCopy() {
+    return new this.spine.constructor(this.spine.spineData);
+  }
+
+  /**
+   * Wraps the runtime's attachment loader so region lookups are recorded
+   * Attachments whose region is missing are skipped (and reported) instead of failing the load.
+   * @param {Object} runtime - Runtime module from loadSpineRuntime
+   * @param {TextureAtlas} textureAtlas
+   * @param {{used: Set<string>, missing: Array<Object>}} usage - Filled while the skeleton is parsed
+   * @returns {Object} Attachment loader
+   * @private
+   */
+  _createRecordingAttachmentLoader(runtime, textureAtlas, usage) {
+    const findRegion = textureAtlas.findRegion.bind(textureAtlas);
+    textureAtlas.findRegion = (name) => {
+      const region = findRegion(name);
+      if (region) usage.used.add(name);
+      return region;
+    };
+
+    const loader = new runtime.AtlasAttachmentLoader(textureAtlas);
+    ['newRegionAttachment', 'newMeshAttachment'].forEach(method => {
+      const create = loader[method].bind(loader);
+      loader[method] = (skin, name, path, ...rest) => {
+        try {
+          return create(skin, name, path, ...rest);
+        } catch (error) {
+          usage.missing.push({ skin: skin?.name ?? 'default', attachment: name, region: path || name });
+          return null;
+        }
+      };
+    });
+    return loader;
+  }
+
+  /**
+   * Cross-checks skeleton and atlas once page textures have loaded, then fires validation-report
+   * @param {Object} input - validateSpineAssets input without page sizes
+   * @param {Map<string, PIXI.Texture>} pageTextures - Texture per atlas page name
+   * @private
+   */
+  _publishValidationReport(input, pageTextures) {
+    const waitForSize = (baseTexture) => new Promise(resolve => {
+      if (baseTexture.valid) {
+        resolve(baseTexture);
+        return;
+      }
+      baseTexture.once('loaded', () => resolve(baseTexture));
+      baseTexture.once('error', () => resolve(null));
+    });
+
+    const entries = Array.from(pageTextures);
+    Promise.all(entries.map(([, texture]) => waitForSize(texture.baseTexture)))
+      .then(baseTextures => {
+        const pageSizes = {};
+        baseTextures.forEach((baseTexture, index) => {
+          if (baseTexture) {
+            pageSizes[entries[index][0]] = { width: baseTexture.realWidth, height: baseTexture.realHeight };
+          }
+        });
+
+        this.validationReport = validateSpineAssets({ ...input, pageSizes });
+        this.dispatchEvent(new CustomEvent('validation-report', {
+          detail: { report: this.validationReport }
+        }));
+      })
+      .catch(error => console.warn('[SpineViewer] Validation failed:', error));
   }
 
   async loadSpineRemote(src) {
@@ -337,10 +599,10 @@ class SpineViewer extends HTMLElement {
     }
   }
 
-  async loadSpine(src) {
+  async loadSpine(src, options = {}) {
     try {
       if (src instanceof (Object)) {
-        return this.loadSpineLocal(src);
+        return this.loadSpineLocal(src, options);
       } else {
         return this.loadSpineRemote(src);
       }
@@ -391,8 +653,17 @@ class SpineViewer extends HTMLElement {
         drawSkeleton = false
       } = options;
 
-      // Process the file using FileProcessor
-      const processedFile = await this.fileProcessor.processSpineFile(file);
+      // Process the file using FileProcessor (large files are read in cancellable chunks)
+      const signal = this._beginLoad();
+      let processedFile;
+      try {
+        processedFile = await this.fileProcessor.processSpineFile(file, {
+          signal,
+          onProgress: (loaded, total) => this._emitLoadProgress(file.name, 0, 1, loaded, total)
+        });
+      } finally {
+        this._endLoad(signal);
+      }
 
       // Create object URL for the main file
       const objectURL = processedFile.objectURL;
@@ -464,6 +735,7 @@ class SpineViewer extends HTMLElement {
 
   /**
    * Load multiple local files with dependency resolution
+   * Large archives and skeletons raise `load-progress` events and can be cancelled with cancelLoad().
    * @param {FileList|Array<File>} files - Array of files including main spine file and dependencies
    * @param {Object} options - Optional configuration
    * @returns {Promise<void>}
@@ -479,8 +751,19 @@ class SpineViewer extends HTMLElement {
     try {
       // Show loading progress
       this._showProgress(getMessage('processor.processing'));
-      // Process multiple files to resolve dependencies
-      const result = await this.fileProcessor.processMultipleFiles(files);
+      // Process multiple files to resolve dependencies (large archives and skeletons are read in cancellable chunks)
+      const fileList = Array.from(files);
+      const signal = this._beginLoad();
+      let result;
+      try {
+        result = await this.fileProcessor.processMultipleFiles(fileList, {
+          signal,
+          // Files extracted from an archive are not in the list; they count as the first file
+          onProgress: (loaded, total, file) => this._emitLoadProgress(file.name, Math.max(fileList.indexOf(file), 0), fileList.length, loaded, total)
+        });
+      } finally {
+        this._endLoad(signal);
+      }
 
       if (!result.mainFile) {
         throw new Error(getMessage('file.validation_failed', { error: getMessage('spine.invalid_extension') }));
@@ -492,6 +775,14 @@ class SpineViewer extends HTMLElement {
         this._showProgress(getMessage('file.multiple_errors'), 'warning');
       }
 
+      if (result.dependencies.unusedTextures && result.dependencies.unusedTextures.length > 0) {
+        const message = getMessage('atlas.unused_images', { images: result.dependencies.unusedTextures.join(', ') });
+        console.warn(`[SpineViewer] ${message}`);
+        this.dispatchEvent(new CustomEvent('atlas-warning', {
+          detail: { message, unused: result.dependencies.unusedTextures }
+        }));
+      }
+
       // Register atlas and texture URLs in resource manager
       if (result.dependencies.atlas) {
         this.resourceManager.createObjectURL(null, 'atlas-file');
@@ -551,7 +842,8 @@ class SpineViewer extends HTMLElement {
         mainFile: result.mainFile,
         dependencies: result.dependencies,
         processed: result.processed,
-        errors: result.errors
+        errors: result.errors,
+        warnings: result.warnings
       };
 
     } catch (error) {
@@ -568,6 +860,116 @@ class SpineViewer extends HTMLElement {
     }
   }
 
+  /**
+   * Sets file size limits per category
+   * Limits can also be given in MB with the max-skeleton-size, max-atlas-size,
+   * max-texture-size and max-archive-size attributes.
+   * @param {Object} limits - Limits in bytes, e.g. { texture: 256 * 1024 * 1024 }
+   */
+  setFileSizeLimits(limits) {
+    this.fileProcessor.setSizeLimits(limits);
+  }
+
+  /**
+   * Gets the file size limits per category
+   * @returns {{skeleton: number, atlas: number, texture: number, archive: number}} Limits in bytes
+   */
+  getFileSizeLimits() {
+    return { ...this.fileProcessor.sizeLimits };
+  }
+
+  /**
+   * Reads local files in chunks after checking their size limits
+   * Raises a cancelable `load-progress` event after every chunk; calling
+   * preventDefault() on it (or calling cancelLoad()) rejects with an AbortError.
+   * @param {FileList|Array<File>} files - Files to read
+   * @param {Object} [options]
+   * @param {'text'|'arraybuffer'|'dataurl'} [options.as='dataurl'] - Result format
+   * @returns {Promise<Array<string|ArrayBuffer>>} File contents in the order given
+   */
+  async readLocalFiles(files, options = {}) {
+    const { as = 'dataurl' } = options;
+    const fileList = Array.from(files);
+    fileList.forEach(file => this.fileProcessor.checkFileSize(file));
+
+    const signal = this._beginLoad();
+    const total = fileList.reduce((sum, file) => sum + file.size, 0);
+    let completed = 0;
+
+    try {
+      const results = [];
+      for (const [index, file] of fileList.entries()) {
+        results.push(await this.fileProcessor.readFileChunked(file, {
+          as,
+          signal,
+          onProgress: (loaded) => this._emitLoadProgress(file.name, index, fileList.length, completed + loaded, total)
+        }));
+        completed += file.size;
+      }
+      return results;
+    } finally {
+      this._endLoad(signal);
+    }
+  }
+
+  /**
+   * Cancels the local file read in progress, if any
+   */
+  cancelLoad() {
+    if (this._loadController) {
+      this._loadController.abort();
+      this._loadController = null;
+    }
+  }
+
+  /**
+   * Starts a cancellable load, cancelling the previous one
+   * @private
+   * @returns {AbortSignal}
+   */
+  _beginLoad() {
+    this.cancelLoad();
+    this._loadController = new AbortController();
+    return this._loadController.signal;
+  }
+
+  /**
+   * Forgets the controller of a finished load
+   * @private
+   * @param {AbortSignal} signal - Signal returned by _beginLoad
+   */
+  _endLoad(signal) {
+    if (this._loadController && this._loadController.signal === signal) {
+      this._loadController = null;
+    }
+  }
+
+  /**
+   * Dispatches a cancelable load-progress event and cancels the load if it was prevented
+   * @private
+   * @param {string} fileName - File being read
+   * @param {number} fileIndex - Index of the file in the load
+   * @param {number} fileCount - Number of files in the load
+   * @param {number} loaded - Bytes read so far across all files
+   * @param {number} total - Total bytes of all files
+   */
+  _emitLoadProgress(fileName, fileIndex, fileCount, loaded, total) {
+    const event = new CustomEvent('load-progress', {
+      cancelable: true,
+      detail: {
+        fileName,
+        fileIndex,
+        fileCount,
+        loaded,
+        total,
+        percent: total > 0 ? Math.round((loaded / total) * 100) : 100
+      }
+    });
+    if (!this.dispatchEvent(event)) {
+      this.cancelLoad();
+    }
+  }
+
   /**
    * Check if the browser supports local file loading
    * @returns {boolean} True if local file loading is supported
@@ -682,6 +1084,7 @@ class SpineViewer extends HTMLElement {
   }
 
   disconnectedCallback() {
+    this.cancelLoad();
     if (this.resizeObserver) {
       this.resizeObserver.disconnect();
     }
@@ -696,6 +1099,10 @@ class SpineViewer extends HTMLElement {
     if (this.fileProcessor) {
       this.fileProcessor.cleanupAllUrls();
     }
+    if (this._eventAudio) {
+      this._eventAudio.destroy();
+      this._eventAudio = null;
+    }
     // Clean up multi-track
     if (this._multiTrackSequence) {
       this._multiTrackSequence.clear();
@@ -721,6 +1128,9 @@ class SpineViewer extends HTMLElement {
     }
 
     this.spine.state.timeScale = speed;
+    if (this._eventAudio && speed >= 0) {
+      this._eventAudio.setPlaybackRate(speed);
+    }
   }
 
   getCurrentAnimation() {
@@ -767,6 +1177,127 @@ class SpineViewer extends HTMLElement {
     return [];
   }
 
+  /**
+   * Get the event keys of an animation
+   * @param {string} animationName - Name of the animation
+   * @returns {{duration: number, events: Array<Object>}|null} See getAnimationEvents in
+   *   utils/spineEvents.js; null without a skeleton or when the animation does not exist
+   */
+  getAnimationEvents(animationName) {
+    return this.spine ? getAnimationEvents(this.spine.spineData, animationName) : null;
+  }
+
+  /**
+   * Re-dispatch the events fired by the animation state as `spine-event`, with detail
+   * {name, int, float, string, audio, volume, balance, time, track, animation}
+   * @private
+   */
+  _listenForSpineEvents() {
+    this.spine.state.addListener({
+      event: (trackEntry, event) => {
+        const detail = describeSpineEvent(event, trackEntry);
+        this.dispatchEvent(new CustomEvent('spine-event', { detail }));
+        // Only events reached by playback sound; an entry moved to a time (seek, pose) hasn't advanced
+        if (this._eventAudio && detail.audio && trackEntry.trackTime > trackEntry.trackLast) {
+          this._eventAudio.play(detail.audio, {
+            volume: detail.volume,
+            balance: detail.balance,
+            rate: trackEntry.timeScale ?? 1
+          });
+        }
+      }
+    });
+  }
+
+  /**
+   * Get the audio files referenced by the events of the loaded skeleton
+   * @returns {string[]} Event audio paths
+   */
+  getEventAudioPaths() {
+    return this.spine ? getEventAudioPaths(this.spine.spineData) : [];
+  }
+
+  /**
+   * Load the sounds of event audio paths from local files
+   * Sounds play with the event volume and balance when their events fire.
+   * @param {File|Array<File>|FileList|Array<{path: string, file: File}>} source - A zip archive,
+   *   the files of a selected folder (webkitRelativePath is used as path) or files with paths
+   * @returns {Promise<{loaded: string[], missing: string[], unused: string[], failed: Array<{path: string, error: string}>}>}
+   *   Loaded and missing event audio paths, provided audio files no event uses and files that could not be decoded
+   * @throws {Error} If no skeleton is loaded or the archive cannot be read
+   */
+  async loadEventAudio(source) {
+    if (!this.spine) {
+      throw new Error('No skeleton loaded');
+    }
+
+    const entries = [];
+    const items = source instanceof Blob ? [source] : Array.from(source || []);
+    for (const item of items) {
+      if (item && item.file && typeof item.path === 'string') {
+        entries.push(item);
+      } else if (this.fileProcessor.isZipFile(item)) {
+        entries.push(...await this.fileProcessor.extractZip(item));
+      } else if (item) {
+        entries.push({ path: item.webkitRelativePath || item.name, file: item });
+      }
+    }
+
+    const { files, missing, unused } = matchAudioFiles(entries, this.getEventAudioPaths());
+    const { loaded, failed } = await this._getEventAudio().load(files);
+
+    const report = { loaded, missing, unused, failed };
+    this.dispatchEvent(new CustomEvent('event-audio-loaded', { detail: report }));
+    return report;
+  }
+
+  /**
+   * Mute or unmute event sounds
+   * @param {boolean} muted
+   */
+  setEventAudioMuted(muted) {
+    this._getEventAudio().setMuted(muted);
+  }
+
+  /**
+   * @returns {boolean} True while event sounds are muted
+   */
+  isEventAudioMuted() {
+    return this._eventAudio ? this._eventAudio.isMuted() : false;
+  }
+
+  /**
+   * Create the event sound player on first use, at the current playback speed
+   * @returns {EventAudioPlayer}
+   * @private
+   */
+  _getEventAudio() {
+    if (!this._eventAudio) {
+      this._eventAudio = new EventAudioPlayer();
+      const speed = this.spine ? this.spine.state.timeScale : 1;
+      this._eventAudio.setPlaybackRate(speed >= 0 ? speed : 1);
+    }
+    return this._eventAudio;
+  }
+
+  /**
+   * Stop the event sounds that are playing
+   */
+  stopEventAudio() {
+    if (this._eventAudio) {
+      this._eventAudio.stopAll();
+    }
+  }
+
+  /**
+   * Stop and forget every loaded event sound
+   */
+  clearEventAudio() {
+    if (this._eventAudio) {
+      this._eventAudio.clear();
+    }
+  }
+
   /**
    * Get bones controlled by a specific animation
    * @param {string} animationName - Name of the animation
@@ -856,84 +1387,1897 @@ class SpineViewer extends HTMLElement {
     });
   }
 
-  setScale(scale) {
-    if (this.spineContainer && this.app && this.spine) {
-      this.spineContainer.scale.set(scale, scale);
-      this.centerSpine();
-    }
+  /**
+   * Render an animation (or a multi-track sequence cycle) offline into PNG frames
+   * The AnimationState is posed at exact frame times, so the output does not
+   * depend on the display frame rate; on-screen playback is restored afterwards.
+   * @param {Object} options - FrameExporter options
+   * @param {string} [options.animation] - Animation to export (default: current animation)
+   * @param {boolean|MultiTrackSequence} [options.sequence] - Export one cycle of a multi-track sequence instead (true: this viewer's sequence)
+   * @param {number} [options.fps=30] - Frames per second
+   * @param {number|null} [options.width] - Frame width in pixels (content is fitted)
+   * @param {number|null} [options.height] - Frame height in pixels (content is fitted)
+   * @param {number|string|null} [options.background] - Fill color, null for transparent frames
+   * @param {number} [options.padding=10] - Border around the content in pixels
+   * @param {boolean} [options.crop=true] - Crop to the skeleton bounds; false keeps the on-screen framing
+   * @param {boolean} [options.spriteSheet=false] - Also pack the frames into one sheet with a JSON frame map
+   * @param {Function} [options.onProgress] - Called with {phase, index, total}
+   * @returns {Promise<{name: string, fps: number, duration: number, width: number, height: number, frames: Array<{index: number, time: number, name: string, blob: Blob}>, spriteSheet: Object|null}>}
+   */
+  async exportFrames(options = {}) {
+    const exporter = this._createFrameExporter();
+    const { source, exportOptions } = await this._createFrameSource(exporter, options);
+    const result = await exporter.exportPoses(source, exportOptions);
+    return options.sequence ? result : { animation: source.name, ...result };
   }
 
-  getZoom() {
-    return this.spineContainer ? this.spineContainer.scale.x : 1;
+  /**
+   * Export an animation as a zip of PNG frames plus sprite sheet
+   * @param {Object} options - Same as exportFrames(); spriteSheet defaults to true
+   * @returns {Promise<Blob>} application/zip archive
+   */
+  async exportFramesZip(options = {}) {
+    const result = await this.exportFrames({ spriteSheet: true, ...options });
+    return FrameExporter.createArchive(result);
   }
 
-  setZoom(scale) {
-    if (!this.spineContainer) return;
-    const clamped = Math.min(this.maxZoom, Math.max(this.minZoom, scale));
-    this.setScale(clamped);
+  /**
+   * Export an animation (or a multi-track sequence cycle) as an animated GIF or APNG
+   * @param {Object} options - Same as exportFrames(), plus:
+   * @param {string} [options.format='gif'] - 'gif' or 'apng'
+   * @param {number} [options.loop=0] - Number of plays, 0 to loop forever
+   * @returns {Promise<{format: string, blob: Blob, name: string, fps: number, duration: number, width: number, height: number, frameCount: number}>}
+   */
+  async exportAnimatedImage(options = {}) {
+    const exporter = this._createFrameExporter();
+    const { source, exportOptions } = await this._createFrameSource(exporter, options);
+    return exporter.encodePoses(source, exportOptions);
   }
 
-  setZoomLimits(min, max) {
-    if (min > 0 && max >= min) {
-      this.minZoom = min;
-      this.maxZoom = max;
-      // adjust current zoom if outside
-      if (this.spineContainer) {
-        const current = this.getZoom();
-        if (current < min || current > max) this.setZoom(current);
-      }
+  /**
+   * Capture a small PNG preview of the current frame (used for library thumbnails)
+   * @param {number} [size=96] - Longest side in pixels
+   * @returns {Promise<Blob|null>} PNG image, or null when nothing is loaded
+   */
+  async captureThumbnail(size = 96) {
+    if (!this.app || !this.spine) {
+      return null;
     }
+
+    const source = this.app.renderer.extract.canvas(this.app.stage);
+    const ratio = Math.min(1, size / Math.max(source.width, source.height, 1));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(source.width * ratio));
+    canvas.height = Math.max(1, Math.round(source.height * ratio));
+    canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+
+    return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
   }
 
-  enableWheelZoom() { this.zoomEnabled = true; }
-  disableWheelZoom() { this.zoomEnabled = false; }
+  /**
+   * Show ghost poses before and after the current time of the track 0 animation
+   * The ghosts live in the same container as the skeleton, so they follow pan and zoom.
+   * @param {Object} [options] - See DEFAULT_ONION_SKIN_OPTIONS in utils/onionSkin.js
+   * @param {number} [options.before=3] - Ghosts before the current time
+   * @param {number} [options.after=3] - Ghosts after the current time
+   * @param {number} [options.frameSpacing=2] - Frames between ghosts
+   * @param {number} [options.fps=30] - Frame rate for frameSpacing
+   * @param {number} [options.pastTint] - Tint of earlier ghosts
+   * @param {number} [options.futureTint] - Tint of later ghosts
+   * @param {number} [options.alpha=0.45] - Opacity of the nearest ghosts
+   * @param {number} [options.falloff=0.65] - Opacity multiplier per further ghost
+   */
+  enableOnionSkin(options = {}) {
+    const base = this._onionSkin ? this._onionSkin.options : undefined;
+    const normalized = normalizeOnionSkinOptions(options, base);
+    this._destroyOnionGhosts();
+    this._onionSkin = { options: normalized, ghosts: [], ticker: null };
+    this._buildOnionGhosts();
+  }
 
-  _setupWheelZoom() {
-    this._removeWheelZoom();
-    if (!this.app) return;
-    const view = this.app.view;
-    this._wheelListener = (e) => {
-      if (!this.zoomEnabled || !this.spineContainer) return;
-      e.preventDefault();
-      const rect = view.getBoundingClientRect();
-      const mouseX = e.clientX - rect.left;
-      const mouseY = e.clientY - rect.top;
-      const before = this.getZoom();
-      const factor = (e.deltaY > 0 ? 1 / this.zoomStep : this.zoomStep);
-      let target = before * factor;
-      target = Math.min(this.maxZoom, Math.max(this.minZoom, target));
-      if (Math.abs(target - before) < 1e-6) return;
-      const worldPosBefore = {
-        x: (mouseX - this.spineContainer.position.x) / before,
-        y: (mouseY - this.spineContainer.position.y) / before,
-      };
-      if (this.zoomSmooth) {
-        this._zoomTarget = target;
-        this._zoomAnchor = { mouseX, mouseY, worldX: worldPosBefore.x, worldY: worldPosBefore.y };
-      } else {
-        this.spineContainer.scale.set(target, target);
-        this.spineContainer.position.set(
-          mouseX - worldPosBefore.x * target,
-          mouseY - worldPosBefore.y * target
-        );
-        if (this.skeletonDebugGraphics) {
-          this.skeletonDebugGraphics.position.copyFrom(this.spine.position);
-        }
-        // labels removed
-      }
-    };
-    view.addEventListener('wheel', this._wheelListener, { passive: false });
+  /**
+   * Change onion skin options (enables onion skinning if it is off)
+   * @param {Object} options - Options to change, see enableOnionSkin
+   */
+  setOnionSkinOptions(options) {
+    this.enableOnionSkin(options);
   }
 
-  _removeWheelZoom() {
-    if (this._wheelListener && this.app) {
-      this.app.view.removeEventListener('wheel', this._wheelListener);
+  /**
+   * Remove the ghost poses
+   */
+  disableOnionSkin() {
+    this._destroyOnionGhosts();
+    this._onionSkin = null;
+  }
+
+  /**
+   * @returns {boolean} True while onion skinning is enabled
+   */
+  isOnionSkinEnabled() {
+    return !!this._onionSkin;
+  }
+
+  /**
+   * @returns {Object|null} Current onion skin options, or null when disabled
+   */
+  getOnionSkinOptions() {
+    return this._onionSkin ? { ...this._onionSkin.options } : null;
+  }
+
+  /**
+   * Create one ghost skeleton per ghost pose, drawn behind the skeleton
+   * @private
+   */
+  _buildOnionGhosts() {
+    if (!this._onionSkin || !this.app || !this.spine || !this.spineContainer) return;
+
+    const { before, after } = this._onionSkin.options;
+    for (let i = 0; i < before + after; i++) {
+      const ghost = this._createSpineCopy();
+      ghost.autoUpdate = false;
+      ghost.visible = false;
+      ghost.zIndex = -1;
+      this.spineContainer.addChild(ghost);
+      this._onionSkin.ghosts.push(ghost);
     }
-    this._wheelListener = null;
+
+    this._onionSkin.ticker = () => this._updateOnionSkin();
+    this.app.ticker.add(this._onionSkin.ticker);
+    this._updateOnionSkin();
   }
 
-  _setupPointerInteractions() {
-    this._removePointerInteractions();
+  /**
+   * Remove ghost skeletons and their ticker (options are kept)
+   * @private
+   */
+  _destroyOnionGhosts() {
+    if (!this._onionSkin) return;
+
+    if (this._onionSkin.ticker && this.app) {
+      this.app.ticker.remove(this._onionSkin.ticker);
+    }
+    this._onionSkin.ghosts.forEach(ghost => ghost.destroy());
+    this._onionSkin.ghosts = [];
+    this._onionSkin.ticker = null;
+  }
+
+  /**
+   * Pose every ghost at its offset from the current track 0 time
+   * @private
+   */
+  _updateOnionSkin() {
+    if (!this._onionSkin || !this.spine) return;
+
+    const entry = this.spine.state.tracks[0];
+    const frames = entry && entry.animation
+      ? computeGhostFrames(this._onionSkin.options, {
+        time: entry.trackTime,
+        duration: entry.animation.duration,
+        loop: entry.loop
+      })
+      : [];
+
+    this._onionSkin.ghosts.forEach((ghost, index) => {
+      const frame = frames[index];
+      if (!frame || !frame.visible) {
+        ghost.visible = false;
+        return;
+      }
+
+      // Same origin as the skeleton; pan and zoom apply through the shared container
+      ghost.position.copyFrom(this.spine.position);
+      ghost.alpha = frame.alpha;
+      ghost.tint = frame.tint;
+      if (ghost.skeleton.skin !== this.spine.skeleton.skin) {
+        ghost.skeleton.setSkin(this.spine.skeleton.skin);
+        ghost.skeleton.setSlotsToSetupPose();
+      }
+
+      let ghostEntry = ghost.state.tracks[0];
+      if (!ghostEntry || ghostEntry.animation.name !== entry.animation.name) {
+        ghostEntry = ghost.state.setAnimation(0, entry.animation.name, entry.loop);
+      }
+      ghostEntry.trackTime = frame.time;
+      ghost.update(0);
+      ghost.visible = true;
+    });
+  }
+
+  /**
+   * Draw the world-space path of bones over the whole track 0 animation
+   * Segments are colored by playback speed and ticks mark equal steps of playback time.
+   * The trail is sampled again when the animation, skin or playback speed changes.
+   * While enabled, clicking a bone (with skeleton debug on) traces it; shift-click adds or removes bones.
+   * @param {Object} [options] - See DEFAULT_MOTION_TRAIL_OPTIONS in utils/motionTrail.js
+   * @param {number} [options.fps=30] - Samples per second of animation time
+   * @param {number} [options.tickInterval=0.25] - Seconds of playback between ticks, 0 for none
+   * @param {number} [options.slowColor] - Color of the slowest segments
+   * @param {number} [options.fastColor] - Color of the fastest segments
+   * @param {number|null} [options.maxSpeed=null] - Speed drawn in fastColor, null for the fastest segment
+   * @param {number} [options.lineWidth=2] - Line width in screen pixels
+   * @param {number} [options.tickLength=6] - Tick length in screen pixels
+   * @param {number} [options.alpha=0.9] - Trail opacity
+   */
+  enableMotionTrails(options = {}) {
+    const previous = this._motionTrail;
+    const normalized = normalizeMotionTrailOptions(options, previous ? previous.options : undefined);
+    this._destroyMotionTrail();
+    this._motionTrail = {
+      options: normalized,
+      bones: previous ? previous.bones : [],
+      trails: new Map(),
+      graphics: null,
+      ticker: null,
+      key: null,
+      scale: null
+    };
+    this._buildMotionTrail();
+  }
+
+  /**
+   * Change motion trail options (enables motion trails if they are off)
+   * @param {Object} options - Options to change, see enableMotionTrails
+   */
+  setMotionTrailOptions(options) {
+    this.enableMotionTrails(options);
+  }
+
+  /**
+   * Remove the motion trails (the traced bones are forgotten)
+   */
+  disableMotionTrails() {
+    this._destroyMotionTrail();
+    this._motionTrail = null;
+  }
+
+  /**
+   * @returns {boolean} True while motion trails are enabled
+   */
+  isMotionTrailEnabled() {
+    return !!this._motionTrail;
+  }
+
+  /**
+   * Choose the bones to trace (enables motion trails if they are off)
+   * @param {string[]} boneNames - Bone names, an empty list clears the trails
+   * @throws {Error} If a bone does not exist in the loaded skeleton
+   */
+  setMotionTrailBones(boneNames) {
+    const names = [...new Set(boneNames)];
+    if (this.spine) {
+      const missing = names.find(name => !this.spine.skeleton.findBone(name));
+      if (missing) throw new Error(`Bone not found: ${missing}`);
+    }
+    if (!this._motionTrail) {
+      this.enableMotionTrails();
+    }
+    this._motionTrail.bones = names;
+    this.refreshMotionTrails();
+  }
+
+  /**
+   * Trace one more bone
+   * @param {string} boneName
+   */
+  addMotionTrailBone(boneName) {
+    this.setMotionTrailBones([...this.getMotionTrailBones(), boneName]);
+  }
+
+  /**
+   * Stop tracing a bone
+   * @param {string} boneName
+   */
+  removeMotionTrailBone(boneName) {
+    this.setMotionTrailBones(this.getMotionTrailBones().filter(name => name !== boneName));
+  }
+
+  /**
+   * @returns {string[]} Names of the traced bones
+   */
+  getMotionTrailBones() {
+    return this._motionTrail ? [...this._motionTrail.bones] : [];
+  }
+
+  /**
+   * Sample and draw the trails again on the next frame
+   */
+  refreshMotionTrails() {
+    if (!this._motionTrail) return;
+    this._motionTrail.key = null;
+    this._updateMotionTrail();
+  }
+
+  /**
+   * Follow click selection: a click traces the selected bone only, shift-click toggles a bone
+   * @param {string} boneName - Clicked bone
+   * @param {boolean} additive - True for shift-click
+   * @private
+   */
+  _selectMotionTrailBone(boneName, additive) {
+    if (!this._motionTrail) return;
+
+    const bones = this._motionTrail.bones;
+    if (additive) {
+      this._motionTrail.bones = bones.includes(boneName)
+        ? bones.filter(name => name !== boneName)
+        : [...bones, boneName];
+    } else {
+      this._motionTrail.bones = this._selectedBoneName ? [this._selectedBoneName] : [];
+    }
+    this.refreshMotionTrails();
+  }
+
+  /**
+   * Create the trail graphics and the ticker that keeps them current
+   * @private
+   */
+  _buildMotionTrail() {
+    if (!this._motionTrail || !this.app || !this.spine || !this.spineContainer) return;
+
+    const graphics = new PIXI.Graphics();
+    graphics.zIndex = 9997; // above the skeleton debug lines, below the hover joint
+    this.spineContainer.addChild(graphics);
+    this._motionTrail.graphics = graphics;
+
+    this._motionTrail.ticker = () => this._updateMotionTrail();
+    this.app.ticker.add(this._motionTrail.ticker);
+    this._updateMotionTrail();
+  }
+
+  /**
+   * Remove the trail graphics and ticker (options and bones are kept)
+   * @private
+   */
+  _destroyMotionTrail() {
+    if (!this._motionTrail) return;
+
+    if (this._motionTrail.ticker && this.app) {
+      this.app.ticker.remove(this._motionTrail.ticker);
+    }
+    if (this._motionTrail.graphics) {
+      this._motionTrail.graphics.destroy();
+    }
+    this._motionTrail.graphics = null;
+    this._motionTrail.ticker = null;
+    this._motionTrail.trails = new Map();
+    this._motionTrail.key = null;
+  }
+
+  /**
+   * Resample when the animation, skin, speed or bones change; redraw when the zoom changes
+   * @private
+   */
+  _updateMotionTrail() {
+    const trail = this._motionTrail;
+    if (!trail || !trail.graphics || !this.spine) return;
+
+    const entry = this.spine.state.tracks[0];
+    const skin = this.spine.skeleton.skin;
+    const key = [
+      entry && entry.animation ? entry.animation.name : '',
+      skin ? skin.name : '',
+      this.spine.state.timeScale,
+      trail.bones.join('|')
+    ].join('\n');
+    const scale = this.spineContainer ? this.spineContainer.scale.x || 1 : 1;
+
+    if (key !== trail.key) {
+      trail.key = key;
+      this._sampleMotionTrails(entry);
+      this._drawMotionTrails(scale);
+    } else if (scale !== trail.scale) {
+      this._drawMotionTrails(scale);
+    }
+    if (!trail.graphics.position.equals(this.spine.position)) {
+      trail.graphics.position.copyFrom(this.spine.position);
+    }
+  }
+
+  /**
+   * Pose an offscreen copy of the skeleton across the animation and record the bone paths
+   * @param {Object|null} entry - Current track 0 entry
+   * @private
+   */
+  _sampleMotionTrails(entry) {
+    const trail = this._motionTrail;
+    trail.trails = new Map();
+    if (!entry || !entry.animation || trail.bones.length === 0) {
+      this._emitMotionTrailUpdated(null);
+      return;
+    }
+
+    const sampler = this._createSpineCopy();
+    try {
+      if (this.spine.skeleton.skin) {
+        sampler.skeleton.setSkin(this.spine.skeleton.skin);
+        sampler.skeleton.setSlotsToSetupPose();
+      }
+      const samplerEntry = sampler.state.setAnimation(0, entry.animation.name, false);
+      trail.trails = sampleBoneTrails((time) => {
+        samplerEntry.trackTime = time;
+        sampler.update(0);
+        return sampler.skeleton;
+      }, trail.bones, { duration: entry.animation.duration, fps: trail.options.fps });
+    } finally {
+      sampler.destroy();
+    }
+    this._emitMotionTrailUpdated(entry.animation);
+  }
+
+  /**
+   * Draw the sampled trails with scale-compensated line widths
+   * @param {number} scale - Current zoom
+   * @private
+   */
+  _drawMotionTrails(scale) {
+    const trail = this._motionTrail;
+    const g = trail.graphics;
+    const { options } = trail;
+    const timeScale = this.spine.state.timeScale;
+    const inv = 1 / (scale || 1);
+    trail.scale = scale;
+    g.clear();
+
+    const segmentsByBone = [...trail.trails.values()].map(points => computeTrailSegments(points, timeScale));
+    const fastest = Math.max(0, ...segmentsByBone.flat().map(segment => segment.speed));
+    const maxSpeed = options.maxSpeed ?? fastest;
+
+    [...trail.trails.values()].forEach((points, index) => {
+      segmentsByBone[index].forEach(segment => {
+        g.lineStyle(options.lineWidth * inv, velocityColor(segment.speed, maxSpeed, options.slowColor, options.fastColor), options.alpha);
+        g.moveTo(segment.x1, segment.y1);
+        g.lineTo(segment.x2, segment.y2);
+      });
+
+      const half = (options.tickLength * inv) / 2;
+      g.lineStyle(Math.max(1, options.lineWidth * 0.75) * inv, 0xffffff, options.alpha);
+      computeTrailTicks(points, options.tickInterval, timeScale).forEach(tick => {
+        g.moveTo(tick.x - tick.nx * half, tick.y - tick.ny * half);
+        g.lineTo(tick.x + tick.nx * half, tick.y + tick.ny * half);
+      });
+
+      // Mark where the animation starts
+      g.lineStyle(0);
+      g.beginFill(0xffffff, options.alpha);
+      g.drawCircle(points[0].x, points[0].y, options.lineWidth * 1.5 * inv);
+      g.endFill();
+    });
+  }
+
+  /**
+   * Report the traced bones with their path length and top speed
+   * @param {Object|null} animation - Sampled animation, or null when nothing is traced
+   * @private
+   */
+  _emitMotionTrailUpdated(animation) {
+    const timeScale = this.spine ? this.spine.state.timeScale : 1;
+    const bones = [...this._motionTrail.trails.entries()].map(([name, points]) => {
+      const segments = computeTrailSegments(points, timeScale);
+      return {
+        name,
+        length: segments.reduce((sum, segment) => sum + Math.hypot(segment.x2 - segment.x1, segment.y2 - segment.y1), 0),
+        maxSpeed: Math.max(0, ...segments.map(segment => segment.speed))
+      };
+    });
+    this.dispatchEvent(new CustomEvent('motion-trail-updated', {
+      detail: {
+        animation: animation ? animation.name : null,
+        duration: animation ? animation.duration : 0,
+        bones
+      }
+    }));
+  }
+
+  /**
+   * Describe every slot of the live skeleton in current draw order
+   * @returns {Array<Object>} See inspectSlots in utils/slotInspector.js (empty when nothing is loaded)
+   */
+  getSlotInspection() {
+    return this.spine ? inspectSlots(this.spine.skeleton) : [];
+  }
+
+  /**
+   * Watch the slots during playback
+   * A `slot-inspector-update` event with {slots} is dispatched whenever an attachment,
+   * color, blend mode or the draw order changes (and once right away).
+   */
+  enableSlotInspector() {
+    if (this._slotInspector) return;
+    this._slotInspector = { ticker: null, signature: null };
+    this._buildSlotInspector();
+  }
+
+  /**
+   * Stop watching the slots
+   */
+  disableSlotInspector() {
+    this._destroySlotInspector();
+    this._slotInspector = null;
+  }
+
+  /**
+   * @returns {boolean} True while the slot inspector is enabled
+   */
+  isSlotInspectorEnabled() {
+    return !!this._slotInspector;
+  }
+
+  /**
+   * Outline a slot's current attachment on the canvas
+   * @param {string|null} slotName - Slot to highlight, null to clear the highlight
+   * @throws {Error} If the slot does not exist in the loaded skeleton
+   */
+  highlightSlot(slotName) {
+    if (!slotName) {
+      this.clearSlotHighlight();
+      return;
+    }
+    if (this.spine && !this.spine.skeleton.findSlot(slotName)) {
+      throw new Error(`Slot not found: ${slotName}`);
+    }
+
+    this._destroySlotHighlight();
+    this._slotHighlight = { name: slotName, graphics: null, ticker: null };
+    this._buildSlotHighlight();
+    this.dispatchEvent(new CustomEvent('slot-highlight-changed', { detail: { slot: slotName } }));
+  }
+
+  /**
+   * Remove the slot highlight
+   */
+  clearSlotHighlight() {
+    if (!this._slotHighlight) return;
+    this._destroySlotHighlight();
+    this._slotHighlight = null;
+    this.dispatchEvent(new CustomEvent('slot-highlight-changed', { detail: { slot: null } }));
+  }
+
+  /**
+   * @returns {string|null} Name of the highlighted slot
+   */
+  getHighlightedSlot() {
+    return this._slotHighlight ? this._slotHighlight.name : null;
+  }
+
+  /**
+   * Register the ticker that reports slot changes
+   * @private
+   */
+  _buildSlotInspector() {
+    if (!this._slotInspector || !this.app || !this.spine) return;
+
+    this._slotInspector.signature = null;
+    this._slotInspector.ticker = () => this._updateSlotInspector();
+    this.app.ticker.add(this._slotInspector.ticker);
+    this._updateSlotInspector();
+  }
+
+  /**
+   * Remove the slot inspector ticker
+   * @private
+   */
+  _destroySlotInspector() {
+    if (!this._slotInspector) return;
+
+    if (this._slotInspector.ticker && this.app) {
+      this.app.ticker.remove(this._slotInspector.ticker);
+    }
+    this._slotInspector.ticker = null;
+  }
+
+  /**
+   * Dispatch the slot list when it differs from the last one reported
+   * @private
+   */
+  _updateSlotInspector() {
+    if (!this._slotInspector || !this.spine) return;
+
+    const slots = this.getSlotInspection();
+    const signature = JSON.stringify(slots);
+    if (signature === this._slotInspector.signature) return;
+    this._slotInspector.signature = signature;
+    this.dispatchEvent(new CustomEvent('slot-inspector-update', { detail: { slots } }));
+  }
+
+  /**
+   * Create the highlight graphics (in stage coordinates) and the ticker that follows the slot
+   * @private
+   */
+  _buildSlotHighlight() {
+    if (!this._slotHighlight || !this.app || !this.spine) return;
+
+    const graphics = new PIXI.Graphics();
+    graphics.zIndex = 9997;
+    this.app.stage.addChild(graphics);
+    this._slotHighlight.graphics = graphics;
+
+    this._slotHighlight.ticker = () => this._drawSlotHighlight();
+    this.app.ticker.add(this._slotHighlight.ticker);
+    this._drawSlotHighlight();
+  }
+
+  /**
+   * Remove the highlight graphics and ticker
+   * @private
+   */
+  _destroySlotHighlight() {
+    if (!this._slotHighlight) return;
+
+    if (this._slotHighlight.ticker && this.app) {
+      this.app.ticker.remove(this._slotHighlight.ticker);
+    }
+    if (this._slotHighlight.graphics) {
+      this._slotHighlight.graphics.destroy();
+    }
+    this._slotHighlight.graphics = null;
+    this._slotHighlight.ticker = null;
+  }
+
+  /**
+   * Outline the highlighted slot: vertex attachments by their world vertices (the hull for
+   * meshes), point attachments by a circle and regions by the bounds of their sprite
+   * @private
+   */
+  _drawSlotHighlight() {
+    if (!this._slotHighlight || !this._slotHighlight.graphics || !this.spine) return;
+
+    const g = this._slotHighlight.graphics;
+    g.clear();
+    const slot = this.spine.skeleton.findSlot(this._slotHighlight.name);
+    const attachment = slot ? slot.getAttachment() : null;
+    if (!attachment) return;
+
+    const type = getAttachmentType(attachment);
+    const color = this.highlightColor;
+    g.lineStyle(2, color, 0.95);
+
+    if (type === 'point') {
+      const position = this.spine.toGlobal(attachment.computeWorldPosition(slot.bone, new PIXI.Point()));
+      g.beginFill(color, 0.25);
+      g.drawCircle(position.x, position.y, 8);
+      g.endFill();
+      return;
+    }
+
+    if (attachment.worldVerticesLength) {
+      const count = type === 'mesh' && attachment.hullLength ? attachment.hullLength : attachment.worldVerticesLength;
+      const vertices = new Float32Array(count);
+      attachment.computeWorldVertices(slot, 0, count, vertices, 0, 2);
+      const points = [];
+      for (let i = 0; i < count; i += 2) {
+        const point = this.spine.toGlobal(new PIXI.Point(vertices[i], vertices[i + 1]));
+        points.push(point.x, point.y);
+      }
+      if (type === 'path') {
+        g.moveTo(points[0], points[1]);
+        for (let i = 2; i < points.length; i += 2) g.lineTo(points[i], points[i + 1]);
+      } else {
+        g.beginFill(color, 0.15);
+        g.drawPolygon(points);
+        g.endFill();
+      }
+      return;
+    }
+
+    const slotContainer = this.spine.slotContainers ? this.spine.slotContainers[slot.data.index] : null;
+    if (slotContainer && slotContainer.visible) {
+      const bounds = slotContainer.getBounds();
+      g.beginFill(color, 0.15);
+      g.drawRect(bounds.x, bounds.y, bounds.width, bounds.height);
+      g.endFill();
+    }
+  }
+
+  /**
+   * @returns {Array<{name: string, children: Array}>} Bone tree of the loaded skeleton (see buildBoneTree)
+   */
+  getBoneHierarchy() {
+    return this.spine ? buildBoneTree(this.spine.skeleton.bones) : [];
+  }
+
+  /**
+   * Read local and world transform values of every bone
+   * @param {'current'|'setup'} [pose='current'] - The live pose, or the setup pose of the current skin
+   * @returns {Object<string, {local: Object, world: Object}>} Transforms by bone name (see describeBoneTransforms)
+   */
+  getBoneTransforms(pose = 'current') {
+    if (!this.spine) return {};
+    if (pose !== 'setup') return describeBoneTransforms(this.spine.skeleton);
+
+    // The setup pose only changes with the skin; pose an offscreen copy once per skin
+    const skin = this.spine.skeleton.skin;
+    const key = skin ? skin.name : '';
+    if (!this._setupPoseTransforms || this._setupPoseTransforms.key !== key) {
+      const setup = this._createSpineCopy();
+      try {
+        if (skin) setup.skeleton.setSkin(skin);
+        setup.skeleton.setToSetupPose();
+        setup.skeleton.updateWorldTransform();
+        this._setupPoseTransforms = { key, transforms: describeBoneTransforms(setup.skeleton) };
+      } finally {
+        setup.destroy();
+      }
+    }
+    return this._setupPoseTransforms.transforms;
+  }
+
+  /**
+   * Watch bone transforms during playback
+   * A `bone-inspector-update` event with {pose, transforms} is dispatched whenever a value
+   * changes (and once right away).
+   * @param {Object} [options]
+   * @param {'current'|'setup'} [options.pose='current'] - Pose whose values are reported
+   */
+  enableBoneInspector(options = {}) {
+    const { pose = this._boneInspector ? this._boneInspector.pose : 'current' } = options;
+    if (pose !== 'current' && pose !== 'setup') {
+      throw new Error(`Invalid bone inspector pose: ${pose}`);
+    }
+    this._destroyBoneInspector();
+    this._boneInspector = { pose, ticker: null, signature: null };
+    this._buildBoneInspector();
+  }
+
+  /**
+   * Switch between current-pose and setup-pose values (enables the bone inspector if it is off)
+   * @param {'current'|'setup'} pose
+   */
+  setBoneInspectorPose(pose) {
+    this.enableBoneInspector({ pose });
+  }
+
+  /**
+   * @returns {'current'|'setup'|null} Reported pose, or null while the bone inspector is off
+   */
+  getBoneInspectorPose() {
+    return this._boneInspector ? this._boneInspector.pose : null;
+  }
+
+  /**
+   * Stop watching bone transforms
+   */
+  disableBoneInspector() {
+    this._destroyBoneInspector();
+    this._boneInspector = null;
+  }
+
+  /**
+   * @returns {boolean} True while the bone inspector is enabled
+   */
+  isBoneInspectorEnabled() {
+    return !!this._boneInspector;
+  }
+
+  /**
+   * Register the ticker that reports transform changes
+   * @private
+   */
+  _buildBoneInspector() {
+    if (!this._boneInspector || !this.app || !this.spine) return;
+
+    this._boneInspector.signature = null;
+    this._boneInspector.ticker = () => this._updateBoneInspector();
+    this.app.ticker.add(this._boneInspector.ticker);
+    this._updateBoneInspector();
+  }
+
+  /**
+   * Remove the bone inspector ticker
+   * @private
+   */
+  _destroyBoneInspector() {
+    if (!this._boneInspector) return;
+
+    if (this._boneInspector.ticker && this.app) {
+      this.app.ticker.remove(this._boneInspector.ticker);
+    }
+    this._boneInspector.ticker = null;
+  }
+
+  /**
+   * Dispatch the transforms when they differ from the last ones reported
+   * @private
+   */
+  _updateBoneInspector() {
+    if (!this._boneInspector || !this.spine) return;
+
+    const { pose } = this._boneInspector;
+    const transforms = this.getBoneTransforms(pose);
+    const signature = JSON.stringify(transforms);
+    if (signature === this._boneInspector.signature) return;
+    this._boneInspector.signature = signature;
+    this.dispatchEvent(new CustomEvent('bone-inspector-update', { detail: { pose, transforms } }));
+  }
+
+  /**
+   * Pose bones by dragging them on the canvas
+   * Dragging a bone selects it and rotates it (or translates it in 'translate' mode); holding Alt
+   * switches between the two for that drag. IK targets are drawn as square handles and are
+   * always translated. Edits are offsets added on top of the playing animation.
+   * @param {Object} [options]
+   * @param {'rotate'|'translate'} [options.mode='rotate'] - Default drag mode for bones
+   */
+  enablePoseMode(options = {}) {
+    const { mode = this._pose ? this._pose.mode : 'rotate' } = options;
+    this._checkPoseDragMode(mode);
+    if (this._pose) {
+      this._pose.mode = mode;
+      return;
+    }
+    this._pose = { mode, offsets: new Map(), drag: null, graphics: null, ticker: null };
+    this._buildPoseMode();
+  }
+
+  /**
+   * Leave pose mode and discard the pose edits
+   */
+  disablePoseMode() {
+    if (!this._pose) return;
+    this._destroyPoseMode();
+    this._pose = null;
+    this.dispatchEvent(new CustomEvent('pose-changed', { detail: { bone: null, offsets: {} } }));
+  }
+
+  /**
+   * @returns {boolean} True while pose mode is enabled
+   */
+  isPoseModeEnabled() {
+    return !!this._pose;
+  }
+
+  /**
+   * @param {'rotate'|'translate'} mode - Default drag mode for bones
+   */
+  setPoseDragMode(mode) {
+    this._checkPoseDragMode(mode);
+    if (this._pose) this._pose.mode = mode;
+  }
+
+  /**
+   * @returns {'rotate'|'translate'|null} Default drag mode, or null outside pose mode
+   */
+  getPoseDragMode() {
+    return this._pose ? this._pose.mode : null;
+  }
+
+  /**
+   * Set the pose offset of a bone (enables pose mode if it is off)
+   * @param {string} boneName
+   * @param {{x?: number, y?: number, rotation?: number}|null} offset - Added to the animated
+   *   local values; null removes the offset
+   * @throws {Error} If the bone does not exist or a value is invalid
+   */
+  setBonePoseOffset(boneName, offset) {
+    if (this.spine && !this.spine.skeleton.findBone(boneName)) {
+      throw new Error(`Bone not found: ${boneName}`);
+    }
+    const normalized = offset ? normalizePoseOffset(offset) : null;
+    if (!this._pose) this.enablePoseMode();
+    if (normalized) {
+      this._pose.offsets.set(boneName, normalized);
+    } else {
+      this._pose.offsets.delete(boneName);
+    }
+    this._emitPoseChanged(boneName);
+  }
+
+  /**
+   * @returns {Object<string, {x: number, y: number, rotation: number}>} Pose offsets by bone name
+   */
+  getBonePoseOffsets() {
+    return this._pose ? Object.fromEntries([...this._pose.offsets].map(([name, offset]) => [name, { ...offset }])) : {};
+  }
+
+  /**
+   * Discard the pose edits, keeping pose mode and the animation
+   */
+  resetPose() {
+    if (!this._pose) return;
+    this._pose.offsets.clear();
+    this._pose.drag = null;
+    this._emitPoseChanged(null);
+  }
+
+  /**
+   * Discard the pose edits and stop the animation so the skeleton shows its setup pose
+   */
+  resetToSetupPose() {
+    this.resetPose();
+    if (!this.spine) return;
+    this.spine.state.clearTracks();
+    this.spine.skeleton.setToSetupPose();
+    this.spine.update(0);
+  }
+
+  /**
+   * Describe the current pose as JSON (local values of every bone with the pose edits applied)
+   * @returns {string} JSON with skeleton, animation, time, bones and offsets
+   */
+  getPoseAsJSON() {
+    if (!this.spine) {
+      throw new Error('No skeleton loaded');
+    }
+    const entry = this.spine.state.tracks[0];
+    const offsets = this._pose ? this._pose.offsets : new Map();
+    const pose = serializePose(this.spine.skeleton, offsets, {
+      skeleton: this.spine.spineData.name || null,
+      animation: entry && entry.animation ? entry.animation.name : null,
+      time: entry ? Math.round(entry.trackTime * 1000) / 1000 : 0
+    });
+    return JSON.stringify(pose, null, 2);
+  }
+
+  /**
+   * @param {string} mode
+   * @throws {Error} If the mode is not 'rotate' or 'translate'
+   * @private
+   */
+  _checkPoseDragMode(mode) {
+    if (mode !== 'rotate' && mode !== 'translate') {
+      throw new Error(`Invalid pose drag mode: ${mode}`);
+    }
+  }
+
+  /**
+   * Draw the handles (drags are handled by _setupPoseInteractions, the offsets by _hookWorldTransform)
+   * @private
+   */
+  _buildPoseMode() {
+    if (!this._pose || !this.app || !this.spine || !this.spineContainer) return;
+
+    const graphics = new PIXI.Graphics();
+    graphics.zIndex = 9996;
+    this.spineContainer.addChild(graphics);
+    this._pose.graphics = graphics;
+
+    this._pose.ticker = () => this._drawPoseHandles();
+    this.app.ticker.add(this._pose.ticker);
+    this._drawPoseHandles();
+  }
+
+  /**
+   * Remove the handles and ticker (the mode and offsets are kept)
+   * @private
+   */
+  _destroyPoseMode() {
+    if (!this._pose) return;
+
+    if (this._pose.ticker && this.app) {
+      this.app.ticker.remove(this._pose.ticker);
+    }
+    if (this._pose.graphics) {
+      this._pose.graphics.destroy();
+    }
+    this._pose.ticker = null;
+    this._pose.graphics = null;
+    this._pose.drag = null;
+  }
+
+  /**
+   * @returns {Set<Object>} Bones that are the target of an IK constraint
+   * @private
+   */
+  _getIkTargets() {
+    return new Set((this.spine.skeleton.ikConstraints || []).map(constraint => constraint.target));
+  }
+
+  /**
+   * Draw a dot on every bone, a square on every IK target and the selection ring
+   * @private
+   */
+  _drawPoseHandles() {
+    if (!this._pose || !this._pose.graphics || !this.spine) return;
+
+    const g = this._pose.graphics;
+    if (!g.position.equals(this.spine.position)) {
+      g.position.copyFrom(this.spine.position);
+    }
+    const scale = this.spineContainer ? this.spineContainer.scale.x || 1 : 1;
+    const inv = 1 / scale;
+    const ikTargets = this._getIkTargets();
+    g.clear();
+
+    for (const bone of this.spine.skeleton.bones) {
+      if (ikTargets.has(bone)) continue;
+      g.lineStyle(1 * inv, 0x000000, 0.6);
+      g.beginFill(0xffffff, 0.8);
+      g.drawCircle(bone.worldX, bone.worldY, 3 * inv);
+      g.endFill();
+    }
+    const half = 6 * inv;
+    ikTargets.forEach(bone => {
+      g.lineStyle(2 * inv, this.highlightColor, 0.95);
+      g.beginFill(this.highlightColor, 0.3);
+      g.drawRect(bone.worldX - half, bone.worldY - half, half * 2, half * 2);
+      g.endFill();
+    });
+
+    this._drawBoneHoverJoint(this._selectedBone, scale);
+  }
+
+  /**
+   * Convert canvas coordinates to skeleton world coordinates
+   * @param {number} canvasX
+   * @param {number} canvasY
+   * @returns {{x: number, y: number}}
+   * @private
+   */
+  _canvasToSkeleton(canvasX, canvasY) {
+    const scale = this.spineContainer.scale.x || 1;
+    return {
+      x: ((canvasX - this.spineContainer.position.x) / scale) - this.spine.position.x,
+      y: ((canvasY - this.spineContainer.position.y) / scale) - this.spine.position.y
+    };
+  }
+
+  /**
+   * Find the handle under a point, IK targets first
+   * @param {{x: number, y: number}} point - Skeleton world coordinates
+   * @returns {Object|null} Bone
+   * @private
+   */
+  _findPoseHandle(point) {
+    const radius = this.boneHoverRadius / (this.spineContainer.scale.x || 1);
+    const ikTargets = this._getIkTargets();
+    let closest = null;
+    let closestDistance = radius * radius;
+    let closestIsTarget = false;
+    for (const bone of this.spine.skeleton.bones) {
+      const d2 = (point.x - bone.worldX) ** 2 + (point.y - bone.worldY) ** 2;
+      const isTarget = ikTargets.has(bone);
+      if (d2 > radius * radius || (closestIsTarget && !isTarget)) continue;
+      if (d2 < closestDistance || (isTarget && !closestIsTarget)) {
+        closest = bone;
+        closestDistance = d2;
+        closestIsTarget = isTarget;
+      }
+    }
+    return closest;
+  }
+
+  /**
+   * Start, continue and finish pose drags (registered with the pan and pinch listeners, so a
+   * drag that starts on a handle stops the pan)
+   * @private
+   */
+  _setupPoseInteractions() {
+    if (!this.app) return;
+    const view = this.app.view;
+
+    const down = (e) => {
+      if (!this._pose || !this.spine || !this.spineContainer) return;
+      if (e.button !== undefined && e.button !== 0) return;
+      const rect = view.getBoundingClientRect();
+      const point = this._canvasToSkeleton(e.clientX - rect.left, e.clientY - rect.top);
+      const bone = this._findPoseHandle(point);
+      if (!bone) return;
+
+      this._isPanning = false;
+      this._panStart = null;
+      this._setSelectedBone(bone);
+      this._updateBoneTooltip(e.clientX - rect.left, e.clientY - rect.top, bone.data.name);
+      let mode = this._getIkTargets().has(bone) ? 'translate' : this._pose.mode;
+      if (e.altKey) mode = mode === 'rotate' ? 'translate' : 'rotate';
+      this._pose.drag = { pointerId: e.pointerId, bone, mode, last: point };
+    };
+    const move = (e) => {
+      const drag = this._pose ? this._pose.drag : null;
+      if (!drag || drag.pointerId !== e.pointerId || !this.spineContainer) return;
+      const rect = view.getBoundingClientRect();
+      const point = this._canvasToSkeleton(e.clientX - rect.left, e.clientY - rect.top);
+      this._dragPoseBone(drag, point);
+      drag.last = point;
+      this._positionBoneTooltip(e.clientX - rect.left, e.clientY - rect.top);
+    };
+    const up = (e) => {
+      const drag = this._pose ? this._pose.drag : null;
+      if (!drag || drag.pointerId !== e.pointerId) return;
+      this._pose.drag = null;
+      this._emitPoseChanged(drag.bone.data.name);
+    };
+
+    view.addEventListener('pointerdown', down);
+    window.addEventListener('pointermove', move);
+    window.addEventListener('pointerup', up);
+    window.addEventListener('pointercancel', up);
+    this._pointerListenerCleanup.push(() => view.removeEventListener('pointerdown', down));
+    this._pointerListenerCleanup.push(() => window.removeEventListener('pointermove', move));
+    this._pointerListenerCleanup.push(() => window.removeEventListener('pointerup', up));
+    this._pointerListenerCleanup.push(() => window.removeEventListener('pointercancel', up));
+  }
+
+  /**
+   * Add the pointer movement to the dragged bone's offset
+   * @param {Object} drag - {bone, mode, last}
+   * @param {{x: number, y: number}} point - Pointer position in skeleton world coordinates
+   * @private
+   */
+  _dragPoseBone(drag, point) {
+    const { bone } = drag;
+    const name = bone.data.name;
+    const offset = this._pose.offsets.get(name) || { x: 0, y: 0, rotation: 0 };
+
+    if (drag.mode === 'rotate') {
+      const from = bone.worldToLocal({ x: drag.last.x, y: drag.last.y });
+      const to = bone.worldToLocal({ x: point.x, y: point.y });
+      offset.rotation += rotationDelta(from, to);
+    } else if (bone.parent) {
+      const from = bone.parent.worldToLocal({ x: drag.last.x, y: drag.last.y });
+      const to = bone.parent.worldToLocal({ x: point.x, y: point.y });
+      offset.x += to.x - from.x;
+      offset.y += to.y - from.y;
+    } else {
+      // The root has no parent space to convert into; go through its own space instead
+      const from = bone.worldToLocal({ x: drag.last.x, y: drag.last.y });
+      const to = bone.worldToLocal({ x: point.x, y: point.y });
+      const delta = boneToParentDelta({ x: to.x - from.x, y: to.y - from.y }, {
+        rotation: bone.rotation + offset.rotation,
+        scaleX: bone.scaleX,
+        scaleY: bone.scaleY
+      });
+      offset.x += delta.x;
+      offset.y += delta.y;
+    }
+
+    this._pose.offsets.set(name, offset);
+    // Show the new pose right away, also while the animation is paused
+    this.spine.skeleton.updateWorldTransform();
+  }
+
+  /**
+   * Dispatch `pose-changed` with {bone, offsets}
+   * @param {string|null} boneName - Edited bone, null when the whole pose changed
+   * @private
+   */
+  _emitPoseChanged(boneName) {
+    this.dispatchEvent(new CustomEvent('pose-changed', {
+      detail: { bone: boneName, offsets: this.getBonePoseOffsets() }
+    }));
+  }
+
+  /**
+   * Show or hide a debug overlay
+   * Overlays are drawn in the skeleton's container, so they follow zoom and pan, and don't
+   * depend on skeleton debug. The weights overlay shows the weights of the selected bone
+   * (or each vertex's strongest weight when no bone is selected).
+   * @param {'meshTriangles'|'meshHull'|'weights'|'clipping'|'boundingBoxes'|'paths'|'points'} overlay
+   * @param {boolean} enabled
+   * @throws {Error} If the overlay is unknown
+   */
+  setDebugOverlay(overlay, enabled) {
+    checkOverlayName(overlay);
+    if (enabled) {
+      this.debugOverlays.add(overlay);
+    } else {
+      this.debugOverlays.delete(overlay);
+    }
+
+    if (this.debugOverlays.size === 0) {
+      this._destroyDebugOverlays();
+    } else if (!this._overlayGraphics) {
+      this._buildDebugOverlays();
+    }
+  }
+
+  /**
+   * @returns {string[]} Enabled overlays
+   */
+  getDebugOverlays() {
+    return DEBUG_OVERLAYS.filter(overlay => this.debugOverlays.has(overlay));
+  }
+
+  /**
+   * Set an overlay color
+   * @param {string} key - Overlay name, or 'weightsLow' / 'weightsHigh' for the weight heatmap
+   * @param {number|string} color - 0xRRGGBB or '#rrggbb'
+   * @throws {Error} If the key or color is invalid
+   */
+  setOverlayColor(key, color) {
+    if (!(key in DEFAULT_OVERLAY_COLORS)) {
+      throw new Error(`Unknown overlay color: ${key}`);
+    }
+    this.overlayColors[key] = parseColor(color);
+  }
+
+  /**
+   * Set an overlay color from HSL values (see setHighlightColorHSL)
+   * @param {string} key - Overlay color key, see setOverlayColor
+   * @param {number} h - 0 to 360
+   * @param {number} s - 0 to 100
+   * @param {number} l - 0 to 100
+   */
+  setOverlayColorHSL(key, h, s, l) {
+    if (h >= 0 && h <= 360 && s >= 0 && s <= 100 && l >= 0 && l <= 100) {
+      this.setOverlayColor(key, hslToHex(h, s, l));
+    }
+  }
+
+  /**
+   * Read overlay colors from CSS custom properties named --overlay-<key>
+   * (e.g. --overlay-meshTriangles: #ffcc00); missing or invalid values are ignored
+   */
+  setOverlayColorsFromCSS() {
+    if (typeof window === 'undefined') return;
+    const cs = getComputedStyle(document.documentElement);
+    Object.keys(DEFAULT_OVERLAY_COLORS).forEach(key => {
+      const value = cs.getPropertyValue(`--overlay-${key}`).trim();
+      if (!value) return;
+      try {
+        this.setOverlayColor(key, value);
+      } catch (_) { /* ignore */ }
+    });
+  }
+
+  /**
+   * @returns {Object<string, number>} Overlay colors by key
+   */
+  getOverlayColors() {
+    return { ...this.overlayColors };
+  }
+
+  /**
+   * Create the overlay graphics and their ticker
+   * @private
+   */
+  _buildDebugOverlays() {
+    if (this.debugOverlays.size === 0 || !this.app || !this.spine || !this.spineContainer) return;
+
+    this._overlayGraphics = new PIXI.Graphics();
+    this._overlayGraphics.zIndex = 9995; // above the skeleton, below the trails and handles
+    this.spineContainer.addChild(this._overlayGraphics);
+    this._overlayTicker = () => this._drawDebugOverlays();
+    this.app.ticker.add(this._overlayTicker);
+    this._drawDebugOverlays();
+  }
+
+  /**
+   * Remove the overlay graphics and ticker (enabled overlays are kept)
+   * @private
+   */
+  _destroyDebugOverlays() {
+    if (this._overlayTicker && this.app) {
+      this.app.ticker.remove(this._overlayTicker);
+    }
+    if (this._overlayGraphics) {
+      this._overlayGraphics.destroy();
+    }
+    this._overlayTicker = null;
+    this._overlayGraphics = null;
+  }
+
+  /**
+   * Draw the enabled overlays for every visible attachment
+   * @private
+   */
+  _drawDebugOverlays() {
+    const g = this._overlayGraphics;
+    if (!g || !this.spine) return;
+
+    if (!g.position.equals(this.spine.position)) {
+      g.position.copyFrom(this.spine.position);
+    }
+    const scale = this.spineContainer ? (this.spineContainer.scale.x + this.spineContainer.scale.y) * 0.5 : 1;
+    const inv = 1 / (scale || 1);
+    const overlays = this.debugOverlays;
+    const colors = this.overlayColors;
+    const skeleton = this.spine.skeleton;
+    g.clear();
+
+    for (const slot of skeleton.drawOrder) {
+      const attachment = slot.getAttachment();
+      const type = getAttachmentType(attachment);
+      if (!type) continue;
+
+      if (type === 'point') {
+        if (!overlays.has('points')) continue;
+        const position = attachment.computeWorldPosition(slot.bone, new PIXI.Point());
+        const radians = attachment.computeWorldRotation(slot.bone) * Math.PI / 180;
+        g.lineStyle(1.5 * inv, colors.points, 0.95);
+        g.beginFill(colors.points, 0.5);
+        g.drawCircle(position.x, position.y, 4 * inv);
+        g.endFill();
+        g.moveTo(position.x, position.y);
+        g.lineTo(position.x + Math.cos(radians) * 14 * inv, position.y + Math.sin(radians) * 14 * inv);
+        continue;
+      }
+
+      const overlayForType = {
+        mesh: ['meshTriangles', 'meshHull', 'weights'],
+        clipping: ['clipping'],
+        boundingbox: ['boundingBoxes'],
+        path: ['paths']
+      }[type];
+      if (!overlayForType || !overlayForType.some(overlay => overlays.has(overlay))) continue;
+
+      const count = attachment.worldVerticesLength;
+      const world = new Float32Array(count);
+      attachment.computeWorldVertices(slot, 0, count, world, 0, 2);
+
+      if (type === 'mesh') {
+        this._drawMeshOverlays(g, slot, attachment, world, inv);
+      } else if (type === 'path') {
+        g.lineStyle(1.5 * inv, colors.paths, 0.95);
+        getPathCurves(world, attachment.closed).forEach(curve => {
+          g.moveTo(curve.x1, curve.y1);
+          g.bezierCurveTo(curve.cx1, curve.cy1, curve.cx2, curve.cy2, curve.x2, curve.y2);
+        });
+      } else {
+        const color = type === 'clipping' ? colors.clipping : colors.boundingBoxes;
+        g.lineStyle(1.5 * inv, color, 0.95);
+        g.beginFill(color, 0.12);
+        g.drawPolygon(Array.from(world));
+        g.endFill();
+      }
+    }
+  }
+
+  /**
+   * Draw triangles, hull and weight heatmap of one mesh
+   * @param {PIXI.Graphics} g
+   * @param {Object} slot
+   * @param {Object} mesh - Mesh attachment
+   * @param {Float32Array} world - World vertices of the mesh
+   * @param {number} inv - Inverse zoom for constant screen-space sizes
+   * @private
+   */
+  _drawMeshOverlays(g, slot, mesh, world, inv) {
+    const overlays = this.debugOverlays;
+    const colors = this.overlayColors;
+
+    if (overlays.has('meshTriangles') && mesh.triangles) {
+      g.lineStyle(1 * inv, colors.meshTriangles, 0.6);
+      const triangles = mesh.triangles;
+      for (let i = 0; i + 2 < triangles.length; i += 3) {
+        const a = triangles[i] * 2;
+        const b = triangles[i + 1] * 2;
+        const c = triangles[i + 2] * 2;
+        g.moveTo(world[a], world[a + 1]);
+        g.lineTo(world[b], world[b + 1]);
+        g.lineTo(world[c], world[c + 1]);
+        g.lineTo(world[a], world[a + 1]);
+      }
+    }
+
+    if (overlays.has('meshHull') && mesh.hullLength > 0) {
+      g.lineStyle(2 * inv, colors.meshHull, 0.9);
+      const hull = Array.from(world.subarray(0, mesh.hullLength));
+      g.drawPolygon(hull);
+    }
+
+    if (overlays.has('weights')) {
+      const boneIndex = this._selectedBone ? this._selectedBone.data.index : null;
+      const weights = getVertexWeights(mesh, slot.bone.data.index);
+      g.lineStyle(0);
+      weights.forEach((influences, vertex) => {
+        const weight = getVertexWeight(influences, boneIndex);
+        g.beginFill(mixColor(colors.weightsLow, colors.weightsHigh, weight), 0.35 + weight * 0.6);
+        g.drawCircle(world[vertex * 2], world[vertex * 2 + 1], 3 * inv);
+        g.endFill();
+      });
+    }
+  }
+
+  /**
+   * Draw IK chains, transform constraint links and path constraint curves on the skeleton
+   * debug layer (visible while skeleton debug is on)
+   * @param {boolean} enabled
+   */
+  setConstraintDebug(enabled) {
+    this.drawConstraints = !!enabled;
+  }
+
+  /**
+   * Set the color used to draw one kind of constraint
+   * @param {'ik'|'transform'|'path'} type
+   * @param {number|string} color - 0xRRGGBB or '#rrggbb'
+   * @throws {Error} If the type or color is invalid
+   */
+  setConstraintColor(type, color) {
+    if (!CONSTRAINT_TYPES.includes(type)) {
+      throw new Error(`Unknown constraint type: ${type}`);
+    }
+    this.constraintColors[type] = parseColor(color);
+  }
+
+  /**
+   * Describe the constraints of the loaded skeleton with their mix values and overrides
+   * @returns {Array<Object>} See describeConstraints in utils/constraints.js
+   */
+  getConstraints() {
+    return this.spine ? describeConstraints(this.spine.skeleton, this._constraintOverrides) : [];
+  }
+
+  /**
+   * Override a constraint value until it is cleared or another skeleton is loaded
+   * The override replaces the value from the setup pose or the animation on every frame.
+   * @param {'ik'|'transform'|'path'} type
+   * @param {string} name - Constraint name
+   * @param {string} key - Value to override, e.g. 'mix' or 'mixRotate' (see getConstraints)
+   * @param {number|null} value - New value, null to remove the override
+   * @throws {Error} If the constraint, key or value is invalid
+   */
+  setConstraintMix(type, name, key, value) {
+    if (!this.spine) {
+      throw new Error('No skeleton loaded');
+    }
+    const constraint = findConstraint(this.spine.skeleton, type, name);
+    if (!constraint) {
+      throw new Error(`Constraint not found: ${name}`);
+    }
+    if (!getConstraintMixKeys(type, constraint).includes(key)) {
+      throw new Error(`Unknown value "${key}" for ${type} constraint ${name}`);
+    }
+    if (value !== null && (typeof value !== 'number' || !Number.isFinite(value))) {
+      throw new Error(`Invalid value for ${key}: expected a finite number`);
+    }
+
+    const id = constraintKey(type, name);
+    const override = this._constraintOverrides.get(id) || { type, name, values: {} };
+    if (value === null) {
+      delete override.values[key];
+    } else {
+      override.values[key] = value;
+    }
+    if (Object.keys(override.values).length > 0) {
+      this._constraintOverrides.set(id, override);
+    } else {
+      this._constraintOverrides.delete(id);
+    }
+    this._emitConstraintOverridesChanged();
+  }
+
+  /**
+   * Remove constraint overrides
+   * @param {'ik'|'transform'|'path'} [type] - With name, clears one constraint; omit both to clear all
+   * @param {string} [name]
+   */
+  clearConstraintOverrides(type, name) {
+    if (type && name) {
+      this._constraintOverrides.delete(constraintKey(type, name));
+    } else {
+      this._constraintOverrides.clear();
+    }
+    this._emitConstraintOverridesChanged();
+  }
+
+  /**
+   * Dispatch `constraint-overrides-changed` with the updated {constraints}
+   * @private
+   */
+  _emitConstraintOverridesChanged() {
+    this.dispatchEvent(new CustomEvent('constraint-overrides-changed', {
+      detail: { constraints: this.getConstraints() }
+    }));
+  }
+
+  /**
+   * Wrap the skeleton's updateWorldTransform so pose edits and constraint overrides are applied
+   * on top of the values the animation just set, and removed again once the world transform
+   * is computed (bones and constraints the animation does not key must not drift)
+   * @private
+   */
+  _hookWorldTransform() {
+    const skeleton = this.spine.skeleton;
+    const updateWorldTransform = skeleton.updateWorldTransform;
+    skeleton.updateWorldTransform = (...args) => {
+      const restore = this._applyRuntimeOverrides(skeleton);
+      try {
+        return updateWorldTransform.apply(skeleton, args);
+      } finally {
+        restore();
+      }
+    };
+  }
+
+  /**
+   * @param {Object} skeleton
+   * @returns {Function} Restores the values changed for this update
+   * @private
+   */
+  _applyRuntimeOverrides(skeleton) {
+    const restores = [];
+
+    const offsets = this._pose ? this._pose.offsets : null;
+    if (offsets && offsets.size > 0) {
+      applyPoseOffsets(skeleton, offsets, 1);
+      restores.push(() => applyPoseOffsets(skeleton, offsets, -1));
+    }
+
+    this._constraintOverrides.forEach(({ type, name, values }) => {
+      const constraint = findConstraint(skeleton, type, name);
+      if (!constraint) return;
+      const previous = {};
+      Object.keys(values).forEach(key => { previous[key] = constraint[key]; });
+      Object.assign(constraint, values);
+      restores.push(() => Object.assign(constraint, previous));
+    });
+
+    return () => restores.reverse().forEach(restore => restore());
+  }
+
+  /**
+   * Draw IK chains with target markers and bend direction, transform constraint links and
+   * path constraint curves with their bones
+   * @param {PIXI.Graphics} g - Skeleton debug graphics
+   * @param {number} inv - Inverse zoom for constant screen-space sizes
+   * @private
+   */
+  _drawConstraintDebug(g, inv) {
+    const skeleton = this.spine.skeleton;
+    const colors = this.constraintColors;
+    const marker = 7 * inv;
+
+    (skeleton.ikConstraints || []).forEach(constraint => {
+      const { bones, target } = constraint;
+      if (!bones.length || !target) return;
+      const first = bones[0];
+      const last = bones[bones.length - 1];
+      const tip = getBoneTip(last);
+
+      g.lineStyle(4 * inv, colors.ik, 0.55);
+      g.moveTo(first.worldX, first.worldY);
+      bones.slice(1).forEach(bone => g.lineTo(bone.worldX, bone.worldY));
+      g.lineTo(tip.x, tip.y);
+
+      g.lineStyle(1.5 * inv, colors.ik, 0.9);
+      g.moveTo(tip.x, tip.y);
+      g.lineTo(target.worldX, target.worldY);
+      g.drawCircle(target.worldX, target.worldY, marker);
+      g.moveTo(target.worldX - marker * 1.5, target.worldY);
+      g.lineTo(target.worldX + marker * 1.5, target.worldY);
+      g.moveTo(target.worldX, target.worldY - marker * 1.5);
+      g.lineTo(target.worldX, target.worldY + marker * 1.5);
+
+      if (bones.length === 2) {
+        const start = { x: first.worldX, y: first.worldY };
+        const end = { x: target.worldX, y: target.worldY };
+        const joint = { x: last.worldX, y: last.worldY };
+        const bend = getBendIndicator(start, end, joint, constraint.bendDirection, 18 * inv);
+        g.lineStyle(2 * inv, colors.ik, 0.95);
+        g.moveTo(bend.x1, bend.y1);
+        g.lineTo(bend.x2, bend.y2);
+        g.beginFill(colors.ik, 0.95);
+        g.drawCircle(bend.x2, bend.y2, 2.5 * inv);
+        g.endFill();
+      }
+    });
+
+    (skeleton.transformConstraints || []).forEach(constraint => {
+      const { target } = constraint;
+      if (!target) return;
+      g.lineStyle(1.5 * inv, colors.transform, 0.8);
+      constraint.bones.forEach(bone => {
+        g.moveTo(bone.worldX, bone.worldY);
+        g.lineTo(target.worldX, target.worldY);
+      });
+      g.lineStyle(2 * inv, colors.transform, 0.95);
+      g.drawPolygon([
+        target.worldX, target.worldY - marker,
+        target.worldX + marker, target.worldY,
+        target.worldX, target.worldY + marker,
+        target.worldX - marker, target.worldY
+      ]);
+    });
+
+    (skeleton.pathConstraints || []).forEach(constraint => {
+      const slot = constraint.target;
+      const attachment = slot ? slot.getAttachment() : null;
+      if (getAttachmentType(attachment) === 'path') {
+        const count = attachment.worldVerticesLength;
+        const world = new Float32Array(count);
+        attachment.computeWorldVertices(slot, 0, count, world, 0, 2);
+        g.lineStyle(2.5 * inv, colors.path, 0.9);
+        getPathCurves(world, attachment.closed).forEach(curve => {
+          g.moveTo(curve.x1, curve.y1);
+          g.bezierCurveTo(curve.cx1, curve.cy1, curve.cx2, curve.cy2, curve.x2, curve.y2);
+        });
+      }
+      g.lineStyle(1.5 * inv, colors.path, 0.95);
+      constraint.bones.forEach(bone => g.drawCircle(bone.worldX, bone.worldY, marker * 0.8));
+    });
+  }
+
+  /**
+   * Load a second skeleton (e.g. a revised export) to compare with the current one
+   * Both skeletons play the current animation in lockstep. The diff treats the
+   * current skeleton as the previous version and the comparison as the revision.
+   * @param {string|Object} src - Remote URL or local source object (same as renderSpine)
+   * @param {Object} [options]
+   * @param {'split'|'overlay'} [options.mode='split'] - Side by side, or drawn over the current skeleton
+   * @param {number} [options.opacity=0.5] - Comparison opacity in overlay mode
+   * @param {number|null} [options.tint=0xff6699] - Comparison tint in overlay mode, null for none
+   * @returns {Promise<Object>} Differences between the two skeletons (see diffSkeletonData)
+   */
+  async loadComparison(src, options = {}) {
+    if (!this.app || !this.spine || !this.spineContainer) {
+      throw new Error('Load a skeleton before adding a comparison');
+    }
+
+    const spine = await this.loadSpine(src, { reports: false });
+    if (!this.spineContainer) {
+      spine.destroy();
+      throw new Error('The viewer was reset while loading the comparison');
+    }
+
+    this.clearComparison();
+    spine.autoUpdate = false;
+    this.spineContainer.addChild(spine);
+
+    const diff = diffSkeletonData(this.spine.spineData, spine.spineData);
+    this._comparison = {
+      spine,
+      mode: 'split',
+      opacity: 0.5,
+      tint: 0xff6699,
+      layout: null, // Mode the view was last centered for
+      diff,
+      ticker: () => this._syncComparison()
+    };
+    if (options.opacity !== undefined) this.setComparisonOpacity(options.opacity);
+    if (options.tint !== undefined) this._comparison.tint = options.tint;
+    this.app.ticker.add(this._comparison.ticker);
+
+    this._syncComparison();
+    this.setComparisonMode(options.mode || 'split');
+
+    this.dispatchEvent(new CustomEvent('comparison-loaded', { detail: { diff } }));
+    return diff;
+  }
+
+  /**
+   * Switch between split view and overlay
+   * @param {'split'|'overlay'} mode
+   */
+  setComparisonMode(mode) {
+    if (mode !== 'split' && mode !== 'overlay') {
+      throw new Error(`Unknown comparison mode: ${mode}`);
+    }
+    if (!this._comparison) return;
+
+    this._comparison.mode = mode;
+    this._layoutComparison();
+  }
+
+  /**
+   * Set the comparison opacity used in overlay mode
+   * @param {number} opacity - 0 to 1
+   */
+  setComparisonOpacity(opacity) {
+    if (!this._comparison) return;
+    this._comparison.opacity = Math.min(1, Math.max(0, Number(opacity) || 0));
+    this._layoutComparison();
+  }
+
+  /**
+   * Set the comparison tint used in overlay mode
+   * @param {number|null} tint - Color such as 0xff6699, null for none
+   */
+  setComparisonTint(tint) {
+    if (!this._comparison) return;
+    this._comparison.tint = tint;
+    this._layoutComparison();
+  }
+
+  /**
+   * Get the differences between the current and the comparison skeleton
+   * @returns {Object|null} Result of diffSkeletonData, or null without a comparison
+   */
+  getComparisonDiff() {
+    return this._comparison ? this._comparison.diff : null;
+  }
+
+  /**
+   * Remove the comparison skeleton
+   */
+  clearComparison() {
+    if (!this._comparison) return;
+
+    const { spine, ticker } = this._comparison;
+    this._comparison = null;
+    if (this.app) {
+      this.app.ticker.remove(ticker);
+    }
+    spine.destroy();
+    this.centerSpine();
+    this.dispatchEvent(new CustomEvent('comparison-cleared'));
+  }
+
+  /**
+   * Position and style the comparison skeleton for the current mode
+   * @private
+   */
+  _layoutComparison() {
+    if (!this._comparison || !this.spine) return;
+
+    const { spine, mode, opacity, tint } = this._comparison;
+    if (mode === 'overlay') {
+      // Same skeleton origin so both versions line up
+      spine.position.copyFrom(this.spine.position);
+      spine.alpha = opacity;
+      spine.tint = tint ?? 0xffffff;
+    } else {
+      // To the right of the current skeleton, sharing its origin height
+      const currentBounds = this.spine.getLocalBounds();
+      const bounds = spine.getLocalBounds();
+      spine.position.set(
+        this.spine.position.x + currentBounds.x + currentBounds.width + 40 - bounds.x,
+        this.spine.position.y
+      );
+      spine.alpha = 1;
+      spine.tint = 0xffffff;
+    }
+
+    // Opacity and tint changes keep the view where it is; only switching layouts moves it
+    if (this._comparison.layout !== mode) {
+      this._comparison.layout = mode;
+      this.centerSpine();
+    }
+  }
+
+  /**
+   * Pose the comparison skeleton at the animation and time of track 0 of the current one
+   * @private
+   */
+  _syncComparison() {
+    if (!this._comparison || !this.spine) return;
+
+    const { spine } = this._comparison;
+    const source = this.spine.state.tracks[0];
+    let entry = spine.state.tracks[0];
+
+    if (!source || !source.animation || !spine.spineData.findAnimation(source.animation.name)) {
+      // Animation missing from the other version: show its setup pose
+      if (entry) {
+        spine.state.clearTrack(0);
+        spine.skeleton.setToSetupPose();
+      }
+      spine.update(0);
+      return;
+    }
+
+    if (!entry || entry.animation.name !== source.animation.name) {
+      entry = spine.state.setAnimation(0, source.animation.name, source.loop);
+    }
+    entry.trackTime = source.trackTime;
+    spine.update(0);
+  }
+
+  /**
+   * @private
+   * @returns {FrameExporter}
+   */
+  _createFrameExporter() {
+    if (!this.app || !this.spine || !this.spine.state) {
+      throw new Error(getMessage('animation.no_animations'));
+    }
+    return new FrameExporter({ PIXI, renderer: this.app.renderer, spine: this.spine });
+  }
+
+  /**
+   * Resolve the animation or sequence an export refers to
+   * @private
+   * @param {FrameExporter} exporter
+   * @param {Object} options - Public export options
+   * @returns {Promise<{source: Object, exportOptions: Object}>}
+   */
+  async _createFrameSource(exporter, options) {
+    const { animation, sequence, ...exportOptions } = options;
+    if (exportOptions.crop === false && !exportOptions.viewport) {
+      exportOptions.viewport = this._getExportViewport();
+    }
+
+    if (!sequence) {
+      const animationName = animation || this.getCurrentAnimation() || this.getAnimations()[0];
+      return { source: exporter.createAnimationSource(animationName, exportOptions), exportOptions };
+    }
+
+    const target = sequence === true ? this.getMultiTrackSequence() : sequence;
+    if (!target) {
+      throw new Error('Multi-track mode is not enabled');
+    }
+
+    // A dedicated controller only lends its timing; it never starts playback
+    const { PlaybackController } = await import('./services/PlaybackController.js');
+    const controller = new PlaybackController(target, this);
+    return { source: exporter.createSequenceSource(controller, exportOptions), exportOptions };
+  }
+
+  /**
+   * On-screen framing of the skeleton, for uncropped exports
+   * @private
+   * @returns {{width: number, height: number, scale: number, x: number, y: number}}
+   */
+  _getExportViewport() {
+    const scale = this.getZoom();
+    const container = this.spineContainer;
+    return {
+      width: this.app.screen.width,
+      height: this.app.screen.height,
+      scale,
+      x: container.position.x + this.spine.position.x * scale,
+      y: container.position.y + this.spine.position.y * scale
+    };
+  }
+
+  setScale(scale) {
+    if (this.spineContainer && this.app && this.spine) {
+      this.spineContainer.scale.set(scale, scale);
+      this.centerSpine();
+    }
+  }
+
+  getZoom() {
+    return this.spineContainer ? this.spineContainer.scale.x : 1;
+  }
+
+  setZoom(scale) {
+    if (!this.spineContainer) return;
+    const clamped = Math.min(this.maxZoom, Math.max(this.minZoom, scale));
+    this.setScale(clamped);
+  }
+
+  setZoomLimits(min, max) {
+    if (min > 0 && max >= min) {
+      this.minZoom = min;
+      this.maxZoom = max;
+      // adjust current zoom if outside
+      if (this.spineContainer) {
+        const current = this.getZoom();
+        if (current < min || current > max) this.setZoom(current);
+      }
+    }
+  }
+
+  enableWheelZoom() { this.zoomEnabled = true; }
+  disableWheelZoom() { this.zoomEnabled = false; }
+
+  _setupWheelZoom() {
+    this._removeWheelZoom();
+    if (!this.app) return;
+    const view = this.app.view;
+    this._wheelListener = (e) => {
+      if (!this.zoomEnabled || !this.spineContainer) return;
+      e.preventDefault();
+      const rect = view.getBoundingClientRect();
+      const mouseX = e.clientX - rect.left;
+      const mouseY = e.clientY - rect.top;
+      const before = this.getZoom();
+      const factor = (e.deltaY > 0 ? 1 / this.zoomStep : this.zoomStep);
+      let target = before * factor;
+      target = Math.min(this.maxZoom, Math.max(this.minZoom, target));
+      if (Math.abs(target - before) < 1e-6) return;
+      const worldPosBefore = {
+        x: (mouseX - this.spineContainer.position.x) / before,
+        y: (mouseY - this.spineContainer.position.y) / before,
+      };
+      if (this.zoomSmooth) {
+        this._zoomTarget = target;
+        this._zoomAnchor = { mouseX, mouseY, worldX: worldPosBefore.x, worldY: worldPosBefore.y };
+      } else {
+        this.spineContainer.scale.set(target, target);
+        this.spineContainer.position.set(
+          mouseX - worldPosBefore.x * target,
+          mouseY - worldPosBefore.y * target
+        );
+        if (this.skeletonDebugGraphics) {
+          this.skeletonDebugGraphics.position.copyFrom(this.spine.position);
+        }
+        // labels removed
+      }
+    };
+    view.addEventListener('wheel', this._wheelListener, { passive: false });
+  }
+
+  _removeWheelZoom() {
+    if (this._wheelListener && this.app) {
+      this.app.view.removeEventListener('wheel', this._wheelListener);
+    }
+    this._wheelListener = null;
+  }
+
+  _setupPointerInteractions() {
+    this._removePointerInteractions();
     if (!this.app) return;
     const view = this.app.view;
     const dbl = (e) => {
@@ -1133,6 +3477,7 @@ class SpineViewer extends HTMLElement {
     const down = (e) => {
       if (!this.boneHoverEnabled || !this.spine || !this.spineContainer) return;
       if (!this.drawSkeleton) return; // respect debug toggle
+      if (this._pose) return; // pose mode selects the bone it drags
       const rect = view.getBoundingClientRect();
       const mx = e.clientX - rect.left;
       const my = e.clientY - rect.top;
@@ -1143,20 +3488,19 @@ class SpineViewer extends HTMLElement {
         if (this._selectedBoneName === name) {
           // Clicking the same bone again - deselect it
           console.debug('[SpineViewer] Deselect bone ->', name);
-          this._selectedBoneName = null;
-          this._selectedBone = null;
+          this._setSelectedBone(null);
           this._hoveredBoneName = name; // keep hover
           this._updateBoneTooltip(mx, my, name);
           this._drawBoneHoverJoint(closest, scale);
         } else {
           // Clicking a different bone - select it
           console.debug('[SpineViewer] Select bone ->', name, 'dist=', Math.sqrt(minDist).toFixed(2));
-          this._selectedBoneName = name;
-          this._selectedBone = closest;
+          this._setSelectedBone(closest);
           this._hoveredBoneName = name; // keep consistent
           this._updateBoneTooltip(mx, my, name);
           this._drawBoneHoverJoint(closest, scale);
         }
+        this._selectMotionTrailBone(name, e.shiftKey);
       }
     };
     view.addEventListener('pointerdown', down);
@@ -1274,12 +3618,50 @@ class SpineViewer extends HTMLElement {
     g.endFill();
   }
 
+  /**
+   * Select a bone as if it was clicked on the canvas (the highlight is drawn while skeleton debug is on)
+   * @param {string|null} boneName - Bone to select, null to clear the selection
+   * @throws {Error} If the bone does not exist in the loaded skeleton
+   */
+  selectBone(boneName) {
+    const bone = boneName && this.spine ? this.spine.skeleton.findBone(boneName) : null;
+    if (boneName && !bone) {
+      throw new Error(`Bone not found: ${boneName}`);
+    }
+    this._setSelectedBone(bone);
+    if (this.spineContainer) {
+      this._drawBoneHoverJoint(bone, this.spineContainer.scale.x || 1);
+    }
+    if (!bone) {
+      this._updateBoneTooltip(0, 0, null);
+    }
+  }
+
+  /**
+   * @returns {string|null} Name of the selected bone
+   */
+  getSelectedBone() {
+    return this._selectedBoneName;
+  }
+
+  /**
+   * Update the bone selection and dispatch `bone-selected` with {bone} when it changes
+   * @param {Object|null} bone - Selected bone, null to clear the selection
+   * @private
+   */
+  _setSelectedBone(bone) {
+    const name = bone ? bone.data.name : null;
+    this._selectedBone = bone;
+    if (name === this._selectedBoneName) return;
+    this._selectedBoneName = name;
+    this.dispatchEvent(new CustomEvent('bone-selected', { detail: { bone: name } }));
+  }
+
   enableBoneHover() { this.boneHoverEnabled = true; }
   disableBoneHover() {
     this.boneHoverEnabled = false;
     this._hoveredBoneName = null;
-    this._selectedBoneName = null;
-    this._selectedBone = null;
+    this._setSelectedBone(null);
     this._updateBoneTooltip(0, 0, null);
   }
 
@@ -1463,6 +3845,10 @@ class SpineViewer extends HTMLElement {
       } else {
         drawDefault(g, this.spine);
       }
+      if (this.drawConstraints && this.spineContainer) {
+        const scaleAvg = (this.spineContainer.scale.x + this.spineContainer.scale.y) * 0.5;
+        this._drawConstraintDebug(g, 1 / (scaleAvg || 1));
+      }
 
       // Maintain selected bone highlight and tooltip
       if (this._selectedBone && this.spineContainer) {
@@ -1539,8 +3925,7 @@ class SpineViewer extends HTMLElement {
       this._boneLabelContainer = null;
     }
     // Clear bone selection and hover graphics when disabling skeleton debug
-    this._selectedBoneName = null;
-    this._selectedBone = null;
+    this._setSelectedBone(null);
     this._hoveredBoneName = null;
     this._updateBoneTooltip(0, 0, null);
     if (this._boneHoverGraphics) {
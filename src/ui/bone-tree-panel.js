@@ -0,0 +1,229 @@
+/**
+ * Bone Tree Panel
+ *
+ * Renders the bone hierarchy (see utils/boneHierarchy.js) as a collapsible tree with a
+ * name filter and a setup/current pose switch. Transform values and the selection are
+ * updated in place so the tree keeps its collapsed nodes and filter during playback.
+ */
+
+import { getMessage } from '../utils/messages.js';
+
+/**
+ * @param {number} value
+ * @returns {string} Value rounded to two decimals
+ */
+function formatNumber(value) {
+  return String(Math.round((value || 0) * 100) / 100);
+}
+
+/**
+ * Describes one set of transform values
+ * @param {{x: number, y: number, rotation: number, scaleX: number, scaleY: number, shearX: number, shearY: number}} values
+ * @returns {string} e.g. "x 10 y -4.5 · 30° · scale 1, 1 · shear 0°, 0°"
+ */
+export function formatTransform(values) {
+  return `x ${formatNumber(values.x)} y ${formatNumber(values.y)}` +
+    ` · ${formatNumber(values.rotation)}°` +
+    ` · scale ${formatNumber(values.scaleX)}, ${formatNumber(values.scaleY)}` +
+    ` · shear ${formatNumber(values.shearX)}°, ${formatNumber(values.shearY)}°`;
+}
+
+/**
+ * Renders the bone tree into a container
+ * @param {HTMLElement} container - Element to render into (its content is replaced)
+ * @param {Array<Object>} tree - Result of buildBoneTree
+ * @param {Object} [options]
+ * @param {string|null} [options.selected] - Selected bone
+ * @param {'current'|'setup'} [options.pose='current'] - Pose whose values are shown
+ * @param {Function} [options.onSelect] - Called with the bone name when a node is clicked
+ *   (with null when the selected node is clicked again)
+ * @param {Function} [options.onPoseChange] - Called with 'current' or 'setup'
+ */
+export function renderBoneTree(container, tree, options = {}) {
+  if (!container) {
+    throw new Error('Container element is required');
+  }
+
+  const { selected = null, pose = 'current', onSelect = null, onPoseChange = null } = options;
+  container.innerHTML = '';
+
+  const panel = document.createElement('div');
+  panel.className = 'bone-tree';
+
+  const header = document.createElement('div');
+  header.className = 'bone-tree-header';
+
+  const title = document.createElement('h4');
+  title.textContent = getMessage('bones.title', { count: countNodes(tree) });
+  header.appendChild(title);
+
+  const search = document.createElement('input');
+  search.type = 'search';
+  search.className = 'bone-tree-search';
+  search.placeholder = getMessage('bones.search');
+  search.addEventListener('input', () => applyBoneTreeFilter(container, search.value));
+  header.appendChild(search);
+
+  const poseSelect = document.createElement('select');
+  poseSelect.className = 'bone-tree-pose';
+  ['current', 'setup'].forEach(value => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = getMessage(`bones.pose_${value}`);
+    poseSelect.appendChild(option);
+  });
+  poseSelect.value = pose;
+  if (onPoseChange) {
+    poseSelect.addEventListener('change', () => onPoseChange(poseSelect.value));
+  }
+  header.appendChild(poseSelect);
+  panel.appendChild(header);
+
+  if (tree.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'bone-tree-empty';
+    empty.textContent = getMessage('bones.empty');
+    panel.appendChild(empty);
+    container.appendChild(panel);
+    return;
+  }
+
+  const handleSelect = onSelect
+    ? (name) => {
+      const current = container.querySelector('.bone-tree-row.selected');
+      onSelect(current && current.parentElement.dataset.bone === name ? null : name);
+    }
+    : null;
+  panel.appendChild(createList(tree, handleSelect));
+  container.appendChild(panel);
+
+  if (selected) {
+    setBoneTreeSelection(container, selected);
+  }
+}
+
+/**
+ * Updates the transform values shown for each bone
+ * @param {HTMLElement} container - Container passed to renderBoneTree
+ * @param {Object<string, {local: Object, world: Object}>} transforms - Result of describeBoneTransforms
+ */
+export function updateBoneTreeValues(container, transforms) {
+  container.querySelectorAll('li[data-bone]').forEach(item => {
+    const transform = transforms[item.dataset.bone];
+    if (!transform) {
+      return;
+    }
+    const values = item.querySelector(':scope > .bone-tree-row .bone-tree-values');
+    values.children[0].textContent = `${getMessage('bones.local')} ${formatTransform(transform.local)}`;
+    values.children[1].textContent = `${getMessage('bones.world')} ${formatTransform(transform.world)}`;
+  });
+}
+
+/**
+ * Marks a bone as selected, expanding its ancestors and scrolling it into view
+ * @param {HTMLElement} container - Container passed to renderBoneTree
+ * @param {string|null} name - Bone to select, null to clear the selection
+ */
+export function setBoneTreeSelection(container, name) {
+  container.querySelectorAll('.bone-tree-row.selected').forEach(row => row.classList.remove('selected'));
+  if (!name) {
+    return;
+  }
+
+  const item = Array.from(container.querySelectorAll('li[data-bone]')).find(li => li.dataset.bone === name);
+  if (!item) {
+    return;
+  }
+  for (let parent = item.parentElement.closest('li[data-bone]'); parent; parent = parent.parentElement.closest('li[data-bone]')) {
+    parent.classList.remove('collapsed');
+  }
+  const row = item.querySelector(':scope > .bone-tree-row');
+  row.classList.add('selected');
+  if (typeof row.scrollIntoView === 'function') {
+    row.scrollIntoView({ block: 'nearest' });
+  }
+}
+
+/**
+ * Hides the bones whose name does not contain the query, keeping ancestors of matches visible
+ * and expanded
+ * @param {HTMLElement} container - Container passed to renderBoneTree
+ * @param {string} query - Case-insensitive name filter; empty shows every bone
+ */
+export function applyBoneTreeFilter(container, query) {
+  const needle = (query || '').trim().toLowerCase();
+
+  const visit = (item) => {
+    const children = Array.from(item.querySelectorAll(':scope > ul > li[data-bone]'));
+    // Visit every child so each one gets its own visibility
+    const childVisible = children.map(visit).some(Boolean);
+    const visible = !needle || childVisible || item.dataset.bone.toLowerCase().includes(needle);
+    item.hidden = !visible;
+    if (needle && childVisible) {
+      item.classList.remove('collapsed');
+    }
+    return visible;
+  };
+
+  const root = container.querySelector('.bone-tree > ul');
+  if (root) {
+    Array.from(root.children).forEach(visit);
+  }
+}
+
+/**
+ * @param {Array<Object>} tree
+ * @returns {number} Number of bones in the tree
+ */
+function countNodes(tree) {
+  return tree.reduce((count, node) => count + 1 + countNodes(node.children), 0);
+}
+
+/**
+ * @param {Array<Object>} nodes - Sibling nodes
+ * @param {Function|null} onSelect
+ * @returns {HTMLUListElement}
+ */
+function createList(nodes, onSelect) {
+  const list = document.createElement('ul');
+  nodes.forEach(node => {
+    const item = document.createElement('li');
+    item.dataset.bone = node.name;
+
+    const row = document.createElement('div');
+    row.className = 'bone-tree-row';
+
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'bone-tree-toggle';
+    if (node.children.length > 0) {
+      toggle.title = getMessage('bones.toggle');
+      toggle.addEventListener('click', (e) => {
+        e.stopPropagation();
+        item.classList.toggle('collapsed');
+      });
+    } else {
+      toggle.disabled = true;
+    }
+
+    const name = document.createElement('span');
+    name.className = 'bone-tree-name';
+    name.textContent = node.name;
+
+    const values = document.createElement('div');
+    values.className = 'bone-tree-values';
+    values.append(document.createElement('div'), document.createElement('div'));
+
+    row.append(toggle, name, values);
+    if (onSelect) {
+      row.addEventListener('click', () => onSelect(node.name));
+    }
+    item.appendChild(row);
+
+    if (node.children.length > 0) {
+      item.appendChild(createList(node.children, onSelect));
+    }
+    list.appendChild(item);
+  });
+  return list;
+}
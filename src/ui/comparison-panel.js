@@ -0,0 +1,99 @@
+/**
+ * Skeleton Comparison Panel
+ *
+ * Renders the differences between two skeleton versions (see utils/skeletonDiff.js).
+ */
+
+import { getMessage } from '../utils/messages.js';
+import { formatSkeletonDiff, formatDiffValue } from '../utils/skeletonDiff.js';
+
+const SECTIONS = ['bones', 'slots', 'animations'];
+
+/**
+ * Describes the property changes of one item
+ * @param {Array<{property: string, before: *, after: *}>} changes
+ * @returns {string} e.g. "duration 1.2 → 1.5, timelines 4 → 5"
+ */
+export function formatChanges(changes) {
+  return changes
+    .map(change => `${change.property} ${formatDiffValue(change.before)} → ${formatDiffValue(change.after)}`)
+    .join(', ');
+}
+
+/**
+ * Renders a skeleton diff into a container
+ * @param {HTMLElement} container - Element to render into (its content is replaced)
+ * @param {Object} diff - Result of diffSkeletonData
+ */
+export function renderSkeletonDiff(container, diff) {
+  if (!container) {
+    throw new Error('Container element is required');
+  }
+
+  container.innerHTML = '';
+  if (!diff) {
+    return;
+  }
+
+  const panel = document.createElement('div');
+  panel.className = `comparison-panel ${diff.identical ? 'identical' : 'different'}`;
+
+  const title = document.createElement('h4');
+  title.textContent = getMessage('diff.title');
+  panel.appendChild(title);
+
+  const summary = document.createElement('ul');
+  summary.className = 'comparison-summary';
+  formatSkeletonDiff(diff).forEach(line => {
+    const item = document.createElement('li');
+    item.textContent = line;
+    summary.appendChild(item);
+  });
+  panel.appendChild(summary);
+
+  SECTIONS.forEach(section => {
+    const { added, removed, changed } = diff[section];
+    if (added.length === 0 && removed.length === 0 && changed.length === 0) {
+      return;
+    }
+
+    const details = document.createElement('details');
+    details.className = `comparison-section comparison-${section}`;
+
+    const heading = document.createElement('summary');
+    heading.textContent = getMessage(`diff.section_${section}`);
+    details.appendChild(heading);
+
+    const list = document.createElement('ul');
+    added.forEach(name => list.appendChild(createRow('added', name, getMessage('diff.added'))));
+    removed.forEach(name => list.appendChild(createRow('removed', name, getMessage('diff.removed'))));
+    changed.forEach(({ name, changes }) => list.appendChild(createRow('changed', name, formatChanges(changes))));
+    details.appendChild(list);
+
+    panel.appendChild(details);
+  });
+
+  container.appendChild(panel);
+}
+
+/**
+ * @param {string} kind - 'added', 'removed' or 'changed'
+ * @param {string} name - Bone, slot or animation name
+ * @param {string} text - Description
+ * @returns {HTMLLIElement}
+ */
+function createRow(kind, name, text) {
+  const item = document.createElement('li');
+  item.className = `comparison-${kind}`;
+
+  const label = document.createElement('span');
+  label.className = 'comparison-name';
+  label.textContent = name;
+
+  const description = document.createElement('span');
+  description.className = 'comparison-detail';
+  description.textContent = text;
+
+  item.append(label, description);
+  return item;
+}
@@ -0,0 +1,152 @@
+/**
+ * Constraint Panel
+ *
+ * Lists the IK, transform and path constraints of the skeleton (see utils/constraints.js)
+ * with their mix values. Values can be overridden at runtime to isolate rigging problems.
+ */
+
+import { getMessage } from '../utils/messages.js';
+import { isMixKey } from '../utils/constraints.js';
+
+/**
+ * @param {number} value
+ * @returns {string} Value rounded to two decimals
+ */
+function formatValue(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Renders the constraint list into a container
+ * @param {HTMLElement} container - Element to render into (its content is replaced)
+ * @param {Array<Object>} constraints - Result of describeConstraints
+ * @param {Object} [options]
+ * @param {Function} [options.onChange] - Called with (type, name, key, value) when a value is
+ *   overridden, and with value null for each overridden key when the reset button is clicked
+ */
+export function renderConstraintPanel(container, constraints, options = {}) {
+  if (!container) {
+    throw new Error('Container element is required');
+  }
+
+  const { onChange = null } = options;
+  container.innerHTML = '';
+
+  const panel = document.createElement('div');
+  panel.className = 'constraint-panel';
+
+  const title = document.createElement('h4');
+  title.textContent = getMessage('constraints.title', { count: constraints.length });
+  panel.appendChild(title);
+
+  if (constraints.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'constraint-empty';
+    empty.textContent = getMessage('constraints.empty');
+    panel.appendChild(empty);
+    container.appendChild(panel);
+    return;
+  }
+
+  const list = document.createElement('ul');
+  constraints.forEach(constraint => {
+    list.appendChild(createConstraintItem(constraint, onChange));
+  });
+  panel.appendChild(list);
+  container.appendChild(panel);
+}
+
+/**
+ * @param {Object} constraint - One entry of describeConstraints
+ * @param {Function|null} onChange
+ * @returns {HTMLLIElement}
+ */
+function createConstraintItem(constraint, onChange) {
+  const { type, name, bones, target, mix, overrides } = constraint;
+  // Keys overridden so far, updated in place while sliders are dragged
+  const overridden = new Set(Object.keys(overrides));
+
+  const item = document.createElement('li');
+  item.className = `constraint-item constraint-${type}${overridden.size > 0 ? ' overridden' : ''}`;
+  item.dataset.constraint = `${type}:${name}`;
+
+  const header = document.createElement('div');
+  header.className = 'constraint-header';
+
+  const badge = document.createElement('span');
+  badge.className = 'constraint-type';
+  badge.textContent = getMessage(`constraints.type_${type}`);
+
+  const label = document.createElement('span');
+  label.className = 'constraint-name';
+  label.textContent = name;
+
+  const links = document.createElement('span');
+  links.className = 'constraint-links';
+  links.textContent = `${bones.join(', ')} → ${target || '—'}`;
+  if (type === 'ik' && constraint.bendDirection !== undefined) {
+    links.textContent += ` · ${getMessage('constraints.bend')} ${constraint.bendDirection > 0 ? '+' : '−'}`;
+  }
+
+  header.append(badge, label, links);
+
+  const reset = document.createElement('button');
+  reset.type = 'button';
+  reset.className = 'constraint-reset';
+  reset.textContent = getMessage('constraints.reset');
+  reset.hidden = overridden.size === 0;
+  if (onChange) {
+    reset.addEventListener('click', () => {
+      overridden.forEach(key => onChange(type, name, key, null));
+    });
+    header.appendChild(reset);
+  }
+  item.appendChild(header);
+
+  Object.keys(mix).forEach(key => {
+    const value = key in overrides ? overrides[key] : mix[key];
+
+    const row = document.createElement('label');
+    row.className = `constraint-value${key in overrides ? ' overridden' : ''}`;
+
+    const keyLabel = document.createElement('span');
+    keyLabel.className = 'constraint-key';
+    keyLabel.textContent = key;
+
+    const input = document.createElement('input');
+    input.dataset.key = key;
+    if (isMixKey(key)) {
+      input.type = 'range';
+      input.min = '0';
+      input.max = '1';
+      input.step = '0.01';
+    } else {
+      input.type = 'number';
+      input.step = 'any';
+    }
+    input.value = String(value);
+    input.disabled = !onChange;
+
+    const output = document.createElement('span');
+    output.className = 'constraint-output';
+    output.textContent = formatValue(value);
+
+    if (onChange) {
+      input.addEventListener('input', () => {
+        const next = parseFloat(input.value);
+        if (Number.isNaN(next)) return;
+        output.textContent = formatValue(next);
+        overridden.add(key);
+        row.classList.add('overridden');
+        item.classList.add('overridden');
+        reset.hidden = false;
+        onChange(type, name, key, next);
+      });
+    }
+
+    row.append(keyLabel, input, output);
+    item.appendChild(row);
+  });
+
+  return item;
+}
@@ -0,0 +1,177 @@
+/**
+ * Event Log Panel
+ *
+ * Scrolling list of fired Spine events (`spine-event` details, see utils/spineEvents.js)
+ * with a text filter. Entries are appended in place so the filter and scroll position are
+ * kept during playback.
+ */
+
+import { getMessage } from '../utils/messages.js';
+import { matchesEventFilter } from '../utils/spineEvents.js';
+
+export const DEFAULT_MAX_LOG_ENTRIES = 200;
+
+// Logged event of each row, used by the filter
+const rowEntries = new WeakMap();
+
+/**
+ * Describes the values of a logged event
+ * @param {Object} entry - spine-event detail
+ * @returns {string} e.g. 'int 1 · float 0.5 · "left" · sfx/step.wav · track 0 (walk)'
+ */
+export function formatEventValues(entry) {
+  const parts = [];
+  if (entry.int) parts.push(`int ${entry.int}`);
+  if (entry.float) parts.push(`float ${Math.round(entry.float * 1000) / 1000}`);
+  if (entry.string) parts.push(`"${entry.string}"`);
+  if (entry.audio) parts.push(entry.audio);
+  if (entry.track !== null && entry.track !== undefined) {
+    parts.push(`${getMessage('events.track')} ${entry.track}${entry.animation ? ` (${entry.animation})` : ''}`);
+  }
+  return parts.join(' · ');
+}
+
+/**
+ * Renders the event log into a container
+ * @param {HTMLElement} container - Element to render into (its content is replaced)
+ * @param {Array<Object>} entries - Events logged so far, oldest first
+ * @param {Object} [options]
+ * @param {string} [options.filter=''] - Initial filter text
+ * @param {number} [options.maxEntries=DEFAULT_MAX_LOG_ENTRIES] - Rows kept before the oldest are dropped
+ * @param {Function} [options.onFilterChange] - Called with the filter text
+ * @param {Function} [options.onClear] - Called when the clear button is clicked (the list is emptied)
+ */
+export function renderEventLog(container, entries, options = {}) {
+  if (!container) {
+    throw new Error('Container element is required');
+  }
+
+  const { filter = '', maxEntries = DEFAULT_MAX_LOG_ENTRIES, onFilterChange = null, onClear = null } = options;
+  container.innerHTML = '';
+
+  const panel = document.createElement('div');
+  panel.className = 'event-log';
+  panel.dataset.maxEntries = String(maxEntries);
+
+  const header = document.createElement('div');
+  header.className = 'event-log-header';
+
+  const title = document.createElement('h4');
+  header.appendChild(title);
+
+  const search = document.createElement('input');
+  search.type = 'search';
+  search.className = 'event-log-filter';
+  search.placeholder = getMessage('events.filter');
+  search.value = filter;
+  search.addEventListener('input', () => {
+    applyEventLogFilter(container, search.value);
+    if (onFilterChange) onFilterChange(search.value);
+  });
+  header.appendChild(search);
+
+  const clear = document.createElement('button');
+  clear.type = 'button';
+  clear.className = 'event-log-clear';
+  clear.textContent = getMessage('events.clear');
+  clear.addEventListener('click', () => {
+    list.innerHTML = '';
+    updateSummary(container);
+    if (onClear) onClear();
+  });
+  header.appendChild(clear);
+  panel.appendChild(header);
+
+  const list = document.createElement('ol');
+  list.className = 'event-log-list';
+  panel.appendChild(list);
+
+  const empty = document.createElement('p');
+  empty.className = 'event-log-empty';
+  empty.textContent = getMessage('events.empty');
+  panel.appendChild(empty);
+
+  container.appendChild(panel);
+  entries.slice(-maxEntries).forEach(entry => list.appendChild(createRow(entry, filter)));
+  updateSummary(container);
+  list.scrollTop = list.scrollHeight;
+}
+
+/**
+ * Appends an event, dropping the oldest rows past the limit
+ * Keeps the list scrolled to the newest event unless the user scrolled up.
+ * @param {HTMLElement} container - Container passed to renderEventLog
+ * @param {Object} entry - spine-event detail
+ */
+export function appendEventLogEntry(container, entry) {
+  const panel = container.querySelector('.event-log');
+  if (!panel) {
+    return;
+  }
+  const list = panel.querySelector('.event-log-list');
+  const atBottom = list.scrollTop + list.clientHeight >= list.scrollHeight - 4;
+
+  list.appendChild(createRow(entry, panel.querySelector('.event-log-filter').value));
+  const maxEntries = Number(panel.dataset.maxEntries);
+  while (list.children.length > maxEntries) {
+    list.removeChild(list.firstChild);
+  }
+  updateSummary(container);
+
+  if (atBottom) {
+    list.scrollTop = list.scrollHeight;
+  }
+}
+
+/**
+ * Hides the events that do not match a filter
+ * @param {HTMLElement} container - Container passed to renderEventLog
+ * @param {string} query - Text searched in the name, string value, audio path and animation
+ */
+export function applyEventLogFilter(container, query) {
+  container.querySelectorAll('.event-log-row').forEach(row => {
+    row.hidden = !matchesEventFilter(rowEntries.get(row), query);
+  });
+  updateSummary(container);
+}
+
+/**
+ * @param {Object} entry - spine-event detail
+ * @param {string} filter - Current filter text
+ * @returns {HTMLLIElement}
+ */
+function createRow(entry, filter) {
+  const row = document.createElement('li');
+  row.className = 'event-log-row';
+  rowEntries.set(row, entry);
+
+  const time = document.createElement('span');
+  time.className = 'event-log-time';
+  time.textContent = `${entry.time.toFixed(3)}s`;
+
+  const name = document.createElement('span');
+  name.className = 'event-log-name';
+  name.textContent = entry.name;
+
+  const values = document.createElement('span');
+  values.className = 'event-log-values';
+  values.textContent = formatEventValues(entry);
+
+  row.append(time, name, values);
+  row.hidden = !matchesEventFilter(entry, filter);
+  return row;
+}
+
+/**
+ * Updates the title count and the empty state
+ * @param {HTMLElement} container
+ */
+function updateSummary(container) {
+  const rows = Array.from(container.querySelectorAll('.event-log-row'));
+  const shown = rows.filter(row => !row.hidden).length;
+  const title = container.querySelector('.event-log-header h4');
+  title.textContent = shown === rows.length
+    ? getMessage('events.title', { count: rows.length })
+    : getMessage('events.title_filtered', { shown, count: rows.length });
+  container.querySelector('.event-log-empty').hidden = rows.length > 0;
+}
@@ -7,12 +7,16 @@
 import { MultiTrackSequence } from '../models/MultiTrackSequence.js';
 import { TrackManager } from '../services/TrackManager.js';
 import { PlaybackController } from '../services/PlaybackController.js';
+import { getEventMarkers } from '../utils/spineEvents.js';
 
 let sequence = null;
 let trackManager = null;
 let playbackController = null;
 let containerElement = null;
 let spineViewer = null;
+let keydownListener = null;
+const boundTracks = new WeakSet();
+const expandedSlotOptions = new WeakSet(); // Slots whose option editor is open
 
 /**
  * Initialize multi-track UI
@@ -31,6 +35,7 @@ export function initMultiTrackUI(container, options = {}) {
   trackManager = new TrackManager(sequence);
 
   // Initialize playback controller if spineViewer provided
+  playbackController = null;
   if (spineViewer) {
     playbackController = new PlaybackController(sequence, spineViewer);
     setupPlaybackEventListeners();
@@ -48,8 +53,39 @@ export function initMultiTrackUI(container, options = {}) {
         <button class="playback-btn pause-btn" title="暫停" disabled>⏸</button>
         <button class="playback-btn next-frame-btn" title="下一幀">⏭</button>
       </div>
+      <div class="loop-controls">
+        <select class="loop-mode-select" title="循環模式">
+          <option value="once">播放一次</option>
+          <option value="continuous">循環整段</option>
+          <option value="per-track">各軌獨立循環</option>
+          <option value="ping-pong">來回播放</option>
+          <option value="region">A–B 區段循環</option>
+        </select>
+        <button class="loop-region-btn loop-region-start-btn" title="以目前位置設為區段起點">A</button>
+        <button class="loop-region-btn loop-region-end-btn" title="以目前位置設為區段終點">B</button>
+        <button class="loop-region-btn loop-region-clear-btn" title="清除區段" disabled>✕</button>
+      </div>
+      <div class="history-controls">
+        <button class="history-btn undo-btn" title="復原 (Ctrl+Z)" disabled>↶</button>
+        <button class="history-btn redo-btn" title="重做 (Ctrl+Shift+Z)" disabled>↷</button>
+      </div>
+      <label class="sequence-mix-control" title="未個別設定的動畫格之間的混合時間">
+        預設混合 (秒)
+        <input class="sequence-mix-input" type="number" min="0" step="0.05" value="${formatSeconds(sequence.defaultMixDuration)}">
+      </label>
+      <div class="sequence-file-controls">
+        <button class="sequence-export-btn" title="匯出序列 (JSON)">匯出</button>
+        <button class="sequence-import-btn" title="匯入序列 (JSON)">匯入</button>
+        <input class="sequence-import-input" type="file" accept=".json,application/json" style="display:none;">
+      </div>
       <button class="add-track-btn">+ 新增軌道</button>
     </div>
+    <div class="timeline-ruler" title="拖曳以跳轉時間">
+      <div class="timeline-region" hidden></div>
+      <div class="timeline-ticks"></div>
+      <div class="timeline-playhead"></div>
+      <span class="timeline-time">00:00.000</span>
+    </div>
     <div class="tracks-list"></div>
   `;
 
@@ -70,9 +106,52 @@ export function initMultiTrackUI(container, options = {}) {
   pauseBtn.addEventListener('click', handlePauseClick);
   nextFrameBtn.addEventListener('click', handleNextFrameClick);
 
+  // Setup timeline ruler scrubbing
+  setupTimelineRuler(multiTrackContainer.querySelector('.timeline-ruler'));
+
+  // Setup sequence import/export listeners
+  const exportBtn = multiTrackContainer.querySelector('.sequence-export-btn');
+  const importBtn = multiTrackContainer.querySelector('.sequence-import-btn');
+  const importInput = multiTrackContainer.querySelector('.sequence-import-input');
+
+  exportBtn.addEventListener('click', handleExportClick);
+  importBtn.addEventListener('click', () => importInput.click());
+  importInput.addEventListener('change', handleImportFileSelected);
+
+  // Setup loop mode listeners
+  const loopModeSelect = multiTrackContainer.querySelector('.loop-mode-select');
+  loopModeSelect.value = sequence.loopMode;
+  loopModeSelect.addEventListener('change', handleLoopModeChange);
+  multiTrackContainer.querySelector('.loop-region-start-btn').addEventListener('click', () => handleSetLoopRegionPoint('start'));
+  multiTrackContainer.querySelector('.loop-region-end-btn').addEventListener('click', () => handleSetLoopRegionPoint('end'));
+  multiTrackContainer.querySelector('.loop-region-clear-btn').addEventListener('click', () => sequence.clearLoopRegion());
+  sequence.addEventListener('loop-mode-changed', handleLoopModeChanged);
+  sequence.addEventListener('loop-region-changed', renderLoopRegion);
+
+  // Setup default mix listeners
+  const mixInput = multiTrackContainer.querySelector('.sequence-mix-input');
+  mixInput.addEventListener('change', handleDefaultMixChange);
+  sequence.addEventListener('default-mix-changed', handleDefaultMixChanged);
+
+  // Setup undo/redo listeners
+  const undoBtn = multiTrackContainer.querySelector('.undo-btn');
+  const redoBtn = multiTrackContainer.querySelector('.redo-btn');
+
+  undoBtn.addEventListener('click', handleUndo);
+  redoBtn.addEventListener('click', handleRedo);
+  sequence.history.addEventListener('history-changed', updateHistoryButtons);
+
+  // Replace keyboard binding from any previous initialization
+  if (keydownListener) {
+    document.removeEventListener('keydown', keydownListener);
+  }
+  keydownListener = handleHistoryKeydown;
+  document.addEventListener('keydown', keydownListener);
+
   // Listen for sequence events
   sequence.addEventListener('track-added', handleTrackAdded);
   sequence.addEventListener('track-removed', handleTrackRemoved);
+  sequence.addEventListener('tracks-cleared', handleTracksCleared);
 
   // Listen for playback position changes for visual indicators
   sequence.tracks.forEach(track => {
@@ -105,17 +184,52 @@ function handleAddTrack() {
  * @param {CustomEvent} e - Event with track details
  */
 function handleTrackAdded(e) {
-  const { track } = e.detail;
+  const { track, index } = e.detail;
   const trackElement = renderTrack(track);
 
+  // Insert at model position (tracks restored by undo may not be last)
   const tracksList = containerElement.querySelector('.tracks-list');
-  tracksList.appendChild(trackElement);
+  const nextElement = index !== undefined ? tracksList.children[index] : null;
+  tracksList.insertBefore(trackElement, nextElement || null);
 
   // Render initial slots
   renderTrackSlots(trackElement, track);
 
+  bindTrackEvents(track);
+  renderTimelineRuler();
+}
+
+/**
+ * Subscribe UI to model events of a track (once per track)
+ * Keeps the DOM in sync with edits that do not originate from the UI, such as undo/redo.
+ * @param {AnimationTrack} track - Track model
+ */
+function bindTrackEvents(track) {
+  if (boundTracks.has(track)) {
+    return;
+  }
+  boundTracks.add(track);
+
   // Listen for playback position changes on new track
   track.addEventListener('playback-position-changed', handlePlaybackPositionChanged);
+
+  const rerender = () => {
+    const trackElement = containerElement.querySelector(`.track[data-track-id="${track.id}"]`);
+    if (trackElement) {
+      renderTrackSlots(trackElement, track);
+    }
+  };
+  ['slot-added', 'slot-removed', 'slot-moved', 'animation-changed', 'slot-options-changed'].forEach(type => {
+    track.addEventListener(type, rerender);
+    track.addEventListener(type, renderTimelineRuler);
+  });
+
+  track.addEventListener('track-renamed', () => {
+    const nameElement = containerElement.querySelector(`.track[data-track-id="${track.id}"] .track-name`);
+    if (nameElement) {
+      nameElement.textContent = track.name;
+    }
+  });
 }
 
 /**
@@ -129,6 +243,18 @@ function handleTrackRemoved(event) {
   if (trackElement) {
     trackElement.remove();
   }
+
+  renderTimelineRuler();
+}
+
+/**
+ * Handle tracks-cleared event
+ */
+function handleTracksCleared() {
+  const tracksList = containerElement.querySelector('.tracks-list');
+  if (tracksList) {
+    tracksList.innerHTML = '';
+  }
 }
 
 /**
@@ -300,6 +426,160 @@ export function validateTrackName(name) {
   return true;
 }
 
+// ============================================================
+// Undo / Redo
+// ============================================================
+
+/**
+ * Handle undo button click or shortcut
+ */
+function handleUndo() {
+  if (!sequence || !sequence.canUndo()) {
+    return;
+  }
+
+  try {
+    sequence.undo();
+  } catch (error) {
+    console.error('Failed to undo:', error);
+  }
+}
+
+/**
+ * Handle redo button click or shortcut
+ */
+function handleRedo() {
+  if (!sequence || !sequence.canRedo()) {
+    return;
+  }
+
+  try {
+    sequence.redo();
+  } catch (error) {
+    console.error('Failed to redo:', error);
+  }
+}
+
+/**
+ * Handle Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS, Ctrl+Y also redoes)
+ * @param {KeyboardEvent} e
+ */
+export function handleHistoryKeydown(e) {
+  if (!containerElement || !containerElement.isConnected) {
+    return;
+  }
+
+  // Leave text fields (e.g. track rename input) to native undo
+  const target = e.target;
+  if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+    return;
+  }
+
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) {
+    return;
+  }
+
+  const key = e.key.toLowerCase();
+  if (key === 'z' && !e.shiftKey) {
+    e.preventDefault();
+    handleUndo();
+  } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+    e.preventDefault();
+    handleRedo();
+  }
+}
+
+/**
+ * Sync undo/redo button state with history
+ */
+function updateHistoryButtons() {
+  const undoBtn = containerElement.querySelector('.undo-btn');
+  const redoBtn = containerElement.querySelector('.redo-btn');
+
+  if (undoBtn && redoBtn) {
+    undoBtn.disabled = !sequence.canUndo();
+    redoBtn.disabled = !sequence.canRedo();
+    undoBtn.title = sequence.history.undoLabel ? `復原：${sequence.history.undoLabel} (Ctrl+Z)` : '復原 (Ctrl+Z)';
+    redoBtn.title = sequence.history.redoLabel ? `重做：${sequence.history.redoLabel} (Ctrl+Shift+Z)` : '重做 (Ctrl+Shift+Z)';
+  }
+}
+
+// ============================================================
+// Sequence Import / Export
+// ============================================================
+
+/**
+ * Serialize the current sequence to a JSON string
+ * @returns {string}
+ */
+export function exportSequence() {
+  return JSON.stringify(sequence.toJSON(), null, 2);
+}
+
+/**
+ * Load a serialized sequence into the current sequence
+ * Stops playback first; animations missing from the loaded skeleton are rejected.
+ * @param {Object|string} data - Serialized sequence
+ * @throws {Error} If data is invalid or references missing animations
+ */
+export function importSequence(data) {
+  const availableAnimations = spineViewer && typeof spineViewer.getAnimations === 'function'
+    ? spineViewer.getAnimations()
+    : null;
+
+  if (playbackController) {
+    playbackController.stop();
+  }
+
+  sequence.loadJSON(data, availableAnimations ? { availableAnimations } : {});
+
+  if (playbackController) {
+    playbackController.setPlaybackSpeed(sequence.getPlaybackSpeed());
+  }
+}
+
+/**
+ * Handle export button click - download sequence as a JSON file
+ */
+function handleExportClick() {
+  const blob = new Blob([exportSequence()], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'multi-track-sequence.json';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Handle import file selection
+ * @param {Event} e - Change event from the hidden file input
+ */
+async function handleImportFileSelected(e) {
+  const input = e.target;
+  const file = input.files && input.files[0];
+  input.value = '';
+
+  if (!file) {
+    return;
+  }
+
+  try {
+    importSequence(await file.text());
+  } catch (error) {
+    console.error('Failed to import sequence:', error);
+    if (error.missingAnimations) {
+      alert(`無法匯入序列，目前骨架缺少以下動畫：\n${error.missingAnimations.join('\n')}`);
+    } else {
+      alert(`無法匯入序列：${error.message}`);
+    }
+  }
+}
+
 // ============================================================
 // Drag and Drop
 // ============================================================
@@ -349,14 +629,19 @@ function handleAnimationDrop(trackElement, animationName) {
     return;
   }
 
-  // Single animation per track: clear existing slots and add new one
-  // Remove all existing slots
-  while (track.slots.length > 0) {
-    track.removeSlot(0);
-  }
+  // Single animation per track: replace existing slots as one undo step
+  sequence.transaction(`Drop "${animationName}"`, () => {
+    if (track.slots.length === 0) {
+      track.addSlot(animationName);
+      return;
+    }
 
-  // Add the new animation as the only slot
-  track.addSlot(animationName);
+    // Keep only the first slot and assign the new animation to it
+    while (track.slots.length > 1) {
+      track.removeSlot(track.slots.length - 1);
+    }
+    track.setAnimation(0, animationName);
+  });
 
   // Re-render track slots
   renderTrackSlots(trackElement, track);
@@ -382,13 +667,22 @@ function renderTrackSlots(trackElement, track) {
   const emptyClass = slot.isEmpty ? 'empty' : 'occupied';
   const slotContent = slot.isEmpty ? '空位' : slot.animation;
 
+  const summary = formatSlotOptionsSummary(slot);
+  const isExpanded = !slot.isEmpty && expandedSlotOptions.has(slot);
+  const mixDuration = getSlotMixDuration(slot);
+
   slotsContainer.innerHTML = `
+    ${mixDuration > 0 ? renderMixRegion(mixDuration) : ''}
     <div class="slot ${emptyClass} single-slot"
          data-slot-index="0"
          data-track-id="${track.id}">
       <span class="slot-content">${slotContent}</span>
+      ${summary ? `<span class="slot-options-summary">${summary}</span>` : ''}
+      ${renderEventMarkers(slot)}
+      ${!slot.isEmpty ? '<button class="slot-options-btn" title="播放設定" onclick="event.stopPropagation()">⚙</button>' : ''}
       ${!slot.isEmpty ? '<button class="slot-remove-btn" onclick="event.stopPropagation()">×</button>' : ''}
     </div>
+    ${isExpanded ? renderSlotOptionsEditor(slot) : ''}
   `;
 
   // Setup remove button handler only (no drag-drop between slots)
@@ -400,6 +694,242 @@ function renderTrackSlots(trackElement, track) {
       renderTrackSlots(trackElement, track);
     });
   }
+
+  const optionsBtn = slotElement?.querySelector('.slot-options-btn');
+  if (optionsBtn) {
+    optionsBtn.addEventListener('click', () => {
+      if (expandedSlotOptions.has(slot)) {
+        expandedSlotOptions.delete(slot);
+      } else {
+        expandedSlotOptions.add(slot);
+      }
+      renderTrackSlots(trackElement, track);
+    });
+  }
+
+  const editor = slotsContainer.querySelector('.slot-options');
+  if (editor) {
+    editor.addEventListener('change', () => handleSlotOptionsChange(track, slot.index, editor));
+  }
+}
+
+/**
+ * Render the event keys of a slot's animation as markers along the slot cell
+ * The cell spans one pass of the (trimmed) animation.
+ * @param {AnimationSlot} slot - Slot model
+ * @returns {string} HTML string, empty when the animation has no events
+ */
+export function renderEventMarkers(slot) {
+  if (!slot || slot.isEmpty || !spineViewer || typeof spineViewer.getAnimationEvents !== 'function') {
+    return '';
+  }
+  const keys = spineViewer.getAnimationEvents(slot.animation);
+  if (!keys || keys.events.length === 0) {
+    return '';
+  }
+
+  const start = slot.trimStart / 1000;
+  const end = slot.trimEnd !== null ? Math.min(slot.trimEnd / 1000, keys.duration) : keys.duration;
+  const markers = getEventMarkers(keys.events, start, end).map(marker => {
+    const name = escapeHtml(marker.name);
+    return `<span class="slot-event-marker" data-event="${name}" data-time="${marker.time}"
+      style="left: ${(marker.position * 100).toFixed(2)}%" title="${name} @ ${marker.time}s"></span>`;
+  });
+  return markers.length > 0 ? `<div class="slot-events">${markers.join('')}</div>` : '';
+}
+
+/**
+ * Escapes text from skeleton data for use in HTML strings and attribute values
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Crossfade into a slot as the controller will play it
+ * @param {AnimationSlot} slot - Slot model
+ * @returns {number} Mix duration in milliseconds
+ */
+export function getSlotMixDuration(slot) {
+  if (!slot || slot.isEmpty) {
+    return 0;
+  }
+  if (playbackController) {
+    return playbackController.getMixDuration(slot);
+  }
+  return slot.mixDuration !== null ? slot.mixDuration : sequence.defaultMixDuration;
+}
+
+/**
+ * Render the mix region shown before a slot cell
+ * The slot fades in from the previous cycle's pose over this time.
+ * @param {number} mixDuration - Mix duration in milliseconds
+ * @returns {string} HTML string
+ */
+function renderMixRegion(mixDuration) {
+  return `
+    <div class="slot-mix" title="混合 ${formatSeconds(mixDuration)} 秒">
+      <span class="slot-mix-label">${formatSeconds(mixDuration)}s</span>
+    </div>
+  `;
+}
+
+/**
+ * Handle default mix input change
+ * @param {Event} e
+ */
+function handleDefaultMixChange(e) {
+  const text = e.target.value.trim();
+  const duration = text === '' ? 0 : Math.round(Number(text) * 1000);
+
+  try {
+    sequence.setDefaultMixDuration(duration);
+  } catch (error) {
+    console.error('Failed to set default mix:', error);
+    alert(error.message);
+    e.target.value = formatSeconds(sequence.defaultMixDuration);
+  }
+}
+
+/**
+ * Handle default-mix-changed event (also fired by undo/redo and import)
+ */
+function handleDefaultMixChanged() {
+  const mixInput = containerElement.querySelector('.sequence-mix-input');
+  if (mixInput) {
+    mixInput.value = formatSeconds(sequence.defaultMixDuration);
+  }
+
+  // Slots without their own mix follow the default
+  sequence.tracks.forEach(track => {
+    const trackElement = containerElement.querySelector(`.track[data-track-id="${track.id}"]`);
+    if (trackElement) {
+      renderTrackSlots(trackElement, track);
+    }
+  });
+}
+
+/**
+ * Short description of a slot's playback overrides (e.g. "×3 · 0.5x")
+ * @param {AnimationSlot} slot - Slot model
+ * @returns {string} Empty string when the slot uses the defaults
+ */
+export function formatSlotOptionsSummary(slot) {
+  if (!slot || slot.isEmpty || !slot.hasOverrides) {
+    return '';
+  }
+
+  const parts = [];
+  if (slot.holdDuration !== null) {
+    parts.push(`停留 ${formatSeconds(slot.holdDuration)}s`);
+  } else if (slot.repeatCount > 1) {
+    parts.push(`×${slot.repeatCount}`);
+  }
+  if (slot.speed !== 1) {
+    parts.push(`${slot.speed}x`);
+  }
+  if (slot.trimStart > 0 || slot.trimEnd !== null) {
+    const end = slot.trimEnd !== null ? formatSeconds(slot.trimEnd) : '';
+    parts.push(`${formatSeconds(slot.trimStart)}–${end}s`);
+  }
+  if (slot.mixDuration !== null) {
+    parts.push(`混合 ${formatSeconds(slot.mixDuration)}s`);
+  }
+
+  return parts.join(' · ');
+}
+
+/**
+ * Render the playback option editor of a slot
+ * Times are shown in seconds; the model stores milliseconds.
+ * @param {AnimationSlot} slot - Slot model
+ * @returns {string} HTML string
+ */
+function renderSlotOptionsEditor(slot) {
+  const seconds = (ms) => ms === null ? '' : formatSeconds(ms);
+
+  return `
+    <div class="slot-options" data-slot-index="${slot.index}">
+      <label>重複次數
+        <input type="number" data-option="repeatCount" min="1" step="1" value="${slot.repeatCount}">
+      </label>
+      <label>停留 (秒)
+        <input type="number" data-option="holdDuration" min="0" step="0.1" value="${seconds(slot.holdDuration)}" placeholder="自動">
+      </label>
+      <label>速度
+        <input type="number" data-option="speed" min="0.05" step="0.05" value="${slot.speed}">
+      </label>
+      <label>起點 (秒)
+        <input type="number" data-option="trimStart" min="0" step="0.01" value="${seconds(slot.trimStart)}">
+      </label>
+      <label>終點 (秒)
+        <input type="number" data-option="trimEnd" min="0" step="0.01" value="${seconds(slot.trimEnd)}" placeholder="結尾">
+      </label>
+      <label>混合 (秒)
+        <input type="number" data-option="mixDuration" min="0" step="0.05" value="${seconds(slot.mixDuration)}" placeholder="預設">
+      </label>
+    </div>
+  `;
+}
+
+/**
+ * Read slot options from an editor element
+ * Empty fields fall back to the defaults.
+ * @param {HTMLElement} editor - .slot-options element
+ * @returns {Object} Options in model units (milliseconds)
+ */
+export function readSlotOptionsEditor(editor) {
+  const value = (name) => {
+    const input = editor.querySelector(`[data-option="${name}"]`);
+    const text = input ? input.value.trim() : '';
+    return text === '' ? null : Number(text);
+  };
+  const toMs = (sec) => sec === null ? null : Math.round(sec * 1000);
+
+  return {
+    repeatCount: value('repeatCount') ?? 1,
+    holdDuration: toMs(value('holdDuration')),
+    speed: value('speed') ?? 1,
+    trimStart: toMs(value('trimStart')) ?? 0,
+    trimEnd: toMs(value('trimEnd')),
+    mixDuration: toMs(value('mixDuration'))
+  };
+}
+
+/**
+ * Apply edited slot options
+ * @param {AnimationTrack} track - Track model
+ * @param {number} slotIndex - Slot position
+ * @param {HTMLElement} editor - .slot-options element
+ */
+function handleSlotOptionsChange(track, slotIndex, editor) {
+  try {
+    track.setSlotOptions(slotIndex, readSlotOptionsEditor(editor));
+  } catch (error) {
+    console.error('Failed to update slot options:', error);
+    alert(error.message);
+
+    // Restore the editor to the model values
+    const trackElement = containerElement.querySelector(`.track[data-track-id="${track.id}"]`);
+    if (trackElement) {
+      renderTrackSlots(trackElement, track);
+    }
+  }
+}
+
+/**
+ * Format milliseconds as seconds without trailing zeros
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatSeconds(ms) {
+  return String(Math.round(ms) / 1000);
 }
 
 /**
@@ -544,8 +1074,10 @@ function handleSlotDrop(e, track) {
         const fromAnimation = fromTrack.slots[fromIndex].animation;
 
         // Replace: set target slot to source animation, clear source slot
-        toTrack.setAnimation(toIndex, fromAnimation);
-        fromTrack.setAnimation(fromIndex, null); // Clear source slot
+        sequence.transaction(`Move "${fromAnimation}"`, () => {
+          toTrack.setAnimation(toIndex, fromAnimation);
+          fromTrack.setAnimation(fromIndex, null); // Clear source slot
+        });
 
         // Re-render both tracks
         const fromTrackElement = containerElement.querySelector(`[data-track-id="${fromTrackId}"]`);
@@ -691,6 +1223,8 @@ function setupPlaybackEventListeners() {
   sequence.addEventListener('playback-stopped', handlePlaybackStopped);
   sequence.addEventListener('playback-paused', handlePlaybackPaused);
   sequence.addEventListener('playback-resumed', handlePlaybackResumed);
+  sequence.addEventListener('playback-seeked', handlePlaybackSeeked);
+  sequence.addEventListener('spine-event', handleSpineEvent);
 }
 
 /**
@@ -781,11 +1315,42 @@ function handlePlaybackStarted() {
 function handlePlaybackStopped() {
   updatePlaybackButtons(false, false);
   updatePlaybackTime(0);
+  updatePlayhead(0);
 
   // Clear all highlights when stopped
   clearAllHighlights();
 }
 
+/**
+ * Handle playback seeked event
+ * @param {CustomEvent} event
+ */
+function handlePlaybackSeeked(event) {
+  updatePlaybackTime(event.detail.time);
+  updatePlayhead(event.detail.time);
+}
+
+/**
+ * Flash the marker of a fired Spine event on its slot cell
+ * @param {CustomEvent} event - spine-event with {name, time, trackId, slotIndex}
+ */
+export function handleSpineEvent(event) {
+  const { name, time, trackId, slotIndex } = event.detail;
+  const slotElement = containerElement.querySelector(
+    `.slot[data-track-id="${trackId}"][data-slot-index="${slotIndex}"]`
+  );
+  if (!slotElement) return;
+
+  slotElement.querySelectorAll('.slot-event-marker').forEach(marker => {
+    if (marker.dataset.event === name && Math.abs(Number(marker.dataset.time) - time) < 1e-4) {
+      // Restart the flash animation when the same event fires again
+      marker.classList.remove('fired');
+      void marker.offsetWidth;
+      marker.classList.add('fired');
+    }
+  });
+}
+
 /**
  * Handle playback paused event
  */
@@ -841,12 +1406,229 @@ function updatePlaybackTime(milliseconds) {
   }
 }
 
+// ============================================================
+// Timeline Ruler
+// ============================================================
+
+/**
+ * Setup pointer scrubbing on the timeline ruler
+ * @param {HTMLElement} ruler - Ruler element
+ */
+function setupTimelineRuler(ruler) {
+  if (!ruler) return;
+
+  let isScrubbing = false;
+
+  const scrubTo = (e) => {
+    const time = getRulerTimeAt(ruler, e.clientX);
+    if (time === null) return;
+
+    try {
+      playbackController.seek(time);
+    } catch (error) {
+      console.error('Failed to seek:', error);
+    }
+  };
+
+  ruler.addEventListener('pointerdown', (e) => {
+    if (!playbackController || sequence.tracks.length === 0) return;
+
+    isScrubbing = true;
+    ruler.classList.add('scrubbing');
+    if (ruler.setPointerCapture) {
+      ruler.setPointerCapture(e.pointerId);
+    }
+    scrubTo(e);
+  });
+
+  ruler.addEventListener('pointermove', (e) => {
+    if (isScrubbing) {
+      scrubTo(e);
+    }
+  });
+
+  const endScrub = (e) => {
+    if (!isScrubbing) return;
+
+    isScrubbing = false;
+    ruler.classList.remove('scrubbing');
+    if (ruler.releasePointerCapture && ruler.hasPointerCapture && ruler.hasPointerCapture(e.pointerId)) {
+      ruler.releasePointerCapture(e.pointerId);
+    }
+  };
+  ruler.addEventListener('pointerup', endScrub);
+  ruler.addEventListener('pointercancel', endScrub);
+
+  renderTimelineRuler();
+}
+
+/**
+ * Convert a pointer x position on the ruler into a frame-snapped cycle time
+ * @param {HTMLElement} ruler - Ruler element
+ * @param {number} clientX - Pointer x in viewport coordinates
+ * @returns {number|null} Time in milliseconds, or null if the cycle is empty
+ */
+export function getRulerTimeAt(ruler, clientX) {
+  if (!playbackController) return null;
+
+  const cycleDuration = playbackController.getCycleDuration();
+  const rect = ruler.getBoundingClientRect();
+  if (cycleDuration <= 0 || rect.width <= 0) return null;
+
+  const ratio = Math.min(1, Math.max(0, (clientX - rect.left) / rect.width));
+  const frameDuration = playbackController.getFrameDuration();
+  const time = Math.round((ratio * cycleDuration) / frameDuration) * frameDuration;
+
+  return Math.min(time, cycleDuration);
+}
+
+/**
+ * Render second and frame tick marks for the current cycle length
+ */
+export function renderTimelineRuler() {
+  const ticks = containerElement && containerElement.querySelector('.timeline-ticks');
+  if (!ticks) return;
+
+  const cycleDuration = playbackController ? playbackController.getCycleDuration() : 0;
+  if (cycleDuration <= 0) {
+    ticks.innerHTML = '';
+    return;
+  }
+
+  // Frame ticks only when they stay readable; otherwise every 100ms
+  const frameDuration = playbackController.getFrameDuration();
+  const minorStep = cycleDuration / frameDuration <= 120 ? frameDuration : 100;
+
+  const marks = [];
+  for (let time = 0; time <= cycleDuration + 1e-6; time += minorStep) {
+    const left = (time / cycleDuration) * 100;
+    marks.push(`<span class="timeline-tick minor" style="left: ${left}%"></span>`);
+  }
+  for (let second = 0; second * 1000 <= cycleDuration; second++) {
+    const left = (second * 1000 / cycleDuration) * 100;
+    marks.push(`<span class="timeline-tick major" style="left: ${left}%"><span class="timeline-tick-label">${second}s</span></span>`);
+  }
+
+  ticks.innerHTML = marks.join('');
+  renderLoopRegion();
+}
+
+/**
+ * Position the A–B loop region overlay on the ruler
+ */
+export function renderLoopRegion() {
+  const region = containerElement && containerElement.querySelector('.timeline-region');
+  if (!region) return;
+
+  const loopRegion = sequence.loopRegion;
+  const clearBtn = containerElement.querySelector('.loop-region-clear-btn');
+  if (clearBtn) {
+    clearBtn.disabled = !loopRegion;
+  }
+
+  const cycleDuration = playbackController ? playbackController.getCycleDuration() : 0;
+  if (!loopRegion || cycleDuration <= 0) {
+    region.hidden = true;
+    return;
+  }
+
+  const start = Math.min(loopRegion.start / cycleDuration, 1) * 100;
+  const end = Math.min(loopRegion.end / cycleDuration, 1) * 100;
+
+  region.hidden = false;
+  region.style.left = `${start}%`;
+  region.style.width = `${end - start}%`;
+}
+
+/**
+ * Handle loop mode select change
+ * @param {Event} e
+ */
+function handleLoopModeChange(e) {
+  try {
+    sequence.setLoopMode(e.target.value);
+  } catch (error) {
+    console.error('Failed to set loop mode:', error);
+    alert(error.message === 'Loop region is not set' ? '請先以 A / B 按鈕設定循環區段' : error.message);
+    e.target.value = sequence.loopMode;
+  }
+}
+
+/**
+ * Handle loop-mode-changed event (also fired by import and clearing the region)
+ */
+function handleLoopModeChanged() {
+  const select = containerElement.querySelector('.loop-mode-select');
+  if (select) {
+    select.value = sequence.loopMode;
+  }
+}
+
+/**
+ * Set one end of the loop region to the current playhead position
+ * @param {'start'|'end'} point - Region end to set
+ */
+function handleSetLoopRegionPoint(point) {
+  if (!playbackController) {
+    return;
+  }
+
+  const cycleDuration = playbackController.getCycleDuration();
+  if (cycleDuration <= 0) {
+    alert('請先加入動畫');
+    return;
+  }
+
+  const time = playbackController.getPositionAt(playbackController.elapsedTime).cycleTime;
+  const current = sequence.loopRegion;
+
+  let start;
+  let end;
+  if (point === 'start') {
+    start = time;
+    end = current && current.end > time ? current.end : cycleDuration;
+  } else {
+    start = current && current.start < time ? current.start : 0;
+    end = time;
+  }
+
+  try {
+    sequence.setLoopRegion(start, end);
+  } catch (error) {
+    console.error('Failed to set loop region:', error);
+    alert('區段終點必須在起點之後');
+  }
+}
+
+/**
+ * Move the playhead to the position of a sequence time
+ * @param {number} milliseconds - Sequence time
+ */
+function updatePlayhead(milliseconds) {
+  const ruler = containerElement && containerElement.querySelector('.timeline-ruler');
+  if (!ruler || !playbackController) return;
+
+  // Loop modes decide where a time falls in the cycle (e.g. ping-pong runs backwards)
+  const { cycleDuration, cycleTime } = playbackController.getPositionAt(milliseconds);
+  const percent = cycleDuration > 0 ? (cycleTime / cycleDuration) * 100 : 0;
+
+  ruler.querySelector('.timeline-playhead').style.left = `${percent}%`;
+
+  const label = ruler.querySelector('.timeline-time');
+  const seconds = cycleTime / 1000;
+  const frame = Math.round(cycleTime / playbackController.getFrameDuration());
+  label.textContent = `${seconds.toFixed(3)}s · F${frame}`;
+}
+
 // Update time display during playback
 if (typeof requestAnimationFrame !== 'undefined') {
   function updateTimeDisplay() {
     if (sequence && sequence.playbackState.isPlaying) {
       updatePlaybackTime(sequence.playbackState.currentTime || 0);
     }
+    if (playbackController && playbackController.isPlaying) {
+      updatePlayhead(playbackController.elapsedTime);
+    }
     requestAnimationFrame(updateTimeDisplay);
   }
   requestAnimationFrame(updateTimeDisplay);
@@ -0,0 +1,118 @@
+/**
+ * Recent Files Panel
+ *
+ * Renders the bundles kept by the asset library (see services/AssetLibrary.js)
+ * so a character can be reopened without selecting its files again.
+ */
+
+import { getMessage } from '../utils/messages.js';
+
+/**
+ * Formats a byte count in megabytes
+ * @param {number} bytes
+ * @returns {string} e.g. "1.25"
+ */
+export function formatMegabytes(bytes) {
+  return (Math.round(bytes / (1024 * 1024) * 100) / 100).toString();
+}
+
+/**
+ * Renders the recent bundles into a container
+ * @param {HTMLElement} container - Element to render into (its content is replaced)
+ * @param {Array<Object>} entries - Bundle summaries with thumbnailUrl (see ResourceManager#listLibrary)
+ * @param {Object} [options]
+ * @param {{count: number, totalSize: number, maxBytes: number}} [options.usage] - Library usage
+ * @param {string} [options.activeId] - Bundle currently shown in the viewer
+ * @param {Function} [options.onOpen] - Called with the bundle id when an entry is clicked
+ * @param {Function} [options.onRemove] - Called with the bundle id when an entry is removed
+ */
+export function renderRecentPanel(container, entries, options = {}) {
+  if (!container) {
+    throw new Error('Container element is required');
+  }
+
+  const { usage = null, activeId = null, onOpen = null, onRemove = null } = options;
+  container.innerHTML = '';
+
+  const panel = document.createElement('div');
+  panel.className = 'recent-panel';
+
+  const header = document.createElement('div');
+  header.className = 'recent-header';
+
+  const title = document.createElement('h4');
+  title.textContent = getMessage('library.title');
+  header.appendChild(title);
+
+  if (usage) {
+    const summary = document.createElement('span');
+    summary.className = 'recent-usage';
+    summary.textContent = getMessage('library.usage', {
+      count: usage.count,
+      used: formatMegabytes(usage.totalSize),
+      max: formatMegabytes(usage.maxBytes)
+    });
+    header.appendChild(summary);
+  }
+  panel.appendChild(header);
+
+  if (entries.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'recent-empty';
+    empty.textContent = getMessage('library.empty');
+    panel.appendChild(empty);
+    container.appendChild(panel);
+    return;
+  }
+
+  const list = document.createElement('ul');
+  list.className = 'recent-list';
+
+  entries.forEach(entry => {
+    const item = document.createElement('li');
+    item.className = `recent-item${entry.id === activeId ? ' active' : ''}`;
+    item.dataset.id = entry.id;
+
+    const open = document.createElement('button');
+    open.type = 'button';
+    open.className = 'recent-open';
+    open.title = getMessage('library.open', { name: entry.name });
+    if (onOpen) {
+      open.addEventListener('click', () => onOpen(entry.id));
+    }
+
+    const thumbnail = document.createElement('span');
+    thumbnail.className = 'recent-thumbnail';
+    if (entry.thumbnailUrl) {
+      const image = document.createElement('img');
+      image.src = entry.thumbnailUrl;
+      image.alt = '';
+      thumbnail.appendChild(image);
+    }
+
+    const name = document.createElement('span');
+    name.className = 'recent-name';
+    name.textContent = entry.name;
+
+    const details = document.createElement('small');
+    details.className = 'recent-details';
+    details.textContent = `${getMessage('library.pages', { count: entry.pageCount })} · ${formatMegabytes(entry.size)}MB`;
+
+    open.append(thumbnail, name, details);
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'recent-remove';
+    remove.title = getMessage('library.remove');
+    remove.textContent = '×';
+    if (onRemove) {
+      remove.addEventListener('click', () => onRemove(entry.id));
+    }
+
+    item.append(open, remove);
+    list.appendChild(item);
+  });
+
+  panel.appendChild(list);
+  container.appendChild(panel);
+}
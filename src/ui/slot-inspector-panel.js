@@ -0,0 +1,113 @@
+/**
+ * Slot Inspector Panel
+ *
+ * Lists the slots of the live skeleton in draw order (see utils/slotInspector.js).
+ * Clicking a row selects the slot so the viewer can highlight it on the canvas.
+ */
+
+import { getMessage } from '../utils/messages.js';
+
+const COLUMNS = ['order', 'slot', 'bone', 'attachment', 'type', 'color', 'dark_color', 'blend'];
+
+/**
+ * Renders the slot list into a container
+ * The container's scroll position is kept so the panel can be re-rendered every frame.
+ * @param {HTMLElement} container - Element to render into (its content is replaced)
+ * @param {Array<Object>} slots - Result of inspectSlots
+ * @param {Object} [options]
+ * @param {string|null} [options.selected] - Name of the highlighted slot
+ * @param {Function} [options.onSelect] - Called with the slot name when a row is clicked
+ *   (with null when the selected row is clicked again)
+ */
+export function renderSlotInspector(container, slots, options = {}) {
+  if (!container) {
+    throw new Error('Container element is required');
+  }
+
+  const { selected = null, onSelect = null } = options;
+  const scrollTop = container.scrollTop;
+  container.innerHTML = '';
+
+  const panel = document.createElement('div');
+  panel.className = 'slot-inspector';
+
+  const title = document.createElement('h4');
+  title.textContent = getMessage('inspector.title', { count: slots.length });
+  panel.appendChild(title);
+
+  if (slots.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'slot-inspector-empty';
+    empty.textContent = getMessage('inspector.empty');
+    panel.appendChild(empty);
+    container.appendChild(panel);
+    return;
+  }
+
+  const table = document.createElement('table');
+  const headRow = document.createElement('tr');
+  COLUMNS.forEach(column => {
+    const cell = document.createElement('th');
+    cell.textContent = getMessage(`inspector.${column}`);
+    headRow.appendChild(cell);
+  });
+  const head = document.createElement('thead');
+  head.appendChild(headRow);
+  table.appendChild(head);
+
+  const body = document.createElement('tbody');
+  slots.forEach(slot => {
+    const row = document.createElement('tr');
+    row.dataset.slot = slot.name;
+    row.className = [
+      slot.name === selected ? 'selected' : '',
+      slot.attachment ? '' : 'empty'
+    ].filter(Boolean).join(' ');
+
+    row.append(
+      createCell(String(slot.order)),
+      createCell(slot.name),
+      createCell(slot.bone),
+      createCell(slot.attachment),
+      createCell(slot.attachmentType && getMessage(`inspector.type_${slot.attachmentType}`)),
+      createColorCell(slot.color),
+      createColorCell(slot.darkColor),
+      createCell(slot.blendMode)
+    );
+
+    if (onSelect) {
+      row.addEventListener('click', () => onSelect(slot.name === selected ? null : slot.name));
+    }
+    body.appendChild(row);
+  });
+  table.appendChild(body);
+  panel.appendChild(table);
+
+  container.appendChild(panel);
+  container.scrollTop = scrollTop;
+}
+
+/**
+ * @param {string|null} text - Cell text, '—' when empty
+ * @returns {HTMLTableCellElement}
+ */
+function createCell(text) {
+  const cell = document.createElement('td');
+  cell.textContent = text || '—';
+  return cell;
+}
+
+/**
+ * @param {string|null} color - '#rrggbbaa' or null
+ * @returns {HTMLTableCellElement} Swatch and hex value
+ */
+function createColorCell(color) {
+  const cell = createCell(color);
+  if (color) {
+    const swatch = document.createElement('span');
+    swatch.className = 'slot-color-swatch';
+    swatch.style.backgroundColor = color;
+    cell.prepend(swatch);
+  }
+  return cell;
+}
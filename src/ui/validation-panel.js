@@ -0,0 +1,94 @@
+/**
+ * Validation Report Panel
+ *
+ * Renders the skeleton/atlas cross-check report (see utils/spineValidator.js).
+ */
+
+import { getMessage } from '../utils/messages.js';
+
+const SEVERITY_ICONS = {
+  error: '✖',
+  warning: '⚠',
+  info: 'ℹ'
+};
+
+/**
+ * Formats where an issue was found
+ * @param {Object} location - Issue location
+ * @returns {string} e.g. "hero.atlas:12 · hero.png · head"
+ */
+export function formatLocation(location = {}) {
+  const file = location.file ? `${location.file}${location.line ? `:${location.line}` : ''}` : '';
+  const detail = [location.skin, location.attachment, location.page, location.region]
+    .filter(Boolean)
+    .filter((value, index, values) => values.indexOf(value) === index);
+  return [file, ...detail].filter(Boolean).join(' · ');
+}
+
+/**
+ * Renders a validation report into a container
+ * @param {HTMLElement} container - Element to render into (its content is replaced)
+ * @param {Object} report - Result of validateSpineAssets
+ */
+export function renderValidationReport(container, report) {
+  if (!container) {
+    throw new Error('Container element is required');
+  }
+
+  container.innerHTML = '';
+  if (!report) {
+    return;
+  }
+
+  const panel = document.createElement('div');
+  panel.className = `validation-panel ${report.valid ? 'valid' : 'invalid'}`;
+
+  const header = document.createElement('div');
+  header.className = 'validation-header';
+
+  const title = document.createElement('h4');
+  title.textContent = getMessage('validation.title');
+
+  const summary = document.createElement('span');
+  summary.className = 'validation-summary';
+  summary.textContent = report.issues.length === 0
+    ? getMessage('validation.passed')
+    : getMessage('validation.summary', {
+      errors: report.counts.error,
+      warnings: report.counts.warning,
+      infos: report.counts.info
+    });
+
+  header.append(title, summary);
+  panel.appendChild(header);
+
+  if (report.issues.length > 0) {
+    const list = document.createElement('ul');
+    list.className = 'validation-issues';
+
+    report.issues.forEach(issue => {
+      const item = document.createElement('li');
+      item.className = `validation-issue severity-${issue.severity}`;
+
+      const icon = document.createElement('span');
+      icon.className = 'validation-icon';
+      icon.textContent = SEVERITY_ICONS[issue.severity] || '';
+      icon.title = getMessage(`validation.severity_${issue.severity}`);
+
+      const message = document.createElement('span');
+      message.className = 'validation-message';
+      message.textContent = issue.message;
+
+      const location = document.createElement('span');
+      location.className = 'validation-location';
+      location.textContent = formatLocation(issue.location);
+
+      item.append(icon, message, location);
+      list.appendChild(item);
+    });
+
+    panel.appendChild(list);
+  }
+
+  container.appendChild(panel);
+}
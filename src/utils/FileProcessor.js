@@ -3,13 +3,80 @@
  * Handles FileReader-based file operations, object URL creation, and dependency detection
  */
 
-import { validateFile, validateFileExtension } from './fileValidator.js';
+import { validateFile, validateFileExtension, getFileCategory, getDefaultSizeLimits } from './fileValidator.js';
+import { readZip } from './zipReader.js';
+import { readBlob } from './zipWriter.js';
+import { getMessage } from './messages.js';
+
+const IMAGE_EXTENSIONS = /\.(png|jpe?g|webp)$/i;
+const ATLAS_EXTENSIONS = /\.atlas(\.txt)?$/i;
+const IMAGE_MIME_TYPES = { png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', webp: 'image/webp' };
+const DEFAULT_CHUNK_SIZE = 1024 * 1024;
+const DEFAULT_PROGRESS_THRESHOLD = 10 * 1024 * 1024;
 
 export class FileProcessor {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.sizeLimits] - Size limits in bytes per category (skeleton, atlas, texture, archive)
+   * @param {number} [options.chunkSize] - Slice size of chunked reads in bytes
+   * @param {number} [options.progressThreshold] - Files larger than this are read in chunks with progress
+   */
+  constructor(options = {}) {
     // Track created object URLs for cleanup
     this.activeUrls = new Map();
     this.progressCallback = null;
+    this.sizeLimits = getDefaultSizeLimits();
+    this.chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+    this.progressThreshold = options.progressThreshold ?? DEFAULT_PROGRESS_THRESHOLD;
+    this.setSizeLimits(options.sizeLimits);
+  }
+
+  /**
+   * Overrides size limits per file category
+   * Categories that are not given keep their current limit.
+   * @param {Object} [limits] - Limits in bytes, e.g. { skeleton: 64 * 1024 * 1024 }
+   */
+  setSizeLimits(limits = {}) {
+    Object.entries(limits || {}).forEach(([category, limit]) => {
+      if (!(category in this.sizeLimits)) {
+        throw new Error(`Unknown file category: ${category}`);
+      }
+      if (typeof limit !== 'number' || !(limit > 0)) {
+        throw new Error(`Invalid size limit for ${category}: ${limit}`);
+      }
+      this.sizeLimits[category] = limit;
+    });
+  }
+
+  /**
+   * Gets the size limit that applies to a file category
+   * @param {string} category - 'skeleton', 'atlas', 'texture' or 'archive'
+   * @returns {number} Limit in bytes
+   */
+  getSizeLimit(category) {
+    return this.sizeLimits[category] ?? this.sizeLimits.skeleton;
+  }
+
+  /**
+   * Throws when a file is larger than the limit of its category
+   * Files of unknown categories are not checked.
+   * @param {File} file - The file to check
+   */
+  checkFileSize(file) {
+    const category = getFileCategory(file.name);
+    if (!category) {
+      return;
+    }
+
+    const maxSize = this.getSizeLimit(category);
+    if (file.size > maxSize) {
+      throw new Error(getMessage('file.category_size_exceeded', {
+        name: file.name,
+        fileSize: Math.round(file.size / (1024 * 1024) * 100) / 100,
+        maxSize: Math.round(maxSize / (1024 * 1024) * 100) / 100,
+        category: getMessage(`file.category_${category}`)
+      }));
+    }
   }
 
   /**
@@ -23,12 +90,15 @@ export class FileProcessor {
   /**
    * Main entry point for processing Spine files
    * @param {File} file - The file to process
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels reading a large file
+   * @param {Function} [options.onProgress] - Called with (loaded, total) while reading a large file
    * @returns {Promise<{objectURL: string, type: string, dependencies: Object}>}
    */
-  async processSpineFile(file) {
+  async processSpineFile(file, options = {}) {
     try {
       // Validate the file first
-      const validationResult = validateFile(file);
+      const validationResult = validateFile(file, { maxSize: this.getSizeLimit('skeleton') });
       if (!validationResult.isValid) {
         throw new Error(validationResult.error);
       }
@@ -36,13 +106,13 @@ export class FileProcessor {
       // Determine file type
       const fileType = this.getFileType(file.name);
 
-      // Check if we need progress tracking for large files (>10MB)
-      const shouldTrackProgress = file.size > 10 * 1024 * 1024;
+      // Large files are read in chunks with progress tracking
+      const shouldTrackProgress = file.size > this.progressThreshold;
 
       // Read file content
       let fileContent;
       if (shouldTrackProgress) {
-        fileContent = await this.readFileWithProgress(file);
+        fileContent = await this.readFileWithProgress(file, options);
       } else {
         fileContent = await this.readFile(file);
       }
@@ -61,6 +131,9 @@ export class FileProcessor {
       };
 
     } catch (error) {
+      if (error.name === 'AbortError') {
+        throw error;
+      }
       console.error('FileProcessor: Failed to process file:', error);
       throw new Error(`Failed to process file ${file.name}: ${error.message}`);
     }
@@ -90,44 +163,76 @@ export class FileProcessor {
 
   /**
    * Reads a file with progress tracking for large files
+   * Progress is reported through the progress callback in steps of at least 5%.
    * @param {File} file - The file to read
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the read
+   * @param {Function} [options.onProgress] - Also called with (loaded, total) after every chunk
    * @returns {Promise<string>} File content as string
    */
-  readFileWithProgress(file) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      let lastProgressUpdate = 0;
+  readFileWithProgress(file, options = {}) {
+    let lastProgressUpdate = 0;
+    if (this.progressCallback) {
+      this.progressCallback(0, file.name);
+    }
 
-      reader.onloadstart = () => {
-        if (this.progressCallback) {
-          this.progressCallback(0, file.name);
+    return this.readFileChunked(file, {
+      signal: options.signal,
+      onProgress: (loaded, total) => {
+        if (options.onProgress) {
+          options.onProgress(loaded, total);
         }
-      };
-
-      reader.onprogress = (event) => {
-        if (event.lengthComputable && this.progressCallback) {
-          const percent = Math.round((event.loaded / event.total) * 100);
-          // Throttle progress updates to avoid excessive UI updates
-          if (percent >= lastProgressUpdate + 5 || percent === 100) {
-            this.progressCallback(percent, file.name);
-            lastProgressUpdate = percent;
-          }
+        if (!this.progressCallback) {
+          return;
         }
-      };
-
-      reader.onload = (event) => {
-        if (this.progressCallback) {
-          this.progressCallback(100, file.name);
+        const percent = total > 0 ? Math.round((loaded / total) * 100) : 100;
+        // Throttle progress updates to avoid excessive UI updates
+        if (percent >= lastProgressUpdate + 5 || percent === 100) {
+          this.progressCallback(percent, file.name);
+          lastProgressUpdate = percent;
         }
-        resolve(event.target.result);
-      };
+      }
+    });
+  }
 
-      reader.onerror = () => {
-        reject(new Error(`Failed to read file: ${reader.error?.message || 'Unknown error'}`));
-      };
+  /**
+   * Reads a file slice by slice, reporting progress after every chunk
+   * @param {File|Blob} file - The file to read
+   * @param {Object} [options]
+   * @param {'text'|'arraybuffer'|'dataurl'} [options.as='text'] - Result format
+   * @param {AbortSignal} [options.signal] - Cancels the read; the promise rejects with an AbortError
+   * @param {Function} [options.onProgress] - Called with (loaded, total) after each chunk
+   * @param {number} [options.chunkSize] - Slice size in bytes
+   * @returns {Promise<string|ArrayBuffer>} File content
+   */
+  async readFileChunked(file, { as = 'text', signal, onProgress, chunkSize = this.chunkSize } = {}) {
+    const total = file.size;
+    const bytes = new Uint8Array(total);
+    let loaded = 0;
+
+    throwIfAborted(signal);
+    while (loaded < total) {
+      const chunk = new Uint8Array(await readBlob(file.slice(loaded, Math.min(loaded + chunkSize, total))));
+      throwIfAborted(signal);
+
+      bytes.set(chunk, loaded);
+      loaded += chunk.length;
+      if (onProgress) {
+        onProgress(loaded, total);
+      }
+      throwIfAborted(signal);
+    }
+    if (total === 0 && onProgress) {
+      onProgress(0, 0);
+    }
 
-      reader.readAsText(file);
-    });
+    if (as === 'arraybuffer') {
+      return bytes.buffer;
+    }
+    if (as === 'dataurl') {
+      return `data:${file.type || 'application/octet-stream'};base64,${toBase64(bytes)}`;
+    }
+    return new TextDecoder().decode(bytes);
   }
 
   /**
@@ -278,10 +383,17 @@ export class FileProcessor {
   /**
    * Processes multiple files and attempts to resolve dependencies
    * @param {FileList|Array<File>} files - Array or FileList of files
-   * @returns {Promise<Object>} Processing result with main file and dependencies
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels reading large archives and the skeleton
+   * @param {Function} [options.onProgress] - Called with (loaded, total, file) while reading a large
+   *   archive or skeleton file
+   * @returns {Promise<Object>} Processing result with main file and dependencies; `errors` lists
+   *   problems such as missing atlas pages, `warnings` those that do not affect loading
    */
-  async processMultipleFiles(files) {
-    const fileArray = Array.from(files);
+  async processMultipleFiles(files, options = {}) {
+    const { signal, onProgress } = options;
+    const progressOf = file => (onProgress ? (loaded, total) => onProgress(loaded, total, file) : undefined);
+
     const results = {
       mainFile: null,
       dependencies: {
@@ -289,10 +401,25 @@ export class FileProcessor {
         textures: []
       },
       processed: [],
-      errors: []
+      errors: [],
+      // Problems that do not stop the bundle from loading, e.g. images the atlas does not use
+      warnings: []
     };
 
     try {
+      // An archive that cannot be read is reported like any other invalid file
+      const fileArray = [];
+      for (const file of Array.from(files)) {
+        if (this.isZipFile(file)) {
+          const entries = await this.extractZip(file, { signal, onProgress: progressOf(file) });
+          fileArray.push(...entries.map(entry => entry.file));
+        } else {
+          fileArray.push(file);
+        }
+      }
+
+      fileArray.forEach(file => this.checkFileSize(file));
+
       // Find the main Spine file (.skel or .json)
       const mainFiles = fileArray.filter(file =>
         validateFileExtension(file.name)
@@ -304,7 +431,7 @@ export class FileProcessor {
 
       // Use the first valid file as main
       const mainFile = mainFiles[0];
-      const mainResult = await this.processSpineFile(mainFile);
+      const mainResult = await this.processSpineFile(mainFile, { signal, onProgress: progressOf(mainFile) });
       results.mainFile = mainResult;
       results.processed.push(mainFile.name);
 
@@ -318,24 +445,38 @@ export class FileProcessor {
         file.name.toLowerCase().endsWith('.atlas')
       );
 
+      let pageMatch = null;
       if (atlasFiles.length > 0) {
         // Use the first .atlas file found
         results.dependencies.atlas = this.createObjectURL(atlasFiles[0]);
         results.processed.push(atlasFiles[0].name);
+
+        const pageNames = this.getAtlasPageNames(await this.readFile(atlasFiles[0]));
+        pageMatch = this.matchAtlasPages(pageNames, textureFilesOf(dependencyFiles));
+        results.dependencies.missingPages = pageMatch.missing;
+        results.dependencies.unusedTextures = pageMatch.unused.map(file => file.name);
+
+        if (pageMatch.missing.length > 0) {
+          results.errors.push(getMessage('atlas.missing_pages', { pages: pageMatch.missing.join(', ') }));
+        }
+        if (pageMatch.unused.length > 0) {
+          results.warnings.push(getMessage('atlas.unused_images', { images: results.dependencies.unusedTextures.join(', ') }));
+        }
       }
 
       // Look for texture files (common image formats)
-      const textureFiles = dependencyFiles.filter(file => {
-        const ext = file.name.toLowerCase();
-        return ext.endsWith('.png') || ext.endsWith('.jpg') ||
-               ext.endsWith('.jpeg') || ext.endsWith('.webp');
-      });
+      const textureFiles = textureFilesOf(dependencyFiles);
+      const pageByFile = new Map();
+      if (pageMatch) {
+        pageMatch.pages.forEach((file, pageName) => pageByFile.set(file, pageName));
+      }
 
       for (const textureFile of textureFiles) {
         const textureURL = this.createObjectURL(textureFile);
         results.dependencies.textures.push({
           name: textureFile.name,
-          url: textureURL
+          url: textureURL,
+          page: pageByFile.get(textureFile) || null
         });
         results.processed.push(textureFile.name);
       }
@@ -343,12 +484,285 @@ export class FileProcessor {
       return results;
 
     } catch (error) {
+      if (error.name === 'AbortError') {
+        throw error;
+      }
       console.error('FileProcessor: Error processing multiple files:', error);
       results.errors.push(error.message);
       return results;
     }
   }
 
+  /**
+   * Checks whether a file is a zip archive
+   * @param {File} file - The file to check
+   * @returns {boolean} True for .zip files
+   */
+  isZipFile(file) {
+    return !!file && (file.name.toLowerCase().endsWith('.zip') ||
+      file.type === 'application/zip' || file.type === 'application/x-zip-compressed');
+  }
+
+  /**
+   * Extracts the files of a zip archive in the browser
+   * Folders and OS metadata (__MACOSX, .DS_Store) are skipped.
+   * @param {File|Blob} file - The zip archive
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels reading a large archive
+   * @param {Function} [options.onProgress] - Called with (loaded, total) while reading a large archive
+   * @returns {Promise<Array<{path: string, file: File}>>} Extracted files with their path inside the archive
+   */
+  async extractZip(file, options = {}) {
+    if (file.name) {
+      this.checkFileSize(file);
+    }
+    // Large archives are read in cancellable chunks before being unpacked
+    const data = file.size > this.progressThreshold
+      ? await this.readFileChunked(file, { as: 'arraybuffer', signal: options.signal, onProgress: options.onProgress })
+      : file;
+    throwIfAborted(options.signal);
+    const entries = await readZip(data);
+
+    return entries
+      .filter(entry => !entry.isDirectory)
+      .filter(entry => !entry.name.startsWith('__MACOSX/') && !entry.name.endsWith('.DS_Store'))
+      .map(entry => {
+        const fileName = entry.name.substring(entry.name.lastIndexOf('/') + 1);
+        const extension = fileName.substring(fileName.lastIndexOf('.') + 1).toLowerCase();
+        return {
+          path: entry.name,
+          file: new File([entry.data], fileName, { type: IMAGE_MIME_TYPES[extension] || '' })
+        };
+      });
+  }
+
+  /**
+   * Extracts a zip archive and resolves the Spine exports inside it
+   * @param {File|Blob} file - The zip archive
+   * @returns {Promise<{bundles: Array<Object>, ambiguous: boolean}>} Resolved bundles (see findSpineBundles)
+   */
+  async processZipFile(file) {
+    const entries = await this.extractZip(file);
+    return this.processFileTree(entries, `archive ${file.name || ''}`.trim());
+  }
+
+  /**
+   * Resolves the Spine exports in a virtual folder tree (dropped folders, zip contents)
+   * @param {Array<{path: string, file: File}>} entries - Files with their relative paths
+   * @param {string} [sourceName='selection'] - Describes the source in error messages
+   * @returns {Promise<{bundles: Array<Object>, ambiguous: boolean}>} Resolved bundles (see findSpineBundles)
+   */
+  async processFileTree(entries, sourceName = 'selection') {
+    const result = await this.findSpineBundles(entries);
+
+    if (result.bundles.length === 0) {
+      throw new Error(`No Spine skeleton found in ${sourceName}`);
+    }
+    return result;
+  }
+
+  /**
+   * Reads dropped FileSystemEntry objects, walking directories recursively
+   * @param {Array<FileSystemEntry>} entries - From DataTransferItem.webkitGetAsEntry()
+   * @returns {Promise<Array<{path: string, file: File}>>} Files with paths relative to the drop
+   */
+  async readEntryTree(entries) {
+    const files = [];
+
+    const walk = async (entry) => {
+      if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        files.push({ path: entry.fullPath.replace(/^\/+/, ''), file });
+      } else if (entry.isDirectory) {
+        const reader = entry.createReader();
+        // readEntries returns directory contents in batches until an empty one
+        for (;;) {
+          const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+          if (batch.length === 0) break;
+          for (const child of batch) {
+            await walk(child);
+          }
+        }
+      }
+    };
+
+    for (const entry of entries) {
+      await walk(entry);
+    }
+    return files;
+  }
+
+  /**
+   * Groups extracted files into loadable Spine exports
+   * Each skeleton is paired with the atlas of the same name (or the only atlas in
+   * its folder / the archive) and with every page texture the atlas names. Pages are
+   * looked up next to the atlas, then in the JSON skeleton's images folder, then by
+   * file name anywhere in the tree.
+   * @param {Array<{path: string, file: File}>} entries - Files with their relative paths
+   * @returns {Promise<{bundles: Array<{name: string, skeleton: Object, atlas: Object|null, pages: Array<{name: string, path: string, file: File}>, missing: Array<string>}>, ambiguous: boolean}>}
+   *   ambiguous is true when several skeletons were found and the caller must choose one
+   */
+  async findSpineBundles(entries) {
+    const skeletons = [];
+    for (const entry of entries) {
+      if (!validateFileExtension(entry.path) || ATLAS_EXTENSIONS.test(entry.path)) {
+        continue;
+      }
+      let imagesPath = null;
+      if (this.getFileType(entry.path) === 'json') {
+        const content = await this.readFile(entry.file);
+        if (!this.isSkeletonJson(content)) {
+          continue;
+        }
+        imagesPath = this.getSkeletonImagesPath(content);
+      }
+      skeletons.push({ entry, imagesPath });
+    }
+
+    const atlases = entries.filter(entry => ATLAS_EXTENSIONS.test(entry.path));
+    const images = entries.filter(entry => IMAGE_EXTENSIONS.test(entry.path));
+
+    const bundles = [];
+    for (const { entry: skeleton, imagesPath } of skeletons) {
+      const bundle = {
+        name: skeleton.path,
+        skeleton,
+        atlas: this._findAtlasFor(skeleton.path, atlases),
+        pages: [],
+        missing: []
+      };
+
+      if (!bundle.atlas) {
+        bundle.missing.push(this.getAtlasFileName(skeleton.path));
+      } else {
+        const pageNames = this.getAtlasPageNames(await this.readFile(bundle.atlas.file));
+        const atlasDir = getDirectory(bundle.atlas.path);
+        const imagesDir = imagesPath ? getDirectory(skeleton.path) + imagesPath.replace(/\/*$/, '/') : null;
+
+        pageNames.forEach(pageName => {
+          const image = findByPath(images, atlasDir + pageName) ||
+            (imagesDir && findByPath(images, imagesDir + pageName)) ||
+            findByBaseName(images, pageName);
+          if (image) {
+            bundle.pages.push({ name: pageName, path: image.path, file: image.file });
+          } else {
+            bundle.missing.push(pageName);
+          }
+        });
+      }
+
+      bundles.push(bundle);
+    }
+
+    return { bundles, ambiguous: bundles.length > 1 };
+  }
+
+  /**
+   * Checks whether JSON text is Spine skeleton data
+   * @param {string} content - JSON file content
+   * @returns {boolean} True when the data has skeleton or bones sections
+   */
+  isSkeletonJson(content) {
+    try {
+      const data = JSON.parse(content);
+      return !!data && typeof data === 'object' && !!(data.skeleton || Array.isArray(data.bones));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Reads the images folder a JSON skeleton was exported with
+   * @param {string} content - JSON skeleton content
+   * @returns {string|null} skeleton.images path relative to the skeleton file
+   */
+  getSkeletonImagesPath(content) {
+    try {
+      const images = JSON.parse(content)?.skeleton?.images;
+      return typeof images === 'string' && images.trim() ? images.trim().replace(/\\/g, '/') : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Lists the page texture names of an atlas
+   * A page name is the first line of each blank-line separated block.
+   * @param {string} atlasText - Atlas file content
+   * @returns {Array<string>} Page image names in atlas order
+   */
+  getAtlasPageNames(atlasText) {
+    const pages = [];
+    let expectPage = true;
+
+    atlasText.split(/\r?\n/).forEach(line => {
+      const trimmed = line.trim();
+      if (trimmed.length === 0) {
+        expectPage = true;
+        return;
+      }
+      if (expectPage) {
+        pages.push(trimmed);
+        expectPage = false;
+      }
+    });
+
+    return pages;
+  }
+
+  /**
+   * Matches atlas page names against the provided images
+   * Names are compared case-insensitively without folders. When a single page is
+   * left unmatched and a single image is unused, the two are paired.
+   * @param {Array<string>} pageNames - Page names from getAtlasPageNames
+   * @param {Array<{name: string}>} images - Files or image descriptors with a name (or path)
+   * @returns {{pages: Map<string, Object>, missing: Array<string>, unused: Array<Object>}}
+   *   pages maps each found page name to its image
+   */
+  matchAtlasPages(pageNames, images) {
+    const pages = new Map();
+    const unused = [...images];
+
+    pageNames.forEach(pageName => {
+      const key = getPageKey(pageName);
+      const index = unused.findIndex(image => getPageKey(image.path || image.name || '') === key);
+      if (index !== -1) {
+        pages.set(pageName, unused.splice(index, 1)[0]);
+      }
+    });
+
+    let missing = pageNames.filter(pageName => !pages.has(pageName));
+    if (missing.length === 1 && unused.length === 1) {
+      pages.set(missing[0], unused.pop());
+      missing = [];
+    }
+
+    return { pages, missing, unused };
+  }
+
+  /**
+   * Picks the atlas that belongs to a skeleton
+   * @param {string} skeletonPath - Skeleton path inside the archive
+   * @param {Array<{path: string, file: File}>} atlases - Candidate atlases
+   * @returns {Object|null} Matching atlas entry
+   * @private
+   */
+  _findAtlasFor(skeletonPath, atlases) {
+    const baseName = skeletonPath.substring(0, skeletonPath.lastIndexOf('.')).toLowerCase();
+    const sameName = atlases.find(atlas => atlas.path.toLowerCase().replace(ATLAS_EXTENSIONS, '') === baseName);
+    if (sameName) {
+      return sameName;
+    }
+
+    const directory = getDirectory(skeletonPath);
+    const sameFolder = atlases.filter(atlas => getDirectory(atlas.path) === directory);
+    if (sameFolder.length === 1) {
+      return sameFolder[0];
+    }
+
+    return atlases.length === 1 ? atlases[0] : null;
+  }
+
   /**
    * Cleans up a specific object URL
    * @param {string} objectURL - The URL to clean up
@@ -408,4 +822,92 @@ export class FileProcessor {
   }
 }
 
-export default FileProcessor;
\ No newline at end of file
+/**
+ * @param {string} path - Path inside an archive
+ * @returns {string} Folder part including the trailing slash
+ */
+function getDirectory(path) {
+  return path.substring(0, path.lastIndexOf('/') + 1);
+}
+
+/**
+ * @param {Array<File>} files
+ * @returns {Array<File>} Image files usable as atlas pages
+ */
+function textureFilesOf(files) {
+  return files.filter(file => IMAGE_EXTENSIONS.test(file.name));
+}
+
+/**
+ * Normalizes an atlas page or image name for matching
+ * @param {string} name - Page name or file path
+ * @returns {string} Lowercase file name without folders
+ */
+function getPageKey(name) {
+  return name.substring(name.search(/[^/\\]*$/)).toLowerCase();
+}
+
+/**
+ * Resolves "." and ".." segments of an archive path
+ * @param {string} path
+ * @returns {string}
+ */
+function normalizePath(path) {
+  const parts = [];
+  path.split('/').forEach(part => {
+    if (part === '..') {
+      parts.pop();
+    } else if (part !== '.' && part !== '') {
+      parts.push(part);
+    }
+  });
+  return parts.join('/');
+}
+
+/**
+ * @param {Array<{path: string}>} entries
+ * @param {string} path
+ * @returns {Object|undefined} Entry at the exact path
+ */
+function findByPath(entries, path) {
+  const target = normalizePath(path);
+  return entries.find(entry => normalizePath(entry.path) === target);
+}
+
+/**
+ * @param {Array<{path: string}>} entries
+ * @param {string} name - File name, possibly with folders
+ * @returns {Object|undefined} The only entry with the same file name
+ */
+function findByBaseName(entries, name) {
+  const baseName = name.substring(name.lastIndexOf('/') + 1).toLowerCase();
+  const matches = entries.filter(entry => entry.path.substring(entry.path.lastIndexOf('/') + 1).toLowerCase() === baseName);
+  return matches.length === 1 ? matches[0] : undefined;
+}
+
+/**
+ * Throws an AbortError when a signal has been aborted
+ * @param {AbortSignal} [signal]
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    const error = new Error(getMessage('file.load_cancelled'));
+    error.name = 'AbortError';
+    throw error;
+  }
+}
+
+/**
+ * Encodes bytes as base64 without building one huge argument list
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64(bytes) {
+  let binary = '';
+  for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(offset, offset + 0x8000));
+  }
+  return btoa(binary);
+}
+
+export default FileProcessor;
@@ -3,7 +3,12 @@
  *
  * This class follows the cleanup patterns established in the SpineViewer component's
  * disconnectedCallback method, providing centralized resource management for object URLs.
+ * It also gives access to the persistent library of recently opened bundles.
  */
+import { AssetLibrary } from '../services/AssetLibrary.js';
+
+const LIBRARY_THUMBNAIL_KEY = 'library-thumbnail:';
+
 class ResourceManager {
   constructor() {
     // Track all created object URLs
@@ -14,6 +19,8 @@ class ResourceManager {
     this._cleanupCallbacks = new Set();
     // Debug mode for development
     this._debug = false;
+    // Persistent bundle library (created on first use)
+    this._assetLibrary = null;
   }
 
   /**
@@ -210,6 +217,67 @@ class ResourceManager {
     return Object.fromEntries(this._urlsByKey);
   }
 
+  /**
+   * Get the persistent library of recently opened bundles
+   * @returns {AssetLibrary}
+   */
+  getAssetLibrary() {
+    if (!this._assetLibrary) {
+      this._assetLibrary = new AssetLibrary();
+    }
+    return this._assetLibrary;
+  }
+
+  /**
+   * Replace the bundle library (e.g. with custom limits or storage)
+   * @param {AssetLibrary} library - The library to use
+   */
+  setAssetLibrary(library) {
+    if (!(library instanceof AssetLibrary)) {
+      throw new Error('ResourceManager: setAssetLibrary requires an AssetLibrary');
+    }
+    this._assetLibrary = library;
+  }
+
+  /**
+   * Store a loaded bundle in the library
+   * @param {Object} bundle - Skeleton, atlas, pages, thumbnail and settings (see AssetLibrary#save)
+   * @returns {Promise<Object>} Summary of the stored bundle
+   */
+  saveToLibrary(bundle) {
+    return this.getAssetLibrary().save(bundle);
+  }
+
+  /**
+   * Get the files of a library bundle
+   * @param {string} id - Bundle id
+   * @returns {Promise<Object>} Skeleton, atlas and page files with last-used settings (see AssetLibrary#open)
+   */
+  openFromLibrary(id) {
+    return this.getAssetLibrary().open(id);
+  }
+
+  /**
+   * List library bundles, most recently used first, with tracked thumbnail URLs
+   * Thumbnail URLs of bundles that are no longer stored are revoked.
+   * @returns {Promise<Array<Object>>} Bundle summaries with a thumbnailUrl (or null)
+   */
+  async listLibrary() {
+    const entries = await this.getAssetLibrary().list();
+    const keys = new Set(entries.map(entry => LIBRARY_THUMBNAIL_KEY + entry.id));
+
+    for (const key of Array.from(this._urlsByKey.keys())) {
+      if (key.startsWith(LIBRARY_THUMBNAIL_KEY) && !keys.has(key)) {
+        this.revokeByKey(key);
+      }
+    }
+
+    return entries.map(entry => ({
+      ...entry,
+      thumbnailUrl: entry.thumbnail ? this.replaceResource(entry.thumbnail, LIBRARY_THUMBNAIL_KEY + entry.id) : null
+    }));
+  }
+
   /**
    * Enable or disable debug logging
    * @param {boolean} enabled - Whether to enable debug mode
@@ -0,0 +1,200 @@
+/**
+ * Animated PNG (APNG) encoder
+ * Writes full-size RGBA frames with true alpha. Image data is zlib-compressed with
+ * the browser's CompressionStream when available, otherwise stored uncompressed.
+ */
+
+import { crc32 } from './zipWriter.js';
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+const MAX_STORED_BLOCK = 65535;
+const DISPOSE_OP_BACKGROUND = 1;
+const BLEND_OP_SOURCE = 0;
+
+/**
+ * Adler-32 checksum used by the zlib container
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+function adler32(bytes) {
+  let a = 1;
+  let b = 0;
+  for (let i = 0; i < bytes.length; i += 5552) {
+    const end = Math.min(i + 5552, bytes.length);
+    for (let j = i; j < end; j++) {
+      a += bytes[j];
+      b += a;
+    }
+    a %= 65521;
+    b %= 65521;
+  }
+  return ((b << 16) | a) >>> 0;
+}
+
+/**
+ * Wraps data in a zlib stream of stored (uncompressed) deflate blocks
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array}
+ */
+export function zlibStore(bytes) {
+  const blockCount = Math.max(1, Math.ceil(bytes.length / MAX_STORED_BLOCK));
+  const output = new Uint8Array(2 + bytes.length + blockCount * 5 + 4);
+  let offset = 0;
+
+  output[offset++] = 0x78;
+  output[offset++] = 0x01;
+
+  for (let block = 0; block < blockCount; block++) {
+    const start = block * MAX_STORED_BLOCK;
+    const length = Math.min(MAX_STORED_BLOCK, bytes.length - start);
+    output[offset++] = block === blockCount - 1 ? 1 : 0;
+    output[offset++] = length & 0xff;
+    output[offset++] = (length >> 8) & 0xff;
+    output[offset++] = ~length & 0xff;
+    output[offset++] = (~length >> 8) & 0xff;
+    output.set(bytes.subarray(start, start + length), offset);
+    offset += length;
+  }
+
+  const checksum = adler32(bytes);
+  output[offset++] = (checksum >>> 24) & 0xff;
+  output[offset++] = (checksum >>> 16) & 0xff;
+  output[offset++] = (checksum >>> 8) & 0xff;
+  output[offset++] = checksum & 0xff;
+  return output;
+}
+
+/**
+ * zlib-compresses data, falling back to stored blocks without CompressionStream
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Uint8Array>}
+ */
+async function zlibCompress(bytes) {
+  if (typeof CompressionStream === 'undefined' || typeof Response === 'undefined') {
+    return zlibStore(bytes);
+  }
+
+  const stream = new CompressionStream('deflate');
+  const writer = stream.writable.getWriter();
+  writer.write(bytes);
+  writer.close();
+  return new Uint8Array(await new Response(stream.readable).arrayBuffer());
+}
+
+/**
+ * Builds a PNG chunk (length, type, data, CRC)
+ * @param {string} type - Four-letter chunk type
+ * @param {Uint8Array} data
+ * @returns {Uint8Array}
+ */
+function createChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) {
+    chunk[4 + i] = type.charCodeAt(i);
+  }
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+}
+
+/**
+ * Prefixes every scanline with filter type 0 (None)
+ * @param {Uint8ClampedArray|Uint8Array} data - RGBA pixels
+ * @param {number} width
+ * @param {number} height
+ * @returns {Uint8Array}
+ */
+function toScanlines(data, width, height) {
+  const stride = width * 4;
+  const output = new Uint8Array((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    output.set(data.subarray(y * stride, (y + 1) * stride), y * (stride + 1) + 1);
+  }
+  return output;
+}
+
+/**
+ * Rounds millisecond delays to whole fcTL milliseconds (denominator 1000)
+ * Rounding is accumulated so the total length stays exact.
+ * @param {Array<number>} delays
+ * @returns {Array<number>}
+ */
+function toMilliseconds(delays) {
+  let elapsed = 0;
+  return delays.map(delay => {
+    const start = Math.round(elapsed);
+    elapsed += delay;
+    return Math.min(65535, Math.round(elapsed) - start);
+  });
+}
+
+/**
+ * Encodes RGBA frames as an animated PNG
+ * @param {Array<{data: Uint8ClampedArray|Uint8Array, delay: number}>} frames - Full-size RGBA frames with delays in milliseconds
+ * @param {Object} options
+ * @param {number} options.width - Frame width in pixels
+ * @param {number} options.height - Frame height in pixels
+ * @param {number} [options.loop=0] - Number of plays, 0 to loop forever
+ * @returns {Promise<Uint8Array>} APNG file bytes
+ */
+export async function encodeApng(frames, { width, height, loop = 0 }) {
+  if (!Array.isArray(frames) || frames.length === 0) {
+    throw new Error('No frames provided for APNG encoding');
+  }
+  if (!(width > 0) || !(height > 0)) {
+    throw new Error('APNG dimensions must be positive');
+  }
+
+  const chunks = [Uint8Array.from(PNG_SIGNATURE)];
+
+  const header = new DataView(new ArrayBuffer(13));
+  header.setUint32(0, width);
+  header.setUint32(4, height);
+  header.setUint8(8, 8);  // bit depth
+  header.setUint8(9, 6);  // RGBA
+  chunks.push(createChunk('IHDR', new Uint8Array(header.buffer)));
+
+  const control = new DataView(new ArrayBuffer(8));
+  control.setUint32(0, frames.length);
+  control.setUint32(4, loop);
+  chunks.push(createChunk('acTL', new Uint8Array(control.buffer)));
+
+  const delays = toMilliseconds(frames.map(frame => frame.delay));
+  let sequence = 0;
+
+  for (let index = 0; index < frames.length; index++) {
+    const frameControl = new DataView(new ArrayBuffer(26));
+    frameControl.setUint32(0, sequence++);
+    frameControl.setUint32(4, width);
+    frameControl.setUint32(8, height);
+    frameControl.setUint32(12, 0);
+    frameControl.setUint32(16, 0);
+    frameControl.setUint16(20, delays[index]);
+    frameControl.setUint16(22, 1000);
+    frameControl.setUint8(24, DISPOSE_OP_BACKGROUND);
+    frameControl.setUint8(25, BLEND_OP_SOURCE);
+    chunks.push(createChunk('fcTL', new Uint8Array(frameControl.buffer)));
+
+    const compressed = await zlibCompress(toScanlines(frames[index].data, width, height));
+    if (index === 0) {
+      chunks.push(createChunk('IDAT', compressed));
+    } else {
+      const frameData = new Uint8Array(4 + compressed.length);
+      new DataView(frameData.buffer).setUint32(0, sequence++);
+      frameData.set(compressed, 4);
+      chunks.push(createChunk('fdAT', frameData));
+    }
+  }
+
+  chunks.push(createChunk('IEND', new Uint8Array(0)));
+
+  const output = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+  let offset = 0;
+  chunks.forEach(chunk => {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return output;
+}
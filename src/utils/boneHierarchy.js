@@ -0,0 +1,89 @@
+/**
+ * Bone hierarchy
+ * Builds the bone tree of a skeleton from its parent links and reads local and world
+ * transform values of posed bones.
+ */
+
+/**
+ * Builds the bone tree
+ * @param {Array<Object>} bones - skeleton.bones (or BoneData list), parents before children
+ * @returns {Array<{name: string, children: Array}>} Root nodes
+ */
+export function buildBoneTree(bones = []) {
+  const nodes = new Map();
+  const roots = [];
+
+  bones.forEach(bone => {
+    const data = bone.data || bone;
+    const node = { name: data.name, children: [] };
+    nodes.set(data.name, node);
+
+    const parent = data.parent ? nodes.get(data.parent.name) : null;
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  return roots;
+}
+
+/**
+ * @param {number} degrees
+ * @returns {number} Angle in (-180, 180]
+ */
+function normalizeAngle(degrees) {
+  const angle = degrees % 360;
+  if (angle > 180) return angle - 360;
+  if (angle <= -180) return angle + 360;
+  return angle;
+}
+
+/**
+ * Reads the transform of a posed bone
+ * World rotation, scale and shear are derived from the bone's world matrix; world shear
+ * is the deviation of the Y axis from perpendicular.
+ * @param {Object} bone - Bone with local (x, y, rotation, scaleX, scaleY, shearX, shearY)
+ *   and world (a, b, c, d, worldX, worldY) values
+ * @returns {{local: Object, world: Object}} Each with x, y, rotation, scaleX, scaleY, shearX, shearY
+ */
+export function describeBoneTransform(bone) {
+  const toDegrees = 180 / Math.PI;
+  const rotationX = Math.atan2(bone.c, bone.a) * toDegrees;
+  const rotationY = Math.atan2(bone.d, bone.b) * toDegrees;
+
+  return {
+    local: {
+      x: bone.x,
+      y: bone.y,
+      rotation: bone.rotation,
+      scaleX: bone.scaleX,
+      scaleY: bone.scaleY,
+      shearX: bone.shearX,
+      shearY: bone.shearY
+    },
+    world: {
+      x: bone.worldX,
+      y: bone.worldY,
+      rotation: rotationX,
+      scaleX: Math.hypot(bone.a, bone.c),
+      scaleY: Math.hypot(bone.b, bone.d),
+      shearX: 0,
+      shearY: normalizeAngle(rotationY - rotationX - 90)
+    }
+  };
+}
+
+/**
+ * Reads the transforms of every bone of a skeleton
+ * @param {Object} skeleton - Posed skeleton (world transforms up to date)
+ * @returns {Object<string, {local: Object, world: Object}>} Transforms by bone name
+ */
+export function describeBoneTransforms(skeleton) {
+  const transforms = {};
+  (skeleton ? skeleton.bones : []).forEach(bone => {
+    transforms[bone.data.name] = describeBoneTransform(bone);
+  });
+  return transforms;
+}
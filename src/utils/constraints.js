@@ -0,0 +1,139 @@
+/**
+ * Constraint inspection
+ * Describes the IK, transform and path constraints of a live skeleton, including the mix
+ * values that can be overridden at runtime, and the geometry used to draw them.
+ */
+
+export const CONSTRAINT_TYPES = Object.freeze(['ik', 'transform', 'path']);
+
+// Mix properties per constraint type; Spine 3.x and 4.x name them differently
+const MIX_KEYS = {
+  ik: ['mix', 'softness'],
+  transform: ['mixRotate', 'mixX', 'mixY', 'mixScaleX', 'mixScaleY', 'mixShearY', 'rotateMix', 'translateMix', 'scaleMix', 'shearMix'],
+  path: ['mixRotate', 'mixX', 'mixY', 'rotateMix', 'translateMix', 'position', 'spacing']
+};
+
+const LIST_PROPERTIES = { ik: 'ikConstraints', transform: 'transformConstraints', path: 'pathConstraints' };
+const FIND_METHODS = { ik: 'findIkConstraint', transform: 'findTransformConstraint', path: 'findPathConstraint' };
+
+/**
+ * @param {string} type
+ * @throws {Error} If the constraint type is unknown
+ */
+function checkType(type) {
+  if (!CONSTRAINT_TYPES.includes(type)) {
+    throw new Error(`Unknown constraint type: ${type}`);
+  }
+}
+
+/**
+ * Lists the overridable values a constraint has in this runtime
+ * @param {'ik'|'transform'|'path'} type
+ * @param {Object} constraint
+ * @returns {string[]} Property names, e.g. ['mixRotate', 'mixX', 'mixY', ...] for a 4.x transform constraint
+ */
+export function getConstraintMixKeys(type, constraint) {
+  checkType(type);
+  return MIX_KEYS[type].filter(key => typeof constraint[key] === 'number');
+}
+
+/**
+ * Tells whether a value is a 0 to 1 mix (as opposed to softness, position or spacing)
+ * @param {string} key - Property name
+ * @returns {boolean}
+ */
+export function isMixKey(key) {
+  return key.startsWith('mix') || key.endsWith('Mix');
+}
+
+/**
+ * Finds a constraint by type and name
+ * @param {Object} skeleton
+ * @param {'ik'|'transform'|'path'} type
+ * @param {string} name
+ * @returns {Object|null}
+ */
+export function findConstraint(skeleton, type, name) {
+  checkType(type);
+  if (typeof skeleton[FIND_METHODS[type]] === 'function') {
+    return skeleton[FIND_METHODS[type]](name) || null;
+  }
+  return (skeleton[LIST_PROPERTIES[type]] || []).find(constraint => constraint.data.name === name) || null;
+}
+
+/**
+ * Describes every constraint of a skeleton
+ * @param {Object} skeleton - Live skeleton
+ * @param {Map<string, {type: string, name: string, values: Object}>} [overrides] - Overrides by constraintKey
+ * @returns {Array<{type: string, name: string, order: number, bones: string[], target: string|null,
+ *   bendDirection?: number, mix: Object<string, number>, overrides: Object<string, number>}>}
+ *   Constraints by type (IK, transform, path) and order
+ */
+export function describeConstraints(skeleton, overrides = new Map()) {
+  if (!skeleton) {
+    return [];
+  }
+
+  const result = [];
+  CONSTRAINT_TYPES.forEach(type => {
+    (skeleton[LIST_PROPERTIES[type]] || []).forEach(constraint => {
+      const { name, order } = constraint.data;
+      const target = constraint.target;
+      const mix = {};
+      getConstraintMixKeys(type, constraint).forEach(key => { mix[key] = constraint[key]; });
+      const override = overrides.get(constraintKey(type, name));
+
+      result.push({
+        type,
+        name,
+        order,
+        bones: constraint.bones.map(bone => bone.data.name),
+        target: target ? target.data.name : null,
+        ...(type === 'ik' ? { bendDirection: constraint.bendDirection } : {}),
+        mix,
+        overrides: override ? { ...override.values } : {}
+      });
+    });
+  });
+  return result;
+}
+
+/**
+ * @param {'ik'|'transform'|'path'} type
+ * @param {string} name
+ * @returns {string} Key identifying a constraint, e.g. 'ik:left-leg'
+ */
+export function constraintKey(type, name) {
+  return `${type}:${name}`;
+}
+
+/**
+ * @param {Object} bone - Posed bone
+ * @returns {{x: number, y: number}} World position of the bone's tip
+ */
+export function getBoneTip(bone) {
+  const length = bone.data.length || 0;
+  return { x: bone.worldX + bone.a * length, y: bone.worldY + bone.c * length };
+}
+
+/**
+ * Short line from the middle joint of an IK chain towards the side it bends to
+ * @param {{x: number, y: number}} start - Chain start (parent bone position)
+ * @param {{x: number, y: number}} end - IK target position
+ * @param {{x: number, y: number}} joint - Middle joint (child bone position)
+ * @param {number} bendDirection - 1 or -1
+ * @param {number} length - Indicator length
+ * @returns {{x1: number, y1: number, x2: number, y2: number}}
+ */
+export function getBendIndicator(start, end, joint, bendDirection, length) {
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  const distance = Math.hypot(dx, dy) || 1;
+  const sign = bendDirection < 0 ? -1 : 1;
+  return {
+    x1: joint.x,
+    y1: joint.y,
+    x2: joint.x - (dy / distance) * length * sign,
+    y2: joint.y + (dx / distance) * length * sign
+  };
+}
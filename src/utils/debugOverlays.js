@@ -0,0 +1,173 @@
+/**
+ * Debug overlays
+ * Overlay names, colors and the geometry helpers used to draw meshes, vertex weights,
+ * clipping polygons, bounding boxes, paths and points over a skeleton.
+ */
+
+export const DEBUG_OVERLAYS = Object.freeze([
+  'meshTriangles',
+  'meshHull',
+  'weights',
+  'clipping',
+  'boundingBoxes',
+  'paths',
+  'points'
+]);
+
+export const DEFAULT_OVERLAY_COLORS = Object.freeze({
+  meshTriangles: 0xffcc00,
+  meshHull: 0xff8800,
+  weightsLow: 0x2040ff,   // Vertices without influence from the bone
+  weightsHigh: 0xff2020,  // Vertices fully weighted to the bone
+  clipping: 0xcc33ff,
+  boundingBoxes: 0x33ff66,
+  paths: 0xff7f00,
+  points: 0x33ccff
+});
+
+/**
+ * @param {string} overlay
+ * @throws {Error} If the overlay is unknown
+ */
+export function checkOverlayName(overlay) {
+  if (!DEBUG_OVERLAYS.includes(overlay)) {
+    throw new Error(`Unknown debug overlay: ${overlay}`);
+  }
+}
+
+/**
+ * Reads a color
+ * @param {number|string} value - 0xRRGGBB, '#rrggbb' or '#rgb'
+ * @returns {number} 0xRRGGBB
+ * @throws {Error} If the value is not a color
+ */
+export function parseColor(value) {
+  if (typeof value === 'number' && Number.isInteger(value) && value >= 0 && value <= 0xffffff) {
+    return value;
+  }
+  if (typeof value === 'string') {
+    const hex = value.trim().replace(/^#/, '');
+    if (/^[0-9a-f]{6}$/i.test(hex)) {
+      return parseInt(hex, 16);
+    }
+    if (/^[0-9a-f]{3}$/i.test(hex)) {
+      return parseInt(hex.split('').map(digit => digit + digit).join(''), 16);
+    }
+  }
+  throw new Error(`Invalid color: ${value}`);
+}
+
+/**
+ * @param {number} h - Hue from 0 to 360
+ * @param {number} s - Saturation from 0 to 100
+ * @param {number} l - Lightness from 0 to 100
+ * @returns {number} 0xRRGGBB
+ */
+export function hslToHex(h, s, l) {
+  const S = s / 100;
+  const L = l / 100;
+  const k = n => (n + h / 30) % 12;
+  const a = S * Math.min(L, 1 - L);
+  const f = n => L - a * Math.max(-1, Math.min(k(n) - 3, Math.min(9 - k(n), 1)));
+  return (Math.round(255 * f(0)) << 16) + (Math.round(255 * f(8)) << 8) + Math.round(255 * f(4));
+}
+
+/**
+ * Interpolates between two colors
+ * @param {number} from - 0xRRGGBB at t = 0
+ * @param {number} to - 0xRRGGBB at t = 1
+ * @param {number} t - Position from 0 to 1 (clamped)
+ * @returns {number} 0xRRGGBB
+ */
+export function mixColor(from, to, t) {
+  const amount = Math.min(1, Math.max(0, t));
+  const mix = shift => {
+    const a = (from >> shift) & 0xff;
+    const b = (to >> shift) & 0xff;
+    return Math.round(a + (b - a) * amount);
+  };
+  return (mix(16) << 16) | (mix(8) << 8) | mix(0);
+}
+
+/**
+ * Lists the bone influences of every vertex of a vertex attachment
+ * @param {Object} attachment - Mesh (or other vertex attachment) with bones, vertices and worldVerticesLength
+ * @param {number} slotBoneIndex - Index of the slot's bone, which owns every vertex of unweighted attachments
+ * @returns {Array<Array<{bone: number, weight: number}>>} Influences per vertex
+ */
+export function getVertexWeights(attachment, slotBoneIndex) {
+  const vertexCount = attachment.worldVerticesLength / 2;
+  const result = [];
+
+  if (!attachment.bones) {
+    for (let i = 0; i < vertexCount; i++) {
+      result.push([{ bone: slotBoneIndex, weight: 1 }]);
+    }
+    return result;
+  }
+
+  // Weighted vertices: bones = [count, boneIndex...] per vertex, vertices = [x, y, weight] per influence
+  const { bones, vertices } = attachment;
+  let b = 0;
+  let w = 2;
+  for (let i = 0; i < vertexCount; i++) {
+    const count = bones[b++];
+    const influences = [];
+    for (let j = 0; j < count; j++, w += 3) {
+      influences.push({ bone: bones[b++], weight: vertices[w] });
+    }
+    result.push(influences);
+  }
+  return result;
+}
+
+/**
+ * @param {Array<{bone: number, weight: number}>} influences - Influences of one vertex
+ * @param {number|null} boneIndex - Bone to read; null for the strongest influence
+ * @returns {number} Weight from 0 to 1
+ */
+export function getVertexWeight(influences, boneIndex) {
+  if (boneIndex === null || boneIndex === undefined) {
+    return Math.max(0, ...influences.map(influence => influence.weight));
+  }
+  const influence = influences.find(item => item.bone === boneIndex);
+  return influence ? influence.weight : 0;
+}
+
+/**
+ * Splits path attachment world vertices into cubic Bézier curves
+ * Path vertices come in triples (handle in, point, handle out) per control point.
+ * @param {ArrayLike<number>} world - World vertices, x/y pairs
+ * @param {boolean} closed - Whether the path connects its last point to its first
+ * @returns {Array<{x1: number, y1: number, cx1: number, cy1: number, cx2: number, cy2: number, x2: number, y2: number}>}
+ */
+export function getPathCurves(world, closed) {
+  const curves = [];
+  const length = world.length;
+  if (length < 6) {
+    return curves;
+  }
+
+  let x1 = world[2];
+  let y1 = world[3];
+  for (let i = 4; i + 5 < length; i += 6) {
+    const curve = {
+      x1, y1,
+      cx1: world[i], cy1: world[i + 1],
+      cx2: world[i + 2], cy2: world[i + 3],
+      x2: world[i + 4], y2: world[i + 5]
+    };
+    curves.push(curve);
+    x1 = curve.x2;
+    y1 = curve.y2;
+  }
+  if (closed) {
+    curves.push({
+      x1, y1,
+      cx1: world[length - 2], cy1: world[length - 1],
+      cx2: world[0], cy2: world[1],
+      x2: world[2], y2: world[3]
+    });
+  }
+  return curves;
+}
@@ -0,0 +1,98 @@
+/**
+ * Event audio
+ * Finds the audio files that Spine events reference (EventData `audioPath`, relative to the
+ * skeleton's audio folder) in a user-provided folder or archive, and the values used to play them.
+ */
+
+export const AUDIO_EXTENSIONS = /\.(wav|mp3|ogg|oga|opus|m4a|aac|flac|webm)$/i;
+
+/**
+ * @param {string} path - File name or path
+ * @returns {boolean} True for audio files the browser may decode
+ */
+export function isAudioFile(path) {
+  return AUDIO_EXTENSIONS.test(path);
+}
+
+/**
+ * @param {string} path
+ * @returns {string} Lowercase path with forward slashes and no "./" or leading slashes
+ */
+function normalizeAudioPath(path) {
+  return path.replace(/\\/g, '/').replace(/^(\.?\/)+/, '').replace(/\/\.\//g, '/').toLowerCase();
+}
+
+/**
+ * Lists the audio files referenced by the events of a skeleton
+ * @param {Object} skeletonData - Spine SkeletonData
+ * @returns {string[]} Unique audio paths, sorted
+ */
+export function getEventAudioPaths(skeletonData) {
+  const paths = new Set();
+  ((skeletonData && skeletonData.events) || []).forEach(eventData => {
+    if (eventData.audioPath) {
+      paths.add(eventData.audioPath);
+    }
+  });
+  return Array.from(paths).sort();
+}
+
+/**
+ * Pairs event audio paths with provided files
+ * A file matches when its path ends with the audio path (the folder or archive may add
+ * parent folders such as the export's audio folder), or else when it is the only file
+ * with the same name.
+ * @param {Array<{path: string, file: File}>} entries - Provided files with their relative paths
+ * @param {string[]} audioPaths - Paths referenced by events (see getEventAudioPaths)
+ * @returns {{files: Map<string, File>, missing: string[], unused: string[]}} Files by audio path,
+ *   audio paths without a file and provided audio files no event uses
+ */
+export function matchAudioFiles(entries, audioPaths) {
+  const audioEntries = entries.filter(entry => isAudioFile(entry.path));
+  const files = new Map();
+  const missing = [];
+  const used = new Set();
+
+  audioPaths.forEach(audioPath => {
+    const target = normalizeAudioPath(audioPath);
+    const baseName = target.substring(target.lastIndexOf('/') + 1);
+
+    let match = audioEntries.find(entry => {
+      const path = normalizeAudioPath(entry.path);
+      return path === target || path.endsWith('/' + target);
+    });
+    if (!match) {
+      const sameName = audioEntries.filter(entry => {
+        const path = normalizeAudioPath(entry.path);
+        return path.substring(path.lastIndexOf('/') + 1) === baseName;
+      });
+      match = sameName.length === 1 ? sameName[0] : null;
+    }
+
+    if (match) {
+      files.set(audioPath, match.file);
+      used.add(match);
+    } else {
+      missing.push(audioPath);
+    }
+  });
+
+  const unused = audioEntries.filter(entry => !used.has(entry)).map(entry => entry.path);
+  return { files, missing, unused };
+}
+
+/**
+ * @param {number} volume - Event volume (Spine uses 0 to 1)
+ * @returns {number} Gain, never negative
+ */
+export function volumeToGain(volume) {
+  return typeof volume === 'number' && Number.isFinite(volume) ? Math.max(0, volume) : 1;
+}
+
+/**
+ * @param {number} balance - Event balance, -1 (left) to 1 (right)
+ * @returns {number} StereoPannerNode pan value, clamped to -1..1
+ */
+export function balanceToPan(balance) {
+  return typeof balance === 'number' && Number.isFinite(balance) ? Math.min(1, Math.max(-1, balance)) : 0;
+}
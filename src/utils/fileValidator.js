@@ -5,7 +5,14 @@
 
 // File validation constants
 const SUPPORTED_EXTENSIONS = ['.skel', '.json'];
-const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB in bytes
+const MB = 1024 * 1024;
+// Default size limits per file category in bytes (4k atlas pages and large binaries included)
+const DEFAULT_SIZE_LIMITS = Object.freeze({
+  skeleton: 64 * MB,
+  atlas: 8 * MB,
+  texture: 128 * MB,
+  archive: 256 * MB
+});
 const SPINE_MIME_TYPES = [
   'application/json',
   'application/octet-stream',
@@ -26,17 +33,44 @@ export function validateFileExtension(fileName) {
   return SUPPORTED_EXTENSIONS.includes(extension);
 }
 
+/**
+ * Gets the size limit category of a file
+ * @param {string} fileName - The name of the file
+ * @returns {string|null} 'skeleton', 'atlas', 'texture', 'archive' or null for other files
+ */
+export function getFileCategory(fileName) {
+  if (!fileName || typeof fileName !== 'string') {
+    return null;
+  }
+
+  const name = fileName.toLowerCase();
+  if (validateFileExtension(name)) return 'skeleton';
+  if (/\.atlas(\.txt)?$/.test(name)) return 'atlas';
+  if (/\.(png|jpe?g|webp|avif)$/.test(name)) return 'texture';
+  if (name.endsWith('.zip')) return 'archive';
+  return null;
+}
+
+/**
+ * Gets the default size limits per file category
+ * @returns {{skeleton: number, atlas: number, texture: number, archive: number}} Limits in bytes
+ */
+export function getDefaultSizeLimits() {
+  return { ...DEFAULT_SIZE_LIMITS };
+}
+
 /**
  * Validates if a file size is within acceptable limits
  * @param {number} fileSize - The size of the file in bytes
+ * @param {number} [maxSize] - Limit in bytes (defaults to the skeleton limit)
  * @returns {boolean} True if size is within limits
  */
-export function validateFileSize(fileSize) {
+export function validateFileSize(fileSize, maxSize = DEFAULT_SIZE_LIMITS.skeleton) {
   if (typeof fileSize !== 'number' || fileSize < 0) {
     return false;
   }
 
-  return fileSize <= MAX_FILE_SIZE;
+  return fileSize <= maxSize;
 }
 
 /**
@@ -56,9 +90,13 @@ export function validateMimeType(mimeType) {
 /**
  * Comprehensive file validation for File objects
  * @param {File} file - The File object to validate
+ * @param {Object} [options]
+ * @param {number} [options.maxSize] - Size limit in bytes (defaults to the skeleton limit)
  * @returns {Object} Validation result with success flag and error message
  */
-export function validateFile(file) {
+export function validateFile(file, options = {}) {
+  const maxSize = options.maxSize ?? DEFAULT_SIZE_LIMITS.skeleton;
+
   try {
     // Check if file object is valid
     if (!file || typeof file !== 'object') {
@@ -77,9 +115,9 @@ export function validateFile(file) {
     }
 
     // Validate file size
-    if (!validateFileSize(file.size)) {
-      const maxSizeMB = Math.round(MAX_FILE_SIZE / (1024 * 1024));
-      const fileSizeMB = Math.round(file.size / (1024 * 1024) * 100) / 100;
+    if (!validateFileSize(file.size, maxSize)) {
+      const maxSizeMB = Math.round(maxSize / MB);
+      const fileSizeMB = Math.round(file.size / MB * 100) / 100;
       return {
         isValid: false,
         error: `File size (${fileSizeMB}MB) exceeds maximum limit of ${maxSizeMB}MB`
@@ -160,10 +198,11 @@ export function createErrorMessage(error) {
 
 /**
  * Gets the maximum allowed file size in MB
+ * @param {string} [category='skeleton'] - File category
  * @returns {number} Maximum file size in megabytes
  */
-export function getMaxFileSizeMB() {
-  return Math.round(MAX_FILE_SIZE / (1024 * 1024));
+export function getMaxFileSizeMB(category = 'skeleton') {
+  return Math.round((DEFAULT_SIZE_LIMITS[category] ?? DEFAULT_SIZE_LIMITS.skeleton) / MB);
 }
 
 /**
@@ -0,0 +1,307 @@
+/**
+ * Animated GIF encoder
+ * Pure JavaScript GIF89a writer: a median-cut palette shared by all frames,
+ * one bit of transparency (alpha < 128) and LZW-compressed image data.
+ */
+
+const MAX_CODE = 4096;
+const TRANSPARENT_ALPHA_THRESHOLD = 128;
+
+/**
+ * Converts per-frame delays in milliseconds to GIF centiseconds
+ * Rounding is accumulated so the total length stays exact (e.g. 30fps -> 3, 4, 3, 3, 4, 3...).
+ * @param {Array<number>} delays - Frame delays in milliseconds
+ * @returns {Array<number>} Delays in centiseconds
+ */
+export function toCentiseconds(delays) {
+  let elapsed = 0;
+  return delays.map(delay => {
+    const start = Math.round(elapsed / 10);
+    elapsed += delay;
+    return Math.max(1, Math.round(elapsed / 10) - start);
+  });
+}
+
+/**
+ * Builds a palette of at most maxColors entries with median cut
+ * Colors are bucketed to 5 bits per channel before splitting.
+ * @param {Array<Uint8ClampedArray|Uint8Array>} frames - RGBA pixel data
+ * @param {number} maxColors - Maximum palette size
+ * @returns {{palette: Array<Array<number>>, lookup: Int16Array}} Palette RGB triples and bucket -> palette index map
+ */
+export function quantize(frames, maxColors) {
+  const histogram = new Uint32Array(32768);
+
+  frames.forEach(data => {
+    for (let i = 0; i < data.length; i += 4) {
+      if (data[i + 3] >= TRANSPARENT_ALPHA_THRESHOLD) {
+        histogram[((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3)]++;
+      }
+    }
+  });
+
+  const colors = [];
+  for (let key = 0; key < histogram.length; key++) {
+    if (histogram[key] > 0) {
+      colors.push(key);
+    }
+  }
+
+  const lookup = new Int16Array(32768).fill(-1);
+  if (colors.length === 0) {
+    return { palette: [], lookup };
+  }
+
+  const boxes = [createBox(colors, histogram)];
+  while (boxes.length < maxColors) {
+    // Split the box with the widest channel range weighted by its pixel count
+    let target = -1;
+    let bestScore = 0;
+    boxes.forEach((box, index) => {
+      const score = box.colors.length > 1 ? box.range * box.count : 0;
+      if (score > bestScore) {
+        bestScore = score;
+        target = index;
+      }
+    });
+    if (target === -1) {
+      break;
+    }
+
+    const [left, right] = splitBox(boxes[target], histogram);
+    boxes.splice(target, 1, left, right);
+  }
+
+  const palette = boxes.map((box, index) => {
+    let r = 0;
+    let g = 0;
+    let b = 0;
+    box.colors.forEach(key => {
+      const weight = histogram[key];
+      r += (((key >> 10) & 31) << 3 | 4) * weight;
+      g += (((key >> 5) & 31) << 3 | 4) * weight;
+      b += ((key & 31) << 3 | 4) * weight;
+      lookup[key] = index;
+    });
+    return [Math.round(r / box.count), Math.round(g / box.count), Math.round(b / box.count)];
+  });
+
+  return { palette, lookup };
+}
+
+/**
+ * @param {Array<number>} colors - Bucket keys
+ * @param {Uint32Array} histogram
+ * @returns {{colors: Array<number>, count: number, range: number, channel: number}}
+ */
+function createBox(colors, histogram) {
+  const min = [31, 31, 31];
+  const max = [0, 0, 0];
+  let count = 0;
+
+  colors.forEach(key => {
+    const channels = [(key >> 10) & 31, (key >> 5) & 31, key & 31];
+    for (let c = 0; c < 3; c++) {
+      min[c] = Math.min(min[c], channels[c]);
+      max[c] = Math.max(max[c], channels[c]);
+    }
+    count += histogram[key];
+  });
+
+  const ranges = max.map((value, c) => value - min[c]);
+  const channel = ranges.indexOf(Math.max(...ranges));
+  return { colors, count, range: ranges[channel], channel };
+}
+
+/**
+ * Splits a box at the weighted median of its widest channel
+ * @param {Object} box
+ * @param {Uint32Array} histogram
+ * @returns {Array<Object>} Two non-empty boxes
+ */
+function splitBox(box, histogram) {
+  const shift = [10, 5, 0][box.channel];
+  const sorted = [...box.colors].sort((a, b) => ((a >> shift) & 31) - ((b >> shift) & 31));
+
+  let accumulated = 0;
+  let splitIndex = 1;
+  for (let i = 0; i < sorted.length - 1; i++) {
+    accumulated += histogram[sorted[i]];
+    splitIndex = i + 1;
+    if (accumulated >= box.count / 2) {
+      break;
+    }
+  }
+
+  return [
+    createBox(sorted.slice(0, splitIndex), histogram),
+    createBox(sorted.slice(splitIndex), histogram)
+  ];
+}
+
+/**
+ * LZW-compresses palette indices as GIF image data sub-blocks
+ * @param {Uint8Array} indices - Palette index per pixel
+ * @param {number} minCodeSize - LZW minimum code size (2-8)
+ * @returns {Array<number>} Bytes: minimum code size, sub-blocks, block terminator
+ */
+export function lzwEncode(indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const dictionary = new Int16Array(MAX_CODE << 8).fill(-1);
+
+  const packed = [];
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let accumulator = 0;
+  let bitCount = 0;
+  let clearPending = false;
+
+  const write = (code) => {
+    accumulator |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      packed.push(accumulator & 0xff);
+      accumulator >>>= 8;
+      bitCount -= 8;
+    }
+
+    // Code widths change after the code that triggered them, in step with decoders
+    if (clearPending) {
+      codeSize = minCodeSize + 1;
+      clearPending = false;
+    } else if (nextCode > (1 << codeSize) - 1 && codeSize < 12) {
+      codeSize++;
+    }
+  };
+
+  write(clearCode);
+
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const pixel = indices[i];
+    const key = (prefix << 8) | pixel;
+    const code = dictionary[key];
+
+    if (code !== -1) {
+      prefix = code;
+      continue;
+    }
+
+    write(prefix);
+    if (nextCode < MAX_CODE) {
+      dictionary[key] = nextCode++;
+    } else {
+      dictionary.fill(-1);
+      nextCode = endCode + 1;
+      clearPending = true;
+      write(clearCode);
+    }
+    prefix = pixel;
+  }
+
+  write(prefix);
+  write(endCode);
+  if (bitCount > 0) {
+    packed.push(accumulator & 0xff);
+  }
+
+  const bytes = [minCodeSize];
+  for (let i = 0; i < packed.length; i += 255) {
+    const block = packed.slice(i, i + 255);
+    bytes.push(block.length, ...block);
+  }
+  bytes.push(0);
+  return bytes;
+}
+
+/**
+ * Encodes RGBA frames as an animated GIF
+ * @param {Array<{data: Uint8ClampedArray|Uint8Array, delay: number}>} frames - Full-size RGBA frames with delays in milliseconds
+ * @param {Object} options
+ * @param {number} options.width - Frame width in pixels
+ * @param {number} options.height - Frame height in pixels
+ * @param {number} [options.loop=0] - Number of plays, 0 to loop forever
+ * @returns {Uint8Array} GIF file bytes
+ */
+export function encodeGif(frames, { width, height, loop = 0 }) {
+  if (!Array.isArray(frames) || frames.length === 0) {
+    throw new Error('No frames provided for GIF encoding');
+  }
+  if (!(width > 0 && width <= 65535) || !(height > 0 && height <= 65535)) {
+    throw new Error('GIF dimensions must be between 1 and 65535 pixels');
+  }
+
+  const hasTransparency = frames.some(frame => {
+    for (let i = 3; i < frame.data.length; i += 4) {
+      if (frame.data[i] < TRANSPARENT_ALPHA_THRESHOLD) return true;
+    }
+    return false;
+  });
+
+  const { palette, lookup } = quantize(frames.map(frame => frame.data), hasTransparency ? 255 : 256);
+  const transparentIndex = hasTransparency ? palette.length : -1;
+  const usedColors = palette.length + (hasTransparency ? 1 : 0);
+
+  let sizeBits = 1;
+  while ((1 << sizeBits) < usedColors) {
+    sizeBits++;
+  }
+
+  const bytes = [];
+  const writeShort = (value) => bytes.push(value & 0xff, (value >> 8) & 0xff);
+  const writeString = (text) => { for (const char of text) bytes.push(char.charCodeAt(0)); };
+
+  writeString('GIF89a');
+  writeShort(width);
+  writeShort(height);
+  bytes.push(0x80 | (7 << 4) | (sizeBits - 1), 0, 0);
+
+  for (let i = 0; i < (1 << sizeBits); i++) {
+    bytes.push(...(palette[i] || [0, 0, 0]));
+  }
+
+  if (loop !== 1) {
+    // NETSCAPE2.0 counts repeats after the first play
+    bytes.push(0x21, 0xff, 0x0b);
+    writeString('NETSCAPE2.0');
+    bytes.push(0x03, 0x01);
+    writeShort(loop === 0 ? 0 : loop - 1);
+    bytes.push(0x00);
+  }
+
+  const delays = toCentiseconds(frames.map(frame => frame.delay));
+  const indices = new Uint8Array(width * height);
+  const minCodeSize = Math.max(2, sizeBits);
+
+  frames.forEach((frame, frameIndex) => {
+    const data = frame.data;
+    for (let p = 0, i = 0; p < indices.length; p++, i += 4) {
+      if (data[i + 3] < TRANSPARENT_ALPHA_THRESHOLD) {
+        indices[p] = transparentIndex;
+      } else {
+        indices[p] = lookup[((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3)];
+      }
+    }
+
+    // Graphic control: clear to background between transparent frames so they don't stack
+    bytes.push(0x21, 0xf9, 0x04, hasTransparency ? (2 << 2) | 1 : (1 << 2));
+    writeShort(delays[frameIndex]);
+    bytes.push(hasTransparency ? transparentIndex : 0, 0x00);
+
+    bytes.push(0x2c);
+    writeShort(0);
+    writeShort(0);
+    writeShort(width);
+    writeShort(height);
+    bytes.push(0x00);
+
+    const imageData = lzwEncode(indices, minCodeSize);
+    for (let i = 0; i < imageData.length; i++) {
+      bytes.push(imageData[i]);
+    }
+  });
+
+  bytes.push(0x3b);
+  return Uint8Array.from(bytes);
+}
@@ -24,6 +24,12 @@ const MESSAGE_CATALOGS = {
     'file.no_files': 'No files provided for validation',
     'file.multiple_errors': 'One or more files failed validation',
     'file.unknown_error': 'Unknown validation error occurred',
+    'file.category_size_exceeded': '{name} ({fileSize}MB) exceeds the {maxSize}MB limit for {category} files',
+    'file.load_cancelled': 'Loading was cancelled',
+    'file.category_skeleton': 'skeleton',
+    'file.category_atlas': 'atlas',
+    'file.category_texture': 'texture',
+    'file.category_archive': 'archive',
 
     // Spine loading errors
     'spine.url_required': 'Please enter Spine file path',
@@ -51,6 +57,99 @@ const MESSAGE_CATALOGS = {
     'animation.no_animations': 'No animation data available',
     'animation.invalid_data': 'Invalid animation data format',
 
+    // Atlas page errors
+    'atlas.no_pages': 'The atlas does not list any texture pages',
+    'atlas.missing_pages': 'Missing atlas page textures: {pages}',
+    'atlas.unused_images': 'Images not used by the atlas: {images}',
+
+    // Skeleton version compatibility
+    'version.detected': 'Detected Spine version: {version}',
+    'version.unknown': 'Could not detect the Spine version of this skeleton',
+    'version.supported': 'Supported versions: {versions}',
+    'version.unsupported': 'Spine {version} skeletons cannot be loaded by this viewer',
+    'version.runtime': 'Loaded with the Spine {runtime} runtime',
+    'version.features_lost': 'Features that will be lost: {features}',
+    'version.feature_physics': 'physics constraints',
+    'version.feature_inherit_timelines': 'inherit timelines',
+    'version.feature_reference_scale': 'skeleton reference scale',
+
+    // Skeleton/atlas validation report
+    'validation.title': 'Validation report',
+    'validation.summary': '{errors} errors, {warnings} warnings, {infos} notices',
+    'validation.passed': 'No problems found',
+    'validation.severity_error': 'Error',
+    'validation.severity_warning': 'Warning',
+    'validation.severity_info': 'Notice',
+    'validation.missing_region': 'Attachment "{attachment}" in skin "{skin}" uses region "{region}", which is not in the atlas',
+    'validation.unused_region': 'Atlas region "{region}" on page {page} is not used by any attachment',
+    'validation.page_size_mismatch': 'Page {page} image is {actualWidth}x{actualHeight} but the atlas expects {width}x{height}',
+    'validation.duplicate_region': 'Atlas region "{region}" is defined {count} times (lines {lines})',
+
+    // Recent files library
+    'library.title': 'Recent',
+    'library.empty': 'Characters you open are kept here',
+    'library.usage': '{count} saved · {used}MB of {max}MB',
+    'library.pages': '{count} textures',
+    'library.open': 'Open {name}',
+    'library.remove': 'Remove from library',
+
+    // Skeleton comparison
+    'diff.title': 'Comparison',
+    'diff.identical': 'Bones, slots and animations are identical',
+    'diff.section_summary': '{section}: {added} added, {removed} removed, {changed} changed',
+    'diff.section_bones': 'Bones',
+    'diff.section_slots': 'Slots',
+    'diff.section_animations': 'Animations',
+    'diff.added': 'Added',
+    'diff.removed': 'Removed',
+    'diff.changed': 'Changed',
+
+    // Slot inspector
+    'inspector.title': 'Slots ({count})',
+    'inspector.empty': 'No skeleton loaded',
+    'inspector.order': '#',
+    'inspector.slot': 'Slot',
+    'inspector.bone': 'Bone',
+    'inspector.attachment': 'Attachment',
+    'inspector.type': 'Type',
+    'inspector.color': 'Color',
+    'inspector.dark_color': 'Dark color',
+    'inspector.blend': 'Blend',
+    'inspector.type_region': 'Region',
+    'inspector.type_mesh': 'Mesh',
+    'inspector.type_clipping': 'Clipping',
+    'inspector.type_path': 'Path',
+    'inspector.type_point': 'Point',
+    'inspector.type_boundingbox': 'Bounding box',
+    'inspector.type_unknown': 'Other',
+
+    // Bone tree
+    'bones.title': 'Bones ({count})',
+    'bones.search': 'Filter bones',
+    'bones.pose_current': 'Current pose',
+    'bones.pose_setup': 'Setup pose',
+    'bones.empty': 'No skeleton loaded',
+    'bones.local': 'Local',
+    'bones.world': 'World',
+    'bones.toggle': 'Expand or collapse',
+
+    // Constraints
+    'constraints.title': 'Constraints ({count})',
+    'constraints.empty': 'No constraints',
+    'constraints.type_ik': 'IK',
+    'constraints.type_transform': 'Transform',
+    'constraints.type_path': 'Path',
+    'constraints.bend': 'bend',
+    'constraints.reset': 'Reset',
+
+    // Event log
+    'events.title': 'Events ({count})',
+    'events.title_filtered': 'Events ({shown} of {count})',
+    'events.filter': 'Filter by name, string or audio',
+    'events.clear': 'Clear',
+    'events.empty': 'No events fired yet',
+    'events.track': 'track',
+
     // General UI messages
     'ui.loading': 'Loading...',
     'ui.error': 'Error',
@@ -86,6 +185,12 @@ const MESSAGE_CATALOGS = {
     'file.no_files': '未提供驗證檔案',
     'file.multiple_errors': '一個或多個檔案驗證失敗',
     'file.unknown_error': '發生未知驗證錯誤',
+    'file.category_size_exceeded': '{name} ({fileSize}MB) 超過{category}檔案的 {maxSize}MB 限制',
+    'file.load_cancelled': '已取消載入',
+    'file.category_skeleton': '骨架',
+    'file.category_atlas': '圖集',
+    'file.category_texture': '貼圖',
+    'file.category_archive': '壓縮檔',
 
     // Spine loading errors
     'spine.url_required': '請輸入 Spine 檔案路徑',
@@ -113,6 +218,99 @@ const MESSAGE_CATALOGS = {
     'animation.no_animations': '暫無動畫資料',
     'animation.invalid_data': '無效的動畫資料格式',
 
+    // Atlas page errors
+    'atlas.no_pages': '圖集檔案未列出任何貼圖頁面',
+    'atlas.missing_pages': '缺少圖集頁面貼圖：{pages}',
+    'atlas.unused_images': '圖集未使用的圖片：{images}',
+
+    // Skeleton version compatibility
+    'version.detected': '偵測到的 Spine 版本：{version}',
+    'version.unknown': '無法偵測此骨架的 Spine 版本',
+    'version.supported': '支援的版本：{versions}',
+    'version.unsupported': '此檢視器無法載入 Spine {version} 骨架',
+    'version.runtime': '已使用 Spine {runtime} 執行環境載入',
+    'version.features_lost': '將會遺失的功能：{features}',
+    'version.feature_physics': '物理約束',
+    'version.feature_inherit_timelines': '繼承時間軸',
+    'version.feature_reference_scale': '骨架參考縮放',
+
+    // Skeleton/atlas validation report
+    'validation.title': '驗證報告',
+    'validation.summary': '{errors} 個錯誤、{warnings} 個警告、{infos} 個提示',
+    'validation.passed': '未發現問題',
+    'validation.severity_error': '錯誤',
+    'validation.severity_warning': '警告',
+    'validation.severity_info': '提示',
+    'validation.missing_region': '造型「{skin}」中的附件「{attachment}」使用的區域「{region}」不在圖集中',
+    'validation.unused_region': '頁面 {page} 上的圖集區域「{region}」未被任何附件使用',
+    'validation.page_size_mismatch': '頁面 {page} 的圖片為 {actualWidth}x{actualHeight}，但圖集預期為 {width}x{height}',
+    'validation.duplicate_region': '圖集區域「{region}」被定義了 {count} 次（第 {lines} 行）',
+
+    // Recent files library
+    'library.title': '最近開啟',
+    'library.empty': '開啟過的角色會保存在這裡',
+    'library.usage': '已保存 {count} 個 · {used}MB / {max}MB',
+    'library.pages': '{count} 張貼圖',
+    'library.open': '開啟 {name}',
+    'library.remove': '從清單移除',
+
+    // Skeleton comparison
+    'diff.title': '版本比較',
+    'diff.identical': '骨骼、插槽與動畫完全相同',
+    'diff.section_summary': '{section}：新增 {added}、移除 {removed}、變更 {changed}',
+    'diff.section_bones': '骨骼',
+    'diff.section_slots': '插槽',
+    'diff.section_animations': '動畫',
+    'diff.added': '新增',
+    'diff.removed': '移除',
+    'diff.changed': '變更',
+
+    // Slot inspector
+    'inspector.title': '插槽 ({count})',
+    'inspector.empty': '尚未載入骨架',
+    'inspector.order': '#',
+    'inspector.slot': '插槽',
+    'inspector.bone': '骨骼',
+    'inspector.attachment': '附件',
+    'inspector.type': '類型',
+    'inspector.color': '顏色',
+    'inspector.dark_color': '暗色',
+    'inspector.blend': '混合',
+    'inspector.type_region': '區域',
+    'inspector.type_mesh': '網格',
+    'inspector.type_clipping': '裁剪',
+    'inspector.type_path': '路徑',
+    'inspector.type_point': '點',
+    'inspector.type_boundingbox': '邊界框',
+    'inspector.type_unknown': '其他',
+
+    // Bone tree
+    'bones.title': '骨骼 ({count})',
+    'bones.search': '搜尋骨骼',
+    'bones.pose_current': '目前姿勢',
+    'bones.pose_setup': '設定姿勢',
+    'bones.empty': '尚未載入骨架',
+    'bones.local': '本地',
+    'bones.world': '世界',
+    'bones.toggle': '展開或收合',
+
+    // Constraints
+    'constraints.title': '約束 ({count})',
+    'constraints.empty': '沒有約束',
+    'constraints.type_ik': 'IK',
+    'constraints.type_transform': '變換',
+    'constraints.type_path': '路徑',
+    'constraints.bend': '彎曲',
+    'constraints.reset': '重設',
+
+    // Event log
+    'events.title': '事件 ({count})',
+    'events.title_filtered': '事件 ({shown} / {count})',
+    'events.filter': '依名稱、字串或音效篩選',
+    'events.clear': '清除',
+    'events.empty': '尚未觸發任何事件',
+    'events.track': '軌道',
+
     // General UI messages
     'ui.loading': '載入中...',
     'ui.error': '錯誤',
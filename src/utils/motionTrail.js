@@ -0,0 +1,161 @@
+/**
+ * Bone motion trails
+ * Samples the world-space path of bones over a whole animation and turns it into
+ * velocity-colored segments and time ticks for drawing.
+ */
+
+export const DEFAULT_MOTION_TRAIL_OPTIONS = Object.freeze({
+  fps: 30,               // Samples per second of animation time
+  tickInterval: 0.25,    // Seconds of playback between time ticks (0 for none)
+  slowColor: 0x4dd2ff,   // Color of the slowest segments
+  fastColor: 0xff5a5a,   // Color of the fastest segments
+  maxSpeed: null,        // Speed (units per second) drawn in fastColor; null scales to the fastest segment
+  lineWidth: 2,          // Screen pixels
+  tickLength: 6,         // Screen pixels
+  alpha: 0.9
+});
+
+const MAX_SAMPLES = 2000;
+
+/**
+ * Validates motion trail options and fills in defaults
+ * @param {Object} [options] - Options to apply
+ * @param {Object} [base=DEFAULT_MOTION_TRAIL_OPTIONS] - Options the new values are merged into
+ * @returns {Object} Complete options
+ * @throws {Error} If an option is out of range
+ */
+export function normalizeMotionTrailOptions(options = {}, base = DEFAULT_MOTION_TRAIL_OPTIONS) {
+  const result = { ...DEFAULT_MOTION_TRAIL_OPTIONS, ...base, ...options };
+
+  ['fps', 'lineWidth'].forEach(key => {
+    if (typeof result[key] !== 'number' || !(result[key] > 0)) {
+      throw new Error(`Invalid motion trail ${key}: expected a positive number`);
+    }
+  });
+  ['tickInterval', 'tickLength'].forEach(key => {
+    if (typeof result[key] !== 'number' || !(result[key] >= 0)) {
+      throw new Error(`Invalid motion trail ${key}: expected a number of at least 0`);
+    }
+  });
+  if (result.maxSpeed !== null && (typeof result.maxSpeed !== 'number' || !(result.maxSpeed > 0))) {
+    throw new Error('Invalid motion trail maxSpeed: expected a positive number or null');
+  }
+  if (typeof result.alpha !== 'number' || result.alpha < 0 || result.alpha > 1) {
+    throw new Error('Invalid motion trail alpha: expected a number from 0 to 1');
+  }
+
+  return result;
+}
+
+/**
+ * Samples bone world positions over an animation
+ * @param {Function} poseAt - Poses a skeleton at an animation time and returns it;
+ *   bones are looked up with skeleton.findBone(name)
+ * @param {string[]} boneNames - Bones to sample (missing bones are skipped)
+ * @param {Object} animation
+ * @param {number} animation.duration - Animation duration in seconds
+ * @param {number} [animation.fps=30] - Samples per second
+ * @returns {Map<string, Array<{time: number, x: number, y: number}>>} Points per bone, from 0 to duration
+ */
+export function sampleBoneTrails(poseAt, boneNames, { duration, fps = DEFAULT_MOTION_TRAIL_OPTIONS.fps }) {
+  const trails = new Map();
+  if (!boneNames.length) {
+    return trails;
+  }
+
+  const steps = duration > 0 ? Math.min(MAX_SAMPLES, Math.max(1, Math.ceil(duration * fps))) : 0;
+  for (let i = 0; i <= steps; i++) {
+    const time = steps > 0 ? (duration * i) / steps : 0;
+    const skeleton = poseAt(time);
+    boneNames.forEach(name => {
+      const bone = skeleton.findBone(name);
+      if (!bone) {
+        return;
+      }
+      if (!trails.has(name)) {
+        trails.set(name, []);
+      }
+      trails.get(name).push({ time, x: bone.worldX, y: bone.worldY });
+    });
+  }
+
+  return trails;
+}
+
+/**
+ * Splits a trail into segments with their playback speed
+ * @param {Array<{time: number, x: number, y: number}>} points - Sampled trail
+ * @param {number} [timeScale=1] - Playback speed; speeds are per second of playback
+ * @returns {Array<{x1: number, y1: number, x2: number, y2: number, speed: number}>}
+ */
+export function computeTrailSegments(points, timeScale = 1) {
+  const segments = [];
+  for (let i = 1; i < points.length; i++) {
+    const from = points[i - 1];
+    const to = points[i];
+    const dt = to.time - from.time;
+    const distance = Math.hypot(to.x - from.x, to.y - from.y);
+    segments.push({
+      x1: from.x,
+      y1: from.y,
+      x2: to.x,
+      y2: to.y,
+      speed: dt > 0 ? (distance / dt) * Math.abs(timeScale) : 0
+    });
+  }
+  return segments;
+}
+
+/**
+ * Places time ticks along a trail, perpendicular to the direction of motion
+ * @param {Array<{time: number, x: number, y: number}>} points - Sampled trail
+ * @param {number} interval - Seconds of playback between ticks (0 for none)
+ * @param {number} [timeScale=1] - Playback speed
+ * @returns {Array<{time: number, x: number, y: number, nx: number, ny: number}>}
+ *   Tick position and unit normal
+ */
+export function computeTrailTicks(points, interval, timeScale = 1) {
+  const step = interval * Math.abs(timeScale);
+  if (!(step > 0) || points.length < 2) {
+    return [];
+  }
+
+  const ticks = [];
+  const end = points[points.length - 1].time;
+  let index = 1;
+  for (let time = 0; time <= end + 1e-9; time += step) {
+    while (index < points.length - 1 && points[index].time < time) {
+      index++;
+    }
+    const from = points[index - 1];
+    const to = points[index];
+    const span = to.time - from.time;
+    const t = span > 0 ? Math.min(1, Math.max(0, (time - from.time) / span)) : 0;
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const length = Math.hypot(dx, dy);
+    ticks.push({
+      time,
+      x: from.x + dx * t,
+      y: from.y + dy * t,
+      nx: length > 0 ? -dy / length : 0,
+      ny: length > 0 ? dx / length : 1
+    });
+  }
+  return ticks;
+}
+
+/**
+ * Interpolates between the slow and fast colors
+ * @param {number} speed - Segment speed
+ * @param {number} maxSpeed - Speed mapped to fastColor
+ * @param {number} slowColor - 0xRRGGBB
+ * @param {number} fastColor - 0xRRGGBB
+ * @returns {number} 0xRRGGBB
+ */
+export function velocityColor(speed, maxSpeed, slowColor, fastColor) {
+  const t = maxSpeed > 0 ? Math.min(1, Math.max(0, speed / maxSpeed)) : 0;
+  const channel = (color, shift) => (color >> shift) & 0xff;
+  const mix = shift => Math.round(channel(slowColor, shift) + (channel(fastColor, shift) - channel(slowColor, shift)) * t);
+  return (mix(16) << 16) | (mix(8) << 8) | mix(0);
+}
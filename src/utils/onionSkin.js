@@ -0,0 +1,95 @@
+/**
+ * Onion skinning
+ * Computes the ghost poses drawn before and after the current time of an animation.
+ */
+
+export const DEFAULT_ONION_SKIN_OPTIONS = Object.freeze({
+  before: 3,            // Ghost poses before the current time
+  after: 3,             // Ghost poses after the current time
+  frameSpacing: 2,      // Frames between ghost poses
+  fps: 30,              // Frame rate used to convert frameSpacing to seconds
+  pastTint: 0xff5a5a,
+  futureTint: 0x4dd2ff,
+  alpha: 0.45,          // Opacity of the nearest ghosts
+  falloff: 0.65         // Opacity multiplier per further ghost
+});
+
+const MAX_GHOSTS = 20;
+
+/**
+ * Validates onion skin options and fills in defaults
+ * @param {Object} [options] - Options to apply
+ * @param {Object} [base=DEFAULT_ONION_SKIN_OPTIONS] - Options the new values are merged into
+ * @returns {Object} Complete options
+ * @throws {Error} If an option is out of range
+ */
+export function normalizeOnionSkinOptions(options = {}, base = DEFAULT_ONION_SKIN_OPTIONS) {
+  const result = { ...DEFAULT_ONION_SKIN_OPTIONS, ...base, ...options };
+
+  ['before', 'after'].forEach(key => {
+    if (!Number.isInteger(result[key]) || result[key] < 0 || result[key] > MAX_GHOSTS) {
+      throw new Error(`Invalid onion skin ${key}: expected an integer from 0 to ${MAX_GHOSTS}`);
+    }
+  });
+  ['frameSpacing', 'fps'].forEach(key => {
+    if (typeof result[key] !== 'number' || !(result[key] > 0)) {
+      throw new Error(`Invalid onion skin ${key}: expected a positive number`);
+    }
+  });
+  ['alpha', 'falloff'].forEach(key => {
+    if (typeof result[key] !== 'number' || result[key] < 0 || result[key] > 1) {
+      throw new Error(`Invalid onion skin ${key}: expected a number from 0 to 1`);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Computes the time, tint and opacity of every ghost pose
+ * Ghosts are ordered farthest first so nearer ghosts draw on top. Looping animations
+ * wrap around; for other animations ghosts outside the animation are hidden.
+ * @param {Object} options - Normalized onion skin options
+ * @param {Object} track
+ * @param {number} track.time - Current track time in seconds
+ * @param {number} track.duration - Animation duration in seconds
+ * @param {boolean} track.loop - Whether the animation loops
+ * @returns {Array<{offset: number, time: number, tint: number, alpha: number, visible: boolean}>}
+ *   One entry per ghost (before + after)
+ */
+export function computeGhostFrames(options, { time, duration, loop }) {
+  const spacing = options.frameSpacing / options.fps;
+  const frames = [];
+
+  const createFrame = (step) => {
+    const offset = step * spacing;
+    const distance = Math.abs(step);
+    let ghostTime;
+    let visible = true;
+
+    if (loop && duration > 0) {
+      ghostTime = (((time + offset) % duration) + duration) % duration;
+    } else {
+      // Non-looping tracks hold their last pose once the track time passes the end
+      ghostTime = Math.min(time, duration) + offset;
+      visible = ghostTime >= 0 && ghostTime <= duration;
+    }
+
+    return {
+      offset,
+      time: ghostTime,
+      tint: step < 0 ? options.pastTint : options.futureTint,
+      alpha: options.alpha * Math.pow(options.falloff, distance - 1),
+      visible
+    };
+  };
+
+  for (let step = options.before; step >= 1; step--) {
+    frames.push(createFrame(-step));
+  }
+  for (let step = options.after; step >= 1; step--) {
+    frames.push(createFrame(step));
+  }
+
+  return frames;
+}
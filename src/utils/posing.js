@@ -0,0 +1,117 @@
+/**
+ * Bone posing
+ * Math for pose mode: manual offsets that are added to the animated local values of bones,
+ * drag conversions between coordinate spaces and pose serialization.
+ */
+
+const POSE_PRECISION = 1000;
+
+/**
+ * @param {number} value
+ * @returns {number} Value rounded to three decimals
+ */
+function round(value) {
+  return Math.round(value * POSE_PRECISION) / POSE_PRECISION;
+}
+
+/**
+ * @param {number} degrees
+ * @returns {number} Angle in (-180, 180]
+ */
+function normalizeAngle(degrees) {
+  const angle = degrees % 360;
+  if (angle > 180) return angle - 360;
+  if (angle <= -180) return angle + 360;
+  return angle;
+}
+
+/**
+ * Validates a pose offset and fills in zeros
+ * @param {{x?: number, y?: number, rotation?: number}} [offset]
+ * @returns {{x: number, y: number, rotation: number}}
+ * @throws {Error} If a value is not a finite number
+ */
+export function normalizePoseOffset(offset = {}) {
+  const result = { x: 0, y: 0, rotation: 0, ...offset };
+  ['x', 'y', 'rotation'].forEach(key => {
+    if (typeof result[key] !== 'number' || !Number.isFinite(result[key])) {
+      throw new Error(`Invalid pose offset ${key}: expected a finite number`);
+    }
+  });
+  return { x: result.x, y: result.y, rotation: result.rotation };
+}
+
+/**
+ * Adds (or removes) pose offsets to the local values of bones
+ * @param {Object} skeleton - Skeleton whose bones are found with findBone
+ * @param {Map<string, {x: number, y: number, rotation: number}>} offsets - Offsets by bone name
+ * @param {number} [sign=1] - 1 to apply the offsets, -1 to remove them again
+ */
+export function applyPoseOffsets(skeleton, offsets, sign = 1) {
+  offsets.forEach((offset, name) => {
+    const bone = skeleton.findBone(name);
+    if (!bone) {
+      return;
+    }
+    bone.x += offset.x * sign;
+    bone.y += offset.y * sign;
+    bone.rotation += offset.rotation * sign;
+  });
+}
+
+/**
+ * Rotation that turns a bone so a point dragged from `from` to `to` keeps its angle
+ * @param {{x: number, y: number}} from - Previous pointer position in the bone's local space
+ * @param {{x: number, y: number}} to - Current pointer position in the bone's local space
+ * @returns {number} Rotation change in degrees, in (-180, 180]
+ */
+export function rotationDelta(from, to) {
+  const before = Math.atan2(from.y, from.x);
+  const after = Math.atan2(to.y, to.x);
+  return normalizeAngle((after - before) * 180 / Math.PI);
+}
+
+/**
+ * Converts a movement in a bone's own space into its parent's space
+ * @param {{x: number, y: number}} delta - Movement in the bone's local space
+ * @param {Object} transform - Bone rotation (degrees), scaleX and scaleY
+ * @returns {{x: number, y: number}} Movement in the parent's space
+ */
+export function boneToParentDelta(delta, { rotation, scaleX, scaleY }) {
+  const radians = rotation * Math.PI / 180;
+  const cos = Math.cos(radians);
+  const sin = Math.sin(radians);
+  const x = delta.x * scaleX;
+  const y = delta.y * scaleY;
+  return { x: x * cos - y * sin, y: x * sin + y * cos };
+}
+
+/**
+ * Describes a pose as plain data (local bone values with the offsets included)
+ * @param {Object} skeleton - Posed skeleton
+ * @param {Map<string, {x: number, y: number, rotation: number}>} offsets - Pose offsets by bone name
+ * @param {Object} [meta] - Extra fields, e.g. {animation, time}
+ * @returns {{bones: Object<string, Object>, offsets: Object<string, Object>}} Values rounded to three decimals
+ */
+export function serializePose(skeleton, offsets, meta = {}) {
+  const bones = {};
+  skeleton.bones.forEach(bone => {
+    const offset = offsets.get(bone.data.name) || { x: 0, y: 0, rotation: 0 };
+    bones[bone.data.name] = {
+      x: round(bone.x + offset.x),
+      y: round(bone.y + offset.y),
+      rotation: round(bone.rotation + offset.rotation),
+      scaleX: round(bone.scaleX),
+      scaleY: round(bone.scaleY),
+      shearX: round(bone.shearX),
+      shearY: round(bone.shearY)
+    };
+  });
+
+  const changed = {};
+  offsets.forEach((offset, name) => {
+    changed[name] = { x: round(offset.x), y: round(offset.y), rotation: round(offset.rotation) };
+  });
+
+  return { ...meta, bones, offsets: changed };
+}
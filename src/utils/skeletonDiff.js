@@ -0,0 +1,163 @@
+/**
+ * Skeleton comparison
+ * Compares two parsed skeletons (pixi-spine `spineData`) and lists the bones, slots
+ * and animations that were added, removed or changed between them.
+ */
+
+import { getMessage } from './messages.js';
+
+const EPSILON = 1e-4;
+
+const BONE_PROPERTIES = ['parent', 'length', 'x', 'y', 'rotation', 'scaleX', 'scaleY', 'shearX', 'shearY'];
+const SLOT_PROPERTIES = ['bone', 'attachment', 'blendMode', 'color'];
+const ANIMATION_PROPERTIES = ['duration', 'timelines'];
+
+/**
+ * Reads the compared properties of a bone
+ * @param {Object} bone - BoneData
+ * @returns {Object}
+ */
+function describeBone(bone) {
+  return {
+    parent: bone.parent ? bone.parent.name : null,
+    length: bone.length,
+    x: bone.x,
+    y: bone.y,
+    rotation: bone.rotation,
+    scaleX: bone.scaleX,
+    scaleY: bone.scaleY,
+    shearX: bone.shearX,
+    shearY: bone.shearY
+  };
+}
+
+/**
+ * Reads the compared properties of a slot
+ * @param {Object} slot - SlotData
+ * @returns {Object}
+ */
+function describeSlot(slot) {
+  const color = slot.color;
+  return {
+    bone: slot.boneData ? slot.boneData.name : null,
+    attachment: slot.attachmentName ?? null,
+    blendMode: slot.blendMode,
+    color: color ? [color.r, color.g, color.b, color.a].map(value => Math.round(value * 255)).join(',') : null
+  };
+}
+
+/**
+ * Reads the compared properties of an animation
+ * @param {Object} animation - Animation
+ * @returns {Object}
+ */
+function describeAnimation(animation) {
+  return {
+    duration: animation.duration,
+    timelines: animation.timelines ? animation.timelines.length : 0
+  };
+}
+
+/**
+ * @param {*} before
+ * @param {*} after
+ * @returns {boolean} True if the values differ (numbers within EPSILON are equal)
+ */
+function differs(before, after) {
+  if (typeof before === 'number' && typeof after === 'number') {
+    return Math.abs(before - after) > EPSILON;
+  }
+  return before !== after;
+}
+
+/**
+ * Compares two lists of named items
+ * @param {Array<Object>} beforeItems
+ * @param {Array<Object>} afterItems
+ * @param {Function} describe - Returns the compared properties of an item
+ * @param {string[]} properties - Property order in change lists
+ * @returns {{added: string[], removed: string[], changed: Array<{name: string, changes: Array<{property: string, before: *, after: *}>}>}}
+ */
+function diffNamed(beforeItems = [], afterItems = [], describe, properties) {
+  const beforeByName = new Map(beforeItems.map(item => [item.name, item]));
+  const afterByName = new Map(afterItems.map(item => [item.name, item]));
+
+  const added = afterItems.filter(item => !beforeByName.has(item.name)).map(item => item.name);
+  const removed = beforeItems.filter(item => !afterByName.has(item.name)).map(item => item.name);
+  const changed = [];
+
+  afterItems.forEach(item => {
+    const previous = beforeByName.get(item.name);
+    if (!previous) {
+      return;
+    }
+    const before = describe(previous);
+    const after = describe(item);
+    const changes = properties
+      .filter(property => differs(before[property], after[property]))
+      .map(property => ({ property, before: before[property], after: after[property] }));
+    if (changes.length > 0) {
+      changed.push({ name: item.name, changes });
+    }
+  });
+
+  return { added, removed, changed };
+}
+
+/**
+ * Compares two skeletons
+ * @param {Object} before - spineData of the previous version
+ * @param {Object} after - spineData of the revised version
+ * @returns {{bones: Object, slots: Object, animations: Object, identical: boolean}}
+ *   Each section lists added and removed names and changed items with their property changes
+ */
+export function diffSkeletonData(before, after) {
+  if (!before || !after) {
+    throw new Error('Two skeletons are required for comparison');
+  }
+
+  const diff = {
+    bones: diffNamed(before.bones, after.bones, describeBone, BONE_PROPERTIES),
+    slots: diffNamed(before.slots, after.slots, describeSlot, SLOT_PROPERTIES),
+    animations: diffNamed(before.animations, after.animations, describeAnimation, ANIMATION_PROPERTIES)
+  };
+  diff.identical = ['bones', 'slots', 'animations'].every(section =>
+    diff[section].added.length === 0 && diff[section].removed.length === 0 && diff[section].changed.length === 0);
+
+  return diff;
+}
+
+/**
+ * Formats a property value for display
+ * @param {*} value
+ * @returns {string}
+ */
+export function formatDiffValue(value) {
+  if (value === null || value === undefined) {
+    return '—';
+  }
+  if (typeof value === 'number') {
+    return String(Math.round(value * 1000) / 1000);
+  }
+  return String(value);
+}
+
+/**
+ * Summarizes a skeleton diff as text lines
+ * @param {Object} diff - Result of diffSkeletonData
+ * @returns {string[]} One line per section with changes, or a single "identical" line
+ */
+export function formatSkeletonDiff(diff) {
+  if (diff.identical) {
+    return [getMessage('diff.identical')];
+  }
+
+  return ['bones', 'slots', 'animations']
+    .filter(section => diff[section].added.length || diff[section].removed.length || diff[section].changed.length)
+    .map(section => getMessage('diff.section_summary', {
+      section: getMessage(`diff.section_${section}`),
+      added: diff[section].added.length,
+      removed: diff[section].removed.length,
+      changed: diff[section].changed.length
+    }));
+}
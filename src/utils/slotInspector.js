@@ -0,0 +1,84 @@
+/**
+ * Slot inspection
+ * Describes the slots of a live skeleton (pixi-spine `skeleton`) in draw order with their
+ * active attachment, colors and blend mode.
+ */
+
+// pixi-spine AttachmentType values
+const ATTACHMENT_TYPE_NAMES = ['region', 'boundingbox', 'mesh', 'mesh', 'path', 'point', 'clipping'];
+
+// PIXI.BLEND_MODES values used by Spine slots
+const BLEND_MODE_NAMES = { 0: 'normal', 1: 'additive', 2: 'multiply', 3: 'screen' };
+
+/**
+ * Identifies the kind of an attachment
+ * @param {Object|null} attachment - Slot attachment
+ * @returns {'region'|'mesh'|'clipping'|'path'|'point'|'boundingbox'|null} Null when there is no attachment
+ */
+export function getAttachmentType(attachment) {
+  if (!attachment) {
+    return null;
+  }
+  if (typeof attachment.type === 'number' && ATTACHMENT_TYPE_NAMES[attachment.type]) {
+    return ATTACHMENT_TYPE_NAMES[attachment.type];
+  }
+
+  // Fall back to the class name (RegionAttachment, LinkedMeshAttachment, ...)
+  const className = attachment.constructor ? attachment.constructor.name.toLowerCase() : '';
+  const match = ['region', 'mesh', 'clipping', 'path', 'point', 'boundingbox'].find(type => className.includes(type));
+  return match || 'unknown';
+}
+
+/**
+ * Formats a Spine color as hex
+ * @param {{r: number, g: number, b: number, a: number}|null} color - Channels from 0 to 1
+ * @returns {string|null} '#rrggbbaa', or null without a color
+ */
+export function formatSlotColor(color) {
+  if (!color) {
+    return null;
+  }
+  return '#' + [color.r, color.g, color.b, color.a]
+    .map(value => Math.round(Math.min(1, Math.max(0, value)) * 255).toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * @param {number|string} blendMode - SlotData blend mode
+ * @returns {string} 'normal', 'additive', 'multiply' or 'screen'
+ */
+export function getBlendModeName(blendMode) {
+  if (typeof blendMode === 'string') {
+    return blendMode.toLowerCase();
+  }
+  return BLEND_MODE_NAMES[blendMode] || String(blendMode);
+}
+
+/**
+ * Describes every slot of a skeleton in its current draw order
+ * @param {Object} skeleton - Posed skeleton
+ * @returns {Array<{order: number, index: number, name: string, bone: string, attachment: string|null,
+ *   attachmentType: string|null, color: string, darkColor: string|null, blendMode: string}>}
+ *   One entry per slot, back to front; index is the slot's setup index
+ */
+export function inspectSlots(skeleton) {
+  if (!skeleton) {
+    return [];
+  }
+
+  const drawOrder = skeleton.drawOrder || skeleton.slots || [];
+  return drawOrder.map((slot, order) => {
+    const attachment = slot.getAttachment ? slot.getAttachment() : slot.attachment;
+    return {
+      order,
+      index: slot.data.index,
+      name: slot.data.name,
+      bone: slot.bone ? slot.bone.data.name : null,
+      attachment: attachment ? attachment.name : null,
+      attachmentType: getAttachmentType(attachment),
+      color: formatSlotColor(slot.color),
+      darkColor: formatSlotColor(slot.darkColor),
+      blendMode: getBlendModeName(slot.data.blendMode)
+    };
+  });
+}
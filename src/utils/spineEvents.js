@@ -0,0 +1,91 @@
+/**
+ * Spine animation events
+ * Describes events fired by an AnimationState and the event keys of an animation, for the
+ * `spine-event` DOM events, the timeline markers and the event log.
+ */
+
+/**
+ * Describes a fired event as plain data
+ * @param {Object} event - Spine Event (values are copied from its EventData at load time)
+ * @param {Object|null} trackEntry - Entry whose animation fired the event
+ * @returns {{name: string, int: number, float: number, string: string|null, audio: string|null,
+ *   volume: number, balance: number, time: number, track: number|null, animation: string|null}}
+ *   Time in seconds of animation time
+ */
+export function describeSpineEvent(event, trackEntry) {
+  const data = event.data || {};
+  return {
+    name: data.name,
+    int: event.intValue ?? data.intValue ?? 0,
+    float: event.floatValue ?? data.floatValue ?? 0,
+    string: event.stringValue ?? data.stringValue ?? null,
+    audio: data.audioPath || null,
+    volume: event.volume ?? data.volume ?? 1,
+    balance: event.balance ?? data.balance ?? 0,
+    time: event.time,
+    track: trackEntry ? trackEntry.trackIndex : null,
+    animation: trackEntry && trackEntry.animation ? trackEntry.animation.name : null
+  };
+}
+
+/**
+ * Lists the event keys of an animation
+ * @param {Object} skeletonData - Spine SkeletonData
+ * @param {string} animationName
+ * @returns {{duration: number, events: Array<Object>}|null} Events sorted by time (see
+ *   describeSpineEvent, without track), null when the animation does not exist
+ */
+export function getAnimationEvents(skeletonData, animationName) {
+  const animation = skeletonData ? skeletonData.findAnimation(animationName) : null;
+  if (!animation) {
+    return null;
+  }
+
+  const events = [];
+  animation.timelines.forEach(timeline => {
+    // EventTimeline is the only timeline with an events array
+    if (Array.isArray(timeline.events)) {
+      timeline.events.forEach(event => {
+        const { track, ...key } = describeSpineEvent(event, null);
+        events.push({ ...key, animation: animation.name });
+      });
+    }
+  });
+  events.sort((a, b) => a.time - b.time);
+  return { duration: animation.duration, events };
+}
+
+/**
+ * Positions event keys along a (trimmed) animation range
+ * @param {Array<{name: string, time: number}>} events - Event keys, time in seconds
+ * @param {number} start - Range start in seconds
+ * @param {number} end - Range end in seconds
+ * @returns {Array<{name: string, time: number, position: number}>} Events in the range with
+ *   their position from 0 to 1
+ */
+export function getEventMarkers(events, start, end) {
+  const length = end - start;
+  return events
+    .filter(event => event.time >= start && event.time <= end)
+    .map(event => ({
+      name: event.name,
+      time: event.time,
+      position: length > 0 ? (event.time - start) / length : 0
+    }));
+}
+
+/**
+ * Tells whether a logged event matches a filter
+ * @param {Object} entry - Result of describeSpineEvent
+ * @param {string} query - Case-insensitive text searched in the name, string value, audio path
+ *   and animation; empty matches every event
+ * @returns {boolean}
+ */
+export function matchesEventFilter(entry, query) {
+  const needle = (query || '').trim().toLowerCase();
+  if (!needle) {
+    return true;
+  }
+  return [entry.name, entry.string, entry.audio, entry.animation]
+    .some(value => typeof value === 'string' && value.toLowerCase().includes(needle));
+}
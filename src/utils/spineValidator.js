@@ -0,0 +1,153 @@
+/**
+ * Skeleton/atlas cross-check
+ * Parses atlas pages and regions and compares them with the regions the skeleton's
+ * attachments asked for, producing a structured report whose messages come from
+ * the messages.js catalog.
+ */
+
+import { getMessage } from './messages.js';
+
+export const SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning',
+  INFO: 'info'
+};
+
+/**
+ * Parses the pages and regions of an atlas (Spine 3.x and 4.x formats)
+ * @param {string} atlasText - Atlas file content
+ * @returns {{pages: Array<{name: string, width: number|null, height: number|null, line: number}>, regions: Array<{name: string, page: string, index: number, line: number}>}}
+ *   Line numbers are 1-based
+ */
+export function parseAtlas(atlasText) {
+  const pages = [];
+  const regions = [];
+  let page = null;
+  let region = null;
+
+  atlasText.split(/\r?\n/).forEach((rawLine, lineIndex) => {
+    const line = rawLine.trim();
+    const lineNumber = lineIndex + 1;
+
+    if (line.length === 0) {
+      page = null;
+      region = null;
+      return;
+    }
+
+    if (!page) {
+      page = { name: line, width: null, height: null, line: lineNumber };
+      pages.push(page);
+      return;
+    }
+
+    const colon = line.indexOf(':');
+    if (colon === -1) {
+      region = { name: line, page: page.name, index: -1, line: lineNumber };
+      regions.push(region);
+      return;
+    }
+
+    const key = line.substring(0, colon).trim();
+    const values = line.substring(colon + 1).split(',').map(value => value.trim());
+    if (!region && key === 'size') {
+      page.width = Number(values[0]);
+      page.height = Number(values[1]);
+    } else if (region && key === 'index') {
+      region.index = Number(values[0]);
+    }
+  });
+
+  return { pages, regions };
+}
+
+/**
+ * Creates a report entry
+ * @param {string} severity - One of SEVERITY
+ * @param {string} key - Message key in messages.js
+ * @param {Object} params - Message placeholders
+ * @param {Object} location - Where the problem is (file, line, page, region, skin, attachment)
+ * @returns {Object} Report issue
+ */
+function createIssue(severity, key, params, location) {
+  return { severity, key, params, location, message: getMessage(key, params) };
+}
+
+/**
+ * Cross-checks a skeleton against its atlas
+ * @param {Object} input
+ * @param {string} input.atlasText - Atlas file content
+ * @param {string} [input.atlasName='atlas'] - Atlas file name for locations
+ * @param {string} [input.skeletonName='skeleton'] - Skeleton file name for locations
+ * @param {Iterable<string>} [input.usedRegions] - Region names attachments resolved
+ * @param {Array<{skin: string, attachment: string, region: string}>} [input.missingRegions] - Attachments whose region was not found
+ * @param {Object<string, {width: number, height: number}>} [input.pageSizes] - Actual image size per page name
+ * @returns {{issues: Array<{severity: string, key: string, params: Object, location: Object, message: string}>, counts: {error: number, warning: number, info: number}, valid: boolean}}
+ */
+export function validateSpineAssets({
+  atlasText,
+  atlasName = 'atlas',
+  skeletonName = 'skeleton',
+  usedRegions = [],
+  missingRegions = [],
+  pageSizes = {}
+}) {
+  const { pages, regions } = parseAtlas(atlasText);
+  const used = new Set(usedRegions);
+  const issues = [];
+
+  missingRegions.forEach(({ skin, attachment, region }) => {
+    issues.push(createIssue(SEVERITY.ERROR, 'validation.missing_region',
+      { skin, attachment, region },
+      { file: skeletonName, skin, attachment, region }));
+  });
+
+  pages.forEach(page => {
+    const actual = pageSizes[page.name];
+    if (!actual || page.width === null || page.height === null) {
+      return;
+    }
+    if (actual.width !== page.width || actual.height !== page.height) {
+      issues.push(createIssue(SEVERITY.ERROR, 'validation.page_size_mismatch',
+        { page: page.name, width: page.width, height: page.height, actualWidth: actual.width, actualHeight: actual.height },
+        { file: atlasName, line: page.line, page: page.name }));
+    }
+  });
+
+  // Sequence frames share a name and differ by index, so duplicates are name + index
+  const definitions = new Map();
+  regions.forEach(region => {
+    const key = `${region.name}\u0000${region.index}`;
+    if (!definitions.has(key)) {
+      definitions.set(key, []);
+    }
+    definitions.get(key).push(region);
+  });
+  definitions.forEach(copies => {
+    if (copies.length > 1) {
+      const [first] = copies;
+      issues.push(createIssue(SEVERITY.WARNING, 'validation.duplicate_region',
+        { region: first.name, count: copies.length, lines: copies.map(copy => copy.line).join(', ') },
+        { file: atlasName, line: copies[1].line, page: copies[1].page, region: first.name }));
+    }
+  });
+
+  const reported = new Set();
+  regions.forEach(region => {
+    if (used.has(region.name) || reported.has(region.name)) {
+      return;
+    }
+    reported.add(region.name);
+    issues.push(createIssue(SEVERITY.INFO, 'validation.unused_region',
+      { region: region.name, page: region.page },
+      { file: atlasName, line: region.line, page: region.page, region: region.name }));
+  });
+
+  const order = [SEVERITY.ERROR, SEVERITY.WARNING, SEVERITY.INFO];
+  issues.sort((a, b) => order.indexOf(a.severity) - order.indexOf(b.severity));
+
+  const counts = { error: 0, warning: 0, info: 0 };
+  issues.forEach(issue => counts[issue.severity]++);
+
+  return { issues, counts, valid: counts.error === 0 };
+}
@@ -0,0 +1,214 @@
+/**
+ * Spine skeleton version detection
+ * Reads the editor version from JSON and binary exports before parsing and maps it to
+ * the runtime that can load it, so unsupported files get a clear report instead of a
+ * parse error.
+ */
+
+import { getMessage } from './messages.js';
+
+/** Runtime the viewer is built on */
+export const NATIVE_RUNTIME = '3.8';
+
+/**
+ * Runtime used for each supported editor version (major.minor)
+ * 4.0 exports load with the 4.1 runtime, as pixi-spine's own loader and Spine class do
+ * (4.1 reads the 4.0 JSON and binary formats), so 4.0 is supported rather than partial.
+ */
+export const RUNTIME_FOR_VERSION = {
+  '3.7': '3.7',
+  '3.8': '3.8',
+  '4.0': '4.1',
+  '4.1': '4.1'
+};
+
+/** Newest runtime available; newer JSON exports load through it with features dropped */
+const LATEST_RUNTIME = '4.1';
+
+/** Message keys of features added after the latest runtime */
+const FEATURES_AFTER_LATEST_RUNTIME = [
+  { since: [4, 2], keys: ['version.feature_physics', 'version.feature_inherit_timelines', 'version.feature_reference_scale'] }
+];
+
+/**
+ * Parses an editor version string such as "3.8.99"
+ * @param {string} text - Version string
+ * @returns {{text: string, major: number, minor: number, patch: number}|null} Parsed version or null
+ */
+export function parseVersion(text) {
+  const match = typeof text === 'string' && text.trim().match(/^(\d+)\.(\d+)(?:\.(\d+))?/);
+  if (!match) {
+    return null;
+  }
+  return {
+    text: text.trim(),
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: match[3] !== undefined ? Number(match[3]) : 0
+  };
+}
+
+/**
+ * Reads the version of a JSON skeleton (skeleton.spine)
+ * @param {string|Object} json - JSON text or parsed data
+ * @returns {string|null} Version string
+ */
+export function readJsonVersion(json) {
+  try {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+    const version = data?.skeleton?.spine;
+    return parseVersion(version) ? version.trim() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Reads the version of a binary skeleton (.skel)
+ * 3.x files start with the hash and version as strings; 4.x files store the hash
+ * as two 32-bit integers before the version string.
+ * @param {Uint8Array} bytes - Skeleton file bytes
+ * @returns {string|null} Version string
+ */
+export function readBinaryVersion(bytes) {
+  if (!(bytes instanceof Uint8Array) || bytes.length < 2) {
+    return null;
+  }
+
+  let position = 0;
+
+  const readVarInt = () => {
+    let result = 0;
+    for (let shift = 0; shift < 35; shift += 7) {
+      if (position >= bytes.length) {
+        throw new Error('Unexpected end of skeleton data');
+      }
+      const byte = bytes[position++];
+      result |= (byte & 0x7f) << shift;
+      if ((byte & 0x80) === 0) {
+        return result >>> 0;
+      }
+    }
+    throw new Error('Invalid skeleton data');
+  };
+
+  // Spine strings: varint byte count + 1 (0 = null), then UTF-8 bytes
+  const readString = () => {
+    const count = readVarInt();
+    if (count <= 1) {
+      return count === 0 ? null : '';
+    }
+    if (count - 1 > 64 || position + count - 1 > bytes.length) {
+      throw new Error('Invalid skeleton string');
+    }
+    const text = new TextDecoder('utf-8').decode(bytes.subarray(position, position + count - 1));
+    position += count - 1;
+    return text;
+  };
+
+  const readVersionAt = (offset, skipHashString) => {
+    try {
+      position = offset;
+      if (skipHashString) {
+        readString();
+      }
+      const version = readString();
+      return parseVersion(version) ? version : null;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  const legacy = readVersionAt(0, true);
+  if (legacy && parseVersion(legacy).major < 4) {
+    return legacy;
+  }
+
+  const modern = readVersionAt(8, false);
+  if (modern && parseVersion(modern).major >= 4) {
+    return modern;
+  }
+
+  return legacy;
+}
+
+/**
+ * Detects the editor version of skeleton data
+ * @param {string|Uint8Array} data - JSON text or binary bytes
+ * @param {string} format - '.json' or '.skel'
+ * @returns {string|null} Version string, null when it can't be read
+ */
+export function detectSkeletonVersion(data, format) {
+  return format === '.skel' ? readBinaryVersion(data) : readJsonVersion(data);
+}
+
+/**
+ * Works out how (and whether) a skeleton version can be loaded
+ * @param {string|null} version - Detected version
+ * @param {string} format - '.json' or '.skel'
+ * @returns {{version: string|null, status: string, runtime: string|null, supportedVersions: Array<string>, lostFeatures: Array<string>}}
+ *   status is 'native', 'supported' (other runtime), 'partial' (loads without some features),
+ *   'unknown' (version unreadable, native runtime is tried) or 'unsupported'
+ */
+export function getCompatibility(version, format) {
+  const supportedVersions = Object.keys(RUNTIME_FOR_VERSION);
+  const report = { version, status: 'unknown', runtime: NATIVE_RUNTIME, supportedVersions, lostFeatures: [] };
+
+  const parsed = parseVersion(version);
+  if (!parsed) {
+    return report;
+  }
+
+  const runtime = RUNTIME_FOR_VERSION[`${parsed.major}.${parsed.minor}`];
+  if (runtime) {
+    report.status = runtime === NATIVE_RUNTIME ? 'native' : 'supported';
+    report.runtime = runtime;
+    return report;
+  }
+
+  const latest = parseVersion(LATEST_RUNTIME);
+  const isNewer = parsed.major > latest.major || (parsed.major === latest.major && parsed.minor > latest.minor);
+
+  FEATURES_AFTER_LATEST_RUNTIME.forEach(({ since, keys }) => {
+    if (parsed.major > since[0] || (parsed.major === since[0] && parsed.minor >= since[1])) {
+      report.lostFeatures.push(...keys.map(key => getMessage(key)));
+    }
+  });
+
+  // Newer JSON keeps the older structure for everything it shares, so the latest runtime
+  // can still read it; binary layouts change between versions and can't be read
+  if (isNewer && format !== '.skel') {
+    report.status = 'partial';
+    report.runtime = LATEST_RUNTIME;
+  } else {
+    report.status = 'unsupported';
+    report.runtime = null;
+  }
+  return report;
+}
+
+/**
+ * Formats a compatibility report for display
+ * @param {Object} report - Result of getCompatibility
+ * @returns {string} Localized multi-line report
+ */
+export function formatCompatibilityReport(report) {
+  const lines = [
+    report.version
+      ? getMessage('version.detected', { version: report.version })
+      : getMessage('version.unknown'),
+    getMessage('version.supported', { versions: report.supportedVersions.join(', ') })
+  ];
+
+  if (report.status === 'unsupported') {
+    lines.unshift(getMessage('version.unsupported', { version: report.version }));
+  } else if (report.runtime && report.status !== 'native') {
+    lines.push(getMessage('version.runtime', { runtime: report.runtime }));
+  }
+
+  if (report.lostFeatures.length > 0) {
+    lines.push(getMessage('version.features_lost', { features: report.lostFeatures.join(', ') }));
+  }
+
+  return lines.join('\n');
+}
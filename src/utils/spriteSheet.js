@@ -0,0 +1,94 @@
+/**
+ * Sprite sheet layout utilities
+ * Packs equally sized animation frames into a grid and describes them with a
+ * TexturePacker-style JSON frame map (the "hash" format PIXI.Spritesheet reads).
+ */
+
+const DEFAULT_MAX_SHEET_WIDTH = 4096;
+
+/**
+ * Computes a grid layout for a set of equally sized frames
+ * Prefers a roughly square sheet, limited to maxWidth pixels per row.
+ * @param {Object} options
+ * @param {Array<string>} options.names - Frame names, in playback order
+ * @param {number} options.frameWidth - Width of every frame in pixels
+ * @param {number} options.frameHeight - Height of every frame in pixels
+ * @param {number} [options.spacing=0] - Gap between frames in pixels
+ * @param {number} [options.maxWidth=4096] - Maximum sheet width in pixels
+ * @returns {{width: number, height: number, columns: number, rows: number, frames: Array<{name: string, x: number, y: number, width: number, height: number}>}}
+ */
+export function layoutSpriteSheet({ names, frameWidth, frameHeight, spacing = 0, maxWidth = DEFAULT_MAX_SHEET_WIDTH }) {
+  if (!Array.isArray(names) || names.length === 0) {
+    throw new Error('Sprite sheet requires at least one frame');
+  }
+  if (!(frameWidth > 0) || !(frameHeight > 0)) {
+    throw new Error('Sprite sheet frame size must be positive');
+  }
+  if (frameWidth > maxWidth) {
+    throw new Error(`Frame width ${frameWidth}px exceeds sprite sheet limit of ${maxWidth}px`);
+  }
+
+  const fitColumns = Math.max(1, Math.floor((maxWidth + spacing) / (frameWidth + spacing)));
+  const squareColumns = Math.ceil(Math.sqrt(names.length * frameHeight / frameWidth));
+  const columns = Math.max(1, Math.min(fitColumns, squareColumns, names.length));
+  const rows = Math.ceil(names.length / columns);
+
+  const frames = names.map((name, index) => ({
+    name,
+    x: (index % columns) * (frameWidth + spacing),
+    y: Math.floor(index / columns) * (frameHeight + spacing),
+    width: frameWidth,
+    height: frameHeight
+  }));
+
+  return {
+    width: columns * frameWidth + (columns - 1) * spacing,
+    height: rows * frameHeight + (rows - 1) * spacing,
+    columns,
+    rows,
+    frames
+  };
+}
+
+/**
+ * Builds the JSON frame map describing a sprite sheet layout
+ * @param {Object} layout - Result of layoutSpriteSheet()
+ * @param {Object} [meta]
+ * @param {string} [meta.image='sheet.png'] - Sheet image file name
+ * @param {number} [meta.fps] - Playback rate; adds per-frame duration (ms) and an animation entry
+ * @param {string} [meta.animation] - Name of the animation entry (default: 'animation')
+ * @returns {Object} Frame map ({frames, animations?, meta})
+ */
+export function createSpriteSheetData(layout, meta = {}) {
+  const frameDuration = meta.fps ? 1000 / meta.fps : undefined;
+  const frames = {};
+
+  layout.frames.forEach(frame => {
+    frames[frame.name] = {
+      frame: { x: frame.x, y: frame.y, w: frame.width, h: frame.height },
+      rotated: false,
+      trimmed: false,
+      spriteSourceSize: { x: 0, y: 0, w: frame.width, h: frame.height },
+      sourceSize: { w: frame.width, h: frame.height },
+      ...(frameDuration !== undefined && { duration: frameDuration })
+    };
+  });
+
+  const data = {
+    frames,
+    meta: {
+      app: 'spine-viewer',
+      image: meta.image || 'sheet.png',
+      format: 'RGBA8888',
+      size: { w: layout.width, h: layout.height },
+      scale: '1'
+    }
+  };
+
+  if (meta.fps) {
+    data.meta.frameRate = meta.fps;
+    data.animations = { [meta.animation || 'animation']: layout.frames.map(frame => frame.name) };
+  }
+
+  return data;
+}
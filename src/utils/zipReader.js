@@ -0,0 +1,343 @@
+/**
+ * Minimal ZIP archive reader
+ * Lists and extracts stored and deflated entries in the browser with a pure
+ * JavaScript inflater, so archives can be opened without a server.
+ */
+
+import { crc32, readBlob } from './zipWriter.js';
+
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+const FLAG_ENCRYPTED = 0x0001;
+
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DISTANCE_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const DISTANCE_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+/**
+ * Builds a canonical Huffman decoding table from code lengths
+ * @param {Array<number>|Uint8Array} lengths - Code length per symbol (0 = unused)
+ * @returns {{counts: Uint16Array, symbols: Uint16Array}}
+ */
+function buildHuffman(lengths) {
+  const counts = new Uint16Array(16);
+  const offsets = new Uint16Array(16);
+  const symbols = new Uint16Array(lengths.length);
+
+  for (let i = 0; i < lengths.length; i++) {
+    counts[lengths[i]]++;
+  }
+  counts[0] = 0;
+
+  for (let len = 1; len < 16; len++) {
+    offsets[len] = offsets[len - 1] + counts[len - 1];
+  }
+  for (let i = 0; i < lengths.length; i++) {
+    if (lengths[i] !== 0) {
+      symbols[offsets[lengths[i]]++] = i;
+    }
+  }
+
+  return { counts, symbols };
+}
+
+let fixedTables = null;
+
+/**
+ * Literal/length and distance tables of fixed-Huffman blocks
+ * @returns {{literal: Object, distance: Object}}
+ */
+function getFixedTables() {
+  if (!fixedTables) {
+    const lengths = new Uint8Array(288);
+    lengths.fill(8, 0, 144);
+    lengths.fill(9, 144, 256);
+    lengths.fill(7, 256, 280);
+    lengths.fill(8, 280, 288);
+    fixedTables = {
+      literal: buildHuffman(lengths),
+      distance: buildHuffman(new Uint8Array(30).fill(5))
+    };
+  }
+  return fixedTables;
+}
+
+/**
+ * Decompresses raw deflate data (RFC 1951)
+ * @param {Uint8Array} input - Raw deflate stream (no zlib or gzip header)
+ * @param {number} [expectedSize] - Uncompressed size when known, to size the output once
+ * @returns {Uint8Array}
+ */
+export function inflateRaw(input, expectedSize = 0) {
+  let output = new Uint8Array(expectedSize > 0 ? expectedSize : Math.max(1024, input.length * 4));
+  let outLength = 0;
+  let position = 0;
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const readBits = (count) => {
+    while (bitCount < count) {
+      if (position >= input.length) {
+        throw new Error('Unexpected end of compressed data');
+      }
+      bitBuffer |= input[position++] << bitCount;
+      bitCount += 8;
+    }
+    const value = bitBuffer & ((1 << count) - 1);
+    bitBuffer >>>= count;
+    bitCount -= count;
+    return value;
+  };
+
+  const ensureCapacity = (extra) => {
+    if (outLength + extra > output.length) {
+      const grown = new Uint8Array(Math.max(output.length * 2, outLength + extra));
+      grown.set(output.subarray(0, outLength));
+      output = grown;
+    }
+  };
+
+  const decodeSymbol = ({ counts, symbols }) => {
+    let code = 0;
+    let first = 0;
+    let index = 0;
+    for (let len = 1; len < 16; len++) {
+      code |= readBits(1);
+      const count = counts[len];
+      if (code - count < first) {
+        return symbols[index + (code - first)];
+      }
+      index += count;
+      first = (first + count) << 1;
+      code <<= 1;
+    }
+    throw new Error('Invalid Huffman code in compressed data');
+  };
+
+  const readDynamicTables = () => {
+    const literalCount = readBits(5) + 257;
+    const distanceCount = readBits(5) + 1;
+    const codeLengthCount = readBits(4) + 4;
+
+    const codeLengths = new Uint8Array(19);
+    for (let i = 0; i < codeLengthCount; i++) {
+      codeLengths[CODE_LENGTH_ORDER[i]] = readBits(3);
+    }
+    const codeLengthTable = buildHuffman(codeLengths);
+
+    const lengths = new Uint8Array(literalCount + distanceCount);
+    for (let i = 0; i < lengths.length;) {
+      const symbol = decodeSymbol(codeLengthTable);
+      if (symbol < 16) {
+        lengths[i++] = symbol;
+        continue;
+      }
+
+      let repeat;
+      let value = 0;
+      if (symbol === 16) {
+        if (i === 0) {
+          throw new Error('Invalid code length repeat in compressed data');
+        }
+        value = lengths[i - 1];
+        repeat = 3 + readBits(2);
+      } else if (symbol === 17) {
+        repeat = 3 + readBits(3);
+      } else {
+        repeat = 11 + readBits(7);
+      }
+      if (i + repeat > lengths.length) {
+        throw new Error('Invalid code lengths in compressed data');
+      }
+      lengths.fill(value, i, i + repeat);
+      i += repeat;
+    }
+
+    return {
+      literal: buildHuffman(lengths.subarray(0, literalCount)),
+      distance: buildHuffman(lengths.subarray(literalCount))
+    };
+  };
+
+  let isFinal = false;
+  while (!isFinal) {
+    isFinal = readBits(1) === 1;
+    const type = readBits(2);
+
+    if (type === 0) {
+      // Stored block: skip to the byte boundary, then copy LEN bytes
+      bitBuffer = 0;
+      bitCount = 0;
+      if (position + 4 > input.length) {
+        throw new Error('Unexpected end of compressed data');
+      }
+      const length = input[position] | (input[position + 1] << 8);
+      const check = input[position + 2] | (input[position + 3] << 8);
+      if ((length ^ 0xffff) !== check) {
+        throw new Error('Invalid stored block length in compressed data');
+      }
+      position += 4;
+      if (position + length > input.length) {
+        throw new Error('Unexpected end of compressed data');
+      }
+      ensureCapacity(length);
+      output.set(input.subarray(position, position + length), outLength);
+      outLength += length;
+      position += length;
+      continue;
+    }
+
+    if (type === 3) {
+      throw new Error('Invalid block type in compressed data');
+    }
+
+    const tables = type === 1 ? getFixedTables() : readDynamicTables();
+    for (;;) {
+      const symbol = decodeSymbol(tables.literal);
+      if (symbol < 256) {
+        ensureCapacity(1);
+        output[outLength++] = symbol;
+        continue;
+      }
+      if (symbol === 256) {
+        break;
+      }
+
+      const lengthIndex = symbol - 257;
+      if (lengthIndex >= LENGTH_BASE.length) {
+        throw new Error('Invalid length code in compressed data');
+      }
+      const length = LENGTH_BASE[lengthIndex] + readBits(LENGTH_EXTRA[lengthIndex]);
+
+      const distanceIndex = decodeSymbol(tables.distance);
+      if (distanceIndex >= DISTANCE_BASE.length) {
+        throw new Error('Invalid distance code in compressed data');
+      }
+      const distance = DISTANCE_BASE[distanceIndex] + readBits(DISTANCE_EXTRA[distanceIndex]);
+      if (distance > outLength) {
+        throw new Error('Invalid distance in compressed data');
+      }
+
+      ensureCapacity(length);
+      for (let i = 0; i < length; i++) {
+        output[outLength] = output[outLength - distance];
+        outLength++;
+      }
+    }
+  }
+
+  return outLength === output.length ? output : output.slice(0, outLength);
+}
+
+/**
+ * Converts input to bytes
+ * @param {Blob|ArrayBuffer|Uint8Array} data
+ * @returns {Promise<Uint8Array>}
+ */
+async function toBytes(data) {
+  if (data instanceof Uint8Array) {
+    return data;
+  }
+  if (data instanceof ArrayBuffer) {
+    return new Uint8Array(data);
+  }
+  if (typeof Blob !== 'undefined' && data instanceof Blob) {
+    return new Uint8Array(await readBlob(data));
+  }
+  throw new Error('Unsupported zip archive data');
+}
+
+/**
+ * Locates the end of central directory record
+ * @param {DataView} view
+ * @returns {number} Record offset
+ */
+function findEndOfCentralDirectory(view) {
+  const minOffset = Math.max(0, view.byteLength - 22 - 0xffff);
+  for (let offset = view.byteLength - 22; offset >= minOffset; offset--) {
+    if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY) {
+      return offset;
+    }
+  }
+  throw new Error('Not a valid zip archive');
+}
+
+/**
+ * Extracts every entry of a ZIP archive
+ * Supports stored and deflated entries; encrypted and ZIP64 archives are rejected.
+ * @param {Blob|ArrayBuffer|Uint8Array} data - The archive
+ * @returns {Promise<Array<{name: string, isDirectory: boolean, size: number, data: Uint8Array}>>} Entries in archive order
+ */
+export async function readZip(data) {
+  const bytes = await toBytes(data);
+  if (bytes.length < 22) {
+    throw new Error('Not a valid zip archive');
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder('utf-8');
+
+  const endOffset = findEndOfCentralDirectory(view);
+  const entryCount = view.getUint16(endOffset + 10, true);
+  let offset = view.getUint32(endOffset + 16, true);
+  if (entryCount === 0xffff || offset === 0xffffffff) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+
+  const entries = [];
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + 46 > bytes.length || view.getUint32(offset, true) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new Error('Corrupt zip central directory');
+    }
+
+    const flags = view.getUint16(offset + 8, true);
+    const method = view.getUint16(offset + 10, true);
+    const checksum = view.getUint32(offset + 16, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    const isDirectory = name.endsWith('/');
+    if (isDirectory) {
+      entries.push({ name, isDirectory, size: 0, data: new Uint8Array(0) });
+      continue;
+    }
+
+    if (flags & FLAG_ENCRYPTED) {
+      throw new Error(`Encrypted zip entries are not supported: ${name}`);
+    }
+    if (view.getUint32(localOffset, true) !== LOCAL_FILE_HEADER) {
+      throw new Error(`Corrupt zip entry: ${name}`);
+    }
+
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const compressed = bytes.subarray(dataStart, dataStart + compressedSize);
+
+    let content;
+    if (method === METHOD_STORED) {
+      content = compressed;
+    } else if (method === METHOD_DEFLATE) {
+      content = inflateRaw(compressed, size);
+    } else {
+      throw new Error(`Unsupported compression method ${method} for zip entry: ${name}`);
+    }
+
+    if (content.length !== size || crc32(content) !== checksum) {
+      throw new Error(`Checksum mismatch in zip entry: ${name}`);
+    }
+
+    entries.push({ name, isDirectory, size, data: content });
+  }
+
+  return entries;
+}
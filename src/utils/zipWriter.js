@@ -0,0 +1,172 @@
+/**
+ * Minimal ZIP archive writer
+ * Produces uncompressed (stored) archives in the browser without external dependencies.
+ * PNG data is already deflated, so storing entries costs little size for frame exports.
+ */
+
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP_VERSION = 20;
+const UTF8_FLAG = 0x0800;
+
+let crcTable = null;
+
+/**
+ * Builds the CRC-32 lookup table on first use
+ * @returns {Uint32Array}
+ */
+function getCrcTable() {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+  return crcTable;
+}
+
+/**
+ * Computes the CRC-32 checksum used by the ZIP format
+ * @param {Uint8Array} bytes - Data to checksum
+ * @returns {number} Unsigned 32-bit checksum
+ */
+export function crc32(bytes) {
+  const table = getCrcTable();
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Reads a Blob into an ArrayBuffer (FileReader fallback for environments without Blob#arrayBuffer)
+ * @param {Blob} blob
+ * @returns {Promise<ArrayBuffer>}
+ */
+export function readBlob(blob) {
+  if (typeof blob.arrayBuffer === 'function') {
+    return blob.arrayBuffer();
+  }
+
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error || new Error('Failed to read blob data'));
+    reader.readAsArrayBuffer(blob);
+  });
+}
+
+/**
+ * Converts entry data to bytes
+ * @param {Blob|ArrayBuffer|Uint8Array|string} data - Entry content
+ * @returns {Promise<Uint8Array>}
+ */
+async function toBytes(data) {
+  if (data instanceof Uint8Array) {
+    return data;
+  }
+  if (data instanceof ArrayBuffer) {
+    return new Uint8Array(data);
+  }
+  if (typeof data === 'string') {
+    return new TextEncoder().encode(data);
+  }
+  if (typeof Blob !== 'undefined' && data instanceof Blob) {
+    return new Uint8Array(await readBlob(data));
+  }
+  throw new Error('Unsupported zip entry data');
+}
+
+/**
+ * Converts a Date to MS-DOS time and date fields
+ * @param {Date} date
+ * @returns {{time: number, date: number}}
+ */
+function toDosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Creates a ZIP archive from a list of entries
+ * @param {Array<{name: string, data: Blob|ArrayBuffer|Uint8Array|string}>} entries - Files to store; names may contain '/' folders
+ * @param {Object} [options]
+ * @param {Date} [options.date] - Modification time written for every entry (default: now)
+ * @returns {Promise<Blob>} The archive as an application/zip Blob
+ */
+export async function createZip(entries, options = {}) {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error('No entries provided for zip archive');
+  }
+
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(options.date || new Date());
+  const parts = [];
+  const centralParts = [];
+  const seen = new Set();
+  let offset = 0;
+
+  for (const entry of entries) {
+    if (!entry || typeof entry.name !== 'string' || !entry.name) {
+      throw new Error('Zip entry name is required');
+    }
+    if (seen.has(entry.name)) {
+      throw new Error(`Duplicate zip entry: ${entry.name}`);
+    }
+    seen.add(entry.name);
+
+    const nameBytes = encoder.encode(entry.name);
+    const bytes = await toBytes(entry.data);
+    const checksum = crc32(bytes);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, LOCAL_FILE_HEADER, true);
+    local.setUint16(4, ZIP_VERSION, true);
+    local.setUint16(6, UTF8_FLAG, true);
+    local.setUint16(8, 0, true); // stored
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, checksum, true);
+    local.setUint32(18, bytes.length, true);
+    local.setUint32(22, bytes.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, CENTRAL_DIRECTORY_HEADER, true);
+    central.setUint16(4, ZIP_VERSION, true);
+    central.setUint16(6, ZIP_VERSION, true);
+    central.setUint16(8, UTF8_FLAG, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, checksum, true);
+    central.setUint32(20, bytes.length, true);
+    central.setUint32(24, bytes.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+
+    parts.push(new Uint8Array(local.buffer), nameBytes, bytes);
+    centralParts.push(new Uint8Array(central.buffer), nameBytes);
+    offset += 30 + nameBytes.length + bytes.length;
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...centralParts, new Uint8Array(end.buffer)], { type: 'application/zip' });
+}
@@ -0,0 +1,190 @@
+/**
+ * Integration Tests for Undo/Redo History
+ * 
+ * Tests that every track and slot edit can be undone and redone through the sequence API.
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { MultiTrackSequence } from '../../src/models/MultiTrackSequence.js';
+import { TrackManager } from '../../src/services/TrackManager.js';
+
+describe('Undo/Redo History - Integration Tests', () => {
+  let sequence;
+  let trackManager;
+
+  beforeEach(() => {
+    sequence = new MultiTrackSequence({ maxTracks: 5 });
+    trackManager = new TrackManager(sequence);
+  });
+
+  describe('Track edits', () => {
+    it('should undo and redo track creation', () => {
+      const track = trackManager.createTrack('Body');
+
+      sequence.undo();
+      expect(sequence.tracks).toHaveLength(0);
+
+      sequence.redo();
+      expect(sequence.tracks).toEqual([track]);
+    });
+
+    it('should restore deleted track at its original position', () => {
+      const first = trackManager.createTrack('First');
+      const middle = trackManager.createTrack('Middle');
+      const last = trackManager.createTrack('Last');
+      middle.addSlot('walk');
+
+      trackManager.deleteTrack(middle.id);
+      sequence.undo();
+
+      expect(sequence.tracks).toEqual([first, middle, last]);
+      expect(middle.slots[0].animation).toBe('walk');
+    });
+
+    it('should undo rename', () => {
+      const track = trackManager.createTrack('Body');
+      trackManager.renameTrack(track.id, 'Legs');
+
+      sequence.undo();
+      expect(track.name).toBe('Body');
+
+      sequence.redo();
+      expect(track.name).toBe('Legs');
+    });
+
+    it('should keep recording edits on a track restored by undo', () => {
+      const track = trackManager.createTrack('Body');
+      trackManager.createTrack('Face');
+      trackManager.deleteTrack(track.id);
+      sequence.undo();
+
+      track.addSlot('walk');
+      sequence.undo();
+
+      expect(track.slots).toHaveLength(0);
+    });
+  });
+
+  describe('Slot edits', () => {
+    let track;
+
+    beforeEach(() => {
+      track = sequence.addTrack('Body');
+      track.addSlot('walk');
+      track.addSlot('run');
+      track.addSlot(null);
+    });
+
+    it('should undo slot addition even for the only slot', () => {
+      const solo = sequence.addTrack('Solo');
+      solo.addSlot('idle');
+
+      sequence.undo();
+
+      expect(solo.slots).toHaveLength(0);
+    });
+
+    it('should restore removed slot with its animation', () => {
+      track.removeSlot(1);
+      sequence.undo();
+
+      expect(track.slots.map(s => s.animation)).toEqual(['walk', 'run', null]);
+      expect(track.slots.map(s => s.index)).toEqual([0, 1, 2]);
+    });
+
+    it('should undo slot move', () => {
+      track.moveSlot(0, 2);
+      sequence.undo();
+
+      expect(track.slots.map(s => s.animation)).toEqual(['walk', 'run', null]);
+    });
+
+    it('should restore previous animation on setAnimation undo', () => {
+      track.setAnimation(0, 'jump');
+      track.setAnimation(0, null);
+
+      sequence.undo();
+      expect(track.slots[0].animation).toBe('jump');
+
+      sequence.undo();
+      expect(track.slots[0].animation).toBe('walk');
+
+      sequence.redo();
+      sequence.redo();
+      expect(track.slots[0].isEmpty).toBe(true);
+    });
+
+    it('should undo slot option edits', () => {
+      track.setSlotOptions(0, { repeatCount: 3 });
+      track.setSlotOptions(0, { speed: 0.5 });
+
+      sequence.undo();
+      expect(track.slots[0].options).toMatchObject({ repeatCount: 3, speed: 1 });
+
+      sequence.undo();
+      expect(track.slots[0].hasOverrides).toBe(false);
+
+      sequence.redo();
+      expect(track.slots[0].repeatCount).toBe(3);
+    });
+
+    it('should restore slot options of a removed slot', () => {
+      track.setSlotOptions(1, { holdDuration: 2500 });
+      track.removeSlot(1);
+
+      sequence.undo();
+
+      expect(track.slots[1].animation).toBe('run');
+      expect(track.slots[1].holdDuration).toBe(2500);
+    });
+  });
+
+  describe('Transactions and depth', () => {
+    it('should undo grouped edits in one step', () => {
+      const track = sequence.addTrack('Body');
+      track.addSlot('walk');
+
+      sequence.transaction('Replace', () => {
+        track.addSlot('run');
+        track.setAnimation(0, 'idle');
+      });
+
+      sequence.undo();
+
+      expect(track.slots.map(s => s.animation)).toEqual(['walk']);
+    });
+
+    it('should undo clear as one step', () => {
+      sequence.addTrack('A');
+      sequence.addTrack('B');
+
+      sequence.clear();
+      sequence.undo();
+
+      expect(sequence.tracks.map(t => t.name)).toEqual(['A', 'B']);
+    });
+
+    it('should undo a loaded sequence in one step', () => {
+      sequence.addTrack('Old');
+      const other = new MultiTrackSequence();
+      other.addTrack('New').addSlot('walk');
+
+      sequence.loadJSON(other.toJSON());
+      sequence.undo();
+
+      expect(sequence.tracks.map(t => t.name)).toEqual(['Old']);
+    });
+
+    it('should honor historyDepth option', () => {
+      const bounded = new MultiTrackSequence({ historyDepth: 2 });
+      const track = bounded.addTrack('T');
+      track.addSlot('a');
+      track.addSlot('b');
+
+      expect(bounded.undo()).toBe(true);
+      expect(bounded.undo()).toBe(true);
+      expect(bounded.undo()).toBe(false);
+      expect(bounded.tracks).toHaveLength(1);
+    });
+  });
+});
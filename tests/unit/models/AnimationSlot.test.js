@@ -187,4 +187,75 @@ describe('AnimationSlot', () => {
       expect(slot.isEmpty).toBe(true);
     });
   });
+
+  describe('setOptions()', () => {
+    it('should default to a single play at native speed without trim', () => {
+      const slot = new AnimationSlot(0, 'walk');
+
+      expect(slot.options).toEqual({ repeatCount: 1, holdDuration: null, speed: 1, trimStart: 0, trimEnd: null, mixDuration: null });
+      expect(slot.hasOverrides).toBe(false);
+    });
+
+    it('should merge partial options and emit options-changed', () => {
+      const slot = new AnimationSlot(2, 'run');
+      const listener = vi.fn();
+      slot.addEventListener('options-changed', listener);
+
+      slot.setOptions({ repeatCount: 3 });
+      slot.setOptions({ speed: 0.5 });
+
+      expect(slot.repeatCount).toBe(3);
+      expect(slot.speed).toBe(0.5);
+      expect(slot.hasOverrides).toBe(true);
+      expect(listener.mock.calls[1][0].detail.previousOptions.repeatCount).toBe(3);
+      expect(listener.mock.calls[1][0].detail.index).toBe(2);
+    });
+
+    it('should reject invalid values without changing options', () => {
+      const slot = new AnimationSlot(0, 'walk');
+
+      expect(() => slot.setOptions({ repeatCount: 0 })).toThrow('repeatCount must be a positive integer');
+      expect(() => slot.setOptions({ speed: -1 })).toThrow('speed must be a positive number');
+      expect(() => slot.setOptions({ holdDuration: 0 })).toThrow('holdDuration must be a positive number or null');
+      expect(() => slot.setOptions({ trimStart: 500, trimEnd: 200 })).toThrow('trimEnd must be greater than trimStart');
+      expect(() => slot.setOptions({ loops: 2 })).toThrow('Unknown slot option: loops');
+      expect(() => slot.setOptions({ mixDuration: -10 })).toThrow('mixDuration must be a non-negative number or null');
+      expect(slot.hasOverrides).toBe(false);
+    });
+  });
+
+  describe('toJSON() / fromJSON()', () => {
+    it('should serialize index and animation', () => {
+      const slot = new AnimationSlot(2, 'walk');
+      expect(slot.toJSON()).toEqual({ index: 2, animation: 'walk' });
+    });
+
+    it('should round-trip empty slots', () => {
+      const restored = AnimationSlot.fromJSON(new AnimationSlot(1).toJSON());
+
+      expect(restored.index).toBe(1);
+      expect(restored.isEmpty).toBe(true);
+    });
+
+    it('should prefer explicit index over stored index', () => {
+      const restored = AnimationSlot.fromJSON({ index: 5, animation: 'run' }, 0);
+      expect(restored.index).toBe(0);
+    });
+
+    it('should round-trip playback options', () => {
+      const slot = new AnimationSlot(0, 'idle');
+      slot.setOptions({ holdDuration: 2500, trimStart: 100 });
+
+      const restored = AnimationSlot.fromJSON(slot.toJSON());
+
+      expect(restored.holdDuration).toBe(2500);
+      expect(restored.trimStart).toBe(100);
+      expect(() => AnimationSlot.fromJSON({ animation: 'idle', options: { speed: 0 } })).toThrow('speed must be a positive number');
+    });
+
+    it('should throw error for invalid animation value', () => {
+      expect(() => AnimationSlot.fromJSON({ animation: 42 })).toThrow('animation must be a string or null');
+      expect(() => AnimationSlot.fromJSON(null)).toThrow('Invalid slot data');
+    });
+  });
 });
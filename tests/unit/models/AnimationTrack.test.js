@@ -241,6 +241,27 @@ describe('AnimationTrack', () => {
     });
   });
 
+  describe('setSlotOptions()', () => {
+    it('should update slot options and emit slot-options-changed', () => {
+      const track = new AnimationTrack('Test Track');
+      track.addSlot('walk');
+      const listener = vi.fn();
+      track.addEventListener('slot-options-changed', listener);
+
+      track.setSlotOptions(0, { repeatCount: 3 });
+
+      expect(track.slots[0].repeatCount).toBe(3);
+      expect(listener.mock.calls[0][0].detail.slotIndex).toBe(0);
+      expect(listener.mock.calls[0][0].detail.options.repeatCount).toBe(3);
+      expect(listener.mock.calls[0][0].detail.previousOptions.repeatCount).toBe(1);
+    });
+
+    it('should throw error for invalid index', () => {
+      const track = new AnimationTrack('Test Track');
+      expect(() => track.setSlotOptions(0, { speed: 2 })).toThrow('Invalid slot index');
+    });
+  });
+
   describe('rename()', () => {
     let track;
 
@@ -339,4 +360,29 @@ describe('AnimationTrack', () => {
       expect(listener).not.toHaveBeenCalled();
     });
   });
+
+  describe('toJSON() / fromJSON()', () => {
+    it('should round-trip id, name and slot order', () => {
+      const track = new AnimationTrack('Body');
+      track.addSlot('walk');
+      track.addSlot(null);
+      track.addSlot('run');
+
+      const restored = AnimationTrack.fromJSON(track.toJSON());
+
+      expect(restored.id).toBe(track.id);
+      expect(restored.name).toBe('Body');
+      expect(restored.slots.map(s => s.animation)).toEqual(['walk', null, 'run']);
+      expect(restored.slots.map(s => s.index)).toEqual([0, 1, 2]);
+    });
+
+    it('should throw error for empty name', () => {
+      expect(() => AnimationTrack.fromJSON({ name: '  ', slots: [] })).toThrow('name cannot be empty');
+    });
+
+    it('should throw error when slots exceed maxSlots', () => {
+      const slots = Array.from({ length: 3 }, () => ({ animation: null }));
+      expect(() => AnimationTrack.fromJSON({ name: 'A', slots }, { maxSlots: 2 })).toThrow('Maximum slots exceeded');
+    });
+  });
 });
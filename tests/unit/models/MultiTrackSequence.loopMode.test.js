@@ -0,0 +1,94 @@
+/**
+ * Unit Tests for MultiTrackSequence Loop Modes
+ * 
+ * Tests loop mode selection, the A–B loop region and their serialization.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { MultiTrackSequence } from '../../../src/models/MultiTrackSequence.js';
+
+describe('MultiTrackSequence - Loop Modes', () => {
+    let sequence;
+
+    beforeEach(() => {
+        sequence = new MultiTrackSequence({ maxTracks: 5 });
+    });
+
+    describe('setLoopMode()', () => {
+        it('should default to continuous', () => {
+            expect(sequence.loopMode).toBe('continuous');
+        });
+
+        it('should switch mode and emit loop-mode-changed', () => {
+            const listener = vi.fn();
+            sequence.addEventListener('loop-mode-changed', listener);
+
+            sequence.setLoopMode('ping-pong');
+
+            expect(sequence.loopMode).toBe('ping-pong');
+            expect(sequence.playbackState.loopMode).toBe('ping-pong');
+            expect(listener.mock.calls[0][0].detail).toEqual({ mode: 'ping-pong', previousMode: 'continuous' });
+        });
+
+        it('should throw error for unknown mode', () => {
+            expect(() => sequence.setLoopMode('shuffle')).toThrow('Unknown loop mode: shuffle');
+        });
+
+        it('should require a loop region for region mode', () => {
+            expect(() => sequence.setLoopMode('region')).toThrow('Loop region is not set');
+
+            sequence.setLoopRegion(200, 800);
+            sequence.setLoopMode('region');
+
+            expect(sequence.loopMode).toBe('region');
+        });
+    });
+
+    describe('setLoopRegion() / clearLoopRegion()', () => {
+        it('should store region and emit loop-region-changed', () => {
+            const listener = vi.fn();
+            sequence.addEventListener('loop-region-changed', listener);
+
+            sequence.setLoopRegion(100, 500);
+
+            expect(sequence.loopRegion).toEqual({ start: 100, end: 500 });
+            expect(listener.mock.calls[0][0].detail.region).toEqual({ start: 100, end: 500 });
+        });
+
+        it('should throw error for invalid region', () => {
+            expect(() => sequence.setLoopRegion(500, 100)).toThrow('Loop region end must be greater than start');
+            expect(() => sequence.setLoopRegion(-1, 100)).toThrow('Loop region times must be non-negative numbers');
+        });
+
+        it('should fall back to continuous when clearing an active region', () => {
+            sequence.setLoopRegion(100, 500);
+            sequence.setLoopMode('region');
+
+            sequence.clearLoopRegion();
+
+            expect(sequence.loopRegion).toBeNull();
+            expect(sequence.loopMode).toBe('continuous');
+        });
+    });
+
+    describe('serialization', () => {
+        it('should round-trip loop mode and region', () => {
+            sequence.addTrack('Body').addSlot('walk');
+            sequence.setLoopRegion(250, 750);
+            sequence.setLoopMode('region');
+
+            const restored = MultiTrackSequence.fromJSON(JSON.stringify(sequence));
+
+            expect(restored.loopMode).toBe('region');
+            expect(restored.loopRegion).toEqual({ start: 250, end: 750 });
+        });
+
+        it('should reject unknown loop modes before changing tracks', () => {
+            sequence.addTrack('Old');
+
+            expect(() => sequence.loadJSON({ version: MultiTrackSequence.SCHEMA_VERSION, loopMode: 'shuffle', tracks: [] }))
+                .toThrow('unknown loop mode shuffle');
+            expect(sequence.tracks.map(t => t.name)).toEqual(['Old']);
+        });
+    });
+});
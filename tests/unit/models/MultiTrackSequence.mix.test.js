@@ -0,0 +1,76 @@
+/**
+ * Unit Tests for MultiTrackSequence Default Mix Duration
+ * 
+ * Tests the sequence-wide crossfade used by slots without their own mix.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { MultiTrackSequence } from '../../../src/models/MultiTrackSequence.js';
+
+describe('MultiTrackSequence - Default Mix Duration', () => {
+    let sequence;
+
+    beforeEach(() => {
+        sequence = new MultiTrackSequence({ maxTracks: 5 });
+    });
+
+    describe('setDefaultMixDuration()', () => {
+        it('should default to a hard cut', () => {
+            expect(sequence.defaultMixDuration).toBe(0);
+        });
+
+        it('should accept constructor option', () => {
+            const mixed = new MultiTrackSequence({ defaultMixDuration: 200 });
+            expect(mixed.defaultMixDuration).toBe(200);
+        });
+
+        it('should emit default-mix-changed event', () => {
+            const listener = vi.fn();
+            sequence.addEventListener('default-mix-changed', listener);
+
+            sequence.setDefaultMixDuration(250);
+            sequence.setDefaultMixDuration(250);
+
+            expect(listener).toHaveBeenCalledOnce();
+            expect(listener.mock.calls[0][0].detail).toEqual({ duration: 250, previousDuration: 0 });
+        });
+
+        it('should throw error for invalid duration', () => {
+            expect(() => sequence.setDefaultMixDuration(-1)).toThrow('Mix duration must be a non-negative number');
+            expect(() => sequence.setDefaultMixDuration('200')).toThrow('Mix duration must be a non-negative number');
+        });
+
+        it('should be undoable', () => {
+            sequence.setDefaultMixDuration(300);
+            sequence.undo();
+
+            expect(sequence.defaultMixDuration).toBe(0);
+        });
+    });
+
+    describe('serialization', () => {
+        it('should round-trip default mix duration', () => {
+            sequence.addTrack('Body').addSlot('walk');
+            sequence.setDefaultMixDuration(150);
+
+            const restored = MultiTrackSequence.fromJSON(JSON.stringify(sequence));
+
+            expect(restored.defaultMixDuration).toBe(150);
+        });
+
+        it('should load documents saved without a default mix', () => {
+            sequence.setDefaultMixDuration(150);
+            sequence.loadJSON({ version: MultiTrackSequence.SCHEMA_VERSION, tracks: [] });
+
+            expect(sequence.defaultMixDuration).toBe(0);
+        });
+
+        it('should reject invalid default mix before changing tracks', () => {
+            sequence.addTrack('Old');
+
+            expect(() => sequence.loadJSON({ version: MultiTrackSequence.SCHEMA_VERSION, defaultMixDuration: -5, tracks: [] }))
+                .toThrow('defaultMixDuration must be a non-negative number');
+            expect(sequence.tracks.map(t => t.name)).toEqual(['Old']);
+        });
+    });
+});
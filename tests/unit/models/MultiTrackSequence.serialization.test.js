@@ -0,0 +1,156 @@
+/**
+ * Unit Tests for MultiTrackSequence Serialization
+ * 
+ * Tests versioned JSON save/load, migrations and missing animation reporting.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { MultiTrackSequence } from '../../../src/models/MultiTrackSequence.js';
+
+describe('MultiTrackSequence - Serialization', () => {
+    let sequence;
+
+    beforeEach(() => {
+        sequence = new MultiTrackSequence({ maxTracks: 5 });
+        const body = sequence.addTrack('Body');
+        body.addSlot('walk');
+        body.addSlot(null);
+        body.addSlot('run');
+        const face = sequence.addTrack('Face');
+        face.addSlot('blink');
+        sequence.setPlaybackSpeed(1.5);
+    });
+
+    describe('toJSON()', () => {
+        it('should include schema version and playback settings', () => {
+            const data = sequence.toJSON();
+
+            expect(data.version).toBe(MultiTrackSequence.SCHEMA_VERSION);
+            expect(data.playbackSpeed).toBe(1.5);
+            expect(data.loopMode).toBe('continuous');
+            expect(data.tracks).toHaveLength(2);
+        });
+
+        it('should be JSON.stringify compatible', () => {
+            const parsed = JSON.parse(JSON.stringify(sequence));
+            expect(parsed.tracks[0].slots[1]).toEqual({ index: 1, animation: null });
+        });
+    });
+
+    describe('fromJSON()', () => {
+        it('should round-trip tracks, slots and settings', () => {
+            const restored = MultiTrackSequence.fromJSON(JSON.stringify(sequence));
+
+            expect(restored.tracks.map(t => t.name)).toEqual(['Body', 'Face']);
+            expect(restored.tracks[0].slots.map(s => s.animation)).toEqual(['walk', null, 'run']);
+            expect(restored.getPlaybackSpeed()).toBe(1.5);
+            expect(restored.playbackState.loopMode).toBe('continuous');
+            expect(restored.toJSON()).toEqual(sequence.toJSON());
+        });
+
+        it('should throw error for missing version', () => {
+            expect(() => MultiTrackSequence.fromJSON({ tracks: [] })).toThrow('missing version');
+        });
+
+        it('should throw error for unknown version', () => {
+            expect(() => MultiTrackSequence.fromJSON({ version: '99', tracks: [] }))
+                .toThrow('Unsupported sequence version: 99');
+        });
+
+        it('should throw error for malformed JSON string', () => {
+            expect(() => MultiTrackSequence.fromJSON('{not json')).toThrow('Invalid sequence data');
+        });
+    });
+
+    describe('loadJSON()', () => {
+        it('should replace existing tracks and emit events', () => {
+            const data = sequence.toJSON();
+            const target = new MultiTrackSequence();
+            target.addTrack('Old');
+
+            const cleared = vi.fn();
+            const added = vi.fn();
+            const loaded = vi.fn();
+            target.addEventListener('tracks-cleared', cleared);
+            target.addEventListener('track-added', added);
+            target.addEventListener('sequence-loaded', loaded);
+
+            target.loadJSON(data);
+
+            expect(target.tracks.map(t => t.name)).toEqual(['Body', 'Face']);
+            expect(cleared).toHaveBeenCalledOnce();
+            expect(added).toHaveBeenCalledTimes(2);
+            expect(loaded.mock.calls[0][0].detail.trackCount).toBe(2);
+        });
+
+        it('should report missing animations without changing state', () => {
+            const target = new MultiTrackSequence();
+            target.addTrack('Old');
+
+            let error;
+            try {
+                target.loadJSON(sequence.toJSON(), { availableAnimations: ['walk'] });
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error.message).toBe('Missing animations: run, blink');
+            expect(error.missingAnimations).toEqual(['run', 'blink']);
+            expect(target.tracks.map(t => t.name)).toEqual(['Old']);
+        });
+
+        it('should undo an import together with its speed and loop settings', () => {
+            const target = new MultiTrackSequence();
+            target.addTrack('Old');
+            target.setPlaybackSpeed(0.5);
+            const undoSize = target.history.undoSize;
+
+            target.loadJSON({
+                ...sequence.toJSON(),
+                playbackSpeed: 2,
+                loopMode: 'region',
+                loopRegion: { start: 100, end: 900 }
+            });
+            expect(target.history.undoSize).toBe(undoSize + 1);
+            expect(target.loopMode).toBe('region');
+
+            target.undo();
+            expect(target.tracks.map(t => t.name)).toEqual(['Old']);
+            expect(target.loopMode).toBe('continuous');
+            expect(target.loopRegion).toBeNull();
+            expect(target.getPlaybackSpeed()).toBe(0.5);
+
+            target.redo();
+            expect(target.tracks.map(t => t.name)).toEqual(['Body', 'Face']);
+            expect(target.loopMode).toBe('region');
+            expect(target.loopRegion).toEqual({ start: 100, end: 900 });
+            expect(target.getPlaybackSpeed()).toBe(2);
+        });
+
+        it('should throw error when tracks exceed maxTracks', () => {
+            const target = new MultiTrackSequence({ maxTracks: 1 });
+            expect(() => target.loadJSON(sequence.toJSON())).toThrow('Maximum tracks exceeded');
+        });
+    });
+
+    describe('registerMigration()', () => {
+        it('should upgrade older documents before loading', () => {
+            MultiTrackSequence.registerMigration('0.9', (data) => ({
+                version: MultiTrackSequence.SCHEMA_VERSION,
+                tracks: data.layers.map(layer => ({ name: layer.title, slots: layer.clips }))
+            }));
+
+            const restored = MultiTrackSequence.fromJSON({
+                version: '0.9',
+                layers: [{ title: 'Legacy', clips: [{ animation: 'idle' }] }]
+            });
+
+            expect(restored.tracks[0].name).toBe('Legacy');
+            expect(restored.tracks[0].slots[0].animation).toBe('idle');
+        });
+
+        it('should throw error for non-function migration', () => {
+            expect(() => MultiTrackSequence.registerMigration('0.8', null)).toThrow('Migration must be a function');
+        });
+    });
+});
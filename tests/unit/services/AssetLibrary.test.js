@@ -0,0 +1,140 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { AssetLibrary, MemoryStore } from '../../../src/services/AssetLibrary.js';
+
+function createBundle(name, pageBytes = 10) {
+  return {
+    skeleton: new File(['{"bones":[]}'], `${name}.json`, { type: 'application/json' }),
+    atlas: new File([`${name}.png\nsize: 1,1\n`], `${name}.atlas`),
+    pages: [{ name: `${name}.png`, file: new File([new Uint8Array(pageBytes)], `${name}.png`, { type: 'image/png' }) }]
+  };
+}
+
+function readText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+}
+
+describe('AssetLibrary', () => {
+  let library;
+  let now;
+
+  beforeEach(() => {
+    now = 1000;
+    vi.spyOn(Date, 'now').mockImplementation(() => now++);
+    library = new AssetLibrary({ store: new MemoryStore() });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should store bundles and list them most recently used first', async () => {
+    await library.save(createBundle('hero'));
+    await library.save({ ...createBundle('goblin'), settings: { animation: 'walk' } });
+
+    const entries = await library.list();
+    expect(entries.map(entry => entry.name)).toEqual(['goblin', 'hero']);
+    expect(entries[0]).toMatchObject({ pageCount: 1, settings: { animation: 'walk' } });
+    expect(entries[0].id).toMatch(/^goblin\.json\|goblin\.atlas\|12\|21\|[0-9a-f]{8}$/);
+    expect(entries[0].size).toBe(12 + 21 + 10);
+  });
+
+  it('should reopen the stored files and mark the bundle as used', async () => {
+    const { id } = await library.save({ ...createBundle('hero'), pagesByName: true });
+    await library.save(createBundle('goblin'));
+
+    const bundle = await library.open(id);
+    expect(bundle.skeleton.name).toBe('hero.json');
+    expect(await readText(bundle.atlas)).toContain('hero.png');
+    expect(bundle.pages[0]).toMatchObject({ name: 'hero.png' });
+    expect(bundle.pages[0].file.type).toBe('image/png');
+    expect(bundle.pagesByName).toBe(true);
+    expect((await library.list())[0].id).toBe(id);
+  });
+
+  it('should replace a bundle saved again and keep its settings and thumbnail', async () => {
+    const thumbnail = new Blob([new Uint8Array(4)], { type: 'image/png' });
+    await library.save({ ...createBundle('hero'), thumbnail, settings: { skin: 'red' } });
+    await library.save({ ...createBundle('hero', 20), settings: { animation: 'run' } });
+
+    const entries = await library.list();
+    expect(entries).toHaveLength(1);
+    expect(entries[0].settings).toEqual({ skin: 'red', animation: 'run' });
+    expect(entries[0].thumbnail).toBe(thumbnail);
+    expect(entries[0].size).toBe(12 + 19 + 20 + 4);
+  });
+
+  it('should keep different skeletons with the same file names apart', async () => {
+    const other = {
+      ...createBundle('hero'),
+      skeleton: new File(['{"bones":[{}]}'], 'hero.json', { type: 'application/json' })
+    };
+    const first = await library.save(createBundle('hero'));
+    const second = await library.save(other);
+    const sameSize = await library.save({
+      ...createBundle('hero'),
+      skeleton: new File(['{"slots":[]}'], 'hero.json', { type: 'application/json' })
+    });
+
+    expect(new Set([first.id, second.id, sameSize.id]).size).toBe(3);
+    expect(await library.list()).toHaveLength(3);
+  });
+
+  it('should merge settings and thumbnails with update', async () => {
+    const { id } = await library.save({ ...createBundle('hero'), settings: { animation: 'idle', skin: 'default' } });
+
+    expect(await library.update(id, { settings: { animation: 'run', background: '#000000' } })).toBe(true);
+    expect((await library.list())[0].settings).toEqual({ animation: 'run', skin: 'default', background: '#000000' });
+    expect(await library.update('missing', { settings: {} })).toBe(false);
+  });
+
+  it('should evict other bundles when an update exceeds the size limit', async () => {
+    library = new AssetLibrary({ store: new MemoryStore(), maxBytes: 120 });
+    await library.save(createBundle('hero'));
+    const goblin = await library.save(createBundle('goblin'));
+
+    await library.update(goblin.id, { thumbnail: new Blob([new Uint8Array(40)], { type: 'image/png' }) });
+
+    expect((await library.list()).map(entry => entry.name)).toEqual(['goblin']);
+  });
+
+  it('should evict the least recently used bundles beyond the entry limit', async () => {
+    library = new AssetLibrary({ store: new MemoryStore(), maxEntries: 2 });
+    const hero = await library.save(createBundle('hero'));
+    await library.save(createBundle('goblin'));
+    await library.open(hero.id);
+    await library.save(createBundle('dragon'));
+
+    expect((await library.list()).map(entry => entry.name)).toEqual(['dragon', 'hero']);
+  });
+
+  it('should evict by total size and reject bundles larger than the limit', async () => {
+    library = new AssetLibrary({ store: new MemoryStore(), maxBytes: 100 });
+    await library.save(createBundle('hero', 30));
+    await library.save(createBundle('goblin', 30));
+
+    const usage = await library.getUsage();
+    expect(usage).toMatchObject({ count: 1, maxBytes: 100 });
+    expect(usage.totalSize).toBeLessThanOrEqual(100);
+    await expect(library.save(createBundle('dragon', 200))).rejects.toThrow('exceeds the library limit');
+  });
+
+  it('should remove bundles and notify listeners', async () => {
+    const listener = vi.fn();
+    library.addEventListener('library-changed', listener);
+    const { id } = await library.save(createBundle('hero'));
+    await library.remove(id);
+
+    expect(await library.list()).toEqual([]);
+    expect(listener).toHaveBeenCalledTimes(2);
+    await expect(library.open(id)).rejects.toThrow('Bundle not found in library');
+  });
+
+  it('should require skeleton and atlas files', async () => {
+    await expect(library.save({ skeleton: createBundle('hero').skeleton })).rejects.toThrow('Skeleton and atlas files are required');
+  });
+});
@@ -0,0 +1,184 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { CommandHistory } from '../../../src/services/CommandHistory.js';
+
+describe('CommandHistory', () => {
+  let history;
+  let value;
+
+  // Helper: record a command that sets value from -> to
+  function set(to, label = `set ${to}`) {
+    const from = value;
+    value = to;
+    history.record({
+      label,
+      undo: () => { value = from; },
+      redo: () => { value = to; }
+    });
+  }
+
+  beforeEach(() => {
+    history = new CommandHistory();
+    value = 0;
+  });
+
+  describe('constructor', () => {
+    it('should create empty history with default depth', () => {
+      expect(history.canUndo()).toBe(false);
+      expect(history.canRedo()).toBe(false);
+      expect(history.maxDepth).toBe(CommandHistory.DEFAULT_MAX_DEPTH);
+    });
+
+    it('should accept custom maxDepth', () => {
+      expect(new CommandHistory({ maxDepth: 5 }).maxDepth).toBe(5);
+    });
+  });
+
+  describe('record() / undo() / redo()', () => {
+    it('should undo and redo in order', () => {
+      set(1);
+      set(2);
+
+      expect(history.undo()).toBe(true);
+      expect(value).toBe(1);
+      expect(history.undo()).toBe(true);
+      expect(value).toBe(0);
+      expect(history.undo()).toBe(false);
+
+      expect(history.redo()).toBe(true);
+      expect(value).toBe(1);
+      expect(history.redoLabel).toBe('set 2');
+    });
+
+    it('should clear redo stack on new record', () => {
+      set(1);
+      history.undo();
+      set(5);
+
+      expect(history.canRedo()).toBe(false);
+    });
+
+    it('should ignore records made while applying', () => {
+      history.record({
+        label: 'nested',
+        undo: () => history.record({ undo() {}, redo() {} }),
+        redo: () => {}
+      });
+
+      history.undo();
+
+      expect(history.canUndo()).toBe(false);
+      expect(history.redoSize).toBe(1);
+    });
+
+    it('should keep the entry in place when a command throws', () => {
+      let fail = true;
+      history.record({
+        label: 'flaky',
+        undo: () => { if (fail) throw new Error('undo failed'); },
+        redo: () => { if (fail) throw new Error('redo failed'); }
+      });
+
+      expect(() => history.undo()).toThrow('undo failed');
+      expect(history.undoLabel).toBe('flaky');
+      expect(history.canRedo()).toBe(false);
+
+      fail = false;
+      history.undo();
+      fail = true;
+      expect(() => history.redo()).toThrow('redo failed');
+      expect(history.redoLabel).toBe('flaky');
+      expect(history.canUndo()).toBe(false);
+    });
+
+    it('should throw error for invalid command', () => {
+      expect(() => history.record({ undo: () => {} })).toThrow('Command must provide undo and redo functions');
+    });
+
+    it('should emit history-changed event', () => {
+      const listener = vi.fn();
+      history.addEventListener('history-changed', listener);
+
+      set(1);
+
+      expect(listener).toHaveBeenCalledOnce();
+      expect(listener.mock.calls[0][0].detail).toEqual({
+        canUndo: true,
+        canRedo: false,
+        undoLabel: 'set 1',
+        redoLabel: null
+      });
+    });
+  });
+
+  describe('maxDepth', () => {
+    it('should drop oldest entries beyond depth', () => {
+      history = new CommandHistory({ maxDepth: 2 });
+      set(1);
+      set(2);
+      set(3);
+
+      expect(history.undoSize).toBe(2);
+      history.undo();
+      history.undo();
+      expect(value).toBe(1);
+    });
+
+    it('should reject invalid depth', () => {
+      expect(() => { history.maxDepth = 0; }).toThrow('maxDepth must be a positive number');
+    });
+  });
+
+  describe('transactions', () => {
+    it('should group commands into one entry', () => {
+      history.transaction('batch', () => {
+        set(1);
+        set(2);
+        set(3);
+      });
+
+      expect(history.undoSize).toBe(1);
+      expect(history.undoLabel).toBe('batch');
+
+      history.undo();
+      expect(value).toBe(0);
+      history.redo();
+      expect(value).toBe(3);
+    });
+
+    it('should merge nested transactions into the outermost', () => {
+      history.beginTransaction('outer');
+      set(1);
+      history.transaction('inner', () => set(2));
+      expect(history.undoSize).toBe(0);
+      history.commitTransaction();
+
+      expect(history.undoSize).toBe(1);
+      expect(history.undoLabel).toBe('outer');
+    });
+
+    it('should roll back when the function throws', () => {
+      expect(() => history.transaction('fail', () => {
+        set(1);
+        throw new Error('boom');
+      })).toThrow('boom');
+
+      expect(value).toBe(0);
+      expect(history.canUndo()).toBe(false);
+      expect(history.isInTransaction).toBe(false);
+    });
+
+    it('should not push empty transactions', () => {
+      history.transaction('noop', () => {});
+      expect(history.canUndo()).toBe(false);
+    });
+
+    it('should throw error when undoing inside a transaction', () => {
+      history.beginTransaction('open');
+      expect(() => history.undo()).toThrow('Cannot undo during a transaction');
+    });
+
+    it('should throw error when committing without a transaction', () => {
+      expect(() => history.commitTransaction()).toThrow('No transaction in progress');
+    });
+  });
+});
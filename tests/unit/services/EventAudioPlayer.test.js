@@ -0,0 +1,155 @@
+/**
+ * Unit Tests for EventAudioPlayer Service
+ *
+ * Web Audio is replaced by a recording mock context.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { EventAudioPlayer } from '../../../src/services/EventAudioPlayer.js';
+
+function createNode(extra = {}) {
+  return { connect: vi.fn(), ...extra };
+}
+
+function createMockContext() {
+  const context = {
+    state: 'running',
+    destination: {},
+    sources: [],
+    gains: [],
+    panners: [],
+    resume: vi.fn(),
+    close: vi.fn(),
+    decodeAudioData: vi.fn(async data => ({ decoded: data })),
+    createGain: vi.fn(() => {
+      const gain = createNode({ gain: { value: 1 } });
+      context.gains.push(gain);
+      return gain;
+    }),
+    createStereoPanner: vi.fn(() => {
+      const panner = createNode({ pan: { value: 0 } });
+      context.panners.push(panner);
+      return panner;
+    }),
+    createBufferSource: vi.fn(() => {
+      const source = createNode({ playbackRate: { value: 1 }, start: vi.fn(), stop: vi.fn() });
+      context.sources.push(source);
+      return source;
+    })
+  };
+  return context;
+}
+
+function createFile(text) {
+  return { arrayBuffer: async () => text };
+}
+
+describe('EventAudioPlayer', () => {
+  let context;
+  let player;
+
+  beforeEach(async () => {
+    context = createMockContext();
+    player = new EventAudioPlayer({ createContext: () => context });
+    await player.load(new Map([['sfx/step.wav', createFile('step')]]));
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should decode loaded files', async () => {
+    expect(player.hasSound('sfx/step.wav')).toBe(true);
+    expect(player.getLoadedPaths()).toEqual(['sfx/step.wav']);
+    expect(context.decodeAudioData).toHaveBeenCalledWith('step');
+  });
+
+  it('should report files that cannot be decoded', async () => {
+    context.decodeAudioData.mockRejectedValueOnce(new Error('Unable to decode'));
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const result = await player.load(new Map([['bad.wav', createFile('bad')], ['hit.wav', createFile('hit')]]));
+    expect(result).toEqual({ loaded: ['hit.wav'], failed: [{ path: 'bad.wav', error: 'Unable to decode' }] });
+    expect(player.hasSound('bad.wav')).toBe(false);
+  });
+
+  it('should play with the event volume and balance', () => {
+    expect(player.play('sfx/step.wav', { volume: 0.4, balance: -0.5 })).toBe(true);
+
+    const [source] = context.sources;
+    const gain = context.gains[1]; // the first gain is the master gain
+    const [panner] = context.panners;
+    expect(source.buffer).toEqual({ decoded: 'step' });
+    expect(source.start).toHaveBeenCalled();
+    expect(gain.gain.value).toBe(0.4);
+    expect(panner.pan.value).toBe(-0.5);
+    expect(source.connect).toHaveBeenCalledWith(gain);
+    expect(gain.connect).toHaveBeenCalledWith(panner);
+    expect(panner.connect).toHaveBeenCalledWith(player.masterGain);
+  });
+
+  it('should ignore paths without a sound', () => {
+    expect(player.play('missing.wav')).toBe(false);
+    expect(context.sources).toHaveLength(0);
+  });
+
+  it('should play centered without stereo panning support', () => {
+    delete context.createStereoPanner;
+    player.play('sfx/step.wav', { balance: 1 });
+    expect(context.gains[1].connect).toHaveBeenCalledWith(player.masterGain);
+  });
+
+  it('should resume a suspended context', () => {
+    context.state = 'suspended';
+    player.play('sfx/step.wav');
+    expect(context.resume).toHaveBeenCalled();
+  });
+
+  it('should follow the playback rate, including playing sounds', () => {
+    player.setPlaybackRate(2);
+    player.play('sfx/step.wav', { rate: 0.5 });
+    expect(context.sources[0].playbackRate.value).toBe(1);
+
+    player.setPlaybackRate(0.5);
+    expect(context.sources[0].playbackRate.value).toBe(0.25);
+
+    context.sources[0].onended();
+    player.setPlaybackRate(1);
+    expect(context.sources[0].playbackRate.value).toBe(0.25);
+  });
+
+  it('should reject invalid playback rates', () => {
+    expect(() => player.setPlaybackRate(-1)).toThrow('Playback rate must be a non-negative number');
+    expect(() => player.setPlaybackRate('fast')).toThrow('Playback rate must be a non-negative number');
+  });
+
+  it('should mute with the master gain', () => {
+    player.setMuted(true);
+    expect(player.isMuted()).toBe(true);
+    expect(player.masterGain.gain.value).toBe(0);
+
+    player.setMuted(false);
+    expect(player.masterGain.gain.value).toBe(1);
+  });
+
+  it('should apply a mute set before the context exists', () => {
+    const other = new EventAudioPlayer({ createContext: createMockContext });
+    other.setMuted(true);
+    other._getContext();
+    expect(other.masterGain.gain.value).toBe(0);
+  });
+
+  it('should stop sounds and forget them on clear', () => {
+    player.play('sfx/step.wav');
+    player.clear();
+    expect(context.sources[0].stop).toHaveBeenCalled();
+    expect(player.activeSounds.size).toBe(0);
+    expect(player.hasSound('sfx/step.wav')).toBe(false);
+  });
+
+  it('should close the context on destroy', () => {
+    player.destroy();
+    expect(context.close).toHaveBeenCalled();
+    expect(player.context).toBeNull();
+  });
+});
@@ -0,0 +1,324 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { FrameExporter } from '../../../src/services/FrameExporter.js';
+
+// Minimal PIXI surface used by the exporter
+class MockMatrix {
+  constructor(a, b, c, d, tx, ty) {
+    Object.assign(this, { a, b, c, d, tx, ty });
+  }
+}
+
+class MockGraphics {
+  beginFill() { return this; }
+  drawRect() { return this; }
+  endFill() { return this; }
+  destroy() {}
+}
+
+const PIXI = {
+  Matrix: MockMatrix,
+  Graphics: MockGraphics,
+  RenderTexture: { create: vi.fn(() => ({ destroy: vi.fn() })) }
+};
+
+function createPoint(x, y) {
+  return { x, y, set(nx, ny) { this.x = nx; this.y = ny; } };
+}
+
+function createCanvas(label) {
+  return {
+    label,
+    toBlob: (callback) => callback(new Blob([label], { type: 'image/png' })),
+    getContext: () => ({
+      getImageData: (x, y, width, height) => ({ data: new Uint8ClampedArray(width * height * 4).fill(200) })
+    })
+  };
+}
+
+// Spine mock: one 1s animation whose bounds move right over time
+function createSpine() {
+  const animations = { walk: { name: 'walk', duration: 1 }, idle: { name: 'idle', duration: 0.5 } };
+  const state = {
+    tracks: [],
+    data: { skeletonData: { findAnimation: (name) => animations[name] || null } },
+    clearTracks: vi.fn(() => { state.tracks = []; }),
+    setAnimation: vi.fn((index, name, loop) => {
+      const entry = {
+        animation: animations[name], loop, trackTime: 0, timeScale: 1,
+        animationStart: 0, animationEnd: animations[name].duration, mixDuration: 0.2, alpha: 1
+      };
+      state.tracks[index] = entry;
+      return entry;
+    })
+  };
+
+  return {
+    state,
+    skeleton: { setToSetupPose: vi.fn() },
+    autoUpdate: true,
+    position: createPoint(-50, -80),
+    scale: createPoint(1, 1),
+    update: vi.fn(),
+    getLocalBounds: () => {
+      const time = state.tracks[0] ? state.tracks[0].trackTime : 0;
+      return { x: time * 100, y: -40, width: 20, height: 40 };
+    }
+  };
+}
+
+describe('FrameExporter', () => {
+  let spine;
+  let renderer;
+  let exporter;
+  let renderedTimes;
+
+  beforeEach(() => {
+    spine = createSpine();
+    renderedTimes = [];
+    renderer = {
+      render: vi.fn((target, options) => {
+        if (target === spine) {
+          renderedTimes.push(spine.state.tracks[0].trackTime);
+        }
+      }),
+      extract: { canvas: vi.fn(() => createCanvas(`frame-${renderedTimes.length}`)) }
+    };
+    exporter = new FrameExporter({ PIXI, renderer, spine });
+  });
+
+  describe('constructor', () => {
+    it('should require PIXI, a renderer and a spine instance', () => {
+      expect(() => new FrameExporter({ renderer, spine })).toThrow('PIXI is required');
+      expect(() => new FrameExporter({ PIXI, spine })).toThrow('Renderer is required');
+      expect(() => new FrameExporter({ PIXI, renderer })).toThrow('Spine instance is required');
+    });
+  });
+
+  describe('getFrameTimes()', () => {
+    it('should sample at fixed steps excluding the end time', () => {
+      expect(FrameExporter.getFrameTimes(1, 4)).toEqual([0, 0.25, 0.5, 0.75]);
+      expect(FrameExporter.getFrameTimes(1 / 30 * 10, 30)).toHaveLength(10);
+    });
+
+    it('should return a single frame for static animations', () => {
+      expect(FrameExporter.getFrameTimes(0, 30)).toEqual([0]);
+    });
+  });
+
+  describe('getFrameNames()', () => {
+    it('should zero-pad names and replace unsafe characters', () => {
+      expect(FrameExporter.getFrameNames('run/fast', 2)).toEqual(['run_fast_000.png', 'run_fast_001.png']);
+      expect(FrameExporter.getFrameNames('a', 1001)[1000]).toBe('a_1000.png');
+    });
+  });
+
+  describe('validateOptions()', () => {
+    const valid = FrameExporter.DEFAULT_OPTIONS;
+
+    it('should reject invalid values', () => {
+      expect(() => FrameExporter.validateOptions({ ...valid, fps: 0 })).toThrow('fps must be a positive number');
+      expect(() => FrameExporter.validateOptions({ ...valid, width: -1 })).toThrow('width must be a positive number or null');
+      expect(() => FrameExporter.validateOptions({ ...valid, padding: -1 })).toThrow('padding must be a non-negative number');
+      expect(() => FrameExporter.validateOptions({ ...valid, width: 20, padding: 10 }))
+        .toThrow('width must be larger than twice the padding');
+    });
+  });
+
+  describe('exportAnimation()', () => {
+    it('should pose and render every frame at its exact time', async () => {
+      const result = await exporter.exportAnimation('walk', { fps: 4 });
+
+      expect(renderedTimes).toEqual([0, 0.25, 0.5, 0.75]);
+      expect(result.animation).toBe('walk');
+      expect(result.duration).toBe(1);
+      expect(result.fps).toBe(4);
+      expect(result.frames.map(f => f.name)).toEqual(['walk_000.png', 'walk_001.png', 'walk_002.png', 'walk_003.png']);
+      expect(result.frames[2].time).toBe(0.5);
+      expect(result.frames[0].blob).toBeInstanceOf(Blob);
+      expect(result.spriteSheet).toBeNull();
+    });
+
+    it('should size frames to the union of all frame bounds plus padding', async () => {
+      const result = await exporter.exportAnimation('walk', { fps: 4, padding: 5 });
+
+      // x spans 0..95 (last frame at 75 + 20 wide), y spans -40..0
+      expect(result.width).toBe(105);
+      expect(result.height).toBe(50);
+
+      const transform = renderer.render.mock.calls.find(([target]) => target === spine)[1].transform;
+      expect(transform).toMatchObject({ a: 1, d: 1, tx: 5, ty: 45 });
+    });
+
+    it('should fit content into a fixed output size', async () => {
+      const result = await exporter.exportAnimation('walk', { fps: 4, width: 200, height: 200, padding: 0 });
+
+      expect(result.width).toBe(200);
+      expect(result.height).toBe(200);
+      const transform = renderer.render.mock.calls.find(([target]) => target === spine)[1].transform;
+      expect(transform.a).toBeCloseTo(200 / 95);
+    });
+
+    it('should draw a background before the skeleton when requested', async () => {
+      await exporter.exportAnimation('idle', { fps: 2, background: 0xffffff });
+
+      const [first, second] = renderer.render.mock.calls;
+      expect(first[0]).toBeInstanceOf(MockGraphics);
+      expect(first[1].clear).toBe(true);
+      expect(second[0]).toBe(spine);
+      expect(second[1].clear).toBe(false);
+    });
+
+    it('should restore tracks, transform and auto update afterwards', async () => {
+      const entry = spine.state.setAnimation(0, 'idle', true);
+      entry.trackTime = 0.3;
+      entry.timeScale = 0;
+
+      await exporter.exportAnimation('walk', { fps: 4 });
+
+      const restored = spine.state.tracks[0];
+      expect(restored.animation.name).toBe('idle');
+      expect(restored.loop).toBe(true);
+      expect(restored.trackTime).toBe(0.3);
+      expect(restored.timeScale).toBe(0);
+      expect(spine.position).toMatchObject({ x: -50, y: -80 });
+      expect(spine.autoUpdate).toBe(true);
+    });
+
+    it('should report progress for rendering and encoding', async () => {
+      const onProgress = vi.fn();
+      await exporter.exportAnimation('idle', { fps: 4, onProgress });
+
+      expect(onProgress).toHaveBeenCalledWith({ phase: 'render', index: 1, total: 2 });
+      expect(onProgress).toHaveBeenCalledWith({ phase: 'encode', index: 1, total: 2 });
+    });
+
+    it('should pack a sprite sheet with a frame map', async () => {
+      const drawImage = vi.fn();
+      vi.spyOn(exporter, '_createCanvas').mockImplementation(() => ({
+        ...createCanvas('sheet'),
+        getContext: () => ({ drawImage })
+      }));
+
+      const result = await exporter.exportAnimation('walk', { fps: 4, padding: 0, spriteSheet: true });
+
+      expect(drawImage).toHaveBeenCalledTimes(4);
+      expect(result.spriteSheet.columns * result.spriteSheet.rows).toBeGreaterThanOrEqual(4);
+      expect(Object.keys(result.spriteSheet.data.frames)).toEqual(result.frames.map(f => f.name));
+      expect(result.spriteSheet.data.animations.walk).toHaveLength(4);
+    });
+
+    it('should reject unknown animations and oversized exports', async () => {
+      await expect(exporter.exportAnimation('fly')).rejects.toThrow('Animation not found: fly');
+      await expect(exporter.exportAnimation('walk', { fps: 30, maxFrames: 10 }))
+        .rejects.toThrow('Export would produce 30 frames (limit: 10)');
+    });
+  });
+
+  describe('crop', () => {
+    it('should reproduce the viewport framing when crop is disabled', async () => {
+      const viewport = { width: 320, height: 240, scale: 0.5, x: 100, y: 200 };
+      const result = await exporter.exportAnimation('walk', { fps: 4, crop: false, viewport });
+
+      expect(result.width).toBe(320);
+      expect(result.height).toBe(240);
+      const transform = renderer.render.mock.calls.find(([target]) => target === spine)[1].transform;
+      expect(transform).toMatchObject({ a: 0.5, d: 0.5, tx: 100, ty: 200 });
+    });
+
+    it('should require a viewport when crop is disabled', async () => {
+      await expect(exporter.exportAnimation('walk', { crop: false }))
+        .rejects.toThrow('A viewport is required when crop is disabled');
+    });
+  });
+
+  describe('encodePoses()', () => {
+    it('should encode an animated GIF', async () => {
+      const source = exporter.createAnimationSource('idle', { fps: 4 });
+      const result = await exporter.encodePoses(source, { format: 'gif', fps: 4, padding: 0 });
+
+      expect(result.format).toBe('gif');
+      expect(result.blob.type).toBe('image/gif');
+      expect(result.frameCount).toBe(2);
+      expect(result.width).toBe(45); // x spans 0..45 over both frames
+      expect(result.height).toBe(40);
+    });
+
+    it('should encode an APNG', async () => {
+      const source = exporter.createAnimationSource('idle', { fps: 4 });
+      const result = await exporter.encodePoses(source, { format: 'apng', fps: 4, loop: 3 });
+
+      expect(result.blob.type).toBe('image/apng');
+      expect(result.frameCount).toBe(2);
+    });
+
+    it('should reject unknown formats and loop counts', async () => {
+      const source = exporter.createAnimationSource('idle');
+      await expect(exporter.encodePoses(source, { format: 'webm' })).rejects.toThrow('Unknown animated format: webm');
+      await expect(exporter.encodePoses(source, { loop: -1 })).rejects.toThrow('loop must be a non-negative integer');
+    });
+  });
+
+  describe('createSequenceSource()', () => {
+    let controller;
+
+    beforeEach(() => {
+      controller = {
+        sequence: { loopMode: 'continuous', loopRegion: null },
+        getCycleDuration: () => 1000,
+        poseAt: vi.fn((timeMs) => {
+          spine.state.clearTracks();
+          spine.state.setAnimation(0, 'walk', false).trackTime = timeMs / 1000;
+        })
+      };
+    });
+
+    it('should sample one cycle through the controller', async () => {
+      const source = exporter.createSequenceSource(controller, { fps: 4 });
+      expect(source.times).toEqual([0, 0.25, 0.5, 0.75]);
+
+      await exporter.exportPoses(source, { fps: 4 });
+
+      expect(controller.poseAt).toHaveBeenCalledWith(500);
+      expect(renderedTimes).toEqual([0, 0.25, 0.5, 0.75]);
+    });
+
+    it('should cover both directions in ping-pong mode', () => {
+      controller.sequence.loopMode = 'ping-pong';
+      const source = exporter.createSequenceSource(controller, { fps: 2 });
+
+      expect(source.times).toEqual([0, 0.5, 1, 1.5]);
+      expect(source.duration).toBe(2);
+    });
+
+    it('should only cover the loop region in region mode', () => {
+      controller.sequence.loopMode = 'region';
+      controller.sequence.loopRegion = { start: 250, end: 750 };
+
+      expect(exporter.createSequenceSource(controller, { fps: 4 }).times).toEqual([0.25, 0.5]);
+    });
+
+    it('should reject empty sequences', () => {
+      controller.getCycleDuration = () => 0;
+      expect(() => exporter.createSequenceSource(controller)).toThrow('Sequence has no animations to export');
+    });
+  });
+
+  describe('createArchive()', () => {
+    it('should place frames in a folder next to the sprite sheet', async () => {
+      const zip = await FrameExporter.createArchive({
+        frames: [{ name: 'walk_000.png', blob: new Blob(['a']) }],
+        spriteSheet: { blob: new Blob(['b']), data: { frames: {} } }
+      });
+
+      expect(zip.type).toBe('application/zip');
+      const text = await new Promise((resolve) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.readAsText(zip);
+      });
+      expect(text).toContain('frames/walk_000.png');
+      expect(text).toContain('sheet.png');
+      expect(text).toContain('sheet.json');
+    });
+  });
+});
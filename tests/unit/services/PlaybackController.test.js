@@ -746,4 +746,530 @@ describe('PlaybackController', () => {
       expect(controller.elapsedTime).toBeCloseTo(1500, 1);
     });
   });
+
+  describe('Seek', () => {
+    const durations = { walk: 2.0, blink: 0.5 };
+
+    beforeEach(() => {
+      mockSpineViewer.spine.skeleton.data.findAnimation = vi.fn((name) => ({ name, duration: durations[name] ?? 1.0 }));
+      mockSpineViewer.spine.skeleton.data.fps = 30;
+      mockSpineViewer.spine.update = vi.fn();
+      mockSpineViewer.spine.state.tracks = [];
+      mockSpineViewer.setAnimation = vi.fn((name, loop, index) => {
+        mockSpineViewer.spine.state.tracks[index] = {
+          animation: { name },
+          animationEnd: durations[name] ?? 1.0,
+          trackTime: 0,
+          timeScale: 1.0
+        };
+      });
+    });
+
+    function addTrackWith(...animations) {
+      const track = sequence.addTrack();
+      animations.forEach(animation => track.addSlot(animation));
+      return track;
+    }
+
+    it('should use longest slot-0 animation as cycle duration', () => {
+      addTrackWith('walk', 'blink');
+      addTrackWith('blink');
+
+      expect(controller.getCycleDuration()).toBe(2000);
+    });
+
+    it('should compute slot positions and freezing at a time', () => {
+      const body = addTrackWith('walk');
+      const face = addTrackWith(null, 'blink');
+
+      const position = controller.getPositionAt(2700);
+
+      expect(position.cycleTime).toBe(700);
+      expect(position.tracks.get(body.id)).toEqual({ slotIndex: 0, timeInSlot: 700, duration: 2000, isFrozen: false });
+      expect(position.tracks.get(face.id).slotIndex).toBe(1);
+      expect(position.tracks.get(face.id).isFrozen).toBe(true);
+    });
+
+    it('should pose spine track entries at the seeked time', () => {
+      addTrackWith('walk');
+      addTrackWith('blink');
+
+      controller.seek(300);
+
+      const [walkEntry, blinkEntry] = mockSpineViewer.spine.state.tracks;
+      expect(walkEntry.trackTime).toBeCloseTo(0.3);
+      expect(blinkEntry.trackTime).toBeCloseTo(0.3);
+      expect(mockSpineViewer.spine.update).toHaveBeenCalledWith(0);
+
+      controller.seek(1500);
+      expect(mockSpineViewer.spine.state.tracks[1].trackTime).toBe(0.5);
+      expect(mockSpineViewer.spine.state.tracks[1].timeScale).toBe(0);
+    });
+
+    it('should enter paused state when seeking while stopped', () => {
+      addTrackWith('walk');
+
+      controller.seek(1000);
+
+      expect(controller.isPaused).toBe(true);
+      expect(controller.isPlaying).toBe(false);
+      expect(controller.elapsedTime).toBe(1000);
+      expect(mockSpineViewer.spine.state.timeScale).toBe(0);
+    });
+
+    it('should stay paused and update timing when seeking while paused', () => {
+      addTrackWith('walk');
+      controller.start();
+      rafCallbacks[0](0);
+      controller.pause();
+
+      controller.seek(2500);
+
+      expect(controller.isPaused).toBe(true);
+      expect(controller.elapsedTime).toBe(2500);
+      expect(controller.cycleStartTime).toBe(2000);
+    });
+
+    it('should continue playback from seeked time', () => {
+      addTrackWith('walk');
+      controller.start();
+      rafCallbacks[0](0);
+
+      controller.seek(1000);
+      rafCallbacks[rafCallbacks.length - 1](16);
+      rafCallbacks[rafCallbacks.length - 1](116);
+
+      expect(controller.isPlaying).toBe(true);
+      expect(controller.elapsedTime).toBeCloseTo(1100, 1);
+    });
+
+    it('should emit playback-seeked event', () => {
+      addTrackWith('walk');
+      const listener = vi.fn();
+      sequence.addEventListener('playback-seeked', listener);
+
+      controller.seek(2100);
+
+      expect(listener.mock.calls[0][0].detail).toEqual({ time: 2100, cycleTime: 100, cycleDuration: 2000 });
+    });
+
+    it('should throw error for invalid time', () => {
+      expect(() => controller.seek(-1)).toThrow('Seek time must be a non-negative number');
+      expect(() => controller.seek(NaN)).toThrow('Seek time must be a non-negative number');
+    });
+
+    it('should derive frame duration from skeleton fps', () => {
+      mockSpineViewer.spine.skeleton.data.fps = 60;
+      expect(controller.getFrameDuration()).toBeCloseTo(1000 / 60);
+    });
+
+    it('should pose tracks with poseAt() without changing playback state', () => {
+      addTrackWith('walk');
+      addTrackWith('blink');
+      mockSpineViewer.spine.skeleton.setToSetupPose = vi.fn();
+      const listener = vi.fn();
+      sequence.addEventListener('playback-seeked', listener);
+
+      const position = controller.poseAt(1200);
+
+      const [walkEntry, blinkEntry] = mockSpineViewer.spine.state.tracks;
+      expect(position.cycleTime).toBe(1200);
+      expect(mockSpineViewer.spine.state.clearTracks).toHaveBeenCalled();
+      expect(mockSpineViewer.spine.skeleton.setToSetupPose).toHaveBeenCalled();
+      expect(walkEntry.trackTime).toBeCloseTo(1.2);
+      expect(blinkEntry.timeScale).toBe(0); // Frozen after its 500ms
+      expect(controller.isPlaying).toBe(false);
+      expect(controller.isPaused).toBe(false);
+      expect(controller.elapsedTime).toBe(0);
+      expect(listener).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Loop modes', () => {
+    const durations = { walk: 2.0, blink: 0.5 };
+
+    beforeEach(() => {
+      mockSpineViewer.spine.skeleton.data.findAnimation = vi.fn((name) => ({ name, duration: durations[name] ?? 1.0 }));
+      mockSpineViewer.spine.update = vi.fn();
+      mockSpineViewer.spine.state.tracks = [];
+      mockSpineViewer.setAnimation = vi.fn((name, loop, index) => {
+        mockSpineViewer.spine.state.tracks[index] = {
+          animation: { name },
+          animationStart: 0,
+          animationEnd: durations[name] ?? 1.0,
+          loop,
+          trackTime: 0,
+          timeScale: 1.0
+        };
+      });
+    });
+
+    function addTrackWith(animation) {
+      const track = sequence.addTrack();
+      track.addSlot(animation);
+      return track;
+    }
+
+    // Start playback and run ticks at the given times (ms after the first frame)
+    function playTo(...times) {
+      controller.start();
+      rafCallbacks[rafCallbacks.length - 1](16);
+      times.forEach(time => {
+        const callback = rafCallbacks[rafCallbacks.length - 1];
+        if (callback) callback(16 + time);
+      });
+    }
+
+    it('should stop on the last frame and emit sequence-completed in once mode', () => {
+      addTrackWith('walk');
+      sequence.setLoopMode('once');
+      const listener = vi.fn();
+      sequence.addEventListener('sequence-completed', listener);
+
+      playTo(1000, 2100);
+
+      expect(listener).toHaveBeenCalledOnce();
+      expect(controller.isPaused).toBe(true);
+      expect(controller.isCompleted).toBe(true);
+      expect(controller.elapsedTime).toBe(2000);
+      expect(mockSpineViewer.spine.state.tracks[0].trackTime).toBe(2.0);
+    });
+
+    it('should restart from the beginning when resumed after completing', () => {
+      addTrackWith('walk');
+      sequence.setLoopMode('once');
+      playTo(2100);
+
+      controller.resume();
+
+      expect(controller.isPlaying).toBe(true);
+      expect(controller.isCompleted).toBe(false);
+      expect(controller.elapsedTime).toBe(0);
+    });
+
+    it('should emit sequence-looped in continuous mode', () => {
+      addTrackWith('walk');
+      const listener = vi.fn();
+      sequence.addEventListener('sequence-looped', listener);
+
+      playTo(2100, 4200);
+
+      expect(listener).toHaveBeenCalledTimes(2);
+      expect(listener.mock.calls[1][0].detail.iteration).toBe(2);
+    });
+
+    it('should loop each track at its own length in per-track mode', () => {
+      addTrackWith('walk');
+      const face = addTrackWith('blink');
+      sequence.setLoopMode('per-track');
+      const listener = vi.fn();
+      sequence.addEventListener('track-looped', listener);
+
+      playTo(300, 600);
+
+      expect(listener).toHaveBeenCalledOnce();
+      expect(listener.mock.calls[0][0].detail.trackId).toBe(face.id);
+      expect(controller.trackStates.get(face.id).isFrozen).toBe(false);
+      expect(mockSpineViewer.spine.state.tracks[1].trackTime).toBeCloseTo(0.1);
+    });
+
+    it('should play backwards after each forward cycle in ping-pong mode', () => {
+      addTrackWith('walk');
+      sequence.setLoopMode('ping-pong');
+      const reversed = vi.fn();
+      sequence.addEventListener('sequence-reversed', reversed);
+
+      playTo(2000, 2500);
+
+      const entry = mockSpineViewer.spine.state.tracks[0];
+      expect(reversed.mock.calls[0][0].detail.direction).toBe(-1);
+      expect(controller.direction).toBe(-1);
+      expect(entry.trackTime).toBeCloseTo(1.5);
+      expect(entry.timeScale).toBe(0);
+    });
+
+    it('should map ping-pong time onto the cycle', () => {
+      addTrackWith('walk');
+      sequence.setLoopMode('ping-pong');
+
+      expect(controller.getPositionAt(2500)).toMatchObject({ cycleTime: 1500, direction: -1 });
+      expect(controller.getPositionAt(4500)).toMatchObject({ cycleTime: 500, direction: 1 });
+    });
+
+    it('should jump back to the region start in region mode', () => {
+      addTrackWith('walk');
+      sequence.setLoopRegion(500, 1500);
+      sequence.setLoopMode('region');
+      const listener = vi.fn();
+      sequence.addEventListener('region-looped', listener);
+
+      controller.start();
+      expect(controller.elapsedTime).toBe(500);
+
+      rafCallbacks[rafCallbacks.length - 1](16);
+      rafCallbacks[rafCallbacks.length - 1](1016);
+
+      expect(listener).toHaveBeenCalledOnce();
+      expect(listener.mock.calls[0][0].detail).toMatchObject({ start: 500, end: 1500, iteration: 1 });
+      expect(controller.elapsedTime).toBe(500);
+      expect(mockSpineViewer.spine.state.tracks[0].trackTime).toBeCloseTo(0.5);
+    });
+  });
+
+  describe('Slot overrides', () => {
+    beforeEach(() => {
+      mockSpineViewer.spine.skeleton.data.findAnimation = vi.fn((name) => ({ name, duration: 1.0 }));
+      mockSpineViewer.spine.update = vi.fn();
+      mockSpineViewer.spine.state.tracks = [];
+      mockSpineViewer.setAnimation = vi.fn((name, loop, index) => {
+        mockSpineViewer.spine.state.tracks[index] = {
+          animation: { name },
+          animationStart: 0,
+          animationEnd: 1.0,
+          loop,
+          trackTime: 0,
+          timeScale: 1.0
+        };
+      });
+    });
+
+    function addTrackWithOptions(animation, options) {
+      const track = sequence.addTrack();
+      track.addSlot(animation);
+      track.addSlot(null);
+      track.setSlotOptions(0, options);
+      return track;
+    }
+
+    it('should derive slot duration from repeat count, speed and trim', () => {
+      addTrackWithOptions('run', { repeatCount: 3 });
+      expect(controller.getCycleDuration()).toBe(3000);
+
+      sequence.tracks[0].setSlotOptions(0, { repeatCount: 1, speed: 0.5 });
+      expect(controller.getCycleDuration()).toBe(2000);
+
+      sequence.tracks[0].setSlotOptions(0, { speed: 1, trimStart: 200, trimEnd: 700 });
+      expect(controller.getCycleDuration()).toBe(500);
+    });
+
+    it('should use hold duration as slot length', () => {
+      addTrackWithOptions('idle', { holdDuration: 2500, repeatCount: 4 });
+      expect(controller.getCycleDuration()).toBe(2500);
+    });
+
+    it('should apply speed, trim and looping to the spine track entry', () => {
+      addTrackWithOptions('run', { repeatCount: 2, speed: 0.5, trimStart: 250 });
+
+      controller.start();
+
+      const entry = mockSpineViewer.spine.state.tracks[0];
+      expect(entry.timeScale).toBe(0.5);
+      expect(entry.animationStart).toBe(0.25);
+      expect(entry.loop).toBe(true);
+    });
+
+    it('should freeze on the last trimmed frame after the repeats finish', () => {
+      addTrackWithOptions('run', { repeatCount: 2 });
+      addTrackWithOptions('idle', { holdDuration: 4000 });
+
+      controller.start();
+      rafCallbacks[0](16);
+      rafCallbacks[1](2116);
+
+      const entry = mockSpineViewer.spine.state.tracks[0];
+      expect(controller.trackStates.get(sequence.tracks[0].id).isFrozen).toBe(true);
+      expect(entry.timeScale).toBe(0);
+      expect(entry.loop).toBe(false);
+      expect(entry.trackTime).toBe(entry.animationEnd);
+    });
+
+    it('should apply sequence default and per-slot mix to track entries', () => {
+      mockSpineViewer.spine.state.data = { defaultMix: 0.1 };
+      sequence.setDefaultMixDuration(200);
+      addTrackWithOptions('run', {});
+      addTrackWithOptions('idle', { mixDuration: 0 });
+      addTrackWithOptions('jump', { mixDuration: 5000 });
+
+      controller.start();
+
+      const [runEntry, idleEntry, jumpEntry] = mockSpineViewer.spine.state.tracks;
+      expect(mockSpineViewer.spine.state.data.defaultMix).toBe(0.2);
+      expect(runEntry.mixDuration).toBe(0.2);
+      expect(idleEntry.mixDuration).toBe(0);
+      expect(jumpEntry.mixDuration).toBe(1.0); // Clamped to the slot duration
+
+      controller.stop();
+      expect(mockSpineViewer.spine.state.data.defaultMix).toBe(0.1);
+    });
+
+    it('should keep cycle duration unchanged by mixes', () => {
+      sequence.setDefaultMixDuration(300);
+      addTrackWithOptions('run', { repeatCount: 2 });
+
+      expect(controller.getCycleDuration()).toBe(2000);
+      expect(controller.getMixDuration(sequence.tracks[0].getSlot(1))).toBe(0);
+    });
+
+    it('should seek within a slow slot using scaled entry time', () => {
+      addTrackWithOptions('jump', { speed: 0.5 });
+
+      controller.seek(1000);
+
+      expect(mockSpineViewer.spine.state.tracks[0].trackTime).toBeCloseTo(0.5);
+    });
+  });
+
+  describe('Spine events', () => {
+    function addListenerSupport() {
+      const state = mockSpineViewer.spine.state;
+      state.listeners = [];
+      state.addListener = vi.fn(listener => state.listeners.push(listener));
+      state.removeListener = vi.fn(listener => {
+        state.listeners = state.listeners.filter(item => item !== listener);
+      });
+      return state;
+    }
+
+    function fire(state, trackIndex, name) {
+      const event = { data: { name, audioPath: 'sfx/step.wav' }, time: 0.25, intValue: 1 };
+      state.listeners.forEach(listener => listener.event({ trackIndex, animation: { name: 'walk' } }, event));
+    }
+
+    it('should re-emit events on the sequence with their track and slot', () => {
+      const state = addListenerSupport();
+      const track = addTrackWithSlots(1);
+      track.setAnimation(0, 'walk');
+      const handler = vi.fn();
+      sequence.addEventListener('spine-event', handler);
+
+      controller.start();
+      fire(state, 0, 'footstep');
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(handler.mock.calls[0][0].detail).toMatchObject({
+        name: 'footstep', int: 1, audio: 'sfx/step.wav', time: 0.25, track: 0,
+        animation: 'walk', trackId: track.id, slotIndex: 0
+      });
+    });
+
+    it('should listen only once and stop listening on stop', () => {
+      const state = addListenerSupport();
+      addTrackWithSlots(1).setAnimation(0, 'walk');
+      const handler = vi.fn();
+      sequence.addEventListener('spine-event', handler);
+
+      controller.start();
+      controller.pause();
+      controller.resume();
+      expect(state.addListener).toHaveBeenCalledTimes(1);
+
+      controller.stop();
+      fire(state, 0, 'footstep');
+      expect(handler).not.toHaveBeenCalled();
+      expect(state.listeners).toHaveLength(0);
+    });
+
+    it('should move to a reloaded skeleton on resume', () => {
+      const oldState = addListenerSupport();
+      addTrackWithSlots(1).setAnimation(0, 'walk');
+      controller.start();
+      controller.pause();
+
+      mockSpineViewer.spine.state = { ...oldState, listeners: [] };
+      const newState = addListenerSupport();
+      controller.resume();
+
+      expect(oldState.listeners).toHaveLength(0);
+      expect(newState.listeners).toHaveLength(1);
+    });
+
+    it('should not replay the events before a seeked time', () => {
+      const state = addListenerSupport();
+      const eventTimes = [0, 0.25, 1.0];
+      state.tracks = [];
+      mockSpineViewer.setAnimation = vi.fn((name, loop, index) => {
+        state.tracks[index] = { trackIndex: index, animation: { name }, animationEnd: 1.0, trackTime: 0, timeScale: 1.0 };
+      });
+      // Fires the keys between the last applied time and the current time, like AnimationState
+      mockSpineViewer.spine.update = vi.fn(() => {
+        state.tracks.forEach(entry => {
+          const last = entry.nextAnimationLast ?? -1;
+          eventTimes.filter(time => time > last && time <= entry.trackTime).forEach(time => {
+            state.listeners.forEach(listener => listener.event(entry, { data: { name: 'footstep' }, time }));
+          });
+          entry.nextAnimationLast = entry.trackTime;
+        });
+      });
+      addTrackWithSlots(1).setAnimation(0, 'walk');
+      const handler = vi.fn();
+      sequence.addEventListener('spine-event', handler);
+
+      controller.seek(500);
+      controller.seek(900);
+      expect(handler).not.toHaveBeenCalled();
+
+      state.tracks[0].trackTime = 1.0;
+      mockSpineViewer.spine.update();
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(handler.mock.calls[0][0].detail.time).toBe(1.0);
+
+      // Keys on the first frame fire when playing from the start
+      controller.seek(0);
+      mockSpineViewer.spine.update();
+      expect(handler).toHaveBeenCalledTimes(2);
+      expect(handler.mock.calls[1][0].detail.time).toBe(0);
+    });
+
+    it('should stop event sounds when seeking or posing', () => {
+      mockSpineViewer.stopEventAudio = vi.fn();
+      mockSpineViewer.spine.skeleton.setToSetupPose = vi.fn();
+      addTrackWithSlots(1).setAnimation(0, 'walk');
+
+      controller.seek(500);
+      expect(mockSpineViewer.stopEventAudio).toHaveBeenCalled();
+      mockSpineViewer.stopEventAudio.mockClear();
+      controller.poseAt(200);
+      expect(mockSpineViewer.stopEventAudio).toHaveBeenCalledTimes(1);
+    });
+
+    it('should change the speed through the viewer so event sounds follow it', () => {
+      mockSpineViewer.setPlaybackSpeed = vi.fn((speed) => { mockSpineViewer.spine.state.timeScale = speed; });
+
+      controller.setPlaybackSpeed(2.0);
+
+      expect(mockSpineViewer.setPlaybackSpeed).toHaveBeenCalledWith(2.0);
+      expect(controller.getPlaybackSpeed()).toBe(2.0);
+    });
+
+    it('should stop event sounds and hold the speed on pause', () => {
+      mockSpineViewer.stopEventAudio = vi.fn();
+      mockSpineViewer.setPlaybackSpeed = vi.fn((speed) => { mockSpineViewer.spine.state.timeScale = speed; });
+      addTrackWithSlots(1).setAnimation(0, 'walk');
+      controller.start();
+      controller.setPlaybackSpeed(1.5);
+
+      controller.pause();
+      expect(mockSpineViewer.stopEventAudio).toHaveBeenCalledTimes(1);
+      expect(mockSpineViewer.setPlaybackSpeed).toHaveBeenLastCalledWith(0);
+    });
+
+    it('should restore the speed through the viewer on resume', () => {
+      mockSpineViewer.setPlaybackSpeed = vi.fn((speed) => { mockSpineViewer.spine.state.timeScale = speed; });
+      addTrackWithSlots(1).setAnimation(0, 'walk');
+      controller.start();
+      controller.setPlaybackSpeed(1.5);
+      controller.pause();
+
+      controller.resume();
+      expect(mockSpineViewer.setPlaybackSpeed).toHaveBeenLastCalledWith(1.5);
+    });
+
+    it('should work with states that cannot be listened to', () => {
+      addTrackWithSlots(1).setAnimation(0, 'walk');
+      expect(() => {
+        controller.start();
+        controller.stop();
+      }).not.toThrow();
+    });
+  });
 });
@@ -0,0 +1,104 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  renderBoneTree,
+  updateBoneTreeValues,
+  setBoneTreeSelection,
+  applyBoneTreeFilter,
+  formatTransform
+} from '../../../src/ui/bone-tree-panel.js';
+import { setLanguage } from '../../../src/utils/messages.js';
+
+const TREE = [
+  { name: 'root', children: [
+    { name: 'hip', children: [
+      { name: 'torso', children: [{ name: 'head', children: [] }] },
+      { name: 'leg-left', children: [] }
+    ] }
+  ] }
+];
+
+const VALUES = { x: 1.234, y: -2, rotation: 45, scaleX: 1, scaleY: 1, shearX: 0, shearY: 0 };
+
+function findItem(container, name) {
+  return container.querySelector(`li[data-bone="${name}"]`);
+}
+
+describe('bone-tree-panel', () => {
+  let container;
+
+  beforeEach(() => {
+    setLanguage('en');
+    container = document.createElement('div');
+  });
+
+  it('should format transform values', () => {
+    expect(formatTransform(VALUES)).toBe('x 1.23 y -2 · 45° · scale 1, 1 · shear 0°, 0°');
+  });
+
+  it('should render the hierarchy with the selected bone', () => {
+    renderBoneTree(container, TREE, { selected: 'head', pose: 'setup' });
+
+    expect(container.querySelector('h4').textContent).toBe('Bones (5)');
+    expect(findItem(container, 'hip').querySelectorAll('li[data-bone]')).toHaveLength(3);
+    expect(container.querySelector('.bone-tree-row.selected .bone-tree-name').textContent).toBe('head');
+    expect(container.querySelector('.bone-tree-pose').value).toBe('setup');
+  });
+
+  it('should update values in place', () => {
+    renderBoneTree(container, TREE);
+    updateBoneTreeValues(container, { hip: { local: VALUES, world: { ...VALUES, x: 10 } } });
+
+    const lines = Array.from(findItem(container, 'hip').querySelector('.bone-tree-values').children).map(line => line.textContent);
+    expect(lines).toEqual([
+      'Local x 1.23 y -2 · 45° · scale 1, 1 · shear 0°, 0°',
+      'World x 10 y -2 · 45° · scale 1, 1 · shear 0°, 0°'
+    ]);
+  });
+
+  it('should report clicks, toggling off the selected bone', () => {
+    const onSelect = vi.fn();
+    renderBoneTree(container, TREE, { selected: 'hip', onSelect });
+
+    findItem(container, 'torso').querySelector('.bone-tree-row').click();
+    findItem(container, 'hip').querySelector('.bone-tree-row').click();
+    expect(onSelect.mock.calls).toEqual([['torso'], [null]]);
+  });
+
+  it('should collapse nodes and expand the ancestors of a selected bone', () => {
+    renderBoneTree(container, TREE);
+    const torso = findItem(container, 'torso');
+    torso.querySelector('.bone-tree-toggle').click();
+    expect(torso.classList.contains('collapsed')).toBe(true);
+
+    setBoneTreeSelection(container, 'head');
+    expect(torso.classList.contains('collapsed')).toBe(false);
+    setBoneTreeSelection(container, null);
+    expect(container.querySelector('.selected')).toBeNull();
+  });
+
+  it('should filter by name and keep ancestors of matches', () => {
+    renderBoneTree(container, TREE);
+    applyBoneTreeFilter(container, 'HEA');
+
+    const visible = Array.from(container.querySelectorAll('li[data-bone]')).filter(li => !li.hidden).map(li => li.dataset.bone);
+    expect(visible).toEqual(['root', 'hip', 'torso', 'head']);
+
+    applyBoneTreeFilter(container, '');
+    expect(container.querySelectorAll('li[hidden]')).toHaveLength(0);
+  });
+
+  it('should report pose changes and show a message without bones', () => {
+    const onPoseChange = vi.fn();
+    renderBoneTree(container, [], { onPoseChange });
+    const select = container.querySelector('.bone-tree-pose');
+    select.value = 'setup';
+    select.dispatchEvent(new Event('change'));
+
+    expect(onPoseChange).toHaveBeenCalledWith('setup');
+    expect(container.querySelector('.bone-tree-empty').textContent).toBe('No skeleton loaded');
+  });
+
+  it('should require a container', () => {
+    expect(() => renderBoneTree(null, TREE)).toThrow('Container element is required');
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { renderSkeletonDiff, formatChanges } from '../../../src/ui/comparison-panel.js';
+import { setLanguage } from '../../../src/utils/messages.js';
+
+const DIFF = {
+  bones: { added: ['hat'], removed: ['tail'], changed: [] },
+  slots: { added: [], removed: [], changed: [] },
+  animations: {
+    added: [],
+    removed: [],
+    changed: [{ name: 'run', changes: [{ property: 'duration', before: 1.2, after: 1.5 }] }]
+  },
+  identical: false
+};
+
+describe('comparison-panel', () => {
+  let container;
+
+  beforeEach(() => {
+    setLanguage('en');
+    container = document.createElement('div');
+  });
+
+  it('should format property changes', () => {
+    expect(formatChanges([
+      { property: 'duration', before: 1.2, after: 1.5 },
+      { property: 'parent', before: 'root', after: null }
+    ])).toBe('duration 1.2 → 1.5, parent root → —');
+  });
+
+  it('should render a summary and one section per changed category', () => {
+    renderSkeletonDiff(container, DIFF);
+
+    const summary = Array.from(container.querySelectorAll('.comparison-summary li')).map(li => li.textContent);
+    expect(summary).toEqual([
+      'Bones: 1 added, 1 removed, 0 changed',
+      'Animations: 0 added, 0 removed, 1 changed'
+    ]);
+    expect(container.querySelectorAll('.comparison-section')).toHaveLength(2);
+    expect(container.querySelector('.comparison-bones .comparison-added .comparison-name').textContent).toBe('hat');
+    expect(container.querySelector('.comparison-bones .comparison-removed .comparison-name').textContent).toBe('tail');
+    expect(container.querySelector('.comparison-animations .comparison-detail').textContent).toBe('duration 1.2 → 1.5');
+  });
+
+  it('should clear the container without a diff', () => {
+    container.innerHTML = '<p>old</p>';
+    renderSkeletonDiff(container, null);
+    expect(container.innerHTML).toBe('');
+  });
+});
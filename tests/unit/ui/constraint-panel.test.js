@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { renderConstraintPanel } from '../../../src/ui/constraint-panel.js';
+import { setLanguage } from '../../../src/utils/messages.js';
+
+const CONSTRAINTS = [
+  {
+    type: 'ik', name: 'leg', order: 0, bones: ['upper', 'lower'], target: 'foot-target',
+    bendDirection: -1, mix: { mix: 1, softness: 0 }, overrides: { mix: 0.5 }
+  },
+  {
+    type: 'path', name: 'tail', order: 1, bones: ['tail1'], target: 'tail-path',
+    mix: { mixRotate: 1, spacing: 10 }, overrides: {}
+  }
+];
+
+function findItem(container, key) {
+  return container.querySelector(`li[data-constraint="${key}"]`);
+}
+
+describe('constraint-panel', () => {
+  let container;
+
+  beforeEach(() => {
+    setLanguage('en');
+    container = document.createElement('div');
+  });
+
+  it('should require a container', () => {
+    expect(() => renderConstraintPanel(null, [])).toThrow('Container element is required');
+  });
+
+  it('should show an empty state', () => {
+    renderConstraintPanel(container, []);
+    expect(container.querySelector('h4').textContent).toBe('Constraints (0)');
+    expect(container.querySelector('.constraint-empty').textContent).toBe('No constraints');
+  });
+
+  it('should list constraints with their bones, target and bend direction', () => {
+    renderConstraintPanel(container, CONSTRAINTS);
+    const ik = findItem(container, 'ik:leg');
+    expect(ik.querySelector('.constraint-type').textContent).toBe('IK');
+    expect(ik.querySelector('.constraint-links').textContent).toBe('upper, lower → foot-target · bend −');
+    expect(findItem(container, 'path:tail').querySelector('.constraint-links').textContent).toBe('tail1 → tail-path');
+  });
+
+  it('should use sliders for mixes and number inputs for other values', () => {
+    renderConstraintPanel(container, CONSTRAINTS);
+    const path = findItem(container, 'path:tail');
+    expect(path.querySelector('input[data-key="mixRotate"]').type).toBe('range');
+    expect(path.querySelector('input[data-key="spacing"]').type).toBe('number');
+  });
+
+  it('should show overridden values', () => {
+    renderConstraintPanel(container, CONSTRAINTS, { onChange: vi.fn() });
+    const ik = findItem(container, 'ik:leg');
+    expect(ik.classList.contains('overridden')).toBe(true);
+    expect(ik.querySelector('input[data-key="mix"]').value).toBe('0.5');
+    expect(ik.querySelector('input[data-key="mix"]').parentElement.classList.contains('overridden')).toBe(true);
+    expect(ik.querySelector('.constraint-reset').hidden).toBe(false);
+    expect(findItem(container, 'path:tail').querySelector('.constraint-reset').hidden).toBe(true);
+  });
+
+  it('should report edited values and mark them overridden', () => {
+    const onChange = vi.fn();
+    renderConstraintPanel(container, CONSTRAINTS, { onChange });
+    const path = findItem(container, 'path:tail');
+    const input = path.querySelector('input[data-key="mixRotate"]');
+    input.value = '0.3';
+    input.dispatchEvent(new Event('input'));
+
+    expect(onChange).toHaveBeenCalledWith('path', 'tail', 'mixRotate', 0.3);
+    expect(input.parentElement.querySelector('.constraint-output').textContent).toBe('0.3');
+    expect(path.classList.contains('overridden')).toBe(true);
+    expect(path.querySelector('.constraint-reset').hidden).toBe(false);
+  });
+
+  it('should reset every overridden value of a constraint', () => {
+    const onChange = vi.fn();
+    renderConstraintPanel(container, CONSTRAINTS, { onChange });
+    const ik = findItem(container, 'ik:leg');
+    const softness = ik.querySelector('input[data-key="softness"]');
+    softness.value = '2';
+    softness.dispatchEvent(new Event('input'));
+    onChange.mockClear();
+
+    ik.querySelector('.constraint-reset').click();
+    expect(onChange.mock.calls).toEqual([['ik', 'leg', 'mix', null], ['ik', 'leg', 'softness', null]]);
+  });
+
+  it('should disable inputs without a change handler', () => {
+    renderConstraintPanel(container, CONSTRAINTS);
+    expect(Array.from(container.querySelectorAll('input')).every(input => input.disabled)).toBe(true);
+    expect(container.querySelector('.constraint-reset')).toBeNull();
+  });
+});
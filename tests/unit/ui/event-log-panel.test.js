@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  renderEventLog,
+  appendEventLogEntry,
+  applyEventLogFilter,
+  formatEventValues
+} from '../../../src/ui/event-log-panel.js';
+import { setLanguage } from '../../../src/utils/messages.js';
+
+function createEntry(name, values = {}) {
+  return {
+    name, int: 0, float: 0, string: null, audio: null, volume: 1, balance: 0,
+    time: 0.5, track: 0, animation: 'walk', ...values
+  };
+}
+
+function visibleNames(container) {
+  return Array.from(container.querySelectorAll('.event-log-row'))
+    .filter(row => !row.hidden)
+    .map(row => row.querySelector('.event-log-name').textContent);
+}
+
+describe('event-log-panel', () => {
+  let container;
+
+  beforeEach(() => {
+    setLanguage('en');
+    container = document.createElement('div');
+  });
+
+  it('should require a container', () => {
+    expect(() => renderEventLog(null, [])).toThrow('Container element is required');
+  });
+
+  it('should show an empty state', () => {
+    renderEventLog(container, []);
+    expect(container.querySelector('h4').textContent).toBe('Events (0)');
+    expect(container.querySelector('.event-log-empty').hidden).toBe(false);
+  });
+
+  it('should describe event values', () => {
+    const entry = createEntry('footstep', { int: 1, float: 0.5, string: 'left', audio: 'sfx/step.wav' });
+    expect(formatEventValues(entry)).toBe('int 1 · float 0.5 · "left" · sfx/step.wav · track 0 (walk)');
+    expect(formatEventValues(createEntry('hit', { track: null }))).toBe('');
+  });
+
+  it('should render logged events with their time', () => {
+    renderEventLog(container, [createEntry('footstep'), createEntry('hit', { time: 1.25 })]);
+    const rows = container.querySelectorAll('.event-log-row');
+    expect(rows).toHaveLength(2);
+    expect(rows[1].querySelector('.event-log-time').textContent).toBe('1.250s');
+    expect(container.querySelector('h4').textContent).toBe('Events (2)');
+    expect(container.querySelector('.event-log-empty').hidden).toBe(true);
+  });
+
+  it('should append events and drop the oldest past the limit', () => {
+    renderEventLog(container, [createEntry('a'), createEntry('b')], { maxEntries: 2 });
+    appendEventLogEntry(container, createEntry('c'));
+    expect(visibleNames(container)).toEqual(['b', 'c']);
+  });
+
+  it('should filter existing and new events', () => {
+    const onFilterChange = vi.fn();
+    renderEventLog(container, [createEntry('footstep'), createEntry('hit', { audio: 'sfx/punch.wav' })], { onFilterChange });
+    const search = container.querySelector('.event-log-filter');
+    search.value = 'punch';
+    search.dispatchEvent(new Event('input'));
+
+    expect(onFilterChange).toHaveBeenCalledWith('punch');
+    expect(visibleNames(container)).toEqual(['hit']);
+    expect(container.querySelector('h4').textContent).toBe('Events (1 of 2)');
+
+    appendEventLogEntry(container, createEntry('footstep'));
+    expect(visibleNames(container)).toEqual(['hit']);
+
+    applyEventLogFilter(container, '');
+    expect(visibleNames(container)).toEqual(['footstep', 'hit', 'footstep']);
+  });
+
+  it('should apply the initial filter', () => {
+    renderEventLog(container, [createEntry('footstep'), createEntry('hit')], { filter: 'hit' });
+    expect(container.querySelector('.event-log-filter').value).toBe('hit');
+    expect(visibleNames(container)).toEqual(['hit']);
+  });
+
+  it('should clear the list', () => {
+    const onClear = vi.fn();
+    renderEventLog(container, [createEntry('footstep')], { onClear });
+    container.querySelector('.event-log-clear').click();
+
+    expect(onClear).toHaveBeenCalled();
+    expect(container.querySelectorAll('.event-log-row')).toHaveLength(0);
+    expect(container.querySelector('.event-log-empty').hidden).toBe(false);
+  });
+});
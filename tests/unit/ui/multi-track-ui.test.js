@@ -243,3 +243,29 @@ describe('Multi-Track UI', () => {
   });
 });
 });
+
+describe('renderEventMarkers()', () => {
+  it('should escape event names from skeleton data', async () => {
+    const { initMultiTrackUI, renderEventMarkers } = await import('../../../src/ui/multi-track-ui.js');
+    const container = document.createElement('div');
+    const name = '<img src=x onerror="alert(1)"> &quot;&lt;';
+    const spineViewer = {
+      stopAnimation: vi.fn(),
+      spine: { state: { timeScale: 1.0 } },
+      getAnimationEvents: vi.fn(() => ({ duration: 1, events: [{ name, time: 0.5 }] }))
+    };
+    const { sequence } = initMultiTrackUI(container, { spineViewer });
+    const track = sequence.addTrack();
+    track.addSlot();
+    track.setAnimation(0, 'walk');
+
+    const host = document.createElement('div');
+    host.innerHTML = renderEventMarkers(track.slots[0]);
+
+    const markers = host.querySelectorAll('.slot-event-marker');
+    expect(markers).toHaveLength(1);
+    expect(host.querySelector('img')).toBeNull();
+    expect(markers[0].dataset.event).toBe(name);
+    expect(markers[0].title).toBe(`${name} @ 0.5s`);
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { renderRecentPanel, formatMegabytes } from '../../../src/ui/recent-panel.js';
+import { setLanguage } from '../../../src/utils/messages.js';
+
+const ENTRIES = [
+  { id: 'hero.json|hero.atlas', name: 'hero', size: 1.5 * 1024 * 1024, pageCount: 2, thumbnailUrl: 'blob:thumb/hero' },
+  { id: 'goblin.skel|goblin.atlas', name: 'goblin', size: 512 * 1024, pageCount: 1, thumbnailUrl: null }
+];
+
+describe('recent-panel', () => {
+  let container;
+
+  beforeEach(() => {
+    setLanguage('en');
+    container = document.createElement('div');
+  });
+
+  it('should format sizes in megabytes', () => {
+    expect(formatMegabytes(1.5 * 1024 * 1024)).toBe('1.5');
+    expect(formatMegabytes(0)).toBe('0');
+  });
+
+  it('should render one entry per bundle with usage and the active bundle', () => {
+    renderRecentPanel(container, ENTRIES, {
+      usage: { count: 2, totalSize: 2 * 1024 * 1024, maxBytes: 256 * 1024 * 1024 },
+      activeId: 'goblin.skel|goblin.atlas'
+    });
+
+    expect(container.querySelector('.recent-usage').textContent).toBe('2 saved · 2MB of 256MB');
+    const items = container.querySelectorAll('.recent-item');
+    expect(items).toHaveLength(2);
+    expect(items[0].querySelector('img').getAttribute('src')).toBe('blob:thumb/hero');
+    expect(items[0].querySelector('.recent-details').textContent).toBe('2 textures · 1.5MB');
+    expect(items[1].querySelector('img')).toBeNull();
+    expect(items[1].classList.contains('active')).toBe(true);
+  });
+
+  it('should call onOpen and onRemove with the bundle id', () => {
+    const onOpen = vi.fn();
+    const onRemove = vi.fn();
+    renderRecentPanel(container, ENTRIES, { onOpen, onRemove });
+
+    container.querySelectorAll('.recent-open')[1].click();
+    container.querySelector('.recent-remove').click();
+
+    expect(onOpen).toHaveBeenCalledWith('goblin.skel|goblin.atlas');
+    expect(onRemove).toHaveBeenCalledWith('hero.json|hero.atlas');
+  });
+
+  it('should show a hint when the library is empty', () => {
+    renderRecentPanel(container, []);
+    expect(container.querySelector('.recent-empty').textContent).toBe('Characters you open are kept here');
+    expect(container.querySelector('.recent-list')).toBeNull();
+  });
+});
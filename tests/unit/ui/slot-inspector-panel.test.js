@@ -0,0 +1,47 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { renderSlotInspector } from '../../../src/ui/slot-inspector-panel.js';
+import { setLanguage } from '../../../src/utils/messages.js';
+
+const SLOTS = [
+  { order: 0, index: 1, name: 'body', bone: 'hip', attachment: 'torso', attachmentType: 'mesh', color: '#ffffffff', darkColor: null, blendMode: 'normal' },
+  { order: 1, index: 0, name: 'hitbox', bone: 'root', attachment: null, attachmentType: null, color: '#ffffffff', darkColor: null, blendMode: 'normal' }
+];
+
+describe('slot-inspector-panel', () => {
+  let container;
+
+  beforeEach(() => {
+    setLanguage('en');
+    container = document.createElement('div');
+  });
+
+  it('should render one row per slot in draw order', () => {
+    renderSlotInspector(container, SLOTS, { selected: 'body' });
+
+    expect(container.querySelector('h4').textContent).toBe('Slots (2)');
+    const rows = container.querySelectorAll('tbody tr');
+    expect(rows).toHaveLength(2);
+    expect(Array.from(rows[0].cells).map(cell => cell.textContent)).toEqual(['0', 'body', 'hip', 'torso', 'Mesh', '#ffffffff', '—', 'normal']);
+    expect(rows[0].classList.contains('selected')).toBe(true);
+    expect(rows[1].classList.contains('empty')).toBe(true);
+  });
+
+  it('should select a row on click and deselect the selected row', () => {
+    const onSelect = vi.fn();
+    renderSlotInspector(container, SLOTS, { selected: 'body', onSelect });
+
+    const rows = container.querySelectorAll('tbody tr');
+    rows[1].click();
+    rows[0].click();
+    expect(onSelect.mock.calls).toEqual([['hitbox'], [null]]);
+  });
+
+  it('should show a message without slots', () => {
+    renderSlotInspector(container, []);
+    expect(container.querySelector('.slot-inspector-empty').textContent).toBe('No skeleton loaded');
+  });
+
+  it('should require a container', () => {
+    expect(() => renderSlotInspector(null, SLOTS)).toThrow('Container element is required');
+  });
+});
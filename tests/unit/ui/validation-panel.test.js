@@ -0,0 +1,47 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { renderValidationReport, formatLocation } from '../../../src/ui/validation-panel.js';
+import { validateSpineAssets } from '../../../src/utils/spineValidator.js';
+import { setLanguage } from '../../../src/utils/messages.js';
+
+describe('validation-panel', () => {
+  let container;
+
+  beforeEach(() => {
+    setLanguage('en');
+    container = document.createElement('div');
+  });
+
+  it('should format issue locations', () => {
+    expect(formatLocation({ file: 'hero.atlas', line: 12, page: 'hero.png', region: 'head' })).toBe('hero.atlas:12 · hero.png · head');
+    expect(formatLocation({ file: 'hero.json', skin: 'default', attachment: 'head', region: 'head' })).toBe('hero.json · default · head');
+  });
+
+  it('should render a summary and one row per issue', () => {
+    const report = validateSpineAssets({
+      atlasText: 'hero.png\nsize:64,64\nhead\nbody\n',
+      usedRegions: ['head'],
+      missingRegions: [{ skin: 'default', attachment: 'sword', region: 'sword' }]
+    });
+
+    renderValidationReport(container, report);
+
+    expect(container.querySelector('.validation-panel').classList.contains('invalid')).toBe(true);
+    expect(container.querySelector('.validation-summary').textContent).toBe('1 errors, 0 warnings, 1 notices');
+    const rows = container.querySelectorAll('.validation-issue');
+    expect(rows).toHaveLength(2);
+    expect(rows[0].classList.contains('severity-error')).toBe(true);
+    expect(rows[0].querySelector('.validation-message').textContent).toContain('sword');
+  });
+
+  it('should show a passed message for clean reports', () => {
+    renderValidationReport(container, validateSpineAssets({ atlasText: 'a.png\nhead\n', usedRegions: ['head'] }));
+    expect(container.querySelector('.validation-summary').textContent).toBe('No problems found');
+    expect(container.querySelector('.validation-issues')).toBeNull();
+  });
+
+  it('should clear the container without a report', () => {
+    container.innerHTML = '<p>old</p>';
+    renderValidationReport(container, null);
+    expect(container.innerHTML).toBe('');
+  });
+});
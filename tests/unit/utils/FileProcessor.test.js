@@ -0,0 +1,400 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { FileProcessor } from '../../../src/utils/FileProcessor.js';
+import { createZip } from '../../../src/utils/zipWriter.js';
+import { getFileCategory } from '../../../src/utils/fileValidator.js';
+import { setLanguage } from '../../../src/utils/messages.js';
+
+const HERO_ATLAS = [
+  '',
+  'hero.png',
+  'size: 512,512',
+  'format: RGBA8888',
+  'filter: Linear,Linear',
+  'repeat: none',
+  'head',
+  '  rotate: false',
+  '  xy: 2, 2',
+  '',
+  'hero2.png',
+  'size: 256,256',
+  'format: RGBA8888',
+  'filter: Linear,Linear',
+  'repeat: none',
+  'arm',
+  '  rotate: false'
+].join('\n');
+
+describe('FileProcessor', () => {
+  let processor;
+
+  beforeEach(() => {
+    processor = new FileProcessor();
+  });
+
+  describe('getAtlasPageNames()', () => {
+    it('should list the first line of every page block', () => {
+      expect(processor.getAtlasPageNames(HERO_ATLAS)).toEqual(['hero.png', 'hero2.png']);
+    });
+
+    it('should handle CRLF line endings and atlases without a leading blank line', () => {
+      expect(processor.getAtlasPageNames('a.png\r\nsize: 1,1\r\nregion\r\n\r\nb.png\r\n')).toEqual(['a.png', 'b.png']);
+    });
+  });
+
+  describe('matchAtlasPages()', () => {
+    it('should match pages case-insensitively without folders', () => {
+      const images = [
+        new File([''], 'HERO2.PNG'),
+        { name: 'hero.png', path: 'export/images/Hero.png' },
+        new File([''], 'extra.png')
+      ];
+
+      const { pages, missing, unused } = processor.matchAtlasPages(['images/hero.png', 'hero2.png'], images);
+      expect(pages.get('images/hero.png')).toBe(images[1]);
+      expect(pages.get('hero2.png')).toBe(images[0]);
+      expect(missing).toEqual([]);
+      expect(unused).toEqual([images[2]]);
+    });
+
+    it('should report missing pages', () => {
+      const images = [new File([''], 'hero.png')];
+      const { missing, unused } = processor.matchAtlasPages(['hero.png', 'hero2.png', 'hero3.png'], images);
+      expect(missing).toEqual(['hero2.png', 'hero3.png']);
+      expect(unused).toEqual([]);
+    });
+
+    it('should pair a single unmatched page with a single unused image', () => {
+      const images = [new File([''], 'hero.png'), new File([''], 'hero_renamed.png')];
+      const { pages, missing, unused } = processor.matchAtlasPages(['hero.png', 'hero2.png'], images);
+      expect(pages.get('hero2.png')).toBe(images[1]);
+      expect(missing).toEqual([]);
+      expect(unused).toEqual([]);
+    });
+  });
+
+  describe('processMultipleFiles()', () => {
+    let originalCreateObjectURL;
+
+    beforeEach(() => {
+      originalCreateObjectURL = URL.createObjectURL;
+      let count = 0;
+      URL.createObjectURL = vi.fn(() => `blob:test/${count++}`);
+    });
+
+    afterEach(() => {
+      URL.createObjectURL = originalCreateObjectURL;
+    });
+
+    it('should map textures to atlas pages and report missing and unused ones', async () => {
+      const files = [
+        new File(['{"bones":[]}'], 'hero.json', { type: 'application/json' }),
+        new File([HERO_ATLAS], 'hero.atlas'),
+        new File([''], 'Hero.png', { type: 'image/png' }),
+        new File([''], 'preview.jpg', { type: 'image/jpeg' }),
+        new File([''], 'icon.webp', { type: 'image/webp' })
+      ];
+
+      const result = await processor.processMultipleFiles(files);
+      expect(result.dependencies.textures.map(t => [t.name, t.page])).toEqual([
+        ['Hero.png', 'hero.png'],
+        ['preview.jpg', null],
+        ['icon.webp', null]
+      ]);
+      expect(result.dependencies.missingPages).toEqual(['hero2.png']);
+      expect(result.dependencies.unusedTextures).toEqual(['preview.jpg', 'icon.webp']);
+      expect(result.errors).toHaveLength(1);
+      expect(result.errors[0]).toContain('hero2.png');
+      expect(result.warnings).toHaveLength(1);
+      expect(result.warnings[0]).toContain('preview.jpg, icon.webp');
+    });
+
+    it('should not report extra images as errors', async () => {
+      const result = await processor.processMultipleFiles([
+        new File(['{"bones":[]}'], 'hero.json', { type: 'application/json' }),
+        new File(['\nhero.png\nsize: 1,1\n'], 'hero.atlas'),
+        new File([''], 'hero.png', { type: 'image/png' }),
+        new File([''], 'preview.png', { type: 'image/png' })
+      ]);
+      expect(result.errors).toEqual([]);
+      expect(result.dependencies.unusedTextures).toEqual(['preview.png']);
+      expect(result.warnings).toHaveLength(1);
+    });
+
+    it('should report progress for large archives and skeletons', async () => {
+      const chunked = new FileProcessor({ progressThreshold: 4, chunkSize: 64 });
+      const archive = new File([await createZip([
+        { name: 'hero/hero.json', data: '{"bones":[]}' },
+        { name: 'hero/hero.atlas', data: HERO_ATLAS }
+      ])], 'hero.zip', { type: 'application/zip' });
+      const onProgress = vi.fn();
+
+      const result = await chunked.processMultipleFiles([archive], { onProgress });
+      expect(result.mainFile).not.toBeNull();
+      const files = onProgress.mock.calls.map(([, , file]) => file.name);
+      expect(files).toContain('hero.zip');
+      expect(files[files.length - 1]).toBe('hero.json');
+      expect(onProgress).toHaveBeenLastCalledWith(12, 12, expect.any(File));
+    });
+
+    it('should report archives that cannot be read as errors', async () => {
+      const result = await processor.processMultipleFiles([
+        new File(['not a zip'], 'hero.zip', { type: 'application/zip' })
+      ]);
+      expect(result.mainFile).toBeNull();
+      expect(result.errors).toEqual(['Not a valid zip archive']);
+    });
+
+    it('should stop with an AbortError instead of collecting it', async () => {
+      const chunked = new FileProcessor({ progressThreshold: 4, chunkSize: 4 });
+      const controller = new AbortController();
+      const load = chunked.processMultipleFiles([
+        new File(['{"bones":[]}'], 'hero.json', { type: 'application/json' })
+      ], { signal: controller.signal, onProgress: () => controller.abort() });
+
+      await expect(load).rejects.toMatchObject({ name: 'AbortError' });
+    });
+  });
+
+  describe('readEntryTree()', () => {
+    // Helpers: minimal FileSystemEntry mocks
+    const fileEntry = (fullPath) => ({
+      isFile: true,
+      isDirectory: false,
+      fullPath,
+      file: (resolve) => resolve(new File(['x'], fullPath.split('/').pop()))
+    });
+    const directoryEntry = (fullPath, children) => ({
+      isFile: false,
+      isDirectory: true,
+      fullPath,
+      createReader: () => {
+        // Return children in batches of two, like browsers that page large folders
+        const batches = [children.slice(0, 2), children.slice(2), []];
+        return { readEntries: (resolve) => resolve(batches.shift() || []) };
+      }
+    });
+
+    it('should walk nested folders and keep relative paths', async () => {
+      const tree = directoryEntry('/hero', [
+        fileEntry('/hero/hero.json'),
+        fileEntry('/hero/hero.atlas'),
+        directoryEntry('/hero/images', [fileEntry('/hero/images/hero.png')])
+      ]);
+
+      const files = await processor.readEntryTree([tree, fileEntry('/notes.txt')]);
+      expect(files.map(f => f.path)).toEqual(['hero/hero.json', 'hero/hero.atlas', 'hero/images/hero.png', 'notes.txt']);
+      expect(files[2].file.name).toBe('hero.png');
+    });
+  });
+
+  describe('processFileTree()', () => {
+    const entry = (path, content) => ({ path, file: new File([content], path.split('/').pop()) });
+
+    it('should resolve atlas pages against the skeleton images folder', async () => {
+      const entries = [
+        entry('hero/export/hero.json', JSON.stringify({ skeleton: { images: './images/' }, bones: [] })),
+        entry('hero/export/hero.atlas', 'body.png\nsize: 1,1\n\nface.png\nsize: 1,1\n'),
+        entry('hero/export/images/body.png', ''),
+        entry('hero/export/images/face.png', ''),
+        entry('hero/old/face.png', '')
+      ];
+
+      const { bundles } = await processor.processFileTree(entries);
+      expect(bundles[0].pages.map(p => p.path)).toEqual(['hero/export/images/body.png', 'hero/export/images/face.png']);
+      expect(bundles[0].missing).toEqual([]);
+    });
+
+    it('should read the images path from JSON skeletons', () => {
+      expect(processor.getSkeletonImagesPath('{"skeleton":{"images":".\\\\textures\\\\"}}')).toBe('./textures/');
+      expect(processor.getSkeletonImagesPath('{"skeleton":{"images":""}}')).toBeNull();
+      expect(processor.getSkeletonImagesPath('not json')).toBeNull();
+    });
+
+    it('should name the source when no skeleton is found', async () => {
+      await expect(processor.processFileTree([entry('a.png', '')], 'dropped folder'))
+        .rejects.toThrow('No Spine skeleton found in dropped folder');
+    });
+  });
+
+  describe('isZipFile()', () => {
+    it('should detect zip files by extension or type', () => {
+      expect(processor.isZipFile(new File([''], 'export.ZIP'))).toBe(true);
+      expect(processor.isZipFile(new File([''], 'export', { type: 'application/zip' }))).toBe(true);
+      expect(processor.isZipFile(new File([''], 'hero.skel'))).toBe(false);
+    });
+  });
+
+  describe('extractZip()', () => {
+    it('should return files with their archive paths and skip folders and metadata', async () => {
+      const zip = await createZip([
+        { name: 'hero/', data: '' },
+        { name: 'hero/hero.png', data: new Uint8Array([1]) },
+        { name: '__MACOSX/hero/._hero.png', data: 'x' },
+        { name: 'hero/.DS_Store', data: 'x' }
+      ]);
+
+      const entries = await processor.extractZip(zip);
+      expect(entries.map(e => e.path)).toEqual(['hero/hero.png']);
+      expect(entries[0].file.name).toBe('hero.png');
+      expect(entries[0].file.type).toBe('image/png');
+    });
+  });
+
+  describe('processZipFile()', () => {
+    it('should pick the skeleton, atlas and every page texture by name', async () => {
+      const zip = await createZip([
+        { name: 'export/hero.json', data: '{"skeleton":{"spine":"3.8.99"},"bones":[]}' },
+        { name: 'export/hero.atlas', data: HERO_ATLAS },
+        { name: 'export/hero2.png', data: new Uint8Array([2]) },
+        { name: 'export/hero.png', data: new Uint8Array([1]) },
+        { name: 'export/settings.json', data: '{"scale":1}' }
+      ]);
+
+      const result = await processor.processZipFile(zip);
+      expect(result.ambiguous).toBe(false);
+      expect(result.bundles).toHaveLength(1);
+
+      const [bundle] = result.bundles;
+      expect(bundle.name).toBe('export/hero.json');
+      expect(bundle.atlas.path).toBe('export/hero.atlas');
+      expect(bundle.pages.map(p => [p.name, p.path])).toEqual([
+        ['hero.png', 'export/hero.png'],
+        ['hero2.png', 'export/hero2.png']
+      ]);
+      expect(bundle.missing).toEqual([]);
+    });
+
+    it('should report missing page textures', async () => {
+      const zip = await createZip([
+        { name: 'hero.skel', data: new Uint8Array([0, 1, 2]) },
+        { name: 'hero.atlas', data: HERO_ATLAS },
+        { name: 'hero.png', data: new Uint8Array([1]) }
+      ]);
+
+      const [bundle] = (await processor.processZipFile(zip)).bundles;
+      expect(bundle.pages.map(p => p.name)).toEqual(['hero.png']);
+      expect(bundle.missing).toEqual(['hero2.png']);
+    });
+
+    it('should report ambiguity and pair each skeleton with its own atlas', async () => {
+      const zip = await createZip([
+        { name: 'hero.skel', data: new Uint8Array([0]) },
+        { name: 'hero.atlas', data: 'hero.png\nsize: 1,1\n' },
+        { name: 'hero.png', data: new Uint8Array([1]) },
+        { name: 'goblin/goblin.skel', data: new Uint8Array([0]) },
+        { name: 'goblin/goblins.atlas', data: 'goblin.png\nsize: 1,1\n' },
+        { name: 'goblin/goblin.png', data: new Uint8Array([1]) }
+      ]);
+
+      const result = await processor.processZipFile(zip);
+      expect(result.ambiguous).toBe(true);
+      expect(result.bundles.map(b => [b.name, b.atlas.path])).toEqual([
+        ['hero.skel', 'hero.atlas'],
+        ['goblin/goblin.skel', 'goblin/goblins.atlas']
+      ]);
+      expect(result.bundles[1].pages[0].path).toBe('goblin/goblin.png');
+    });
+
+    it('should throw when the archive has no skeleton', async () => {
+      const zip = new File([await createZip([{ name: 'readme.txt', data: 'hi' }])], 'art.zip');
+      await expect(processor.processZipFile(zip)).rejects.toThrow('No Spine skeleton found in archive art.zip');
+    });
+  });
+
+  describe('size limits', () => {
+    beforeEach(() => {
+      setLanguage('en');
+    });
+
+    it('should map file names to size categories', () => {
+      expect(getFileCategory('hero.skel')).toBe('skeleton');
+      expect(getFileCategory('hero.atlas.txt')).toBe('atlas');
+      expect(getFileCategory('hero.webp')).toBe('texture');
+      expect(getFileCategory('export.zip')).toBe('archive');
+      expect(getFileCategory('readme.txt')).toBeNull();
+    });
+
+    it('should check files against the limit of their category', () => {
+      processor.setSizeLimits({ texture: 4 });
+      expect(() => processor.checkFileSize(new File(['1234'], 'hero.png'))).not.toThrow();
+      expect(() => processor.checkFileSize(new File(['12345'], 'hero.png'))).toThrow('limit for texture files');
+      expect(() => processor.checkFileSize(new File(['12345'], 'hero.atlas'))).not.toThrow();
+    });
+
+    it('should accept limits in the constructor and reject invalid ones', () => {
+      const custom = new FileProcessor({ sizeLimits: { skeleton: 100 } });
+      expect(custom.getSizeLimit('skeleton')).toBe(100);
+      expect(custom.getSizeLimit('atlas')).toBeGreaterThan(100);
+      expect(() => custom.setSizeLimits({ audio: 1 })).toThrow('Unknown file category: audio');
+      expect(() => custom.setSizeLimits({ atlas: -1 })).toThrow('Invalid size limit for atlas');
+    });
+
+    it('should use the skeleton limit when processing a skeleton', async () => {
+      processor.setSizeLimits({ skeleton: 2 });
+      const file = new File(['{"bones":[]}'], 'hero.json', { type: 'application/json' });
+      await expect(processor.processSpineFile(file)).rejects.toThrow('exceeds maximum limit');
+    });
+
+    it('should report oversized files from processMultipleFiles', async () => {
+      processor.setSizeLimits({ atlas: 1 });
+      const result = await processor.processMultipleFiles([
+        new File(['{}'], 'hero.json', { type: 'application/json' }),
+        new File([HERO_ATLAS], 'hero.atlas')
+      ]);
+      expect(result.errors[0]).toContain('hero.atlas');
+    });
+  });
+
+  describe('readFileChunked()', () => {
+    const file = new File(['hello chunked world'], 'hero.json', { type: 'application/json' });
+
+    it('should read in slices and report progress after each one', async () => {
+      const progress = [];
+      const text = await processor.readFileChunked(file, {
+        chunkSize: 8,
+        onProgress: (loaded, total) => progress.push([loaded, total])
+      });
+      expect(text).toBe('hello chunked world');
+      expect(progress).toEqual([[8, 19], [16, 19], [19, 19]]);
+    });
+
+    it('should return array buffers and data URLs', async () => {
+      const buffer = await processor.readFileChunked(file, { as: 'arraybuffer', chunkSize: 5 });
+      expect(new TextDecoder().decode(buffer)).toBe('hello chunked world');
+
+      const dataUrl = await processor.readFileChunked(new File(['hi'], 'a.png', { type: 'image/png' }), { as: 'dataurl' });
+      expect(dataUrl).toBe('data:image/png;base64,aGk=');
+    });
+
+    it('should stop with an AbortError when the signal is aborted', async () => {
+      const controller = new AbortController();
+      const read = processor.readFileChunked(file, {
+        chunkSize: 4,
+        signal: controller.signal,
+        onProgress: (loaded) => {
+          if (loaded >= 8) controller.abort();
+        }
+      });
+      await expect(read).rejects.toMatchObject({ name: 'AbortError' });
+    });
+
+    it('should be used for files above the progress threshold', async () => {
+      const originalCreateObjectURL = URL.createObjectURL;
+      URL.createObjectURL = vi.fn(() => 'blob:test/hero');
+      const chunked = new FileProcessor({ progressThreshold: 4, chunkSize: 4 });
+      const callback = vi.fn();
+      chunked.setProgressCallback(callback);
+      const onProgress = vi.fn();
+
+      try {
+        await chunked.processSpineFile(new File(['{"bones":[]}'], 'hero.json', { type: 'application/json' }), { onProgress });
+      } finally {
+        URL.createObjectURL = originalCreateObjectURL;
+      }
+
+      expect(onProgress).toHaveBeenCalledTimes(3);
+      expect(callback).toHaveBeenCalledWith(0, 'hero.json');
+      expect(callback).toHaveBeenLastCalledWith(100, 'hero.json');
+    });
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { inflateSync } from 'node:zlib';
+import { encodeApng, zlibStore } from '../../../src/utils/apngEncoder.js';
+
+// Helper: split PNG bytes into {type, data} chunks
+function readChunks(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  let offset = 8;
+  while (offset < bytes.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + length) });
+    offset += 12 + length;
+  }
+  return chunks;
+}
+
+function solidFrame(width, height, rgba, delay) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) data.set(rgba, i);
+  return { data, delay };
+}
+
+describe('apngEncoder', () => {
+  describe('zlibStore()', () => {
+    it('should produce a valid zlib stream across block boundaries', () => {
+      const input = new Uint8Array(70000).map((_, i) => i % 251);
+      expect(Buffer.from(inflateSync(zlibStore(input)))).toEqual(Buffer.from(input));
+    });
+  });
+
+  describe('encodeApng()', () => {
+    it('should write an animation control chunk and one frame per input', async () => {
+      const bytes = await encodeApng([
+        solidFrame(3, 2, [255, 0, 0, 128], 1000 / 30),
+        solidFrame(3, 2, [0, 255, 0, 255], 1000 / 30)
+      ], { width: 3, height: 2, loop: 2 });
+
+      expect(Array.from(bytes.subarray(0, 8))).toEqual([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+      const chunks = readChunks(bytes);
+      expect(chunks.map(c => c.type)).toEqual(['IHDR', 'acTL', 'fcTL', 'IDAT', 'fcTL', 'fdAT', 'IEND']);
+
+      const acTL = new DataView(chunks[1].data.buffer, chunks[1].data.byteOffset);
+      expect(acTL.getUint32(0)).toBe(2);
+      expect(acTL.getUint32(4)).toBe(2);
+
+      // Sequence numbers run across fcTL and fdAT chunks
+      const sequenceOf = (chunk) => new DataView(chunk.data.buffer, chunk.data.byteOffset).getUint32(0);
+      expect([chunks[2], chunks[4], chunks[5]].map(sequenceOf)).toEqual([0, 1, 2]);
+
+      const fcTL = new DataView(chunks[2].data.buffer, chunks[2].data.byteOffset);
+      expect(fcTL.getUint16(20) / fcTL.getUint16(22)).toBeCloseTo(0.033, 3);
+    });
+
+    it('should store unfiltered RGBA scanlines', async () => {
+      const bytes = await encodeApng([solidFrame(2, 1, [10, 20, 30, 40], 100)], { width: 2, height: 1 });
+      const idat = readChunks(bytes).find(c => c.type === 'IDAT');
+
+      expect(Array.from(inflateSync(idat.data))).toEqual([0, 10, 20, 30, 40, 10, 20, 30, 40]);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+import { buildBoneTree, describeBoneTransform, describeBoneTransforms } from '../../../src/utils/boneHierarchy.js';
+
+function createBoneData(name, parent = null) {
+  return { name, parent };
+}
+
+function createBone(data, world = {}) {
+  return {
+    data,
+    x: 10, y: -5, rotation: 30, scaleX: 1, scaleY: 2, shearX: 0, shearY: 0,
+    a: 1, b: 0, c: 0, d: 1, worldX: 0, worldY: 0,
+    ...world
+  };
+}
+
+describe('boneHierarchy', () => {
+  describe('buildBoneTree()', () => {
+    it('should nest bones under their parents', () => {
+      const root = createBoneData('root');
+      const hip = createBoneData('hip', root);
+      const torso = createBoneData('torso', hip);
+      const leg = createBoneData('leg', hip);
+
+      expect(buildBoneTree([root, hip, torso, leg].map(data => createBone(data)))).toEqual([
+        { name: 'root', children: [{ name: 'hip', children: [{ name: 'torso', children: [] }, { name: 'leg', children: [] }] }] }
+      ]);
+    });
+
+    it('should accept bone data and return no nodes without bones', () => {
+      const root = createBoneData('root');
+      expect(buildBoneTree([root, createBoneData('tail', root)])[0].children[0].name).toBe('tail');
+      expect(buildBoneTree()).toEqual([]);
+    });
+  });
+
+  describe('describeBoneTransform()', () => {
+    it('should copy the local values', () => {
+      expect(describeBoneTransform(createBone(createBoneData('root'))).local).toEqual({
+        x: 10, y: -5, rotation: 30, scaleX: 1, scaleY: 2, shearX: 0, shearY: 0
+      });
+    });
+
+    it('should derive world rotation, scale and shear from the world matrix', () => {
+      // Rotated 90°, scaled 2 on X, Y axis sheared 30° towards X
+      const angle = Math.PI / 2;
+      const yAngle = angle + Math.PI / 2 + Math.PI / 6;
+      const bone = createBone(createBoneData('arm'), {
+        a: 2 * Math.cos(angle), c: 2 * Math.sin(angle),
+        b: Math.cos(yAngle), d: Math.sin(yAngle),
+        worldX: 4, worldY: 8
+      });
+
+      const { world } = describeBoneTransform(bone);
+      expect(world.x).toBe(4);
+      expect(world.y).toBe(8);
+      expect(world.rotation).toBeCloseTo(90);
+      expect(world.scaleX).toBeCloseTo(2);
+      expect(world.scaleY).toBeCloseTo(1);
+      expect(world.shearY).toBeCloseTo(30);
+    });
+  });
+
+  it('should describe every bone by name', () => {
+    const root = createBoneData('root');
+    const transforms = describeBoneTransforms({ bones: [createBone(root), createBone(createBoneData('hip', root))] });
+    expect(Object.keys(transforms)).toEqual(['root', 'hip']);
+    expect(describeBoneTransforms(null)).toEqual({});
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, it, expect } from 'vitest';
+import {
+  CONSTRAINT_TYPES,
+  getConstraintMixKeys,
+  isMixKey,
+  findConstraint,
+  describeConstraints,
+  constraintKey,
+  getBoneTip,
+  getBendIndicator
+} from '../../../src/utils/constraints.js';
+
+function bone(name, props = {}) {
+  return { data: { name, length: props.length || 0 }, worldX: 0, worldY: 0, a: 1, c: 0, ...props };
+}
+
+function createSkeleton() {
+  const upper = bone('upper');
+  const lower = bone('lower');
+  const target = bone('target');
+  return {
+    ikConstraints: [
+      { data: { name: 'leg', order: 0 }, bones: [upper, lower], target, mix: 1, softness: 0, bendDirection: -1 }
+    ],
+    transformConstraints: [
+      { data: { name: 'follow', order: 1 }, bones: [lower], target: upper,
+        mixRotate: 0.5, mixX: 1, mixY: 1, mixScaleX: 0, mixScaleY: 0, mixShearY: 0 }
+    ],
+    pathConstraints: [
+      { data: { name: 'tail', order: 2 }, bones: [upper], target: { data: { name: 'tail-path' } },
+        mixRotate: 1, mixX: 1, mixY: 1, position: 0.25, spacing: 10 }
+    ]
+  };
+}
+
+describe('constraints', () => {
+  describe('getConstraintMixKeys', () => {
+    it('should list the values a 4.x constraint has', () => {
+      const skeleton = createSkeleton();
+      expect(getConstraintMixKeys('ik', skeleton.ikConstraints[0])).toEqual(['mix', 'softness']);
+      expect(getConstraintMixKeys('transform', skeleton.transformConstraints[0]))
+        .toEqual(['mixRotate', 'mixX', 'mixY', 'mixScaleX', 'mixScaleY', 'mixShearY']);
+      expect(getConstraintMixKeys('path', skeleton.pathConstraints[0]))
+        .toEqual(['mixRotate', 'mixX', 'mixY', 'position', 'spacing']);
+    });
+
+    it('should list 3.x mix names', () => {
+      const constraint = { rotateMix: 1, translateMix: 0.5, scaleMix: 0, shearMix: 0 };
+      expect(getConstraintMixKeys('transform', constraint))
+        .toEqual(['rotateMix', 'translateMix', 'scaleMix', 'shearMix']);
+    });
+
+    it('should reject unknown types', () => {
+      expect(() => getConstraintMixKeys('physics', {})).toThrow('Unknown constraint type: physics');
+    });
+  });
+
+  it('should tell mixes from other values', () => {
+    expect(isMixKey('mix')).toBe(true);
+    expect(isMixKey('mixRotate')).toBe(true);
+    expect(isMixKey('translateMix')).toBe(true);
+    expect(isMixKey('softness')).toBe(false);
+    expect(isMixKey('spacing')).toBe(false);
+  });
+
+  describe('findConstraint', () => {
+    it('should use the skeleton find methods when present', () => {
+      const constraint = { data: { name: 'leg' } };
+      const skeleton = { findIkConstraint: name => (name === 'leg' ? constraint : null) };
+      expect(findConstraint(skeleton, 'ik', 'leg')).toBe(constraint);
+      expect(findConstraint(skeleton, 'ik', 'arm')).toBeNull();
+    });
+
+    it('should search the constraint lists otherwise', () => {
+      const skeleton = createSkeleton();
+      expect(findConstraint(skeleton, 'path', 'tail')).toBe(skeleton.pathConstraints[0]);
+      expect(findConstraint(skeleton, 'transform', 'missing')).toBeNull();
+    });
+  });
+
+  describe('describeConstraints', () => {
+    it('should return an empty list without a skeleton', () => {
+      expect(describeConstraints(null)).toEqual([]);
+    });
+
+    it('should describe bones, targets and mix values', () => {
+      const [ik, transform, path] = describeConstraints(createSkeleton());
+      expect(ik).toEqual({
+        type: 'ik', name: 'leg', order: 0, bones: ['upper', 'lower'], target: 'target',
+        bendDirection: -1, mix: { mix: 1, softness: 0 }, overrides: {}
+      });
+      expect(transform.target).toBe('upper');
+      expect(transform).not.toHaveProperty('bendDirection');
+      expect(path.target).toBe('tail-path');
+      expect(path.mix.spacing).toBe(10);
+    });
+
+    it('should include overrides', () => {
+      const overrides = new Map([[constraintKey('ik', 'leg'), { type: 'ik', name: 'leg', values: { mix: 0.25 } }]]);
+      const [ik, transform] = describeConstraints(createSkeleton(), overrides);
+      expect(ik.overrides).toEqual({ mix: 0.25 });
+      expect(transform.overrides).toEqual({});
+    });
+  });
+
+  it('should build constraint keys', () => {
+    expect(constraintKey('ik', 'leg')).toBe('ik:leg');
+    expect(CONSTRAINT_TYPES).toEqual(['ik', 'transform', 'path']);
+  });
+
+  it('should find the tip of a bone', () => {
+    const tip = getBoneTip(bone('arm', { length: 10, worldX: 5, worldY: 2, a: 0, c: 1 }));
+    expect(tip).toEqual({ x: 5, y: 12 });
+  });
+
+  it('should point the bend indicator to the bend side', () => {
+    const start = { x: 0, y: 0 };
+    const end = { x: 10, y: 0 };
+    const joint = { x: 5, y: 0 };
+    expect(getBendIndicator(start, end, joint, 1, 4)).toEqual({ x1: 5, y1: 0, x2: 5, y2: 4 });
+    expect(getBendIndicator(start, end, joint, -1, 4)).toEqual({ x1: 5, y1: 0, x2: 5, y2: -4 });
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEBUG_OVERLAYS,
+  checkOverlayName,
+  parseColor,
+  hslToHex,
+  mixColor,
+  getVertexWeights,
+  getVertexWeight,
+  getPathCurves
+} from '../../../src/utils/debugOverlays.js';
+
+describe('debugOverlays', () => {
+  it('should accept known overlays only', () => {
+    DEBUG_OVERLAYS.forEach(overlay => expect(() => checkOverlayName(overlay)).not.toThrow());
+    expect(() => checkOverlayName('bones')).toThrow('Unknown debug overlay: bones');
+  });
+
+  describe('colors', () => {
+    it('should parse numbers and hex strings', () => {
+      expect(parseColor(0x123456)).toBe(0x123456);
+      expect(parseColor('#ff8800')).toBe(0xff8800);
+      expect(parseColor(' #f80 ')).toBe(0xff8800);
+      expect(() => parseColor('orange')).toThrow('Invalid color: orange');
+      expect(() => parseColor(-1)).toThrow('Invalid color');
+    });
+
+    it('should convert HSL and mix colors', () => {
+      expect(hslToHex(0, 100, 50)).toBe(0xff0000);
+      expect(hslToHex(120, 100, 25)).toBe(0x008000);
+      expect(mixColor(0x000000, 0xffffff, 0.5)).toBe(0x808080);
+      expect(mixColor(0x0000ff, 0xff0000, 2)).toBe(0xff0000);
+    });
+  });
+
+  describe('vertex weights', () => {
+    it('should give every vertex of an unweighted mesh to the slot bone', () => {
+      const weights = getVertexWeights({ worldVerticesLength: 4, bones: null, vertices: [0, 0, 1, 1] }, 3);
+      expect(weights).toEqual([[{ bone: 3, weight: 1 }], [{ bone: 3, weight: 1 }]]);
+    });
+
+    it('should read influences of weighted meshes', () => {
+      const mesh = {
+        worldVerticesLength: 4,
+        bones: [2, 1, 4, 1, 4],
+        vertices: [0, 0, 0.25, 5, 5, 0.75, 1, 1, 1]
+      };
+      const weights = getVertexWeights(mesh, 0);
+
+      expect(weights).toEqual([
+        [{ bone: 1, weight: 0.25 }, { bone: 4, weight: 0.75 }],
+        [{ bone: 4, weight: 1 }]
+      ]);
+      expect(getVertexWeight(weights[0], 1)).toBe(0.25);
+      expect(getVertexWeight(weights[1], 1)).toBe(0);
+      expect(getVertexWeight(weights[0], null)).toBe(0.75);
+    });
+  });
+
+  describe('getPathCurves()', () => {
+    // Two control points as (handle in, point, handle out)
+    const world = [-1, 0, 0, 0, 1, 1, 9, 1, 10, 0, 11, 0];
+
+    it('should join consecutive points with Bézier curves', () => {
+      expect(getPathCurves(world, false)).toEqual([
+        { x1: 0, y1: 0, cx1: 1, cy1: 1, cx2: 9, cy2: 1, x2: 10, y2: 0 }
+      ]);
+    });
+
+    it('should close the path back to the first point', () => {
+      const curves = getPathCurves(world, true);
+      expect(curves).toHaveLength(2);
+      expect(curves[1]).toEqual({ x1: 10, y1: 0, cx1: 11, cy1: 0, cx2: -1, cy2: 0, x2: 0, y2: 0 });
+      expect(getPathCurves([0, 0], false)).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isAudioFile,
+  getEventAudioPaths,
+  matchAudioFiles,
+  volumeToGain,
+  balanceToPan
+} from '../../../src/utils/eventAudio.js';
+
+function entry(path) {
+  return { path, file: { name: path.substring(path.lastIndexOf('/') + 1) } };
+}
+
+describe('eventAudio', () => {
+  it('should recognize audio files', () => {
+    expect(isAudioFile('sfx/step.wav')).toBe(true);
+    expect(isAudioFile('music.OGG')).toBe(true);
+    expect(isAudioFile('hero.png')).toBe(false);
+  });
+
+  it('should list the audio paths of events', () => {
+    const skeletonData = {
+      events: [
+        { name: 'step', audioPath: 'sfx/step.wav' },
+        { name: 'hit', audioPath: null },
+        { name: 'step-2', audioPath: 'sfx/step.wav' },
+        { name: 'attack', audioPath: 'attack.mp3' }
+      ]
+    };
+    expect(getEventAudioPaths(skeletonData)).toEqual(['attack.mp3', 'sfx/step.wav']);
+    expect(getEventAudioPaths(null)).toEqual([]);
+  });
+
+  describe('matchAudioFiles', () => {
+    it('should match paths below the selected folder or archive', () => {
+      const entries = [entry('audio/sfx/step.wav'), entry('audio/attack.mp3'), entry('images/hero.png')];
+      const { files, missing, unused } = matchAudioFiles(entries, ['sfx/step.wav', './attack.mp3']);
+
+      expect(files.get('sfx/step.wav')).toBe(entries[0].file);
+      expect(files.get('./attack.mp3')).toBe(entries[1].file);
+      expect(missing).toEqual([]);
+      expect(unused).toEqual([]);
+    });
+
+    it('should match case-insensitively and with backslashes', () => {
+      const entries = [entry('Audio/SFX/Step.WAV')];
+      expect(matchAudioFiles(entries, ['sfx\\step.wav']).files.size).toBe(1);
+    });
+
+    it('should fall back to a unique file name', () => {
+      const entries = [entry('sounds/step.wav')];
+      expect(matchAudioFiles(entries, ['sfx/step.wav']).files.get('sfx/step.wav')).toBe(entries[0].file);
+    });
+
+    it('should not guess between files with the same name', () => {
+      const entries = [entry('a/step.wav'), entry('b/step.wav')];
+      const { files, missing, unused } = matchAudioFiles(entries, ['sfx/step.wav']);
+      expect(files.size).toBe(0);
+      expect(missing).toEqual(['sfx/step.wav']);
+      expect(unused).toEqual(['a/step.wav', 'b/step.wav']);
+    });
+
+    it('should report missing and unused files', () => {
+      const { missing, unused } = matchAudioFiles([entry('music.ogg')], ['step.wav']);
+      expect(missing).toEqual(['step.wav']);
+      expect(unused).toEqual(['music.ogg']);
+    });
+  });
+
+  it('should convert volume and balance', () => {
+    expect(volumeToGain(0.5)).toBe(0.5);
+    expect(volumeToGain(-1)).toBe(0);
+    expect(volumeToGain(undefined)).toBe(1);
+    expect(balanceToPan(-0.25)).toBe(-0.25);
+    expect(balanceToPan(3)).toBe(1);
+    expect(balanceToPan(NaN)).toBe(0);
+  });
+});
@@ -0,0 +1,147 @@
+import { describe, it, expect } from 'vitest';
+import { encodeGif, lzwEncode, quantize, toCentiseconds } from '../../../src/utils/gifEncoder.js';
+
+// Reference GIF LZW decoder (sub-blocks already included in the encoded bytes)
+function lzwDecode(bytes) {
+  const minCodeSize = bytes[0];
+  const data = [];
+  let offset = 1;
+  while (bytes[offset] !== 0) {
+    const length = bytes[offset];
+    data.push(...bytes.slice(offset + 1, offset + 1 + length));
+    offset += length + 1;
+  }
+
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  let codeSize = minCodeSize + 1;
+  let dictionary = [];
+  let previous = null;
+  const output = [];
+  let bitPosition = 0;
+
+  const reset = () => {
+    dictionary = [];
+    for (let i = 0; i < clearCode; i++) dictionary[i] = [i];
+    dictionary[clearCode] = [];
+    dictionary[endCode] = [];
+    codeSize = minCodeSize + 1;
+    previous = null;
+  };
+  reset();
+
+  while (bitPosition + codeSize <= data.length * 8) {
+    let code = 0;
+    for (let i = 0; i < codeSize; i++) {
+      const bit = (data[(bitPosition + i) >> 3] >> ((bitPosition + i) & 7)) & 1;
+      code |= bit << i;
+    }
+    bitPosition += codeSize;
+
+    if (code === clearCode) {
+      reset();
+      continue;
+    }
+    if (code === endCode) {
+      break;
+    }
+
+    let entry;
+    if (code < dictionary.length) {
+      entry = dictionary[code];
+      if (previous) dictionary.push([...previous, entry[0]]);
+    } else {
+      entry = [...previous, previous[0]];
+      dictionary.push(entry);
+    }
+    output.push(...entry);
+    previous = entry;
+
+    if (dictionary.length === (1 << codeSize) && codeSize < 12) {
+      codeSize++;
+    }
+  }
+  return output;
+}
+
+function solidFrame(width, height, rgba, delay = 100) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) data.set(rgba, i);
+  return { data, delay };
+}
+
+describe('gifEncoder', () => {
+  describe('toCentiseconds()', () => {
+    it('should keep the total duration while rounding each frame', () => {
+      const delays = toCentiseconds(Array(30).fill(1000 / 30));
+      expect(delays.reduce((sum, delay) => sum + delay, 0)).toBe(100);
+      expect(new Set(delays)).toEqual(new Set([3, 4]));
+    });
+  });
+
+  describe('lzwEncode()', () => {
+    it('should round-trip short runs', () => {
+      const indices = Uint8Array.from([0, 1, 1, 1, 2, 3, 0, 0, 0, 0, 1]);
+      expect(lzwDecode(lzwEncode(indices, 2))).toEqual(Array.from(indices));
+    });
+
+    it('should round-trip data that fills the code table', () => {
+      // Pseudo-random data forces code width growth and at least one table reset
+      const indices = new Uint8Array(40000);
+      let seed = 7;
+      for (let i = 0; i < indices.length; i++) {
+        seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+        indices[i] = (seed >> 16) & 0xff;
+      }
+
+      expect(lzwDecode(lzwEncode(indices, 8))).toEqual(Array.from(indices));
+    });
+  });
+
+  describe('quantize()', () => {
+    it('should give each distinct color its own entry when under the limit', () => {
+      const data = Uint8ClampedArray.from([255, 0, 0, 255, 0, 0, 255, 255, 255, 0, 0, 255]);
+      const { palette } = quantize([data], 256);
+
+      expect(palette).toHaveLength(2);
+      expect(palette).toContainEqual([252, 4, 4]);
+    });
+
+    it('should limit the palette size', () => {
+      const data = new Uint8ClampedArray(256 * 4);
+      for (let i = 0; i < 256; i++) data.set([i, 255 - i, (i * 7) & 255, 255], i * 4);
+
+      expect(quantize([data], 16).palette.length).toBeLessThanOrEqual(16);
+    });
+  });
+
+  describe('encodeGif()', () => {
+    it('should write a looping GIF89a with one image per frame', () => {
+      const bytes = encodeGif([
+        solidFrame(4, 2, [255, 0, 0, 255]),
+        solidFrame(4, 2, [0, 0, 255, 255])
+      ], { width: 4, height: 2, loop: 0 });
+
+      const text = String.fromCharCode(...bytes);
+      expect(text.startsWith('GIF89a')).toBe(true);
+      expect(bytes[6] | (bytes[7] << 8)).toBe(4);
+      expect(bytes[8] | (bytes[9] << 8)).toBe(2);
+      expect(text).toContain('NETSCAPE2.0');
+      expect(bytes[bytes.length - 1]).toBe(0x3b);
+      expect(bytes.filter((byte, i) => byte === 0x21 && bytes[i + 1] === 0xf9)).toHaveLength(2);
+    });
+
+    it('should write the delay and transparency in the graphic control block', () => {
+      const bytes = encodeGif([solidFrame(2, 2, [0, 0, 0, 0], 250)], { width: 2, height: 2, loop: 1 });
+      const gce = bytes.findIndex((byte, i) => byte === 0x21 && bytes[i + 1] === 0xf9);
+
+      expect(String.fromCharCode(...bytes)).not.toContain('NETSCAPE2.0');
+      expect(bytes[gce + 3] & 1).toBe(1); // transparent color flag
+      expect(bytes[gce + 4] | (bytes[gce + 5] << 8)).toBe(25);
+    });
+
+    it('should reject missing frames', () => {
+      expect(() => encodeGif([], { width: 1, height: 1 })).toThrow('No frames provided for GIF encoding');
+    });
+  });
+});
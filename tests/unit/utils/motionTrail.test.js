@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_MOTION_TRAIL_OPTIONS,
+  normalizeMotionTrailOptions,
+  sampleBoneTrails,
+  computeTrailSegments,
+  computeTrailTicks,
+  velocityColor
+} from '../../../src/utils/motionTrail.js';
+
+// A skeleton whose "hand" bone moves 10 units per second along x
+function createPoseAt() {
+  const hand = { worldX: 0, worldY: 5 };
+  const skeleton = { findBone: name => (name === 'hand' ? hand : null) };
+  return (time) => {
+    hand.worldX = time * 10;
+    return skeleton;
+  };
+}
+
+describe('motionTrail', () => {
+  describe('normalizeMotionTrailOptions()', () => {
+    it('should fill in defaults and merge into a base', () => {
+      expect(normalizeMotionTrailOptions()).toEqual(DEFAULT_MOTION_TRAIL_OPTIONS);
+      const base = normalizeMotionTrailOptions({ fps: 60 });
+      expect(normalizeMotionTrailOptions({ maxSpeed: 200 }, base)).toMatchObject({ fps: 60, maxSpeed: 200 });
+    });
+
+    it('should reject out of range values', () => {
+      expect(() => normalizeMotionTrailOptions({ fps: 0 })).toThrow('Invalid motion trail fps');
+      expect(() => normalizeMotionTrailOptions({ tickInterval: -1 })).toThrow('Invalid motion trail tickInterval');
+      expect(() => normalizeMotionTrailOptions({ maxSpeed: 0 })).toThrow('Invalid motion trail maxSpeed');
+      expect(() => normalizeMotionTrailOptions({ alpha: 2 })).toThrow('Invalid motion trail alpha');
+    });
+  });
+
+  describe('sampleBoneTrails()', () => {
+    it('should sample each bone from the start to the end of the animation', () => {
+      const trails = sampleBoneTrails(createPoseAt(), ['hand', 'missing'], { duration: 1, fps: 4 });
+
+      expect([...trails.keys()]).toEqual(['hand']);
+      expect(trails.get('hand')).toEqual([0, 0.25, 0.5, 0.75, 1].map(time => ({ time, x: time * 10, y: 5 })));
+    });
+
+    it('should take a single sample of zero-length animations', () => {
+      const trails = sampleBoneTrails(createPoseAt(), ['hand'], { duration: 0 });
+      expect(trails.get('hand')).toEqual([{ time: 0, x: 0, y: 5 }]);
+    });
+  });
+
+  describe('computeTrailSegments()', () => {
+    const points = [{ time: 0, x: 0, y: 0 }, { time: 0.5, x: 3, y: 4 }, { time: 1, x: 3, y: 4 }];
+
+    it('should compute the speed of every segment', () => {
+      const segments = computeTrailSegments(points);
+      expect(segments).toHaveLength(2);
+      expect(segments[0]).toEqual({ x1: 0, y1: 0, x2: 3, y2: 4, speed: 10 });
+      expect(segments[1].speed).toBe(0);
+    });
+
+    it('should scale speeds with the playback speed', () => {
+      expect(computeTrailSegments(points, 2)[0].speed).toBe(20);
+    });
+  });
+
+  describe('computeTrailTicks()', () => {
+    const points = sampleBoneTrails(createPoseAt(), ['hand'], { duration: 1, fps: 10 }).get('hand');
+
+    it('should place ticks at equal playback intervals with a normal to the path', () => {
+      const ticks = computeTrailTicks(points, 0.25);
+      expect(ticks).toHaveLength(5);
+      ticks.forEach((tick, index) => {
+        expect(tick.time).toBeCloseTo(index * 0.25);
+        expect(tick.x).toBeCloseTo(index * 2.5);
+        expect(tick.y).toBe(5);
+        expect(tick.nx).toBeCloseTo(0);
+        expect(tick.ny).toBeCloseTo(1);
+      });
+    });
+
+    it('should space ticks further apart in animation time at higher speeds', () => {
+      expect(computeTrailTicks(points, 0.25, 2).map(tick => tick.time)).toEqual([0, 0.5, 1]);
+    });
+
+    it('should return no ticks for a zero interval or a single point', () => {
+      expect(computeTrailTicks(points, 0)).toEqual([]);
+      expect(computeTrailTicks(points.slice(0, 1), 0.25)).toEqual([]);
+    });
+  });
+
+  describe('velocityColor()', () => {
+    it('should interpolate between the slow and fast colors', () => {
+      expect(velocityColor(0, 100, 0x000000, 0xffffff)).toBe(0x000000);
+      expect(velocityColor(100, 100, 0x000000, 0xffffff)).toBe(0xffffff);
+      expect(velocityColor(50, 100, 0x0000ff, 0xff0000)).toBe(0x800080);
+    });
+
+    it('should clamp to the fast color and use the slow color without a maximum', () => {
+      expect(velocityColor(500, 100, 0x0000ff, 0xff0000)).toBe(0xff0000);
+      expect(velocityColor(10, 0, 0x0000ff, 0xff0000)).toBe(0x0000ff);
+    });
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_ONION_SKIN_OPTIONS,
+  normalizeOnionSkinOptions,
+  computeGhostFrames
+} from '../../../src/utils/onionSkin.js';
+
+describe('onionSkin', () => {
+  describe('normalizeOnionSkinOptions()', () => {
+    it('should fill in defaults and merge into a base', () => {
+      expect(normalizeOnionSkinOptions()).toEqual(DEFAULT_ONION_SKIN_OPTIONS);
+      const base = normalizeOnionSkinOptions({ before: 5 });
+      expect(normalizeOnionSkinOptions({ after: 1 }, base)).toMatchObject({ before: 5, after: 1 });
+    });
+
+    it('should reject out of range values', () => {
+      expect(() => normalizeOnionSkinOptions({ before: -1 })).toThrow('Invalid onion skin before');
+      expect(() => normalizeOnionSkinOptions({ after: 2.5 })).toThrow('Invalid onion skin after');
+      expect(() => normalizeOnionSkinOptions({ frameSpacing: 0 })).toThrow('Invalid onion skin frameSpacing');
+      expect(() => normalizeOnionSkinOptions({ falloff: 1.5 })).toThrow('Invalid onion skin falloff');
+    });
+  });
+
+  describe('computeGhostFrames()', () => {
+    const options = normalizeOnionSkinOptions({ before: 2, after: 1, frameSpacing: 3, fps: 30, alpha: 0.5, falloff: 0.5 });
+
+    it('should order ghosts farthest first with tint and alpha falloff', () => {
+      const frames = computeGhostFrames(options, { time: 1, duration: 2, loop: true });
+      expect(frames.map(frame => frame.offset)).toEqual([-0.2, -0.1, 0.1]);
+      [0.8, 0.9, 1.1].forEach((time, index) => expect(frames[index].time).toBeCloseTo(time));
+      expect(frames.map(frame => frame.alpha)).toEqual([0.25, 0.5, 0.5]);
+      expect(frames.map(frame => frame.tint)).toEqual([options.pastTint, options.pastTint, options.futureTint]);
+    });
+
+    it('should wrap around looping animations', () => {
+      const frames = computeGhostFrames(options, { time: 4.05, duration: 2, loop: true });
+      expect(frames[0].time).toBeCloseTo(1.85);
+      expect(frames[0].visible).toBe(true);
+      expect(frames[2].time).toBeCloseTo(0.15);
+    });
+
+    it('should hide ghosts outside non-looping animations', () => {
+      const start = computeGhostFrames(options, { time: 0.15, duration: 2, loop: false });
+      expect(start.map(frame => frame.visible)).toEqual([false, true, true]);
+
+      // Track time keeps growing after the end while the pose holds the last frame
+      const end = computeGhostFrames(options, { time: 5, duration: 2, loop: false });
+      expect(end[0].time).toBeCloseTo(1.8);
+      expect(end[2].visible).toBe(false);
+    });
+  });
+});
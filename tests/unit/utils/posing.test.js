@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizePoseOffset,
+  applyPoseOffsets,
+  rotationDelta,
+  boneToParentDelta,
+  serializePose
+} from '../../../src/utils/posing.js';
+
+function createSkeleton() {
+  const bones = ['root', 'arm'].map(name => ({
+    data: { name },
+    x: 10, y: 20, rotation: 30, scaleX: 1, scaleY: 1, shearX: 0, shearY: 0
+  }));
+  return { bones, findBone: name => bones.find(bone => bone.data.name === name) || null };
+}
+
+describe('posing', () => {
+  describe('normalizePoseOffset()', () => {
+    it('should fill in zeros and drop unknown fields', () => {
+      expect(normalizePoseOffset({ rotation: 15, scale: 2 })).toEqual({ x: 0, y: 0, rotation: 15 });
+      expect(normalizePoseOffset()).toEqual({ x: 0, y: 0, rotation: 0 });
+    });
+
+    it('should reject values that are not finite numbers', () => {
+      expect(() => normalizePoseOffset({ x: NaN })).toThrow('Invalid pose offset x');
+      expect(() => normalizePoseOffset({ rotation: '10' })).toThrow('Invalid pose offset rotation');
+    });
+  });
+
+  it('should apply offsets and remove them again', () => {
+    const skeleton = createSkeleton();
+    const offsets = new Map([['arm', { x: 5, y: -5, rotation: 45 }], ['missing', { x: 1, y: 1, rotation: 1 }]]);
+
+    applyPoseOffsets(skeleton, offsets);
+    expect(skeleton.findBone('arm')).toMatchObject({ x: 15, y: 15, rotation: 75 });
+    expect(skeleton.findBone('root')).toMatchObject({ x: 10, y: 20, rotation: 30 });
+
+    applyPoseOffsets(skeleton, offsets, -1);
+    expect(skeleton.findBone('arm')).toMatchObject({ x: 10, y: 20, rotation: 30 });
+  });
+
+  describe('rotationDelta()', () => {
+    it('should return the angle swept from one point to another', () => {
+      expect(rotationDelta({ x: 1, y: 0 }, { x: 0, y: 1 })).toBeCloseTo(90);
+      expect(rotationDelta({ x: 0, y: 1 }, { x: 1, y: 0 })).toBeCloseTo(-90);
+    });
+
+    it('should take the short way across ±180°', () => {
+      expect(rotationDelta({ x: -1, y: 0.01 }, { x: -1, y: -0.01 })).toBeCloseTo(1.146, 2);
+    });
+  });
+
+  it('should convert a movement into the parent space', () => {
+    const delta = boneToParentDelta({ x: 2, y: 0 }, { rotation: 90, scaleX: 1.5, scaleY: 1 });
+    expect(delta.x).toBeCloseTo(0);
+    expect(delta.y).toBeCloseTo(3);
+  });
+
+  it('should serialize local values with the offsets applied', () => {
+    const pose = serializePose(createSkeleton(), new Map([['arm', { x: 0.12345, y: 0, rotation: -30 }]]), { animation: 'walk' });
+
+    expect(pose.animation).toBe('walk');
+    expect(pose.bones.root).toEqual({ x: 10, y: 20, rotation: 30, scaleX: 1, scaleY: 1, shearX: 0, shearY: 0 });
+    expect(pose.bones.arm).toMatchObject({ x: 10.123, rotation: 0 });
+    expect(pose.offsets).toEqual({ arm: { x: 0.123, y: 0, rotation: -30 } });
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { diffSkeletonData, formatSkeletonDiff, formatDiffValue } from '../../../src/utils/skeletonDiff.js';
+import { setLanguage } from '../../../src/utils/messages.js';
+
+// Minimal spineData shapes (BoneData, SlotData, Animation)
+function bone(name, parent = null, props = {}) {
+  return { name, parent, length: 10, x: 0, y: 0, rotation: 0, scaleX: 1, scaleY: 1, shearX: 0, shearY: 0, ...props };
+}
+
+function createSkeleton({ bones, slots = [], animations = [] }) {
+  return { bones, slots, animations };
+}
+
+function slot(name, boneData, props = {}) {
+  return { name, boneData, attachmentName: name, blendMode: 0, color: { r: 1, g: 1, b: 1, a: 1 }, ...props };
+}
+
+describe('skeletonDiff', () => {
+  beforeEach(() => {
+    setLanguage('en');
+  });
+
+  describe('diffSkeletonData()', () => {
+    it('should report identical skeletons', () => {
+      const root = bone('root');
+      const skeleton = createSkeleton({ bones: [root], slots: [slot('body', root)], animations: [{ name: 'idle', duration: 1, timelines: [] }] });
+      const diff = diffSkeletonData(skeleton, skeleton);
+      expect(diff.identical).toBe(true);
+      expect(diff.bones).toEqual({ added: [], removed: [], changed: [] });
+    });
+
+    it('should list added, removed and changed bones', () => {
+      const rootA = bone('root');
+      const rootB = bone('root');
+      const before = createSkeleton({ bones: [rootA, bone('arm', rootA), bone('tail', rootA)] });
+      const after = createSkeleton({ bones: [rootB, bone('arm', rootB, { length: 12.5, rotation: 0.00001 }), bone('hat', rootB)] });
+
+      const diff = diffSkeletonData(before, after);
+      expect(diff.identical).toBe(false);
+      expect(diff.bones.added).toEqual(['hat']);
+      expect(diff.bones.removed).toEqual(['tail']);
+      expect(diff.bones.changed).toEqual([
+        { name: 'arm', changes: [{ property: 'length', before: 10, after: 12.5 }] }
+      ]);
+    });
+
+    it('should detect reparented bones and changed slots', () => {
+      const root = bone('root');
+      const hip = bone('hip', root);
+      const before = createSkeleton({ bones: [root, hip, bone('leg', root)], slots: [slot('leg', hip)] });
+      const after = createSkeleton({
+        bones: [root, hip, bone('leg', hip)],
+        slots: [slot('leg', root, { attachmentName: 'leg2', color: { r: 1, g: 0, b: 0, a: 1 } })]
+      });
+
+      const diff = diffSkeletonData(before, after);
+      expect(diff.bones.changed[0].changes).toEqual([{ property: 'parent', before: 'root', after: 'hip' }]);
+      expect(diff.slots.changed[0].changes).toEqual([
+        { property: 'bone', before: 'hip', after: 'root' },
+        { property: 'attachment', before: 'leg', after: 'leg2' },
+        { property: 'color', before: '255,255,255,255', after: '255,0,0,255' }
+      ]);
+    });
+
+    it('should compare animation durations and timeline counts', () => {
+      const root = bone('root');
+      const before = createSkeleton({ bones: [root], animations: [{ name: 'run', duration: 1.2, timelines: [1, 2] }, { name: 'jump', duration: 1, timelines: [] }] });
+      const after = createSkeleton({ bones: [root], animations: [{ name: 'run', duration: 1.5, timelines: [1, 2, 3] }, { name: 'walk', duration: 2, timelines: [] }] });
+
+      const { animations } = diffSkeletonData(before, after);
+      expect(animations.added).toEqual(['walk']);
+      expect(animations.removed).toEqual(['jump']);
+      expect(animations.changed).toEqual([{
+        name: 'run',
+        changes: [
+          { property: 'duration', before: 1.2, after: 1.5 },
+          { property: 'timelines', before: 2, after: 3 }
+        ]
+      }]);
+    });
+
+    it('should require two skeletons', () => {
+      expect(() => diffSkeletonData(null, createSkeleton({ bones: [] }))).toThrow('Two skeletons are required');
+    });
+  });
+
+  describe('formatSkeletonDiff()', () => {
+    it('should summarize sections with changes', () => {
+      const root = bone('root');
+      const before = createSkeleton({ bones: [root] });
+      const after = createSkeleton({ bones: [root, bone('arm', root)], animations: [{ name: 'idle', duration: 1, timelines: [] }] });
+      expect(formatSkeletonDiff(diffSkeletonData(before, after))).toEqual([
+        'Bones: 1 added, 0 removed, 0 changed',
+        'Animations: 1 added, 0 removed, 0 changed'
+      ]);
+    });
+
+    it('should say when nothing changed', () => {
+      const skeleton = createSkeleton({ bones: [bone('root')] });
+      expect(formatSkeletonDiff(diffSkeletonData(skeleton, skeleton))).toEqual(['Bones, slots and animations are identical']);
+    });
+
+    it('should format values', () => {
+      expect(formatDiffValue(1.23456)).toBe('1.235');
+      expect(formatDiffValue(null)).toBe('—');
+      expect(formatDiffValue('root')).toBe('root');
+    });
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getAttachmentType,
+  formatSlotColor,
+  getBlendModeName,
+  inspectSlots
+} from '../../../src/utils/slotInspector.js';
+
+function createSlot(index, name, attachment, options = {}) {
+  return {
+    data: { index, name, blendMode: options.blendMode ?? 0 },
+    bone: { data: { name: options.bone || 'root' } },
+    color: options.color || { r: 1, g: 1, b: 1, a: 1 },
+    darkColor: options.darkColor || null,
+    getAttachment: () => attachment
+  };
+}
+
+describe('slotInspector', () => {
+  describe('getAttachmentType()', () => {
+    it('should read the pixi-spine attachment type', () => {
+      expect(getAttachmentType({ type: 0 })).toBe('region');
+      expect(getAttachmentType({ type: 1 })).toBe('boundingbox');
+      expect(getAttachmentType({ type: 3 })).toBe('mesh');
+      expect(getAttachmentType({ type: 6 })).toBe('clipping');
+      expect(getAttachmentType(null)).toBeNull();
+    });
+
+    it('should fall back to the class name', () => {
+      class PathAttachment {}
+      class CustomThing {}
+      expect(getAttachmentType(new PathAttachment())).toBe('path');
+      expect(getAttachmentType(new CustomThing())).toBe('unknown');
+    });
+  });
+
+  it('should format colors and blend modes', () => {
+    expect(formatSlotColor({ r: 1, g: 0.5, b: 0, a: 1 })).toBe('#ff8000ff');
+    expect(formatSlotColor(null)).toBeNull();
+    expect(getBlendModeName(1)).toBe('additive');
+    expect(getBlendModeName('Screen')).toBe('screen');
+  });
+
+  it('should list slots in draw order', () => {
+    const body = createSlot(0, 'body', { name: 'torso', type: 2 }, { bone: 'hip', darkColor: { r: 0, g: 0, b: 0, a: 1 } });
+    const glow = createSlot(1, 'glow', { name: 'glow', type: 0 }, { blendMode: 1, color: { r: 1, g: 0, b: 0, a: 0.5 } });
+    const hitbox = createSlot(2, 'hitbox', null);
+
+    const slots = inspectSlots({ slots: [body, glow, hitbox], drawOrder: [hitbox, glow, body] });
+
+    expect(slots.map(slot => slot.name)).toEqual(['hitbox', 'glow', 'body']);
+    expect(slots[0]).toMatchObject({ order: 0, index: 2, attachment: null, attachmentType: null });
+    expect(slots[1]).toMatchObject({ attachment: 'glow', attachmentType: 'region', color: '#ff000080', blendMode: 'additive' });
+    expect(slots[2]).toMatchObject({ bone: 'hip', attachmentType: 'mesh', darkColor: '#000000ff', blendMode: 'normal' });
+    expect(inspectSlots(null)).toEqual([]);
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import {
+  describeSpineEvent,
+  getAnimationEvents,
+  getEventMarkers,
+  matchesEventFilter
+} from '../../../src/utils/spineEvents.js';
+
+function createEvent(name, time, values = {}, data = {}) {
+  return { data: { name, intValue: 0, floatValue: 0, stringValue: null, audioPath: null, ...data }, time, ...values };
+}
+
+describe('spineEvents', () => {
+  describe('describeSpineEvent', () => {
+    it('should copy the event values with its track and animation', () => {
+      const event = createEvent('footstep', 0.5, {
+        intValue: 2, floatValue: 0.25, stringValue: 'left', volume: 0.8, balance: -0.5
+      }, { audioPath: 'sfx/step.wav' });
+      const entry = { trackIndex: 1, animation: { name: 'walk' } };
+
+      expect(describeSpineEvent(event, entry)).toEqual({
+        name: 'footstep', int: 2, float: 0.25, string: 'left', audio: 'sfx/step.wav',
+        volume: 0.8, balance: -0.5, time: 0.5, track: 1, animation: 'walk'
+      });
+    });
+
+    it('should fall back to the event data and defaults', () => {
+      const event = createEvent('hit', 1, {}, { intValue: 5, stringValue: 'heavy' });
+      expect(describeSpineEvent(event, null)).toMatchObject({
+        int: 5, float: 0, string: 'heavy', audio: null, volume: 1, balance: 0, track: null, animation: null
+      });
+    });
+  });
+
+  describe('getAnimationEvents', () => {
+    const skeletonData = {
+      findAnimation: name => (name === 'walk'
+        ? {
+          name: 'walk',
+          duration: 1,
+          timelines: [
+            { frames: [0, 1] },
+            { events: [createEvent('step-right', 0.75), createEvent('step-left', 0.25)] }
+          ]
+        }
+        : null)
+    };
+
+    it('should list the event keys sorted by time', () => {
+      const result = getAnimationEvents(skeletonData, 'walk');
+      expect(result.duration).toBe(1);
+      expect(result.events.map(event => [event.name, event.time])).toEqual([['step-left', 0.25], ['step-right', 0.75]]);
+      expect(result.events[0].animation).toBe('walk');
+      expect(result.events[0]).not.toHaveProperty('track');
+    });
+
+    it('should return null for unknown animations', () => {
+      expect(getAnimationEvents(skeletonData, 'run')).toBeNull();
+      expect(getAnimationEvents(null, 'walk')).toBeNull();
+    });
+  });
+
+  describe('getEventMarkers', () => {
+    const events = [{ name: 'a', time: 0 }, { name: 'b', time: 0.5 }, { name: 'c', time: 1 }];
+
+    it('should position events along the range', () => {
+      expect(getEventMarkers(events, 0, 1).map(marker => marker.position)).toEqual([0, 0.5, 1]);
+    });
+
+    it('should drop events outside a trimmed range', () => {
+      expect(getEventMarkers(events, 0.25, 0.75)).toEqual([{ name: 'b', time: 0.5, position: 0.5 }]);
+    });
+
+    it('should handle an empty range', () => {
+      expect(getEventMarkers(events, 0.5, 0.5)).toEqual([{ name: 'b', time: 0.5, position: 0 }]);
+    });
+  });
+
+  describe('matchesEventFilter', () => {
+    const entry = { name: 'Footstep', string: 'left', audio: 'sfx/Step.wav', animation: 'walk' };
+
+    it('should match every event without a query', () => {
+      expect(matchesEventFilter(entry, '')).toBe(true);
+      expect(matchesEventFilter(entry, '  ')).toBe(true);
+    });
+
+    it('should search the name, string, audio path and animation case-insensitively', () => {
+      expect(matchesEventFilter(entry, 'foot')).toBe(true);
+      expect(matchesEventFilter(entry, 'LEFT')).toBe(true);
+      expect(matchesEventFilter(entry, 'step.wav')).toBe(true);
+      expect(matchesEventFilter(entry, 'walk')).toBe(true);
+      expect(matchesEventFilter(entry, 'hit')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { parseAtlas, validateSpineAssets, SEVERITY } from '../../../src/utils/spineValidator.js';
+import { setLanguage } from '../../../src/utils/messages.js';
+
+const ATLAS_38 = [
+  '',
+  'hero.png',
+  'size: 512,256',
+  'format: RGBA8888',
+  'filter: Linear,Linear',
+  'repeat: none',
+  'head',
+  '  rotate: false',
+  '  xy: 2, 2',
+  '  size: 100, 100',
+  '  index: -1',
+  'body',
+  '  rotate: false',
+  '  xy: 104, 2',
+  '',
+  'hero2.png',
+  'size: 128,128',
+  'format: RGBA8888',
+  'filter: Linear,Linear',
+  'repeat: none',
+  'head',
+  '  rotate: false',
+  'run',
+  '  index: 0',
+  'run',
+  '  index: 1'
+].join('\n');
+
+const ATLAS_41 = [
+  'hero.png',
+  'size:512,256',
+  'filter:Linear,Linear',
+  'head',
+  'bounds:2,2,100,100',
+  'body',
+  'bounds:104,2,50,80'
+].join('\n');
+
+describe('spineValidator', () => {
+  beforeEach(() => {
+    setLanguage('en');
+  });
+
+  describe('parseAtlas()', () => {
+    it('should parse 3.x pages, sizes, regions and indices', () => {
+      const { pages, regions } = parseAtlas(ATLAS_38);
+      expect(pages).toEqual([
+        { name: 'hero.png', width: 512, height: 256, line: 2 },
+        { name: 'hero2.png', width: 128, height: 128, line: 16 }
+      ]);
+      expect(regions.map(r => [r.name, r.page, r.index, r.line])).toEqual([
+        ['head', 'hero.png', -1, 7],
+        ['body', 'hero.png', -1, 12],
+        ['head', 'hero2.png', -1, 21],
+        ['run', 'hero2.png', 0, 23],
+        ['run', 'hero2.png', 1, 25]
+      ]);
+    });
+
+    it('should parse the 4.x format without indentation', () => {
+      const { pages, regions } = parseAtlas(ATLAS_41);
+      expect(pages[0]).toMatchObject({ name: 'hero.png', width: 512, height: 256 });
+      expect(regions.map(r => r.name)).toEqual(['head', 'body']);
+    });
+  });
+
+  describe('validateSpineAssets()', () => {
+    it('should pass when every region is used and pages match', () => {
+      const report = validateSpineAssets({
+        atlasText: ATLAS_41,
+        usedRegions: ['head', 'body'],
+        pageSizes: { 'hero.png': { width: 512, height: 256 } }
+      });
+      expect(report.valid).toBe(true);
+      expect(report.issues).toEqual([]);
+      expect(report.counts).toEqual({ error: 0, warning: 0, info: 0 });
+    });
+
+    it('should report attachments whose region is missing', () => {
+      const report = validateSpineAssets({
+        atlasText: ATLAS_41,
+        skeletonName: 'hero.json',
+        usedRegions: ['head', 'body'],
+        missingRegions: [{ skin: 'default', attachment: 'sword', region: 'weapons/sword' }]
+      });
+
+      expect(report.valid).toBe(false);
+      expect(report.issues[0]).toMatchObject({
+        severity: SEVERITY.ERROR,
+        key: 'validation.missing_region',
+        location: { file: 'hero.json', skin: 'default', attachment: 'sword', region: 'weapons/sword' }
+      });
+      expect(report.issues[0].message).toContain('weapons/sword');
+    });
+
+    it('should report unused regions with their atlas line', () => {
+      const report = validateSpineAssets({ atlasText: ATLAS_41, atlasName: 'hero.atlas', usedRegions: ['head'] });
+      expect(report.valid).toBe(true);
+      expect(report.issues).toHaveLength(1);
+      expect(report.issues[0]).toMatchObject({
+        severity: SEVERITY.INFO,
+        key: 'validation.unused_region',
+        location: { file: 'hero.atlas', line: 6, page: 'hero.png', region: 'body' }
+      });
+    });
+
+    it('should report pages whose image size differs from the atlas', () => {
+      const report = validateSpineAssets({
+        atlasText: ATLAS_41,
+        usedRegions: ['head', 'body'],
+        pageSizes: { 'hero.png': { width: 256, height: 128 } }
+      });
+      expect(report.issues[0]).toMatchObject({
+        severity: SEVERITY.ERROR,
+        key: 'validation.page_size_mismatch',
+        params: { page: 'hero.png', width: 512, height: 256, actualWidth: 256, actualHeight: 128 }
+      });
+    });
+
+    it('should report duplicate regions but not sequence frames', () => {
+      const report = validateSpineAssets({ atlasText: ATLAS_38, usedRegions: ['head', 'body', 'run'] });
+      const duplicates = report.issues.filter(issue => issue.key === 'validation.duplicate_region');
+      expect(duplicates).toHaveLength(1);
+      expect(duplicates[0]).toMatchObject({
+        severity: SEVERITY.WARNING,
+        params: { region: 'head', count: 2, lines: '7, 21' },
+        location: { line: 21, page: 'hero2.png' }
+      });
+    });
+
+    it('should sort issues by severity', () => {
+      const report = validateSpineAssets({
+        atlasText: ATLAS_38,
+        missingRegions: [{ skin: 'default', attachment: 'x', region: 'x' }]
+      });
+      const severities = report.issues.map(issue => issue.severity);
+      expect(severities[0]).toBe(SEVERITY.ERROR);
+      expect(severities.indexOf(SEVERITY.INFO)).toBeGreaterThan(severities.lastIndexOf(SEVERITY.WARNING));
+    });
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  parseVersion,
+  readJsonVersion,
+  readBinaryVersion,
+  detectSkeletonVersion,
+  getCompatibility,
+  formatCompatibilityReport,
+  RUNTIME_FOR_VERSION
+} from '../../../src/utils/spineVersion.js';
+import { setLanguage } from '../../../src/utils/messages.js';
+
+// Helper: encode a Spine binary string (varint byte count + 1, then UTF-8)
+function spineString(text) {
+  const bytes = new TextEncoder().encode(text);
+  return [bytes.length + 1, ...bytes];
+}
+
+describe('spineVersion', () => {
+  beforeEach(() => {
+    setLanguage('en');
+  });
+
+  describe('parseVersion()', () => {
+    it('should parse major, minor and patch', () => {
+      expect(parseVersion('3.8.99')).toEqual({ text: '3.8.99', major: 3, minor: 8, patch: 99 });
+      expect(parseVersion('4.1')).toMatchObject({ major: 4, minor: 1, patch: 0 });
+    });
+
+    it('should return null for invalid versions', () => {
+      expect(parseVersion('')).toBeNull();
+      expect(parseVersion('abc')).toBeNull();
+      expect(parseVersion(undefined)).toBeNull();
+    });
+  });
+
+  describe('readJsonVersion()', () => {
+    it('should read skeleton.spine', () => {
+      expect(readJsonVersion('{"skeleton":{"hash":"x","spine":"4.1.24"}}')).toBe('4.1.24');
+      expect(readJsonVersion({ skeleton: { spine: '3.8.99' } })).toBe('3.8.99');
+    });
+
+    it('should return null without a version', () => {
+      expect(readJsonVersion('{"bones":[]}')).toBeNull();
+      expect(readJsonVersion('not json')).toBeNull();
+    });
+  });
+
+  describe('readBinaryVersion()', () => {
+    it('should read 3.x headers (hash string, version string)', () => {
+      const bytes = Uint8Array.from([...spineString('3qzW1IFWnDw8bFcE0DI8qXW4sXU'), ...spineString('3.8.99'), 0, 0, 0, 0]);
+      expect(readBinaryVersion(bytes)).toBe('3.8.99');
+    });
+
+    it('should read 4.x headers (64-bit hash, version string)', () => {
+      const bytes = Uint8Array.from([0x9a, 0x31, 0xc2, 0x07, 0x5e, 0x10, 0x88, 0xfe, ...spineString('4.1.24'), 0, 0]);
+      expect(readBinaryVersion(bytes)).toBe('4.1.24');
+    });
+
+    it('should return null for unreadable data', () => {
+      expect(readBinaryVersion(new Uint8Array([0xff, 0xff, 0xff]))).toBeNull();
+      expect(readBinaryVersion(new Uint8Array(0))).toBeNull();
+    });
+
+    it('should be used for .skel files by detectSkeletonVersion', () => {
+      const bytes = Uint8Array.from([...spineString('hash'), ...spineString('3.7.94')]);
+      expect(detectSkeletonVersion(bytes, '.skel')).toBe('3.7.94');
+      expect(detectSkeletonVersion('{"skeleton":{"spine":"4.0.64"}}', '.json')).toBe('4.0.64');
+    });
+  });
+
+  describe('getCompatibility()', () => {
+    it('should load 4.0 exports with the 4.1 runtime as fully supported', () => {
+      expect(RUNTIME_FOR_VERSION['4.0']).toBe('4.1');
+      ['.json', '.skel'].forEach(format => {
+        expect(getCompatibility('4.0.64', format)).toMatchObject({ status: 'supported', runtime: '4.1', lostFeatures: [] });
+      });
+    });
+
+    it('should use the native runtime for 3.8', () => {
+      expect(getCompatibility('3.8.99', '.json')).toMatchObject({ status: 'native', runtime: '3.8', lostFeatures: [] });
+    });
+
+    it('should pick matching runtimes for 3.7 and 4.x', () => {
+      expect(getCompatibility('3.7.94', '.skel')).toMatchObject({ status: 'supported', runtime: '3.7' });
+      expect(getCompatibility('4.0.64', '.skel')).toMatchObject({ status: 'supported', runtime: '4.1' });
+      expect(getCompatibility('4.1.24', '.json')).toMatchObject({ status: 'supported', runtime: '4.1' });
+    });
+
+    it('should load newer JSON partially and list the lost features', () => {
+      const report = getCompatibility('4.2.18', '.json');
+      expect(report.status).toBe('partial');
+      expect(report.runtime).toBe('4.1');
+      expect(report.lostFeatures).toContain('physics constraints');
+    });
+
+    it('should reject newer binaries and older versions', () => {
+      expect(getCompatibility('4.2.18', '.skel')).toMatchObject({ status: 'unsupported', runtime: null });
+      expect(getCompatibility('3.6.53', '.json')).toMatchObject({ status: 'unsupported', runtime: null });
+    });
+
+    it('should fall back to the native runtime when the version is unknown', () => {
+      expect(getCompatibility(null, '.skel')).toMatchObject({ status: 'unknown', runtime: '3.8' });
+    });
+  });
+
+  describe('formatCompatibilityReport()', () => {
+    it('should list the detected and supported versions', () => {
+      const text = formatCompatibilityReport(getCompatibility('4.2.18', '.skel'));
+      expect(text).toContain('Spine 4.2.18 skeletons cannot be loaded');
+      expect(text).toContain('Detected Spine version: 4.2.18');
+      expect(text).toContain('Supported versions: 3.7, 3.8, 4.0, 4.1');
+      expect(text).toContain('Features that will be lost: physics constraints');
+    });
+
+    it('should mention the runtime used for other versions', () => {
+      expect(formatCompatibilityReport(getCompatibility('4.1.24', '.json'))).toContain('Loaded with the Spine 4.1 runtime');
+      expect(formatCompatibilityReport(getCompatibility('3.8.99', '.json'))).not.toContain('runtime');
+    });
+  });
+});
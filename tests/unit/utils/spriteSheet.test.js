@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { layoutSpriteSheet, createSpriteSheetData } from '../../../src/utils/spriteSheet.js';
+
+const names = (count) => Array.from({ length: count }, (_, i) => `f${i}.png`);
+
+describe('spriteSheet', () => {
+  describe('layoutSpriteSheet()', () => {
+    it('should pack square frames into a near-square grid', () => {
+      const layout = layoutSpriteSheet({ names: names(10), frameWidth: 100, frameHeight: 100 });
+
+      expect(layout.columns).toBe(4);
+      expect(layout.rows).toBe(3);
+      expect(layout.width).toBe(400);
+      expect(layout.height).toBe(300);
+      expect(layout.frames[5]).toEqual({ name: 'f5.png', x: 100, y: 100, width: 100, height: 100 });
+    });
+
+    it('should respect maxWidth and spacing', () => {
+      const layout = layoutSpriteSheet({
+        names: names(9), frameWidth: 100, frameHeight: 100, spacing: 2, maxWidth: 250
+      });
+
+      expect(layout.columns).toBe(2);
+      expect(layout.rows).toBe(5);
+      expect(layout.width).toBe(202);
+      expect(layout.frames[3]).toMatchObject({ x: 102, y: 102 });
+    });
+
+    it('should reject frames wider than the sheet', () => {
+      expect(() => layoutSpriteSheet({ names: names(1), frameWidth: 5000, frameHeight: 10 }))
+        .toThrow('Frame width 5000px exceeds sprite sheet limit of 4096px');
+    });
+  });
+
+  describe('createSpriteSheetData()', () => {
+    it('should describe every frame in the hash format', () => {
+      const layout = layoutSpriteSheet({ names: names(2), frameWidth: 50, frameHeight: 40 });
+      const data = createSpriteSheetData(layout, { image: 'sheet.png', fps: 20, animation: 'run' });
+
+      expect(data.frames['f1.png']).toEqual({
+        frame: { x: 50, y: 0, w: 50, h: 40 },
+        rotated: false,
+        trimmed: false,
+        spriteSourceSize: { x: 0, y: 0, w: 50, h: 40 },
+        sourceSize: { w: 50, h: 40 },
+        duration: 50
+      });
+      expect(data.meta).toMatchObject({ image: 'sheet.png', size: { w: 100, h: 40 }, frameRate: 20 });
+      expect(data.animations).toEqual({ run: ['f0.png', 'f1.png'] });
+    });
+  });
+});
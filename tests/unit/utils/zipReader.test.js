@@ -0,0 +1,116 @@
+import { describe, it, expect } from 'vitest';
+import { deflateRawSync } from 'node:zlib';
+import { inflateRaw, readZip } from '../../../src/utils/zipReader.js';
+import { crc32, createZip } from '../../../src/utils/zipWriter.js';
+
+// Helper: build a single-entry zip with a deflated (method 8) entry
+function createDeflatedZip(name, data) {
+  const nameBytes = new TextEncoder().encode(name);
+  const compressed = deflateRawSync(data);
+  const checksum = crc32(data);
+
+  const local = new DataView(new ArrayBuffer(30));
+  local.setUint32(0, 0x04034b50, true);
+  local.setUint16(4, 20, true);
+  local.setUint16(8, 8, true);
+  local.setUint32(14, checksum, true);
+  local.setUint32(18, compressed.length, true);
+  local.setUint32(22, data.length, true);
+  local.setUint16(26, nameBytes.length, true);
+
+  const central = new DataView(new ArrayBuffer(46));
+  central.setUint32(0, 0x02014b50, true);
+  central.setUint16(4, 20, true);
+  central.setUint16(6, 20, true);
+  central.setUint16(10, 8, true);
+  central.setUint32(16, checksum, true);
+  central.setUint32(20, compressed.length, true);
+  central.setUint32(24, data.length, true);
+  central.setUint16(28, nameBytes.length, true);
+
+  const centralOffset = 30 + nameBytes.length + compressed.length;
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, 1, true);
+  end.setUint16(10, 1, true);
+  end.setUint32(12, 46 + nameBytes.length, true);
+  end.setUint32(16, centralOffset, true);
+
+  const parts = [new Uint8Array(local.buffer), nameBytes, compressed, new Uint8Array(central.buffer), nameBytes, new Uint8Array(end.buffer)];
+  const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    output.set(part, offset);
+    offset += part.length;
+  });
+  return output;
+}
+
+// Helper: pseudo-random bytes with some repetition so deflate uses dynamic blocks
+function createSample(length) {
+  const bytes = new Uint8Array(length);
+  let seed = 7;
+  for (let i = 0; i < length; i++) {
+    seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+    bytes[i] = i % 64 < 32 ? (seed >> 16) & 0xff : bytes[i - 32];
+  }
+  return bytes;
+}
+
+describe('zipReader', () => {
+  describe('inflateRaw()', () => {
+    it('should decode fixed-Huffman blocks', () => {
+      const text = new TextEncoder().encode('abcabcabcabc');
+      expect(Array.from(inflateRaw(deflateRawSync(text)))).toEqual(Array.from(text));
+    });
+
+    it('should decode dynamic-Huffman blocks', () => {
+      const data = createSample(100000);
+      expect(inflateRaw(deflateRawSync(data)).length).toBe(data.length);
+      expect(crc32(inflateRaw(deflateRawSync(data), data.length))).toBe(crc32(data));
+    });
+
+    it('should decode stored blocks', () => {
+      const data = createSample(70000);
+      expect(crc32(inflateRaw(deflateRawSync(data, { level: 0 })))).toBe(crc32(data));
+    });
+
+    it('should reject truncated data', () => {
+      const compressed = deflateRawSync(createSample(5000));
+      expect(() => inflateRaw(compressed.subarray(0, 100))).toThrow('Unexpected end of compressed data');
+    });
+  });
+
+  describe('readZip()', () => {
+    it('should read stored entries written by createZip', async () => {
+      const zip = await createZip([
+        { name: 'hero/hero.json', data: '{"bones":[]}' },
+        { name: 'hero/hero.png', data: new Uint8Array([1, 2, 3]) }
+      ]);
+
+      const entries = await readZip(zip);
+      expect(entries.map(e => e.name)).toEqual(['hero/hero.json', 'hero/hero.png']);
+      expect(new TextDecoder().decode(entries[0].data)).toBe('{"bones":[]}');
+      expect(Array.from(entries[1].data)).toEqual([1, 2, 3]);
+      expect(entries[1].isDirectory).toBe(false);
+    });
+
+    it('should inflate deflated entries', async () => {
+      const data = createSample(20000);
+      const [entry] = await readZip(createDeflatedZip('hero.skel', data));
+      expect(entry.name).toBe('hero.skel');
+      expect(entry.size).toBe(data.length);
+      expect(crc32(entry.data)).toBe(crc32(data));
+    });
+
+    it('should detect corrupted entries', async () => {
+      const zip = createDeflatedZip('hero.skel', createSample(2000));
+      zip[60] ^= 0xff;
+      await expect(readZip(zip)).rejects.toThrow();
+    });
+
+    it('should reject data that is not a zip archive', async () => {
+      await expect(readZip(new Uint8Array(100))).rejects.toThrow('Not a valid zip archive');
+    });
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import { crc32, createZip } from '../../../src/utils/zipWriter.js';
+
+// Helper: read a Blob (jsdom's Blob has no arrayBuffer())
+function readBlob(blob) {
+  return new Promise((resolve) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.readAsArrayBuffer(blob);
+  });
+}
+
+// Helper: list entries from the central directory of a stored zip
+async function readEntries(blob) {
+  const bytes = new Uint8Array(await readBlob(blob));
+  const view = new DataView(bytes.buffer);
+  const decoder = new TextDecoder();
+
+  const endOffset = bytes.length - 22;
+  expect(view.getUint32(endOffset, true)).toBe(0x06054b50);
+  const count = view.getUint16(endOffset + 10, true);
+  let offset = view.getUint32(endOffset + 16, true);
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    expect(view.getUint32(offset, true)).toBe(0x02014b50);
+    const size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+    const localNameLength = view.getUint16(localOffset + 26, true);
+    const dataStart = localOffset + 30 + localNameLength;
+    entries.push({
+      name,
+      crc: view.getUint32(offset + 16, true),
+      data: bytes.subarray(dataStart, dataStart + size)
+    });
+    offset += 46 + nameLength;
+  }
+  return entries;
+}
+
+describe('zipWriter', () => {
+  describe('crc32()', () => {
+    it('should match the standard check value', () => {
+      expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xcbf43926);
+    });
+
+    it('should return 0 for empty input', () => {
+      expect(crc32(new Uint8Array(0))).toBe(0);
+    });
+  });
+
+  describe('createZip()', () => {
+    it('should store entries with names, data and checksums', async () => {
+      const zip = await createZip([
+        { name: 'frames/a_000.png', data: new Uint8Array([1, 2, 3]) },
+        { name: 'sheet.json', data: '{"frames":{}}' }
+      ]);
+
+      expect(zip.type).toBe('application/zip');
+
+      const entries = await readEntries(zip);
+      expect(entries.map(e => e.name)).toEqual(['frames/a_000.png', 'sheet.json']);
+      expect(Array.from(entries[0].data)).toEqual([1, 2, 3]);
+      expect(new TextDecoder().decode(entries[1].data)).toBe('{"frames":{}}');
+      expect(entries[0].crc).toBe(crc32(new Uint8Array([1, 2, 3])));
+    });
+
+    it('should accept Blob data', async () => {
+      const zip = await createZip([{ name: 'a.txt', data: new Blob(['hello']) }]);
+      const [entry] = await readEntries(zip);
+      expect(new TextDecoder().decode(entry.data)).toBe('hello');
+    });
+
+    it('should reject empty and duplicate entries', async () => {
+      await expect(createZip([])).rejects.toThrow('No entries provided for zip archive');
+      await expect(createZip([
+        { name: 'a.png', data: 'x' },
+        { name: 'a.png', data: 'y' }
+      ])).rejects.toThrow('Duplicate zip entry: a.png');
+    });
+  });
+});